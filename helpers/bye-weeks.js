@@ -0,0 +1,139 @@
+/**
+ * Bye weeks derived from the schedule
+ * A team is on bye in any loaded week where it has no game. Until every regular season week is
+ * loaded, a team with no gap yet has an unknown bye rather than none
+ */
+
+const { getRepository } = require('./data-repository');
+const { findTeamByAbbr } = require('./nfl-teams');
+const { REGULAR_SEASON_WEEKS } = require('./schedule-import');
+
+// Computed byes keyed by the repository's schedule object (identity changes when the schedule changes)
+const byeCache = new WeakMap();
+
+/**
+ * Compute each team's bye from a season schedule
+ * @param {Object} season - { week1: [{ homeTeam, awayTeam }], ... }
+ * @param {Array<Object>} nflTeams - Known NFL teams
+ * @param {Object} [options] - Options
+ * @param {number} [options.weeks] - Number of regular season weeks
+ * @returns {Object} - { complete, weeksLoaded, teams: { ABBR: { abbr, byeWeek, byeWeeks } }, byWeek: { weekN: [ABBR] } }
+ */
+function computeByeWeeks(season, nflTeams, { weeks = REGULAR_SEASON_WEEKS } = {}) {
+  const weeksLoaded = [];
+  const playingByWeek = new Map();
+
+  for (let week = 1; week <= weeks; week++) {
+    const games = season?.[`week${week}`];
+    if (!Array.isArray(games) || games.length === 0) continue;
+    weeksLoaded.push(week);
+
+    const playing = new Set();
+    for (const game of games) {
+      for (const abbr of [game.homeTeam, game.awayTeam]) {
+        const team = findTeamByAbbr(nflTeams, abbr);
+        if (team) playing.add(team.abbr);
+      }
+    }
+    playingByWeek.set(week, playing);
+  }
+
+  const complete = weeksLoaded.length === weeks;
+  const teams = {};
+  const byWeek = {};
+
+  for (const { abbr } of nflTeams) {
+    const byeWeeks = weeksLoaded.filter(week => !playingByWeek.get(week).has(abbr));
+    // Without the full season a team with no gap yet may still have its bye in a missing week
+    teams[abbr] = { abbr, byeWeek: byeWeeks.length === 1 ? byeWeeks[0] : null, byeWeeks };
+    for (const week of byeWeeks) {
+      (byWeek[`week${week}`] ||= []).push(abbr);
+    }
+  }
+
+  return { complete, weeksLoaded, teams, byWeek };
+}
+
+/**
+ * Compute byes for the stored schedule, cached until the schedule changes
+ * @returns {Promise<Object>} - Output of computeByeWeeks
+ */
+async function getByeWeeks() {
+  const repository = getRepository();
+  const season = await repository.schedule.getSeason();
+  if (!byeCache.has(season)) {
+    byeCache.set(season, computeByeWeeks(season, await repository.nflTeams.list()));
+  }
+  return byeCache.get(season);
+}
+
+/**
+ * Team abbreviation from a player's object or string team field
+ * @param {Object} player - Player
+ * @returns {string} - Abbreviation or empty string
+ */
+function teamAbbrOf(player) {
+  if (!player?.team) return '';
+  return String(typeof player.team === 'string' ? player.team : player.team.abbr || '').toUpperCase();
+}
+
+/**
+ * Look up the computed bye for a player's team
+ * @param {Object} player - Player
+ * @param {Object} byes - Output of computeByeWeeks
+ * @returns {number|null} - Computed bye week, or null when unknown
+ */
+function computedByeFor(player, byes) {
+  const team = findTeamByAbbr(Object.values(byes.teams), teamAbbrOf(player));
+  return team?.byeWeek ?? null;
+}
+
+/**
+ * List players whose stored byeWeek disagrees with the schedule
+ * Players on teams whose bye is still unknown are skipped
+ * @param {Array<Object>} players - Players with byeWeek and team
+ * @param {Object} byes - Output of computeByeWeeks
+ * @returns {Array<Object>} - [{ playerId, name, position, team, storedByeWeek, computedByeWeek, issue }]
+ */
+function findByeConflicts(players, byes) {
+  const conflicts = [];
+
+  for (const player of players) {
+    const computed = computedByeFor(player, byes);
+    if (computed == null) continue;
+
+    const stored = player.byeWeek != null ? Number(player.byeWeek) : null;
+    if (stored === computed) continue;
+
+    conflicts.push({
+      playerId: String(player.id),
+      name: player.name,
+      position: player.position,
+      team: teamAbbrOf(player),
+      storedByeWeek: stored,
+      computedByeWeek: computed,
+      issue: stored == null ? 'missing' : 'mismatch'
+    });
+  }
+
+  return conflicts;
+}
+
+/**
+ * Copy a player with byeWeek taken from the schedule when it is known
+ * @param {Object} player - Player
+ * @param {Object} byes - Output of computeByeWeeks
+ * @returns {Object} - Player (unchanged when the computed bye is unknown or already matches)
+ */
+function withScheduleBye(player, byes) {
+  const computed = computedByeFor(player, byes);
+  if (computed == null || Number(player.byeWeek) === computed) return player;
+  return { ...player, byeWeek: computed };
+}
+
+module.exports = {
+  computeByeWeeks,
+  getByeWeeks,
+  findByeConflicts,
+  withScheduleBye
+};
@@ -0,0 +1,100 @@
+/**
+ * Data access layer
+ * Routes read and write players, rosters, schedule, NFL teams and leagues through one
+ * repository interface; DATA_BACKEND picks the JSON-file or Neon implementation
+ *
+ * Interface (all methods async):
+ *   players:  list() (same array until the data changes), getById(id), findHistorical(name),
+ *             upsertMany(players) -> [{ id, status }]
+ *   rosters:  listPlayers(), listByTeam(endpoint),
+ *             replacePlayers(players, { expected?, transactions?, trades?, claims? }) (throws roster_conflict
+ *             when the stored roster no longer matches expected, the list the change was made from)
+ *   transactions: list({ leagueId?, team?, limit? }) -> newest first
+ *   trades:   list({ leagueId?, team?, status? }) -> newest first, getById(id), save(trade)
+ *   waiverClaims: list({ leagueId?, team?, status? }) -> oldest first, getById(id), saveMany(claims)
+ *   waiverRuns: claim(leagueId, period) -> true for the one caller that starts that league's run,
+ *               release(leagueId, period) (a failed run, so the period can be retried)
+ *   schedule: getSeason(), getWeek(week), replaceSeason(season)
+ *   nflTeams: list()
+ *   defenseRatings: list() -> [{ abbr, pointsAllowed: { QB, RB, WR, TE, ... } }], replaceAll(ratings)
+ *   draftSessions: getById(id), save(session, { picks? }) (picks: new since the last save), delete(id)
+ *   leagues:  list(), save(league), delete(id)
+ */
+
+const path = require('path');
+
+const DATA_BACKENDS = ['json', 'neon'];
+const DATA_BACKEND = (process.env.DATA_BACKEND || 'json').toLowerCase();
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Shared repository for the running server
+let defaultRepository = null;
+
+/**
+ * Error raised by repository implementations for conflicts and bad input
+ */
+class RepositoryError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   * @param {number} status - HTTP status to surface to clients
+   */
+  constructor(code, message, status = 500) {
+    super(message);
+    this.name = 'RepositoryError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Create a repository for a backend
+ * @param {Object} [options] - Options
+ * @param {string} [options.backend] - 'json' or 'neon' (defaults to DATA_BACKEND)
+ * @param {string} [options.dataDir] - Root of the JSON data files (json backend)
+ * @param {string} [options.leaguesFile] - Leagues file path (json backend)
+ * @param {string} [options.databaseUrl] - Postgres connection string (neon backend)
+ * @returns {Object} - Repository with players, rosters, schedule, nflTeams and leagues
+ */
+function createRepository({ backend = DATA_BACKEND, dataDir = DATA_DIR, leaguesFile = process.env.LEAGUES_FILE, databaseUrl = process.env.DATABASE_URL } = {}) {
+  switch (backend) {
+    case 'json': {
+      const { createJsonRepository } = require('./json-repository');
+      return createJsonRepository({ dataDir, leaguesFile });
+    }
+    case 'neon': {
+      const { createNeonRepository } = require('./neon-repository');
+      return createNeonRepository({ databaseUrl });
+    }
+    default:
+      throw new Error(`Unknown DATA_BACKEND '${backend}'. Valid backends: ${DATA_BACKENDS.join(', ')}`);
+  }
+}
+
+/**
+ * Get the shared repository, creating it from the environment on first use
+ * @returns {Object} - Repository
+ */
+function getRepository() {
+  if (!defaultRepository) {
+    defaultRepository = createRepository();
+    console.log(`[DATA] Using ${defaultRepository.backend} backend`);
+  }
+  return defaultRepository;
+}
+
+/**
+ * Replace the shared repository (tests and scripts point it at another backend or data dir)
+ * @param {Object|null} repository - Repository to use, or null to recreate from the environment
+ */
+function setRepository(repository) {
+  defaultRepository = repository;
+}
+
+module.exports = {
+  DATA_BACKENDS,
+  RepositoryError,
+  createRepository,
+  getRepository,
+  setRepository
+};
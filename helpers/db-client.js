@@ -0,0 +1,101 @@
+/**
+ * Postgres client used by migrations and the Neon data backend
+ * Wraps the Neon HTTP driver, or node-postgres for a local database, behind
+ * query(text, params) and transaction(statements)
+ */
+
+const { neon } = require('@neondatabase/serverless');
+
+const DB_DRIVERS = ['neon', 'pg'];
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+/**
+ * Pick a driver: DB_DRIVER when set, otherwise pg for local hosts and neon for everything else
+ * @param {string} databaseUrl - Postgres connection string
+ * @param {string} [driver] - Explicit driver
+ * @returns {string} - 'neon' or 'pg'
+ */
+function resolveDriver(databaseUrl, driver = process.env.DB_DRIVER) {
+  if (driver) {
+    const value = String(driver).toLowerCase();
+    if (!DB_DRIVERS.includes(value)) {
+      throw new Error(`Unknown DB_DRIVER '${driver}'. Valid drivers: ${DB_DRIVERS.join(', ')}`);
+    }
+    return value;
+  }
+
+  try {
+    return LOCAL_HOSTS.includes(new URL(databaseUrl).hostname) ? 'pg' : 'neon';
+  } catch {
+    return 'neon';
+  }
+}
+
+/**
+ * Create a database client
+ * @param {Object} options - Options
+ * @param {string} options.databaseUrl - Postgres connection string
+ * @param {string} [options.driver] - 'neon' or 'pg' (auto-detected when omitted)
+ * @returns {Object} - { driver, query(text, params), transaction(statements), close() }
+ */
+function createDbClient({ databaseUrl, driver }) {
+  if (!databaseUrl) {
+    throw new Error('DATABASE_URL is required');
+  }
+
+  const selected = resolveDriver(databaseUrl, driver);
+
+  if (selected === 'pg') {
+    const { Pool } = require('pg');
+    const pool = new Pool({ connectionString: databaseUrl });
+
+    return {
+      driver: 'pg',
+      async query(text, params = []) {
+        const result = await pool.query(text, params);
+        return result.rows;
+      },
+      // statements: [{ text, params }]; all succeed or none are applied
+      async transaction(statements) {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          const results = [];
+          for (const { text, params = [] } of statements) {
+            results.push((await client.query(text, params)).rows);
+          }
+          await client.query('COMMIT');
+          return results;
+        } catch (error) {
+          await client.query('ROLLBACK').catch(() => {});
+          throw error;
+        } finally {
+          client.release();
+        }
+      },
+      async close() {
+        await pool.end();
+      }
+    };
+  }
+
+  const sql = neon(databaseUrl);
+  return {
+    driver: 'neon',
+    sql,
+    async query(text, params = []) {
+      return sql.query(text, params);
+    },
+    // Neon runs the batch as one non-interactive transaction over HTTP
+    async transaction(statements) {
+      return sql.transaction(statements.map(({ text, params = [] }) => sql.query(text, params)));
+    },
+    async close() {}
+  };
+}
+
+module.exports = {
+  DB_DRIVERS,
+  resolveDriver,
+  createDbClient
+};
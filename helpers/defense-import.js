@@ -0,0 +1,115 @@
+/**
+ * Defensive ratings import
+ * Parses the average fantasy points each defense allows per position from CSV or JSON, validates
+ * it against the NFL team list and normalizes it to the [{ abbr, pointsAllowed: { QB, RB, ... } }]
+ * shape strength of schedule reads
+ */
+
+const { findTeamByAbbr } = require('./nfl-teams');
+const { parseCsv } = require('./schedule-import');
+
+// Every rating needs these positions; other numeric columns (K, DST, ...) are kept as extra positions
+const REQUIRED_RATING_POSITIONS = ['QB', 'RB', 'WR', 'TE'];
+
+// CSV header spellings accepted for the team column
+const TEAM_COLUMNS = ['abbr', 'team', 'defense'];
+
+/**
+ * Parse ratings CSV with a header row: a team column followed by one column per position
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - [{ abbr, pointsAllowed, line }] with raw values
+ */
+function ratingsFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error('CSV is empty');
+
+  const normalizedHeader = header.map(h => h.trim());
+  const teamIndex = normalizedHeader.findIndex(h => TEAM_COLUMNS.includes(h.toLowerCase()));
+  if (teamIndex === -1) throw new Error(`CSV header is missing a team column (${TEAM_COLUMNS.join(' | ')})`);
+
+  return rows.map((row, index) => {
+    const pointsAllowed = {};
+    normalizedHeader.forEach((name, col) => {
+      if (col !== teamIndex && name) pointsAllowed[name.toUpperCase()] = (row[col] ?? '').trim();
+    });
+    return { abbr: (row[teamIndex] ?? '').trim(), pointsAllowed, line: index + 2 };
+  });
+}
+
+/**
+ * Flatten JSON ratings: [{ abbr, pointsAllowed }] or an object keyed by team ({ BUF: { QB: 17.2 } })
+ * @param {*} data - Parsed JSON
+ * @returns {Array<Object>} - [{ abbr, pointsAllowed }]
+ */
+function ratingsFromJson(data) {
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object') {
+    return Object.entries(data).map(([abbr, pointsAllowed]) => ({ abbr, pointsAllowed }));
+  }
+  throw new Error('JSON ratings must be an array or an object keyed by team');
+}
+
+/**
+ * Parse ratings file contents
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<Object>} - Raw ratings
+ */
+function parseDefenseRatingsFile(text, format) {
+  if (format === 'csv') return ratingsFromCsv(text);
+  if (format === 'json') return ratingsFromJson(JSON.parse(text));
+  throw new Error(`Unknown ratings format '${format}'. Use csv or json`);
+}
+
+/**
+ * Validate raw ratings and build the stored list
+ * Teams must resolve to one in nflTeams and appear once; every position value must be a
+ * non-negative number and QB, RB, WR and TE are required. Teams without a rating are a warning
+ * @param {Array<Object>} rows - Raw ratings
+ * @param {Array<Object>} nflTeams - Known NFL teams
+ * @returns {Object} - { ratings, errors: [string], warnings: [string] }
+ */
+function validateDefenseRatings(rows, nflTeams) {
+  const errors = [];
+  const warnings = [];
+  const byTeam = new Map();
+
+  rows.forEach((row, index) => {
+    const where = `line ${row?.line ?? index + 1}`;
+    const team = findTeamByAbbr(nflTeams, row?.abbr);
+    if (!team) {
+      errors.push(`${where}: unknown team '${row?.abbr ?? ''}'`);
+      return;
+    }
+    if (byTeam.has(team.abbr)) {
+      errors.push(`${where}: duplicate rating for ${team.abbr}`);
+      return;
+    }
+
+    const pointsAllowed = {};
+    for (const [position, raw] of Object.entries(row.pointsAllowed || {})) {
+      if (raw === '' || raw == null) continue;
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < 0) {
+        errors.push(`${where}: ${team.abbr} ${position} must be a non-negative number (got '${raw}')`);
+        continue;
+      }
+      pointsAllowed[position.toUpperCase()] = value;
+    }
+    const missing = REQUIRED_RATING_POSITIONS.filter(pos => pointsAllowed[pos] == null);
+    if (missing.length) errors.push(`${where}: ${team.abbr} is missing ${missing.join(', ')}`);
+
+    byTeam.set(team.abbr, { abbr: team.abbr, pointsAllowed });
+  });
+
+  const unrated = nflTeams.filter(t => !byTeam.has(t.abbr)).map(t => t.abbr);
+  if (unrated.length) warnings.push(`No rating for ${unrated.join(', ')}; their opponents' schedules skip them`);
+
+  return { ratings: [...byTeam.values()], errors, warnings };
+}
+
+module.exports = {
+  REQUIRED_RATING_POSITIONS,
+  parseDefenseRatingsFile,
+  validateDefenseRatings
+};
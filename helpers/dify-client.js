@@ -1,10 +1,15 @@
 /**
  * Unified Dify API client with support for blocking, streaming, and buffered modes
- * Uses native fetch API with standardized error handling and observability
+ * Uses native fetch API with standardized error handling and observability.
+ * UnifiedDifyClient is the Dify adapter of the LLM provider registry (helpers/llm-provider.js);
+ * the wrappers below send each action through whichever provider it is configured for
  */
 
 const crypto = require('crypto');
-const { TextDecoder } = require('util');
+const { getProvider, linkAbortSignal } = require('./llm-provider');
+const { readDifyEvents } = require('./sse-parser');
+const { requestStructured } = require('./structured-output');
+const { renderPrompt } = require('./prompt-templates');
 
 // Constants
 const DIFY_API_URL = process.env.DIFY_API_URL || 'https://api.dify.ai/v1/chat-messages';
@@ -114,6 +119,18 @@ function buildHeaders({ streaming = false } = {}) {
   return headers;
 }
 
+/**
+ * Parse a Dify SSE body into event objects
+ * @param {ReadableStream} body - Response body
+ * @param {TraceLogger} logger - Logger instance
+ * @returns {AsyncGenerator<Object>} - Dify events
+ */
+function difyEvents(body, logger) {
+  return readDifyEvents(body, {
+    onInvalid: data => logger.breadcrumb('dify_parse_error', { line: data.slice(0, 100) })
+  });
+}
+
 /**
  * Unified Dify Client class with standardized error handling and observability
  */
@@ -162,7 +179,7 @@ class UnifiedDifyClient {
    */
   async postBlocking({ body, timeoutMs, signal, traceId }) {
     const logger = new TraceLogger(traceId);
-    const controller = signal || new AbortController();
+    const controller = linkAbortSignal(signal);
     const timeout = setTimeout(() => controller.abort(), timeoutMs);
     
     logger.breadcrumb('dify_blocking_start', {
@@ -229,11 +246,11 @@ class UnifiedDifyClient {
    * @param {number} params.timeoutMs - Timeout in milliseconds
    * @param {AbortSignal} params.signal - Optional abort signal
    * @param {string} params.traceId - Optional trace ID
-   * @returns {Promise<Object>} - Object with response, controller, and logger
+   * @returns {Promise<Object>} - Object with response, events (parsed Dify events), controller, and logger
    */
   async postStreaming({ body, timeoutMs, signal, traceId }) {
     const logger = new TraceLogger(traceId);
-    const controller = signal || new AbortController();
+    const controller = linkAbortSignal(signal);
     const timeout = setTimeout(() => controller.abort(), timeoutMs);
     
     // Add trace logging for initialize streaming
@@ -262,18 +279,31 @@ class UnifiedDifyClient {
       clearTimeout(timeout);
       logger.breadcrumb('dify_streaming_response', { status: response.status });
       
-      if (!response.ok) {
+      const contentType = response.headers.get('content-type') || '';
+      if (!response.ok || !contentType.includes('text/event-stream')) {
         const bodyText = await response.text().catch(() => '');
-        const error = this.mapResponseError(response, bodyText, logger);
-        throw error;
+        const error = response.ok
+          ? {
+            ok: false,
+            status: 502,
+            error: 'upstream_error',
+            message: `Upstream returned ${contentType || 'no content type'} instead of an event stream`,
+            traceId: logger.traceId,
+            duration_ms: logger.elapsed(),
+            upstreamStatus: response.status,
+            bodySnippet: bodyText.slice(0, 600)
+          }
+          : this.mapResponseError(response, bodyText, logger);
+        throw { ...error, contentType };
       }
       
       logger.breadcrumb('dify_streaming_success');
-      return { response, controller, logger };
+      return { response, events: difyEvents(response.body, logger), controller, logger };
     } catch (error) {
       clearTimeout(timeout);
       logger.error(error, { context: 'dify_streaming' });
-      throw this.mapError(error, timeoutMs, logger);
+      // Upstream status errors are already mapped
+      throw error?.ok === false ? error : this.mapError(error, timeoutMs, logger);
     }
   }
 
@@ -291,83 +321,50 @@ class UnifiedDifyClient {
     const logger = new TraceLogger(traceId);
     
     try {
-      const { response, controller } = await this.postStreaming({ body, timeoutMs, signal, traceId });
+      const { events } = await this.postStreaming({ body, timeoutMs, signal, traceId });
       
       logger.breadcrumb('dify_buffering_start');
-      
-      if (!response.body) {
-        throw new Error('No response body from Dify API');
-      }
 
-      // Consume SSE stream and accumulate final text
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
+      // Consume the event stream and accumulate final text
       let finalAnswer = '';
       let finalConversationId = body.conversation_id;
       let messageId = null;
-      let chunkCount = 0;
+      let usage = null;
+      let eventCount = 0;
       let eventCounts = {};
 
       try {
-        while (true) {
-          const { value, done } = await reader.read();
-          if (done) {
-            logger.breadcrumb('dify_buffering_complete', { chunkCount, finalAnswerLength: finalAnswer.length });
-            break;
-          }
-          
-          chunkCount++;
-          if (chunkCount === 1) {
+        for await (const data of events) {
+          eventCount++;
+          if (eventCount === 1) {
             logger.breadcrumb('dify_first_chunk');
           }
           
-          const chunk = decoder.decode(value, { stream: true });
-          buffer += chunk;
-          
-          // Process complete SSE messages
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || ''; // Keep incomplete line in buffer
+          // Count event types
+          eventCounts[data.event] = (eventCounts[data.event] || 0) + 1;
           
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              try {
-                const data = JSON.parse(line.slice(6));
-                
-                // Count event types
-                eventCounts[data.event] = (eventCounts[data.event] || 0) + 1;
-                
-                // Handle different event types
-                if (data.event === 'message') {
-                  const chunk = data.answer || '';
-                  if (chunk) {
-                    finalAnswer += chunk;
-                  }
-                  finalConversationId = data.conversation_id || finalConversationId;
-                  messageId = data.id || messageId;
-                } else if (data.event === 'agent_message') {
-                  const chunk = data.answer || '';
-                  if (chunk) {
-                    finalAnswer += chunk;
-                  }
-                } else if (data.event === 'agent_thought') {
-                  // Some Dify implementations put the answer in agent_thought events
-                  if (data.thought && !finalAnswer) {
-                    finalAnswer = data.thought;
-                  }
-                } else if (data.event === 'message_end') {
-                  // Stream completed successfully
-                  break;
-                } else if (data.event === 'error') {
-                  throw new Error(`Dify stream error: ${data.message || 'Unknown error'}`);
-                }
-              } catch (parseError) {
-                // Skip malformed JSON lines
-                logger.breadcrumb('dify_parse_error', { line: line.slice(0, 100) });
-              }
+          // Handle different event types
+          if (data.event === 'message') {
+            finalAnswer += data.answer || '';
+            finalConversationId = data.conversation_id || finalConversationId;
+            messageId = data.id || messageId;
+          } else if (data.event === 'agent_message') {
+            finalAnswer += data.answer || '';
+            finalConversationId = data.conversation_id || finalConversationId;
+          } else if (data.event === 'agent_thought') {
+            // Some Dify implementations put the answer in agent_thought events
+            if (data.thought && !finalAnswer) {
+              finalAnswer = data.thought;
             }
+          } else if (data.event === 'message_end') {
+            // Stream completed successfully
+            usage = data.metadata?.usage || null;
+            break;
+          } else if (data.event === 'error') {
+            throw new Error(`Dify stream error: ${data.message || 'Unknown error'}`);
           }
         }
+        logger.breadcrumb('dify_buffering_complete', { eventCount, finalAnswerLength: finalAnswer.length });
       } catch (streamError) {
         if (streamError.name === 'AbortError') {
           throw new Error('Stream timeout after ' + timeoutMs + 'ms');
@@ -392,7 +389,8 @@ class UnifiedDifyClient {
           answer: finalAnswer,
           conversation_id: finalConversationId,
           id: messageId,
-          event: 'message'
+          event: 'message',
+          usage
         },
         conversationId: finalConversationId,
         traceId: logger.traceId,
@@ -571,9 +569,6 @@ class UnifiedDifyClient {
   }
 }
 
-// Create singleton instance
-const unifiedClient = new UnifiedDifyClient();
-
 // ============================================================================
 // BACKWARD COMPATIBILITY WRAPPERS
 // ============================================================================
@@ -647,88 +642,68 @@ function logJsonSizeBE(obj, label) {
 }
 
 /**
- * Map action types to appropriate Dify message content
- * @param {string} action - Action type (initialize, reset, player-taken, user-turn)
+ * Render the Dify message for an action from its prompt template
+ * @param {string} action - Action type (initialize, reset, player-taken, user-turn, analyze, query, legacy)
  * @param {Object} payload - Action payload
- * @returns {string} - Formatted message for Dify
+ * @returns {{text: string, promptVersion: string|null}} - Message, and the template version used (null for caller-supplied text)
  */
-function buildDifyMessage(action, payload) {
+function renderDifyMessage(action, payload) {
   switch (action) {
     case 'legacy':
       // For backward compatibility with existing sendToDify calls
-      return payload.query;
+      return { text: payload.query, promptVersion: null };
       
     case 'reset':
-      return payload.message || "Draft reset - starting over.";
+      if (payload.message) return { text: payload.message, promptVersion: null };
+      return renderPrompt('draft-reset');
       
-    case 'initialize':
+    case 'initialize': {
       const { numTeams, userPickPosition, players } = payload;
       // Apply players slimming for initialize action only
       const slimmedPlayers = slimPlayers(players);
       logJsonSizeBE(players, 'BE received initialize players (raw)');
       logJsonSizeBE(slimmedPlayers, 'BE slimmed initialize players');
-      
-      return `Fantasy football draft is beginning. League details:
-- Number of teams: ${numTeams}
-- My draft position: ${userPickPosition}
-- Available players: ${JSON.stringify(slimmedPlayers)}
-
-Please create an in-depth draft strategy for this league setup.`;
+      return renderPrompt('draft-initialize', { numTeams, userPickPosition, players: slimmedPlayers });
+    }
 
-    case 'player-taken':
+    case 'player-taken': {
       const { player, round, pick } = payload;
-      return `Player taken: ${JSON.stringify(player)} in round ${round}, pick ${pick}.`;
+      return renderPrompt('draft-player-taken', { player, round, pick });
+    }
       
-    case 'user-turn':
+    case 'user-turn': {
       // Apply payload trimming for performance optimization
-      const trimmedPayload = trimAvailablePlayersIfNeeded(payload);
-      const { player: takenPlayer, round: currentRound, pick: currentPick, userRoster, availablePlayers } = trimmedPayload;
-      return `Player taken: ${JSON.stringify(takenPlayer)} in round ${currentRound}, pick ${currentPick}.
-
-IT'S MY TURN NOW!
-
-My current roster: ${JSON.stringify(userRoster)}
-Available players (top options): ${JSON.stringify(availablePlayers)}
-
-Please provide your analysis and recommendations for my next pick.`;
+      const { player, round, pick, userRoster, availablePlayers } = trimAvailablePlayersIfNeeded(payload);
+      return renderPrompt('draft-user-turn', { player, round, pick, userRoster, availablePlayers });
+    }
 
-    case 'analyze':
+    case 'analyze': {
       // Apply payload trimming for performance optimization
-      const trimmedPickPayload = trimAvailablePlayersIfNeeded(payload);
-      const { round: analysisRound, pick: analysisPick, userRoster: analysisUserRoster, availablePlayers: analysisAvailablePlayers, leagueSize, pickSlot } = trimmedPickPayload;
-      return `Current draft status - Round ${analysisRound}, Pick ${analysisPick}
-
-League context:
-- League size: ${leagueSize} teams
-- My pick slot: ${pickSlot}
-
-My current roster: ${JSON.stringify(analysisUserRoster)}
-Available players (top options): ${JSON.stringify(analysisAvailablePlayers)}
-
-Please provide a comprehensive analysis of my current draft position, roster strengths and weaknesses, and strategic recommendations for upcoming picks.`;
+      const { round, pick, userRoster, availablePlayers, leagueSize, pickSlot } = trimAvailablePlayersIfNeeded(payload);
+      return renderPrompt('draft-analyze', { round, pick, userRoster, availablePlayers, leagueSize, pickSlot });
+    }
 
-    case 'query':
+    case 'query': {
       // Apply payload trimming for performance optimization
-      const trimmedQueryPayload = trimAvailablePlayersIfNeeded(payload);
-      const { query: userQuery, round: queryRound, pick: queryPick, userRoster: queryUserRoster, availablePlayers: queryAvailablePlayers, leagueSize: queryLeagueSize, pickSlot: queryPickSlot } = trimmedQueryPayload;
-      return `User query: "${userQuery}"
-
-Current draft status - Round ${queryRound}, Pick ${queryPick}
-
-League context:
-- League size: ${queryLeagueSize} teams
-- My pick slot: ${queryPickSlot}
-
-My current roster: ${JSON.stringify(queryUserRoster)}
-Available players (top options): ${JSON.stringify(queryAvailablePlayers)}
-
-Please respond to the user's query while considering the current draft context and providing relevant analysis and recommendations.`;
+      const { query, round, pick, userRoster, availablePlayers, leagueSize, pickSlot } = trimAvailablePlayersIfNeeded(payload);
+      return renderPrompt('draft-query', { query, round, pick, userRoster, availablePlayers, leagueSize, pickSlot });
+    }
       
     default:
       throw new Error(`Unknown action type: ${action}`);
   }
 }
 
+/**
+ * Map action types to appropriate Dify message content
+ * @param {string} action - Action type (initialize, reset, player-taken, user-turn)
+ * @param {Object} payload - Action payload
+ * @returns {string} - Formatted message for Dify
+ */
+function buildDifyMessage(action, payload) {
+  return renderDifyMessage(action, payload).text;
+}
+
 /**
  * Get timeout for action type
  * @param {string} action - Action type
@@ -765,7 +740,7 @@ function getActionTimeout(action, streaming = false) {
  */
 async function sendToDifyBlocking(action, payload, conversationId = null) {
   try {
-    const message = buildDifyMessage(action, payload);
+    const { text: message, promptVersion } = renderDifyMessage(action, payload);
     
     // Handle legacy timeout detection
     let timeout = getActionTimeout(action, false);
@@ -782,26 +757,29 @@ async function sendToDifyBlocking(action, payload, conversationId = null) {
       user: "fantasy-draft-user"
     };
 
-    const result = await unifiedClient.postBlocking({
+    const result = await getProvider(action).postBlocking({
       body: requestBody,
-      timeoutMs: timeout
+      timeoutMs: timeout,
+      action
     });
 
     if (result.ok) {
       return {
         success: true,
         data: result.data,
-        conversationId: result.conversationId
+        conversationId: result.conversationId,
+        promptVersion
       };
     } else {
       return {
         success: false,
-        error: result.message
+        error: result.message,
+        promptVersion
       };
     }
 
   } catch (error) {
-    console.error('[error]', unifiedClient.compactError ? unifiedClient.compactError(error) : error.message);
+    console.error('[error]', error.message);
     return {
       success: false,
       error: error.message
@@ -849,6 +827,7 @@ async function sendToDifyStreaming(req, res, cleanupAndEnd, action, payload, use
   // Setup connect watchdog
   const connectMs = Number(process.env.LLM_CONNECT_WATCHDOG_MS || 15000);
   const connectController = new AbortController();
+  let promptVersion = null;
   const connectWatchdog = setTimeout(() => {
     try { connectController.abort(); } catch {}
     res.write(`event: error\ndata: ${JSON.stringify({ message: `Upstream connect timeout after ${connectMs}ms` })}\n\n`);
@@ -881,54 +860,55 @@ async function sendToDifyStreaming(req, res, cleanupAndEnd, action, payload, use
       // Log slimmed payload size for debugging
       logJsonSizeBE(initInputs, 'BE upstream Dify body (initialize)');
       
+      const rendered = renderPrompt('draft-initialize-inputs');
+      promptVersion = rendered.promptVersion;
       difyPayload = {
         user: process.env.DIFY_USER || user || "fantasy-draft-user",
         conversation_id: conversationId || undefined,
         inputs: initInputs,
-        query: 'Initialize draft strategy given these inputs.'
+        query: rendered.text
       };
     } else {
-      const message = buildDifyMessage(action, payload);
+      const rendered = renderDifyMessage(action, payload);
+      promptVersion = rendered.promptVersion;
       difyPayload = {
         user: process.env.DIFY_USER || user || "fantasy-draft-user",
         conversation_id: conversationId || undefined,
         inputs: {},
-        query: message
+        query: rendered.text
       };
     }
 
     sendPhase('calling_upstream');
 
-    const { response } = await unifiedClient.postStreaming({
+    const provider = getProvider(action);
+    const { events } = await provider.postStreaming({
       body: difyPayload,
       timeoutMs,
-      signal: connectController.signal
+      signal: connectController.signal,
+      action
     });
 
     clearTimeout(connectWatchdog);
     clearTimeout(timeout);
 
-    sendPhase('upstream_response', { status: response.status, ok: response.ok });
+    sendPhase('upstream_response', { provider: provider.name, ok: true });
 
-    // Stream the response directly
-    const reader = response.body.getReader();
-    while (true) {
-      const { value, done } = await reader.read();
-      if (done) break;
-      
-      sendPhase('upstream_chunk', { size: value?.length || 0 });
-      res.write(value);
+    // Re-frame each normalized event as SSE for the client
+    for await (const event of events) {
+      sendPhase('upstream_chunk', { event: event.event });
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
     }
 
     sendPhase('upstream_end');
-    res.write('event: done\ndata: {}\n\n');
+    res.write(`event: done\ndata: ${JSON.stringify({ promptVersion })}\n\n`);
 
   } catch (err) {
     clearTimeout(connectWatchdog);
     clearTimeout(timeout);
     
     if (!res.writableEnded) {
-      res.write(`event: error\ndata: ${JSON.stringify({ message: String(err), retryable: false })}\n\n`);
+      res.write(`event: error\ndata: ${JSON.stringify({ message: err?.message || String(err), retryable: false })}\n\n`);
     }
   } finally {
     cleanupAndEnd();
@@ -936,15 +916,16 @@ async function sendToDifyStreaming(req, res, cleanupAndEnd, action, payload, use
 }
 
 /**
- * Server-side streaming buffer helper that consumes SSE from Dify and returns single JSON response
- * @param {string} action - Action type for timeout calculation
+ * Server-side streaming buffer helper that consumes the provider stream and returns single JSON response
+ * @param {string} action - Action type for building the message
  * @param {Object} payload - Request payload
  * @param {string|null} conversationId - Conversation ID for context
  * @param {number} timeoutMs - Timeout in milliseconds (default 295s)
+ * @param {string} providerAction - Action whose provider handles the request (defaults to action)
  * @returns {Promise<Object>} - Single JSON response with accumulated text
  */
-async function getDifyBufferedResponse(action, payload, conversationId = null, timeoutMs = 295000) {
-  const message = buildDifyMessage(action, payload);
+async function getDifyBufferedResponse(action, payload, conversationId = null, timeoutMs = 295000, providerAction = action) {
+  const { text: message, promptVersion } = renderDifyMessage(action, payload);
   
   const requestBody = {
     inputs: {},
@@ -953,9 +934,10 @@ async function getDifyBufferedResponse(action, payload, conversationId = null, t
     user: "fantasy-draft-user"
   };
 
-  const result = await unifiedClient.postStreamingBuffered({
+  const result = await getProvider(providerAction).postStreamingBuffered({
     body: requestBody,
-    timeoutMs
+    timeoutMs,
+    action: providerAction
   });
 
   // Map to legacy format
@@ -964,27 +946,81 @@ async function getDifyBufferedResponse(action, payload, conversationId = null, t
       success: true,
       data: result.data,
       conversationId: result.conversationId,
-      duration: result.duration_ms
+      duration: result.duration_ms,
+      promptVersion
     };
   } else {
     return {
       success: false,
       error: result.message,
       errorType: result.error,
-      duration: result.duration_ms
+      duration: result.duration_ms,
+      promptVersion
     };
   }
 }
 
 /**
- * Streaming helper returning a Response and an AbortController
+ * Buffered helper that asks for an answer matching a response schema
+ * The answer is validated and repaired once (see helpers/structured-output.js)
+ * @param {string} action - Action type for building the message
+ * @param {Object} payload - Request payload
+ * @param {string} schemaName - Response schema (pickRecommendations, rosterAnalysis, tradeVerdict)
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.conversationId] - Conversation ID for context
+ * @param {number} [options.timeoutMs] - Timeout in milliseconds for each request
+ * @param {string} [options.providerAction] - Action whose provider handles the request (defaults to action)
+ * @param {Function} [options.validate] - Extra checks on the parsed answer, returning a list of problems
+ * @returns {Promise<Object>} - Legacy-format response with the parsed answer as structured
+ */
+async function getDifyStructuredResponse(action, payload, schemaName, { conversationId = null, timeoutMs = 295000, providerAction = action, validate } = {}) {
+  const { text: query, promptVersion } = renderDifyMessage(action, payload);
+  const result = await requestStructured({
+    schemaName,
+    provider: getProvider(providerAction),
+    body: {
+      inputs: {},
+      query,
+      conversation_id: conversationId,
+      user: "fantasy-draft-user"
+    },
+    timeoutMs,
+    action: providerAction,
+    validate
+  });
+
+  if (result.ok) {
+    return {
+      success: true,
+      data: { answer: result.answer, conversation_id: result.conversationId, usage: result.usage },
+      structured: result.data,
+      repaired: result.repaired,
+      promptVersions: result.promptVersions,
+      conversationId: result.conversationId,
+      duration: result.duration_ms,
+      promptVersion
+    };
+  }
+  return {
+    success: false,
+    error: result.message,
+    errorType: result.error,
+    details: result.details,
+    conversationId: result.conversationId,
+    duration: result.duration_ms,
+    promptVersion
+  };
+}
+
+/**
+ * Streaming helper returning normalized events and an AbortController
  * @param {Object} params - Parameters object
  * @param {string} params.action - Action type
  * @param {string} params.query - Query string
  * @param {Object} params.inputs - Inputs object
  * @param {string} params.user - User identifier
  * @param {string|null} params.conversationId - Conversation ID
- * @returns {Promise<{response: Response, controller: AbortController}>}
+ * @returns {Promise<{events: AsyncIterable<Object>, controller: AbortController}>}
  */
 async function getDifyStreamingResponse({ action, query, inputs, user, conversationId }) {
   const payload = {
@@ -994,12 +1030,14 @@ async function getDifyStreamingResponse({ action, query, inputs, user, conversat
     conversation_id: conversationId || undefined
   };
 
-  const result = await unifiedClient.postStreaming({
+  const provider = getProvider(action);
+  const result = await provider.postStreaming({
     body: payload,
-    timeoutMs: 240000  // Default timeout
+    timeoutMs: 240000,  // Default timeout
+    action
   });
 
-  return { response: result.response, controller: result.controller };
+  return { events: result.events, controller: result.controller, provider: provider.name };
 }
 
 /**
@@ -1021,9 +1059,10 @@ async function getDifyBlockingResponse({ action, query, inputs, user, conversati
     conversation_id: conversationId || undefined
   };
 
-  const result = await unifiedClient.postBlocking({
+  const result = await getProvider(action).postBlocking({
     body: payload,
-    timeoutMs
+    timeoutMs,
+    action
   });
 
   if (result.ok) {
@@ -1175,6 +1214,7 @@ module.exports = {
   validateStreamingRequest,
   normalizeUserTurnPayload,
   buildDifyMessage,
+  renderDifyMessage,
   getActionTimeout,
   trimAvailablePlayersIfNeeded,
   slimPlayers,
@@ -1183,5 +1223,6 @@ module.exports = {
   sendTestMessageStreaming,
   getDifyStreamingResponse,
   getDifyBlockingResponse,
-  getDifyBufferedResponse
+  getDifyBufferedResponse,
+  getDifyStructuredResponse
 };
\ No newline at end of file
@@ -0,0 +1,220 @@
+/**
+ * Draft pick order engine
+ * Works out who is on the clock and when the user picks next for snake,
+ * linear and third-round-reversal drafts of any league size
+ */
+
+const DRAFT_TYPES = ['snake', 'linear', 'third-round-reversal'];
+const DEFAULT_DRAFT_TYPE = 'snake';
+
+/**
+ * Normalize a draft type string, falling back to snake
+ * @param {string} [draftType] - Draft type (snake, linear, third-round-reversal, 3rr)
+ * @returns {string|null} - Canonical draft type, or null when unknown
+ */
+function normalizeDraftType(draftType) {
+  if (draftType == null || draftType === '') return DEFAULT_DRAFT_TYPE;
+
+  const value = String(draftType).toLowerCase().trim();
+  if (value === '3rr' || value === 'third_round_reversal') return 'third-round-reversal';
+  return DRAFT_TYPES.includes(value) ? value : null;
+}
+
+/**
+ * Whether a round runs from the last slot back to the first
+ * @param {number} round - Round number (1-based)
+ * @param {string} draftType - Canonical draft type
+ * @returns {boolean} - True when the round is reversed
+ */
+function isReversedRound(round, draftType) {
+  switch (draftType) {
+    case 'linear':
+      return false;
+    case 'third-round-reversal':
+      // 1 → N, N → 1, N → 1, 1 → N, N → 1, ...
+      return round === 2 || (round >= 3 && round % 2 === 1);
+    case 'snake':
+    default:
+      return round % 2 === 0;
+  }
+}
+
+/**
+ * Get the team slot on the clock for a pick within a round
+ * @param {number} round - Round number (1-based)
+ * @param {number} pick - Pick within the round (1-based)
+ * @param {number} leagueSize - Number of teams
+ * @param {string} [draftType] - Draft type
+ * @returns {number} - Team slot (1-based)
+ */
+function teamSlotForPick(round, pick, leagueSize, draftType = DEFAULT_DRAFT_TYPE) {
+  const type = normalizeDraftType(draftType) || DEFAULT_DRAFT_TYPE;
+  return isReversedRound(round, type) ? leagueSize - pick + 1 : pick;
+}
+
+/**
+ * Convert round and pick-in-round to an overall pick number
+ * @param {number} round - Round number (1-based)
+ * @param {number} pick - Pick within the round (1-based)
+ * @param {number} leagueSize - Number of teams
+ * @returns {number} - Overall pick number (1-based)
+ */
+function toOverallPick(round, pick, leagueSize) {
+  return (round - 1) * leagueSize + pick;
+}
+
+/**
+ * Convert an overall pick number to round and pick-in-round
+ * @param {number} overall - Overall pick number (1-based)
+ * @param {number} leagueSize - Number of teams
+ * @returns {{round: number, pick: number}} - Round and pick within the round
+ */
+function fromOverallPick(overall, leagueSize) {
+  return {
+    round: Math.ceil(overall / leagueSize),
+    pick: ((overall - 1) % leagueSize) + 1
+  };
+}
+
+/**
+ * Build the full pick order for a draft
+ * @param {number} leagueSize - Number of teams
+ * @param {number} rounds - Number of rounds
+ * @param {string} [draftType] - Draft type
+ * @returns {Array<Object>} - Ordered picks with round, pick, overall and teamSlot
+ */
+function buildPickOrder(leagueSize, rounds, draftType = DEFAULT_DRAFT_TYPE) {
+  const order = [];
+  for (let round = 1; round <= rounds; round++) {
+    for (let pick = 1; pick <= leagueSize; pick++) {
+      order.push({
+        round,
+        pick,
+        overall: toOverallPick(round, pick, leagueSize),
+        teamSlot: teamSlotForPick(round, pick, leagueSize, draftType)
+      });
+    }
+  }
+  return order;
+}
+
+/**
+ * Get every pick belonging to one team slot
+ * @param {Object} params - Parameters
+ * @param {number} params.leagueSize - Number of teams
+ * @param {number} params.pickSlot - Team slot (1-based)
+ * @param {number} params.rounds - Number of rounds
+ * @param {string} [params.draftType] - Draft type
+ * @returns {Array<Object>} - The team's picks in draft order
+ */
+function getTeamPicks({ leagueSize, pickSlot, rounds, draftType = DEFAULT_DRAFT_TYPE }) {
+  const type = normalizeDraftType(draftType) || DEFAULT_DRAFT_TYPE;
+  const picks = [];
+  for (let round = 1; round <= rounds; round++) {
+    const pick = isReversedRound(round, type) ? leagueSize - pickSlot + 1 : pickSlot;
+    picks.push({ round, pick, overall: toOverallPick(round, pick, leagueSize), teamSlot: pickSlot });
+  }
+  return picks;
+}
+
+/**
+ * Describe the draft from the perspective of the current pick
+ * @param {Object} params - Parameters
+ * @param {number} params.leagueSize - Number of teams
+ * @param {number} params.pickSlot - User's team slot (1-based)
+ * @param {number} params.round - Current round (1-based)
+ * @param {number} params.pick - Current pick within the round (1-based)
+ * @param {number} [params.rounds] - Number of rounds (defaults to enough rounds to list `upcoming` picks)
+ * @param {string} [params.draftType] - Draft type
+ * @param {number} [params.upcoming] - How many of the user's next picks to list
+ * @returns {Object} - onTheClock, isUserPick, nextUserPick, picksUntilUserTurn and upcomingUserPicks
+ */
+function describePickPosition({ leagueSize, pickSlot, round, pick, rounds, draftType = DEFAULT_DRAFT_TYPE, upcoming = 3 }) {
+  const type = normalizeDraftType(draftType) || DEFAULT_DRAFT_TYPE;
+  const overall = toOverallPick(round, pick, leagueSize);
+  const onTheClock = teamSlotForPick(round, pick, leagueSize, type);
+  const totalRounds = Number.isInteger(rounds) && rounds > 0 ? rounds : round + upcoming;
+
+  const upcomingUserPicks = getTeamPicks({ leagueSize, pickSlot, rounds: totalRounds, draftType: type })
+    .filter(p => p.overall >= overall)
+    .slice(0, upcoming);
+
+  const nextUserPick = upcomingUserPicks[0] || null;
+
+  return {
+    draftType: type,
+    round,
+    pick,
+    overall,
+    onTheClock,
+    isUserPick: onTheClock === pickSlot,
+    nextUserPick,
+    // Picks other teams make before the user is on the clock again
+    picksUntilUserTurn: nextUserPick ? nextUserPick.overall - overall : null,
+    upcomingUserPicks
+  };
+}
+
+/**
+ * Validate a round/pick pair against the league setup
+ * Accepts pick as either the pick within the round or the overall pick number
+ * @param {Object} params - Parameters
+ * @param {number} params.round - Round number
+ * @param {number} params.pick - Pick within the round, or overall pick
+ * @param {number} params.leagueSize - Number of teams
+ * @param {number} params.pickSlot - User's team slot
+ * @param {number} [params.rounds] - Number of rounds, when known
+ * @param {string} [params.draftType] - Draft type
+ * @returns {{errors: Array<string>, round?: number, pick?: number}} - Errors, plus the normalized pick-in-round
+ */
+function validatePickPosition({ round, pick, leagueSize, pickSlot, rounds, draftType }) {
+  const errors = [];
+
+  if (!Number.isInteger(leagueSize) || leagueSize < 2) {
+    errors.push('leagueSize must be an integer of at least 2');
+  }
+  if (normalizeDraftType(draftType) === null) {
+    errors.push(`draftType must be one of: ${DRAFT_TYPES.join(', ')}`);
+  }
+  if (!Number.isInteger(round) || round < 1) {
+    errors.push('round must be a positive integer');
+  }
+  if (!Number.isInteger(pick) || pick < 1) {
+    errors.push('pick must be a positive integer');
+  }
+  if (errors.length) return { errors };
+
+  if (!Number.isInteger(pickSlot) || pickSlot < 1 || pickSlot > leagueSize) {
+    errors.push(`pickSlot must be between 1 and ${leagueSize}`);
+  }
+  if (Number.isInteger(rounds) && round > rounds) {
+    errors.push(`round ${round} exceeds the ${rounds} rounds in this draft`);
+  }
+
+  let pickInRound = pick;
+  if (pick > leagueSize) {
+    // Treat as an overall pick number; it has to land in the stated round
+    const fromOverall = fromOverallPick(pick, leagueSize);
+    if (fromOverall.round !== round) {
+      errors.push(`pick ${pick} falls in round ${fromOverall.round}, not round ${round}, for a ${leagueSize}-team league`);
+    } else {
+      pickInRound = fromOverall.pick;
+    }
+  }
+
+  return errors.length ? { errors } : { errors, round, pick: pickInRound };
+}
+
+module.exports = {
+  DRAFT_TYPES,
+  DEFAULT_DRAFT_TYPE,
+  normalizeDraftType,
+  isReversedRound,
+  teamSlotForPick,
+  toOverallPick,
+  fromOverallPick,
+  buildPickOrder,
+  getTeamPicks,
+  describePickPosition,
+  validatePickPosition
+};
@@ -0,0 +1,409 @@
+/**
+ * Server-side draft session state
+ * Keeps pick order, current pick, team rosters and the remaining player pool
+ * so clients can resume a draft with only a sessionId. Sessions are saved through the data
+ * repository on every change and cached in memory, so a draft survives a server restart
+ */
+
+const crypto = require('crypto');
+const { getRepository } = require('./data-repository');
+const {
+  DEFAULT_DRAFT_TYPE,
+  normalizeDraftType,
+  buildPickOrder,
+  describePickPosition
+} = require('./draft-order');
+
+// Cache of recently used sessions: Map<sessionId, Session>
+const DRAFT_SESSIONS = new Map();
+const MAX_DRAFT_SESSIONS = Number(process.env.MAX_DRAFT_SESSIONS || 100);
+const DEFAULT_DRAFT_ROUNDS = Number(process.env.DRAFT_ROUNDS || 15);
+
+/**
+ * Error raised when a session operation conflicts with the current draft state
+ */
+class DraftSessionError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   * @param {number} status - HTTP status to surface to clients
+   */
+  constructor(code, message, status = 409) {
+    super(message);
+    this.name = 'DraftSessionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Drop the least recently updated session from the cache once it is full; it stays in storage
+ */
+function evictIfNeeded() {
+  if (DRAFT_SESSIONS.size < MAX_DRAFT_SESSIONS) return;
+
+  let oldestId = null;
+  let oldestTs = Infinity;
+  for (const [id, session] of DRAFT_SESSIONS.entries()) {
+    if (session.updatedAt < oldestTs) {
+      oldestTs = session.updatedAt;
+      oldestId = id;
+    }
+  }
+  if (oldestId) {
+    DRAFT_SESSIONS.delete(oldestId);
+  }
+}
+
+/**
+ * Empty team rosters for a league
+ * @param {number} leagueSize - Number of teams
+ * @param {number} pickSlot - User's draft slot (1-based)
+ * @returns {Array<Object>} - [{ slot, isUser, roster }]
+ */
+function buildTeams(leagueSize, pickSlot) {
+  const teams = [];
+  for (let slot = 1; slot <= leagueSize; slot++) {
+    teams.push({ slot, isUser: slot === pickSlot, roster: [] });
+  }
+  return teams;
+}
+
+/**
+ * Rebuild the pick order and team rosters of a stored session from its picks
+ * @param {Object} record - Stored session (no pickOrder or teams)
+ * @returns {Object} - Session
+ */
+function hydrateSession(record) {
+  const keeperPicks = new Set(record.picks.filter(p => p.keeper).map(p => p.overall));
+  const pickOrder = buildPickOrder(record.leagueSize, record.rounds, record.draftType)
+    .map(p => (keeperPicks.has(p.overall) ? { ...p, keeper: true } : p));
+  const teams = buildTeams(record.leagueSize, record.pickSlot);
+  for (const pick of record.picks) {
+    teams[pick.teamSlot - 1].roster.push(pick.player);
+  }
+  return { ...record, pickOrder, teams };
+}
+
+/**
+ * Stored form of a session; pick order and rosters are derived from the picks
+ * @param {Object} session - Draft session
+ * @returns {Object} - Record for the repository
+ */
+function toRecord(session) {
+  const { pickOrder, teams, ...record } = session;
+  return record;
+}
+
+/**
+ * Put a session in the cache
+ * @param {Object} session - Draft session
+ * @returns {Object} - The session
+ */
+function cacheSession(session) {
+  if (!DRAFT_SESSIONS.has(session.id)) evictIfNeeded();
+  DRAFT_SESSIONS.set(session.id, session);
+  return session;
+}
+
+/**
+ * Save a session and the picks made since its last save
+ * @param {Object} session - Draft session
+ * @param {Array<Object>} [picks] - New pick entries
+ * @returns {Promise<void>}
+ */
+async function saveDraftSession(session, picks = []) {
+  try {
+    await getRepository().draftSessions.save(toRecord(session), { picks });
+  } catch (error) {
+    // The cached copy is now ahead of storage; read it back on next use
+    DRAFT_SESSIONS.delete(session.id);
+    throw error;
+  }
+}
+
+/**
+ * Create and store a new draft session
+ * @param {Object} params - Session parameters
+ * @param {string} params.user - User identifier
+ * @param {number} params.leagueSize - Number of teams
+ * @param {number} params.pickSlot - User's draft slot (1-based)
+ * @param {Array<Object>} params.players - Initial available player pool
+ * @param {number} [params.rounds] - Number of rounds (defaults to DRAFT_ROUNDS)
+ * @param {string} [params.draftType] - snake, linear or third-round-reversal
+ * @param {string|null} [params.leagueId] - League the draft belongs to
+ * @param {string|null} [params.season] - Season the draft is for
+ * @param {Array<Object>} [params.keepers] - [{ teamSlot, round, player }] placed before the first pick
+ * @param {string|null} [params.conversationId] - Dify conversation ID
+ * @returns {Promise<Object>} - The created session
+ */
+async function createDraftSession({ user, leagueSize, pickSlot, players, rounds = DEFAULT_DRAFT_ROUNDS, draftType = DEFAULT_DRAFT_TYPE, leagueId = null, season = null, keepers = [], conversationId = null }) {
+  const type = normalizeDraftType(draftType);
+  if (!type) {
+    throw new DraftSessionError('invalid_draft_type', `Unknown draftType '${draftType}'`, 400);
+  }
+  if (!Number.isInteger(leagueSize) || leagueSize < 2) {
+    throw new DraftSessionError('invalid_league_size', 'leagueSize must be an integer of at least 2', 400);
+  }
+  if (!Number.isInteger(pickSlot) || pickSlot < 1 || pickSlot > leagueSize) {
+    throw new DraftSessionError('invalid_pick_slot', `pickSlot must be between 1 and ${leagueSize}`, 400);
+  }
+  if (!Number.isInteger(rounds) || rounds < 1) {
+    throw new DraftSessionError('invalid_rounds', 'rounds must be a positive integer', 400);
+  }
+
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    user,
+    conversationId,
+    leagueId,
+    season,
+    leagueSize,
+    pickSlot,
+    rounds,
+    draftType: type,
+    status: 'in_progress',
+    pickOrder: buildPickOrder(leagueSize, rounds, type),
+    currentIndex: 0,
+    teams: buildTeams(leagueSize, pickSlot),
+    availablePlayers: Array.isArray(players) ? [...players] : [],
+    picks: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  placeKeepers(session, keepers);
+  await saveDraftSession(session, session.picks);
+  return cacheSession(session);
+}
+
+/**
+ * Fill keeper picks before the draft starts
+ * Each keeper takes its team's pick in the keeper's round; the draft then skips those picks
+ * @param {Object} session - New draft session
+ * @param {Array<Object>} keepers - [{ teamSlot, round, player }]
+ */
+function placeKeepers(session, keepers) {
+  for (const keeper of keepers) {
+    const index = session.pickOrder.findIndex(p => p.round === keeper.round && p.teamSlot === keeper.teamSlot);
+    if (index === -1) {
+      throw new DraftSessionError('invalid_keeper', `Team ${keeper.teamSlot} has no round ${keeper.round} pick`, 400);
+    }
+    if (session.pickOrder[index].keeper) {
+      throw new DraftSessionError('invalid_keeper', `Team ${keeper.teamSlot} already has a keeper in round ${keeper.round}`, 400);
+    }
+
+    // Prefer the pool entry so rosters keep the full player record
+    const poolIndex = session.availablePlayers.findIndex(p => p && (
+      (keeper.player.id != null && String(p.id) === String(keeper.player.id)) || p.name === keeper.player.name
+    ));
+    const kept = poolIndex !== -1 ? session.availablePlayers.splice(poolIndex, 1)[0] : { ...keeper.player };
+
+    session.pickOrder[index] = { ...session.pickOrder[index], keeper: true };
+    session.picks.push({
+      ...session.pickOrder[index],
+      player: kept,
+      byUser: keeper.teamSlot === session.pickSlot,
+      at: session.createdAt
+    });
+  }
+
+  // Rosters follow pick order, the same order they are rebuilt in when the session is loaded
+  session.picks.sort((a, b) => a.overall - b.overall);
+  for (const pick of session.picks) {
+    session.teams[pick.teamSlot - 1].roster.push(pick.player);
+  }
+  skipKeeperPicks(session);
+}
+
+/**
+ * Move the clock past picks already filled by keepers
+ * @param {Object} session - Draft session
+ */
+function skipKeeperPicks(session) {
+  while (session.pickOrder[session.currentIndex]?.keeper) {
+    session.currentIndex++;
+  }
+  if (session.currentIndex >= session.pickOrder.length) {
+    session.status = 'complete';
+  }
+}
+
+/**
+ * Get a draft session by ID, loading it from storage when it is not cached
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Session or null when not found
+ */
+async function getDraftSession(sessionId) {
+  if (!sessionId) return null;
+  const id = String(sessionId);
+  if (DRAFT_SESSIONS.has(id)) return DRAFT_SESSIONS.get(id);
+
+  const record = await getRepository().draftSessions.getById(id);
+  return record ? cacheSession(hydrateSession(record)) : null;
+}
+
+/**
+ * Get the pick currently on the clock
+ * @param {Object} session - Draft session
+ * @returns {Object|null} - Current pick, or null when the draft is complete
+ */
+function getCurrentPick(session) {
+  return session.pickOrder[session.currentIndex] || null;
+}
+
+/**
+ * Check that a pick can be made without recording it
+ * @param {Object} session - Draft session
+ * @param {Object} player - Player to draft (requires id)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.byUser] - Require the user's team to be on the clock
+ * @returns {Object} - The pick on the clock
+ */
+function checkPick(session, player, { byUser = false } = {}) {
+  const current = getCurrentPick(session);
+  if (!current) {
+    throw new DraftSessionError('draft_complete', 'All picks in this draft have been made');
+  }
+
+  if (!player || player.id == null) {
+    throw new DraftSessionError('invalid_player', 'Player with id is required', 400);
+  }
+
+  const playerId = String(player.id);
+  if (session.picks.some(p => String(p.player.id) === playerId)) {
+    throw new DraftSessionError('player_already_drafted', `Player ${playerId} has already been drafted`);
+  }
+
+  if (byUser && current.teamSlot !== session.pickSlot) {
+    throw new DraftSessionError(
+      'not_users_turn',
+      `Team ${current.teamSlot} is on the clock (round ${current.round}, pick ${current.pick}), not the user's team ${session.pickSlot}`
+    );
+  }
+  return current;
+}
+
+/**
+ * Record a pick for the team on the clock, advance the draft and save the session
+ * @param {Object} session - Draft session
+ * @param {Object} player - Drafted player (requires id)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.byUser] - Require the user's team to be on the clock
+ * @returns {Promise<Object>} - The recorded pick entry
+ */
+async function recordPick(session, player, options = {}) {
+  const current = checkPick(session, player, options);
+  const playerId = String(player.id);
+
+  // Prefer the pool entry so rosters keep the full player record
+  const poolIndex = session.availablePlayers.findIndex(p => p && String(p.id) === playerId);
+  const drafted = poolIndex !== -1 ? session.availablePlayers.splice(poolIndex, 1)[0] : { ...player };
+
+  const entry = {
+    ...current,
+    player: drafted,
+    byUser: current.teamSlot === session.pickSlot,
+    at: Date.now()
+  };
+
+  session.teams[current.teamSlot - 1].roster.push(drafted);
+  session.picks.push(entry);
+  session.currentIndex++;
+  session.updatedAt = entry.at;
+  skipKeeperPicks(session);
+
+  await saveDraftSession(session, [entry]);
+  return entry;
+}
+
+/**
+ * Get the user's roster from a session
+ * @param {Object} session - Draft session
+ * @returns {Array<Object>} - User's drafted players
+ */
+function getUserRoster(session) {
+  return session.teams[session.pickSlot - 1].roster;
+}
+
+/**
+ * Update the conversation ID stored on a session
+ * @param {Object} session - Draft session
+ * @param {string|null} conversationId - Conversation ID from Dify
+ * @returns {Promise<void>}
+ */
+async function setConversationId(session, conversationId) {
+  if (conversationId && session.conversationId !== conversationId) {
+    session.conversationId = conversationId;
+    session.updatedAt = Date.now();
+    await saveDraftSession(session);
+  }
+}
+
+/**
+ * Serialize a session for API responses
+ * @param {Object} session - Draft session
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includePool] - Include the full available player pool
+ * @returns {Object} - Client-facing session object
+ */
+function serializeDraftSession(session, { includePool = false } = {}) {
+  const current = getCurrentPick(session);
+  const result = {
+    sessionId: session.id,
+    user: session.user,
+    conversationId: session.conversationId,
+    leagueId: session.leagueId,
+    season: session.season,
+    status: session.status,
+    leagueSize: session.leagueSize,
+    pickSlot: session.pickSlot,
+    rounds: session.rounds,
+    draftType: session.draftType,
+    current: current ? { ...current, isUserPick: current.teamSlot === session.pickSlot } : null,
+    position: current ? describePickPosition({
+      leagueSize: session.leagueSize,
+      pickSlot: session.pickSlot,
+      round: current.round,
+      pick: current.pick,
+      rounds: session.rounds,
+      draftType: session.draftType
+    }) : null,
+    teams: session.teams,
+    picks: session.picks,
+    availableCount: session.availablePlayers.length,
+    createdAt: new Date(session.createdAt).toISOString(),
+    updatedAt: new Date(session.updatedAt).toISOString()
+  };
+
+  if (includePool) {
+    result.availablePlayers = session.availablePlayers;
+  }
+
+  return result;
+}
+
+/**
+ * Remove a session from the cache and storage
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} - Whether a session was removed
+ */
+async function deleteDraftSession(sessionId) {
+  DRAFT_SESSIONS.delete(String(sessionId));
+  return getRepository().draftSessions.delete(String(sessionId));
+}
+
+module.exports = {
+  DraftSessionError,
+  createDraftSession,
+  getDraftSession,
+  getCurrentPick,
+  checkPick,
+  recordPick,
+  getUserRoster,
+  setConversationId,
+  serializeDraftSession,
+  deleteDraftSession,
+  DRAFT_SESSIONS
+};
@@ -0,0 +1,95 @@
+/**
+ * Fantasy head-to-head schedule
+ * Round robin pairings between a league's teams, repeated until the regular season is covered,
+ * stored on the league so every request sees the same matchups
+ */
+
+const { saveFantasySchedule } = require('./league-store');
+
+const FANTASY_REGULAR_SEASON_WEEKS = Number(process.env.FANTASY_REGULAR_SEASON_WEEKS || 14);
+const MAX_FANTASY_WEEKS = 18;
+
+/**
+ * Generate round robin pairings (circle method)
+ * Each cycle of n-1 weeks (n teams, plus a bye slot when odd) pairs every team once; later
+ * cycles repeat the pairings with home and away swapped
+ * @param {Array<string>} endpoints - Team endpoints
+ * @param {number} weeks - Number of weeks to schedule
+ * @returns {Array<Object>} - [{ week, games: [{ home, away }], bye }]
+ */
+function generateRoundRobin(endpoints, weeks) {
+  const slots = [...endpoints];
+  if (slots.length % 2 === 1) slots.push(null);
+  const rounds = slots.length - 1;
+  const half = slots.length / 2;
+  const schedule = [];
+
+  let rotation = slots;
+  for (let week = 1; week <= weeks; week++) {
+    const round = (week - 1) % rounds;
+    if (round === 0) rotation = slots;
+    const swap = Math.floor((week - 1) / rounds) % 2 === 1;
+
+    const games = [];
+    let bye = null;
+    for (let i = 0; i < half; i++) {
+      const a = rotation[i];
+      const b = rotation[rotation.length - 1 - i];
+      if (a === null || b === null) {
+        bye = a ?? b;
+        continue;
+      }
+      // Alternate the fixed team's home games so no one is always home
+      const aHome = (i === 0 ? round % 2 === 0 : i % 2 === 1) !== swap;
+      games.push(aHome ? { home: a, away: b } : { home: b, away: a });
+    }
+    schedule.push({ week, games, bye });
+
+    // Keep the first slot fixed and rotate the rest clockwise
+    rotation = [rotation[0], rotation[rotation.length - 1], ...rotation.slice(1, -1)];
+  }
+
+  return schedule;
+}
+
+/**
+ * Build a league's fantasy schedule
+ * @param {Object} league - League
+ * @param {Object} [options] - Options
+ * @param {number} [options.weeks] - Regular season weeks
+ * @returns {Object} - { weeks, teams, generatedAt, matchups }
+ */
+function generateFantasySchedule(league, { weeks = FANTASY_REGULAR_SEASON_WEEKS } = {}) {
+  const teams = league.teams.map(team => team.endpoint);
+  return {
+    weeks,
+    teams,
+    generatedAt: new Date().toISOString(),
+    matchups: generateRoundRobin(teams, weeks)
+  };
+}
+
+/**
+ * Get a league's stored fantasy schedule, generating and saving one when missing or when asked to
+ * @param {Object} league - League
+ * @param {Object} [options] - Options
+ * @param {number} [options.weeks] - Regular season weeks when generating
+ * @param {boolean} [options.regenerate] - Replace any stored schedule
+ * @returns {Promise<Object>} - Fantasy schedule
+ */
+async function getFantasySchedule(league, { weeks, regenerate = false } = {}) {
+  if (league.fantasySchedule && !regenerate) return league.fantasySchedule;
+
+  const schedule = generateFantasySchedule(league, { weeks });
+  await saveFantasySchedule(league.id, schedule);
+  console.log(`[MATCHUPS] Generated ${schedule.weeks}-week schedule for league ${league.id}`);
+  return schedule;
+}
+
+module.exports = {
+  FANTASY_REGULAR_SEASON_WEEKS,
+  MAX_FANTASY_WEEKS,
+  generateRoundRobin,
+  generateFantasySchedule,
+  getFantasySchedule
+};
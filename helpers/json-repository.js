@@ -0,0 +1,322 @@
+/**
+ * JSON-file repository
+ * Reads the static files under data/ and caches each one until its mtime changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RepositoryError } = require('./data-repository');
+
+/**
+ * Create a repository backed by the JSON files in a data directory
+ * @param {Object} options - Options
+ * @param {string} options.dataDir - Root of the data files
+ * @param {string} [options.leaguesFile] - Leagues file (defaults to <dataDir>/leagues/leagues.json)
+ * @returns {Object} - Repository
+ */
+function createJsonRepository({ dataDir, leaguesFile }) {
+  const files = {
+    players: path.join(dataDir, 'finalized', 'draftRoster_v4.json'),
+    playerImports: path.join(dataDir, 'finalized', 'importedPlayers.json'),
+    analyzed: path.join(dataDir, 'draftRosterAnalyzed.json'),
+    rosterSeed: path.join(dataDir, 'roster', 'allPlayers.json'),
+    rosters: path.join(dataDir, 'roster', 'rosters.json'),
+    transactions: path.join(dataDir, 'roster', 'transactions.json'),
+    trades: path.join(dataDir, 'roster', 'trades.json'),
+    waiverClaims: path.join(dataDir, 'roster', 'waiverClaims.json'),
+    waiverRuns: path.join(dataDir, 'roster', 'waiverRuns.json'),
+    schedule: path.join(dataDir, 'schedule', 'regularSeason.json'),
+    nflTeams: path.join(dataDir, 'nflTeams.json'),
+    defenseRatings: path.join(dataDir, 'schedule', 'defenseRatings.json'),
+    draftSessions: path.join(dataDir, 'draftSessions'),
+    leagues: leaguesFile || path.join(dataDir, 'leagues', 'leagues.json')
+  };
+
+  // Parsed file contents keyed by path; callers get the cached value and must not mutate it
+  const cache = new Map();
+
+  /**
+   * Read and parse a JSON file, reusing the parsed value while the file is unchanged
+   * @param {string} file - File path
+   * @param {*} [fallback] - Value when the file does not exist (throws when omitted)
+   * @returns {*} - Parsed JSON
+   */
+  function readJson(file, fallback) {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (error) {
+      if (error.code === 'ENOENT' && fallback !== undefined) return fallback;
+      throw error;
+    }
+
+    const version = `${stat.mtimeMs}:${stat.size}`;
+    const cached = cache.get(file);
+    if (cached && cached.version === version) return cached.value;
+
+    const value = JSON.parse(fs.readFileSync(file, 'utf8'));
+    cache.set(file, { version, value });
+    return value;
+  }
+
+  /**
+   * Write a JSON file and drop its cache entry
+   * @param {string} file - File path
+   * @param {*} value - Value to write
+   */
+  function writeJson(file, value) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(value, null, 2));
+    cache.delete(file);
+  }
+
+  /**
+   * Current rosters: the runtime file once a change has been written, otherwise the tracked seed
+   * @returns {Array<Object>} - Roster players
+   */
+  function readRosters() {
+    return readJson(files.rosters, null) || readJson(files.rosterSeed);
+  }
+
+  // Last merge of the tracked player file with imported records, reused while neither changes
+  let mergedPlayers = null;
+
+  /**
+   * Tracked player file with imported records applied: matching ids replaced, new ones appended.
+   * Returns the same array until either file changes, so callers can cache by identity
+   * @returns {Array<Object>} - Players
+   */
+  function listPlayers() {
+    const base = readJson(files.players);
+    const imported = readJson(files.playerImports, []);
+    if (!imported.length) return base;
+    if (mergedPlayers && mergedPlayers.base === base && mergedPlayers.imported === imported) {
+      return mergedPlayers.value;
+    }
+
+    const byId = new Map(imported.map(p => [String(p.id), p]));
+    const value = base.map(p => byId.get(String(p.id)) || p);
+    const baseIds = new Set(base.map(p => String(p.id)));
+    value.push(...imported.filter(p => !baseIds.has(String(p.id))));
+    mergedPlayers = { base, imported, value };
+    return value;
+  }
+
+  /**
+   * File holding one draft session; ids that could leave the directory have none
+   * @param {string} id - Session id
+   * @returns {string|null} - File path
+   */
+  function draftSessionFile(id) {
+    return /^[\w-]+$/.test(String(id)) ? path.join(files.draftSessions, `${id}.json`) : null;
+  }
+
+  /**
+   * Insert or replace a trade by id
+   * @param {Object} trade - Trade proposal
+   * @returns {Object} - The trade
+   */
+  function saveTrade(trade) {
+    const trades = readJson(files.trades, []);
+    const exists = trades.some(t => t.id === trade.id);
+    writeJson(files.trades, exists ? trades.map(t => (t.id === trade.id ? trade : t)) : [...trades, trade]);
+    return trade;
+  }
+
+  /**
+   * Insert or replace waiver claims by id, in a single file write
+   * @param {Array<Object>} claims - Waiver claims
+   */
+  function saveClaims(claims) {
+    const byId = new Map(claims.map(c => [c.id, c]));
+    const stored = readJson(files.waiverClaims, []);
+    const next = stored.map(c => byId.get(c.id) || c);
+    const storedIds = new Set(stored.map(c => c.id));
+    writeJson(files.waiverClaims, [...next, ...claims.filter(c => !storedIds.has(c.id))]);
+  }
+
+  return {
+    backend: 'json',
+    files,
+
+    players: {
+      async list() {
+        return listPlayers();
+      },
+      async getById(id) {
+        return listPlayers().find(p => String(p.id) === String(id)) || null;
+      },
+      // Older analyzed roster; the only file with actual (past season) stat lines. Ids differ, so match on name
+      async findHistorical(name) {
+        return readJson(files.analyzed, []).find(p => p.name === name) || null;
+      },
+      // Imports go to a gitignored file layered over the tracked roster, in a single file write
+      async upsertMany(players) {
+        const known = new Set(listPlayers().map(p => String(p.id)));
+        const imported = new Map(readJson(files.playerImports, []).map(p => [String(p.id), p]));
+
+        const outcomes = players.map(player => {
+          const id = String(player.id);
+          const status = known.has(id) ? 'updated' : 'inserted';
+          known.add(id);
+          imported.set(id, player);
+          return { id, status };
+        });
+
+        writeJson(files.playerImports, [...imported.values()]);
+        return outcomes;
+      }
+    },
+
+    rosters: {
+      async listPlayers() {
+        return readRosters();
+      },
+      async listByTeam(endpoint) {
+        return readRosters().filter(p => p.fantasyTeam && p.fantasyTeam.endpoint === endpoint);
+      },
+      // Rewrites the gitignored runtime roster file, then records the transaction log entries and any trade or waiver claims they settle
+      async replacePlayers(players, { expected, transactions = [], trades = [], claims = [] } = {}) {
+        if (expected && JSON.stringify(readRosters()) !== JSON.stringify(expected)) {
+          throw new RepositoryError('roster_conflict', 'The roster changed while this change was being made; try again', 409);
+        }
+        writeJson(files.rosters, players);
+        if (transactions.length) {
+          writeJson(files.transactions, [...readJson(files.transactions, []), ...transactions]);
+        }
+        trades.forEach(saveTrade);
+        if (claims.length) saveClaims(claims);
+        return players;
+      }
+    },
+
+    transactions: {
+      // Newest first
+      async list({ leagueId, team, limit = 50 } = {}) {
+        return readJson(files.transactions, [])
+          .filter(t => (!leagueId || t.leagueId === leagueId) && (!team || t.team === team || t.toTeam === team))
+          .reverse()
+          .slice(0, limit);
+      }
+    },
+
+    trades: {
+      // Newest first
+      async list({ leagueId, team, status } = {}) {
+        return readJson(files.trades, [])
+          .filter(t => (!leagueId || t.leagueId === leagueId) &&
+            (!team || t.fromTeam === team || t.toTeam === team) &&
+            (!status || t.status === status))
+          .reverse();
+      },
+      async getById(id) {
+        return readJson(files.trades, []).find(t => t.id === String(id)) || null;
+      },
+      async save(trade) {
+        return saveTrade(trade);
+      }
+    },
+
+    waiverClaims: {
+      // Oldest first, the order claims were made
+      async list({ leagueId, team, status } = {}) {
+        return readJson(files.waiverClaims, []).filter(c =>
+          (!leagueId || c.leagueId === leagueId) && (!team || c.team === team) && (!status || c.status === status));
+      },
+      async getById(id) {
+        return readJson(files.waiverClaims, []).find(c => c.id === String(id)) || null;
+      },
+      async saveMany(claims) {
+        saveClaims(claims);
+        return claims;
+      }
+    },
+
+    waiverRuns: {
+      // Reads and writes without yielding, so one process cannot claim a run twice
+      async claim(leagueId, period) {
+        const runs = readJson(files.waiverRuns, []);
+        if (runs.some(r => r.leagueId === String(leagueId) && r.period === period)) return false;
+        writeJson(files.waiverRuns, [...runs, { leagueId: String(leagueId), period, startedAt: new Date().toISOString() }]);
+        return true;
+      },
+      async release(leagueId, period) {
+        const runs = readJson(files.waiverRuns, []);
+        writeJson(files.waiverRuns, runs.filter(r => !(r.leagueId === String(leagueId) && r.period === period)));
+      }
+    },
+
+    schedule: {
+      async getSeason() {
+        return readJson(files.schedule);
+      },
+      async getWeek(week) {
+        return readJson(files.schedule)[`week${week}`] || null;
+      },
+      async replaceSeason(season) {
+        writeJson(files.schedule, season);
+        return season;
+      }
+    },
+
+    nflTeams: {
+      async list() {
+        return readJson(files.nflTeams);
+      }
+    },
+
+    defenseRatings: {
+      // Optional file, loaded with scripts/importDefenseRatings.js; no ratings means strength of schedule can't be computed
+      async list() {
+        return readJson(files.defenseRatings, []);
+      },
+      async replaceAll(ratings) {
+        writeJson(files.defenseRatings, ratings);
+        return ratings;
+      }
+    },
+
+    // One file per session, since each carries its remaining player pool
+    draftSessions: {
+      async getById(id) {
+        const file = draftSessionFile(id);
+        return file ? readJson(file, null) : null;
+      },
+      async save(session) {
+        writeJson(draftSessionFile(session.id), session);
+        return session;
+      },
+      async delete(id) {
+        const file = draftSessionFile(id);
+        if (!file || !fs.existsSync(file)) return false;
+        fs.unlinkSync(file);
+        cache.delete(file);
+        return true;
+      }
+    },
+
+    leagues: {
+      async list() {
+        const stored = readJson(files.leagues, []);
+        return Array.isArray(stored) ? stored : [];
+      },
+      async save(league) {
+        const leagues = await this.list();
+        const exists = leagues.some(l => String(l.id) === String(league.id));
+        writeJson(files.leagues, exists
+          ? leagues.map(l => (String(l.id) === String(league.id) ? league : l))
+          : [...leagues, league]);
+        return league;
+      },
+      async delete(id) {
+        const leagues = await this.list();
+        const remaining = leagues.filter(l => String(l.id) !== String(id));
+        if (remaining.length === leagues.length) return false;
+        writeJson(files.leagues, remaining);
+        return true;
+      }
+    }
+  };
+}
+
+module.exports = { createJsonRepository };
@@ -0,0 +1,453 @@
+/**
+ * League configuration store
+ * One place for a league's teams, roster slots, scoring rules and draft settings,
+ * persisted through the data repository and seeded with the home league's fantasy teams
+ */
+
+const crypto = require('crypto');
+const { resolveScoringRules, DEFAULT_SCORING_PROFILE, PROJECTION_SEASON } = require('./scoring');
+const { normalizeDraftType, DRAFT_TYPES, DEFAULT_DRAFT_TYPE } = require('./draft-order');
+const { getRepository } = require('./data-repository');
+
+const DEFAULT_LEAGUE_ID = process.env.DEFAULT_LEAGUE_ID || 'default';
+
+const ROSTER_SLOT_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'FLEX', 'K', 'DST', 'BENCH'];
+const DEFAULT_ROSTER_SLOTS = { QB: 1, RB: 2, WR: 2, TE: 1, FLEX: 1, K: 1, DST: 1, BENCH: 7 };
+const DEFAULT_ROUNDS = Number(process.env.DRAFT_ROUNDS || 15);
+const DEFAULT_FAAB_BUDGET = Number(process.env.WAIVER_FAAB_BUDGET || 100);
+const DEFAULT_MAX_KEEPERS = Number(process.env.KEEPER_MAX_PER_TEAM || 3);
+
+// In-memory copy of the stored leagues: Promise<Map<leagueId, League>>
+let leaguesPromise = null;
+
+/**
+ * Error raised for invalid league input or missing leagues
+ */
+class LeagueError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   * @param {number} status - HTTP status to surface to clients
+   */
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'LeagueError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Turn a team name into an endpoint slug
+ * @param {string} text - Team name
+ * @returns {string} - URL-safe slug
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build the home league from the fantasy teams on the roster players
+ * @returns {Promise<Object>} - Default league
+ */
+async function buildDefaultLeague() {
+  const teams = new Map();
+  try {
+    const players = await getRepository().rosters.listPlayers();
+    for (const player of players) {
+      const team = player.fantasyTeam;
+      if (team?.endpoint && !teams.has(team.endpoint)) {
+        teams.set(team.endpoint, { name: team.name, owner: team.owner, endpoint: team.endpoint });
+      }
+    }
+  } catch (error) {
+    console.warn('[LEAGUES] Could not read roster players for the default league:', error.message);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: DEFAULT_LEAGUE_ID,
+    name: 'Boykies League',
+    teams: [...teams.values()],
+    rosterSlots: { ...DEFAULT_ROSTER_SLOTS },
+    scoring: { preset: DEFAULT_SCORING_PROFILE, rules: {} },
+    draftType: DEFAULT_DRAFT_TYPE,
+    rounds: DEFAULT_ROUNDS,
+    faabBudget: DEFAULT_FAAB_BUDGET,
+    waiverPriority: null,
+    season: PROJECTION_SEASON,
+    maxKeepers: DEFAULT_MAX_KEEPERS,
+    keepers: [],
+    seasonHistory: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Load leagues from the repository once, seeding the default league when missing
+ * @returns {Promise<Map<string, Object>>} - Leagues by id
+ */
+function loadLeagues() {
+  if (!leaguesPromise) {
+    leaguesPromise = (async () => {
+      const leagues = new Map();
+      for (const league of await getRepository().leagues.list()) {
+        leagues.set(String(league.id), league);
+      }
+      if (!leagues.has(DEFAULT_LEAGUE_ID)) {
+        leagues.set(DEFAULT_LEAGUE_ID, await buildDefaultLeague());
+      }
+      return leagues;
+    })().catch(error => {
+      // Let the next call retry instead of caching the failure
+      leaguesPromise = null;
+      throw error;
+    });
+  }
+  return leaguesPromise;
+}
+
+/**
+ * Validate and normalize a team list
+ * @param {Array<Object>} teams - Teams with name, owner and optional endpoint
+ * @returns {Array<Object>} - Normalized teams
+ */
+function normalizeTeams(teams) {
+  if (!Array.isArray(teams) || teams.length < 2) {
+    throw new LeagueError('invalid_teams', 'teams must be an array of at least 2 teams');
+  }
+
+  const seen = new Set();
+  return teams.map((team, index) => {
+    if (!team || typeof team.name !== 'string' || !team.name.trim()) {
+      throw new LeagueError('invalid_teams', `teams[${index}].name is required`);
+    }
+    const endpoint = team.endpoint ? slugify(team.endpoint) : slugify(team.name);
+    if (!endpoint) {
+      throw new LeagueError('invalid_teams', `teams[${index}] needs a name or endpoint with letters or digits`);
+    }
+    if (seen.has(endpoint)) {
+      throw new LeagueError('duplicate_team', `Duplicate team endpoint '${endpoint}'`);
+    }
+    seen.add(endpoint);
+    return { name: team.name.trim(), owner: team.owner != null ? String(team.owner) : null, endpoint };
+  });
+}
+
+/**
+ * Validate and normalize roster slots, filling unspecified positions with 0
+ * @param {Object} rosterSlots - Slot counts per position
+ * @returns {Object} - Slot counts for every supported position
+ */
+function normalizeRosterSlots(rosterSlots) {
+  if (!rosterSlots || typeof rosterSlots !== 'object') {
+    throw new LeagueError('invalid_roster_slots', 'rosterSlots must be an object');
+  }
+
+  const unknown = Object.keys(rosterSlots).filter(pos => !ROSTER_SLOT_POSITIONS.includes(pos.toUpperCase()));
+  if (unknown.length) {
+    throw new LeagueError('invalid_roster_slots', `Unknown roster slots: ${unknown.join(', ')}. Valid slots: ${ROSTER_SLOT_POSITIONS.join(', ')}`);
+  }
+
+  const slots = {};
+  for (const pos of ROSTER_SLOT_POSITIONS) {
+    const entry = Object.entries(rosterSlots).find(([key]) => key.toUpperCase() === pos);
+    const value = entry ? Number(entry[1]) : 0;
+    if (!Number.isInteger(value) || value < 0) {
+      throw new LeagueError('invalid_roster_slots', `rosterSlots.${pos} must be a non-negative integer`);
+    }
+    slots[pos] = value;
+  }
+  return slots;
+}
+
+/**
+ * Validate a waiver priority order: every team endpoint exactly once, first claim first
+ * @param {Array<string>} priority - Team endpoints
+ * @param {Array<Object>} teams - League teams
+ * @returns {Array<string>} - Priority order
+ */
+function normalizeWaiverPriority(priority, teams) {
+  const endpoints = teams.map(team => team.endpoint);
+  if (!Array.isArray(priority) || priority.length !== endpoints.length ||
+    new Set(priority).size !== priority.length || !priority.every(e => endpoints.includes(e))) {
+    throw new LeagueError('invalid_waiver_priority', `waiverPriority must list each team endpoint once: ${endpoints.join(', ')}`);
+  }
+  return [...priority];
+}
+
+/**
+ * Validate a scoring setting ({ preset, rules }) by resolving it
+ * @param {string|Object} scoring - Preset name or { preset, rules }
+ * @returns {Object} - { preset, rules }
+ */
+function normalizeScoring(scoring) {
+  const setting = typeof scoring === 'string' ? { preset: scoring, rules: {} } : { preset: scoring?.preset, rules: scoring?.rules || {} };
+  try {
+    resolveScoringRules(setting);
+  } catch (error) {
+    throw new LeagueError('invalid_scoring', error.message);
+  }
+  return setting;
+}
+
+/**
+ * Apply and validate league fields from a request body
+ * @param {Object} base - League being created or updated
+ * @param {Object} input - Fields from the request
+ * @returns {Object} - Updated league
+ */
+function applyLeagueFields(base, input) {
+  const league = { ...base };
+
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw new LeagueError('invalid_name', 'name must be a non-empty string');
+    }
+    league.name = input.name.trim();
+  }
+  if (input.teams !== undefined) league.teams = normalizeTeams(input.teams);
+  if (input.rosterSlots !== undefined) league.rosterSlots = normalizeRosterSlots(input.rosterSlots);
+  if (input.scoring !== undefined) league.scoring = normalizeScoring(input.scoring);
+  if (input.draftType !== undefined) {
+    const type = normalizeDraftType(input.draftType);
+    if (!type) {
+      throw new LeagueError('invalid_draft_type', `draftType must be one of: ${DRAFT_TYPES.join(', ')}`);
+    }
+    league.draftType = type;
+  }
+  if (input.rounds !== undefined) {
+    const rounds = Number(input.rounds);
+    if (!Number.isInteger(rounds) || rounds < 1) {
+      throw new LeagueError('invalid_rounds', 'rounds must be a positive integer');
+    }
+    league.rounds = rounds;
+  }
+  if (input.faabBudget !== undefined) {
+    const budget = Number(input.faabBudget);
+    if (!Number.isInteger(budget) || budget < 0) {
+      throw new LeagueError('invalid_faab_budget', 'faabBudget must be a non-negative integer');
+    }
+    league.faabBudget = budget;
+  }
+  if (input.season !== undefined) {
+    if (!/^\d{4}$/.test(String(input.season))) {
+      throw new LeagueError('invalid_season', 'season must be a four-digit year');
+    }
+    league.season = String(input.season);
+  }
+  if (input.maxKeepers !== undefined) {
+    const maxKeepers = Number(input.maxKeepers);
+    if (!Number.isInteger(maxKeepers) || maxKeepers < 0) {
+      throw new LeagueError('invalid_max_keepers', 'maxKeepers must be a non-negative integer');
+    }
+    league.maxKeepers = maxKeepers;
+  }
+  if (input.waiverPriority !== undefined) {
+    league.waiverPriority = input.waiverPriority === null ? null : normalizeWaiverPriority(input.waiverPriority, league.teams);
+  }
+
+  return league;
+}
+
+/**
+ * List all leagues
+ * @returns {Promise<Array<Object>>} - Leagues
+ */
+async function listLeagues() {
+  return [...(await loadLeagues()).values()];
+}
+
+/**
+ * Get a league by id, falling back to the default league when no id is given
+ * @param {string} [leagueId] - League id
+ * @returns {Promise<Object|null>} - League or null when not found
+ */
+async function getLeague(leagueId) {
+  return (await loadLeagues()).get(String(leagueId || DEFAULT_LEAGUE_ID)) || null;
+}
+
+/**
+ * Get a league or throw a 404 LeagueError
+ * @param {string} [leagueId] - League id
+ * @returns {Promise<Object>} - League
+ */
+async function requireLeague(leagueId) {
+  const league = await getLeague(leagueId);
+  if (!league) {
+    throw new LeagueError('league_not_found', `League ${leagueId} not found`, 404);
+  }
+  return league;
+}
+
+/**
+ * Create a league
+ * @param {Object} input - { id?, name, teams, rosterSlots?, scoring?, draftType?, rounds?, faabBudget?, waiverPriority?, season?, maxKeepers? }
+ * @returns {Promise<Object>} - Created league
+ */
+async function createLeague(input = {}) {
+  if (input.name === undefined) throw new LeagueError('invalid_name', 'name is required');
+  if (input.teams === undefined) throw new LeagueError('invalid_teams', 'teams is required');
+
+  const id = input.id ? slugify(input.id) : crypto.randomUUID();
+  if (!id) throw new LeagueError('invalid_id', 'id must contain letters or digits');
+  const leagues = await loadLeagues();
+  if (leagues.has(id)) {
+    throw new LeagueError('league_exists', `League ${id} already exists`, 409);
+  }
+
+  const now = new Date().toISOString();
+  const league = applyLeagueFields({
+    id,
+    name: null,
+    teams: [],
+    rosterSlots: { ...DEFAULT_ROSTER_SLOTS },
+    scoring: { preset: DEFAULT_SCORING_PROFILE, rules: {} },
+    draftType: DEFAULT_DRAFT_TYPE,
+    rounds: DEFAULT_ROUNDS,
+    faabBudget: DEFAULT_FAAB_BUDGET,
+    waiverPriority: null,
+    season: PROJECTION_SEASON,
+    maxKeepers: DEFAULT_MAX_KEEPERS,
+    keepers: [],
+    seasonHistory: [],
+    createdAt: now,
+    updatedAt: now
+  }, input);
+
+  await getRepository().leagues.save(league);
+  leagues.set(id, league);
+  return league;
+}
+
+/**
+ * Update a league's settings
+ * @param {string} leagueId - League id
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object>} - Updated league
+ */
+async function updateLeague(leagueId, input = {}) {
+  const existing = await requireLeague(leagueId);
+  const league = applyLeagueFields(existing, input);
+  league.updatedAt = new Date().toISOString();
+
+  // Pairings reference team endpoints, so a different set of teams needs a new fantasy schedule
+  const endpoints = teams => teams.map(team => team.endpoint).sort().join(',');
+  if (endpoints(league.teams) !== endpoints(existing.teams)) {
+    delete league.fantasySchedule;
+    // A stored order no longer lists every team; waivers fall back to the default order
+    if (input.waiverPriority === undefined) league.waiverPriority = null;
+  }
+
+  await getRepository().leagues.save(league);
+  (await loadLeagues()).set(existing.id, league);
+  return league;
+}
+
+/**
+ * Store a generated head-to-head schedule on a league
+ * @param {string} leagueId - League id
+ * @param {Object} fantasySchedule - Schedule from generateFantasySchedule
+ * @returns {Promise<Object>} - Updated league
+ */
+async function saveFantasySchedule(leagueId, fantasySchedule) {
+  return saveLeagueState(leagueId, { fantasySchedule });
+}
+
+/**
+ * Store a league's waiver priority after a processing run
+ * @param {string} leagueId - League id
+ * @param {Array<string>} waiverPriority - Team endpoints, first claim first
+ * @returns {Promise<Object>} - Updated league
+ */
+async function saveWaiverPriority(leagueId, waiverPriority) {
+  return saveLeagueState(leagueId, { waiverPriority });
+}
+
+/**
+ * Store state the league's own workflows maintain (keepers, season rollover) without validating it
+ * as user input
+ * @param {string} leagueId - League id
+ * @param {Object} fields - Fields to replace
+ * @returns {Promise<Object>} - Updated league
+ */
+async function saveLeagueState(leagueId, fields) {
+  const existing = await requireLeague(leagueId);
+  const league = { ...existing, ...fields, updatedAt: new Date().toISOString() };
+
+  await getRepository().leagues.save(league);
+  (await loadLeagues()).set(existing.id, league);
+  return league;
+}
+
+/**
+ * Delete a league; the default league cannot be removed
+ * @param {string} leagueId - League id
+ * @returns {Promise<boolean>} - Whether a league was removed
+ */
+async function deleteLeague(leagueId) {
+  if (String(leagueId) === DEFAULT_LEAGUE_ID) {
+    throw new LeagueError('default_league', 'The default league cannot be deleted', 409);
+  }
+  const leagues = await loadLeagues();
+  if (!leagues.has(String(leagueId))) return false;
+
+  await getRepository().leagues.delete(leagueId);
+  leagues.delete(String(leagueId));
+  return true;
+}
+
+/**
+ * Find a team in a league by endpoint slug
+ * @param {Object} league - League
+ * @param {string} endpoint - Team endpoint slug
+ * @returns {Object|null} - Team or null
+ */
+function findLeagueTeam(league, endpoint) {
+  return league?.teams.find(team => team.endpoint === endpoint) || null;
+}
+
+/**
+ * The season a league is playing; leagues saved before seasons existed are on PROJECTION_SEASON
+ * @param {Object} league - League
+ * @returns {string} - Season year
+ */
+function leagueSeason(league) {
+  return String(league?.season || PROJECTION_SEASON);
+}
+
+/**
+ * Starter counts the recommender and VORP use (QB/RB/WR/TE/FLEX) from a league's roster slots
+ * @param {Object} league - League
+ * @returns {Object} - { QB, RB, WR, TE, FLEX }
+ */
+function starterSlotsFor(league) {
+  const { QB, RB, WR, TE, FLEX } = league.rosterSlots;
+  return { QB, RB, WR, TE, FLEX };
+}
+
+module.exports = {
+  LeagueError,
+  DEFAULT_LEAGUE_ID,
+  ROSTER_SLOT_POSITIONS,
+  DEFAULT_ROSTER_SLOTS,
+  DEFAULT_FAAB_BUDGET,
+  DEFAULT_MAX_KEEPERS,
+  listLeagues,
+  getLeague,
+  requireLeague,
+  createLeague,
+  updateLeague,
+  saveFantasySchedule,
+  saveWaiverPriority,
+  saveLeagueState,
+  deleteLeague,
+  findLeagueTeam,
+  leagueSeason,
+  starterSlotsFor
+};
@@ -0,0 +1,138 @@
+/**
+ * Optimal starting lineup
+ * Fills a league's starting slots from a projected roster. Dedicated slots take the best players at
+ * their position and FLEX takes the best remaining RB/WR/TE, which is optimal while FLEX is the only
+ * multi-position slot
+ */
+
+const FLEX_POSITIONS = ['RB', 'WR', 'TE'];
+// Starting slots in lineup order; BENCH is everything left over
+const LINEUP_SLOTS = ['QB', 'RB', 'WR', 'TE', 'FLEX', 'K', 'DST'];
+
+/**
+ * Lineup position for a player (D/ST and DEF are DST)
+ * @param {Object} player - Player
+ * @returns {string} - Position
+ */
+function lineupPosition(player) {
+  const position = String(player.position || '').toUpperCase();
+  return position === 'D/ST' || position === 'DEF' ? 'DST' : position;
+}
+
+/**
+ * Order candidates for a slot: projected points, then players with a game, then current starters
+ * Unprojected players count as 0 points and byes sort below them, so a slot is never given to a
+ * bye when anyone else can play
+ * @param {Object} a - Player with projection
+ * @param {Object} b - Player with projection
+ * @returns {number} - Sort order
+ */
+function compareCandidates(a, b) {
+  const value = p => (p.projection?.bye ? -1 : p.projection?.points ?? 0);
+  return value(b) - value(a) ||
+    Number(Boolean(b.starter)) - Number(Boolean(a.starter)) ||
+    String(a.name).localeCompare(String(b.name));
+}
+
+/**
+ * Pick the optimal lineup
+ * @param {Array<Object>} players - Players with a projection field (from projectRosterWeek)
+ * @param {Object} rosterSlots - League roster slots { QB, RB, WR, TE, FLEX, K, DST, BENCH }
+ * @returns {Object} - { lineup: [{ slot, player }], bench, emptySlots, total }
+ */
+function optimizeLineup(players, rosterSlots) {
+  const remaining = [...players].sort(compareCandidates);
+  const lineup = [];
+  const emptySlots = [];
+
+  const take = (slot, eligible) => {
+    const index = remaining.findIndex(p => eligible.includes(lineupPosition(p)));
+    if (index === -1) {
+      emptySlots.push(slot);
+      return;
+    }
+    lineup.push({ slot, player: remaining.splice(index, 1)[0] });
+  };
+
+  for (const slot of LINEUP_SLOTS) {
+    const count = Number(rosterSlots?.[slot]) || 0;
+    for (let i = 0; i < count; i++) {
+      take(slot, slot === 'FLEX' ? FLEX_POSITIONS : [slot]);
+    }
+  }
+
+  return {
+    lineup,
+    bench: remaining,
+    emptySlots,
+    total: sumPoints(lineup.map(entry => entry.player))
+  };
+}
+
+/**
+ * Compare an optimal lineup with the roster's current starter flags
+ * @param {Object} optimal - Output of optimizeLineup
+ * @param {Array<Object>} players - Players with projection and starter fields
+ * @returns {Object} - { currentTotal, delta, moveIn, moveOut }
+ */
+function compareWithCurrent(optimal, players) {
+  const chosen = new Set(optimal.lineup.map(entry => entry.player));
+  const current = players.filter(p => p.starter);
+  const currentTotal = sumPoints(current);
+
+  return {
+    currentTotal,
+    delta: Math.round((optimal.total - currentTotal) * 10) / 10,
+    moveIn: optimal.lineup.filter(entry => !entry.player.starter).map(entry => entry.player.name),
+    moveOut: current.filter(p => !chosen.has(p)).map(p => p.name)
+  };
+}
+
+/**
+ * Starting slots a set of starters does not fit into (RB/WR/TE beyond their own slots spill into FLEX)
+ * @param {Array<Object>} starters - Players flagged as starters
+ * @param {Object} rosterSlots - League roster slots
+ * @returns {Array<Object>} - [{ slot, starters, allowed }] for each overfilled slot, empty when the lineup fits
+ */
+function findStarterOverflow(starters, rosterSlots) {
+  const counts = {};
+  for (const player of starters) {
+    const position = lineupPosition(player);
+    counts[position] = (counts[position] || 0) + 1;
+  }
+
+  const overflow = [];
+  let flexNeeded = 0;
+  for (const [position, count] of Object.entries(counts)) {
+    const allowed = LINEUP_SLOTS.includes(position) && position !== 'FLEX' ? Number(rosterSlots?.[position]) || 0 : 0;
+    if (count <= allowed) continue;
+    if (FLEX_POSITIONS.includes(position)) {
+      flexNeeded += count - allowed;
+    } else {
+      overflow.push({ slot: position, starters: count, allowed });
+    }
+  }
+
+  const flexSlots = Number(rosterSlots?.FLEX) || 0;
+  if (flexNeeded > flexSlots) {
+    overflow.push({ slot: 'FLEX', starters: flexNeeded, allowed: flexSlots });
+  }
+  return overflow;
+}
+
+/**
+ * Total projected points (unprojected players and byes count as 0)
+ * @param {Array<Object>} players - Players with projection
+ * @returns {number} - Total rounded to one decimal
+ */
+function sumPoints(players) {
+  return Math.round(players.reduce((sum, p) => sum + (p.projection?.points || 0), 0) * 10) / 10;
+}
+
+module.exports = {
+  LINEUP_SLOTS,
+  lineupPosition,
+  optimizeLineup,
+  compareWithCurrent,
+  findStarterOverflow
+};
@@ -0,0 +1,192 @@
+/**
+ * LLM provider registry
+ * Handlers talk to a provider instead of a specific vendor. Every provider takes a Dify-style
+ * request body ({ query, inputs, conversation_id, user }) and offers the same three calls:
+ *
+ *   postBlocking({ body, timeoutMs, signal, traceId, action })
+ *     -> { ok, data: { answer, conversation_id, message_id }, conversationId, traceId, duration_ms }
+ *        or { ok: false, status, error, message, traceId, duration_ms }
+ *   postStreaming({ ...same })
+ *     -> { events, controller, logger }, throws the same shaped error when the request fails
+ *   postStreamingBuffered({ ...same })
+ *     -> postBlocking's result with the streamed answer joined together and data.usage taken from
+ *        message_end's metadata (null when the provider reports none)
+ *
+ * Streamed events are normalized to Dify's chat-message events, which clients already consume:
+ *   { event: 'message', answer, conversation_id, message_id }  text delta
+ *   { event: 'message_end', conversation_id, message_id, metadata }  end of the answer
+ *   { event: 'error', status, code, message }  upstream failure mid-stream
+ * Dify passes its other events (agent_message, agent_thought, workflow events) through as-is.
+ *
+ * LLM_PROVIDER picks the default provider and LLM_PROVIDER_ACTIONS overrides it per action,
+ * e.g. "analyze=openai,user-turn=scripted"
+ */
+
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'dify';
+const LLM_PROVIDER_ACTIONS = process.env.LLM_PROVIDER_ACTIONS || '';
+
+// Adapters are required lazily so a deployment only needs credentials for the providers it uses
+const PROVIDER_FACTORIES = {
+  dify: () => new (require('./dify-client').UnifiedDifyClient)(),
+  openai: () => new (require('./openai-provider').OpenAIChatProvider)(),
+  scripted: () => new (require('./scripted-provider').ScriptedProvider)()
+};
+
+const providers = new Map();
+
+/**
+ * Parse an action=provider list
+ * @param {string} spec - Comma-separated action=provider pairs
+ * @returns {Object} - Action -> provider name
+ */
+function parseActionProviders(spec) {
+  const map = {};
+  for (const entry of String(spec || '').split(',')) {
+    const [action, name] = entry.split('=').map(part => part?.trim());
+    if (!action) continue;
+    if (!PROVIDER_FACTORIES[name]) {
+      console.warn(`[LLM] Ignoring unknown provider '${name}' for action '${action}'`);
+      continue;
+    }
+    map[action] = name;
+  }
+  return map;
+}
+
+const actionProviders = parseActionProviders(LLM_PROVIDER_ACTIONS);
+
+/**
+ * Name of the provider configured for an action
+ * @param {string} [action] - Action name (initialize, user-turn, analyze, ...)
+ * @returns {string} - Provider name
+ */
+function providerNameFor(action) {
+  return actionProviders[action] || LLM_PROVIDER;
+}
+
+/**
+ * Provider instance for an action, created on first use
+ * @param {string} [action] - Action name
+ * @returns {Object} - Provider with postBlocking, postStreaming and postStreamingBuffered
+ */
+function getProvider(action) {
+  const name = providerNameFor(action);
+  if (!providers.has(name)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider '${name}'. Available: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+    const provider = factory();
+    provider.name = name;
+    providers.set(name, provider);
+  }
+  return providers.get(name);
+}
+
+/**
+ * AbortController that also aborts when a caller's signal does
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @returns {AbortController} - Controller to hand to fetch
+ */
+function linkAbortSignal(signal) {
+  const controller = new AbortController();
+  if (signal?.aborted) {
+    controller.abort(signal.reason);
+  } else if (signal) {
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+  return controller;
+}
+
+/**
+ * Join a normalized event stream into one answer
+ * @param {AsyncIterable<Object>} events - Normalized events
+ * @param {string|null} conversationId - Conversation id sent with the request
+ * @returns {Promise<Object>} - { answer, conversation_id, id, event, usage }
+ */
+async function bufferEvents(events, conversationId = null) {
+  let answer = '';
+  let finalConversationId = conversationId;
+  let messageId = null;
+  let usage = null;
+
+  for await (const event of events) {
+    if (event.event === 'message' || event.event === 'agent_message') {
+      answer += event.answer || '';
+    } else if (event.event === 'error') {
+      throw new Error(`Stream error: ${event.message || 'Unknown error'}`);
+    }
+    finalConversationId = event.conversation_id || finalConversationId;
+    messageId = event.message_id || messageId;
+    if (event.event === 'message_end') {
+      usage = event.metadata?.usage || null;
+      break;
+    }
+  }
+
+  return {
+    answer: answer.replace(/<think>[\s\S]*?<\/think>/gi, '').trim(),
+    conversation_id: finalConversationId,
+    id: messageId,
+    event: 'message',
+    usage
+  };
+}
+
+/**
+ * Map an upstream HTTP error to the shared error shape
+ * @param {string} label - Provider label for messages
+ * @param {Response} response - Fetch response
+ * @param {string} bodyText - Response body text
+ * @param {TraceLogger} logger - Logger instance
+ * @returns {Object} - Shaped error
+ */
+function mapUpstreamError(label, response, bodyText, logger) {
+  const status = response.status >= 500 ? 502 : 400;
+  logger.breadcrumb('llm_error_upstream', { provider: label, originalStatus: response.status, mappedStatus: status });
+  return {
+    ok: false,
+    status,
+    error: response.status >= 500 ? 'upstream_error' : 'bad_request',
+    message: `${label} upstream error: ${response.status} ${response.statusText}`,
+    traceId: logger.traceId,
+    duration_ms: logger.elapsed(),
+    upstreamStatus: response.status,
+    bodySnippet: bodyText.slice(0, 600)
+  };
+}
+
+/**
+ * Map a network, timeout or abort error to the shared error shape
+ * @param {string} label - Provider label for messages
+ * @param {Error} error - Error thrown by fetch
+ * @param {number} timeoutMs - Timeout that was used
+ * @param {TraceLogger} logger - Logger instance
+ * @returns {Object} - Shaped error
+ */
+function mapNetworkError(label, error, timeoutMs, logger) {
+  if (error?.ok === false) return error;
+
+  const timedOut = error?.name === 'AbortError' || error?.name === 'TimeoutError';
+  logger.breadcrumb('llm_error_network', { provider: label, errorName: error?.name, errorCode: error?.code, timedOut });
+  return {
+    ok: false,
+    status: timedOut ? 504 : 502,
+    error: timedOut ? 'timeout' : 'upstream_error',
+    message: timedOut ? `Request timeout after ${timeoutMs}ms` : `${label} network error: ${error?.message || error}`,
+    traceId: logger.traceId,
+    duration_ms: logger.elapsed()
+  };
+}
+
+module.exports = {
+  LLM_PROVIDER,
+  PROVIDER_FACTORIES,
+  parseActionProviders,
+  providerNameFor,
+  getProvider,
+  linkAbortSignal,
+  bufferEvents,
+  mapUpstreamError,
+  mapNetworkError
+};
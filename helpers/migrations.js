@@ -0,0 +1,163 @@
+/**
+ * Schema migration runner
+ * Applies numbered migrations from migrations/ (NNN_name.js exporting up/down statement arrays)
+ * and records each applied version in schema_migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Load and validate migrations from a directory, ordered by version
+ * @param {string} [dir] - Migrations directory
+ * @returns {Array<Object>} - [{ version, name, file, up, down }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  const seen = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const version = Number(match[1]);
+    if (seen.has(version)) {
+      throw new Error(`Duplicate migration version ${version}: ${seen.get(version)} and ${file}`);
+    }
+    seen.set(version, file);
+
+    const migration = require(path.join(dir, file));
+    for (const direction of ['up', 'down']) {
+      const statements = migration[direction];
+      if (!Array.isArray(statements) || statements.some(s => typeof s !== 'string' || !s.trim())) {
+        throw new Error(`Migration ${file} must export '${direction}' as an array of SQL strings`);
+      }
+    }
+
+    migrations.push({ version, name: match[2], file, up: migration.up, down: migration.down });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Create the schema_migrations table when missing
+ * @param {Object} db - Client from createDbClient
+ */
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+/**
+ * Get the applied migration versions
+ * @param {Object} db - Client from createDbClient
+ * @returns {Promise<Array<Object>>} - [{ version, name, applied_at }] ordered by version
+ */
+async function getAppliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  const rows = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return rows.map(r => ({ ...r, version: Number(r.version) }));
+}
+
+/**
+ * Apply pending migrations, each in its own transaction with its schema_migrations row
+ * @param {Object} db - Client from createDbClient
+ * @param {Object} [options] - Options
+ * @param {number} [options.to] - Highest version to apply (all when omitted)
+ * @param {string} [options.dir] - Migrations directory
+ * @returns {Promise<Array<Object>>} - Migrations that were applied
+ */
+async function migrateUp(db, { to, dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = new Set((await getAppliedMigrations(db)).map(m => m.version));
+
+  const pending = migrations.filter(m => !applied.has(m.version) && (to == null || m.version <= to));
+  for (const migration of pending) {
+    console.log(`[MIGRATE] up ${migration.file}`);
+    await db.transaction([
+      ...migration.up.map(text => ({ text })),
+      { text: 'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', params: [migration.version, migration.name] }
+    ]);
+  }
+
+  return pending;
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} db - Client from createDbClient
+ * @param {Object} [options] - Options
+ * @param {number} [options.steps] - How many migrations to roll back (default 1)
+ * @param {number} [options.to] - Roll back every migration above this version (overrides steps; 0 rolls back all)
+ * @param {string} [options.dir] - Migrations directory
+ * @returns {Promise<Array<Object>>} - Migrations that were rolled back
+ */
+async function migrateDown(db, { steps = 1, to, dir } = {}) {
+  const migrations = new Map(loadMigrations(dir).map(m => [m.version, m]));
+  const applied = (await getAppliedMigrations(db)).reverse();
+
+  const targets = to != null
+    ? applied.filter(m => m.version > to)
+    : applied.slice(0, Math.max(0, steps));
+
+  const rolledBack = [];
+  for (const { version } of targets) {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new Error(`Applied migration ${version} has no file in the migrations directory; cannot roll back`);
+    }
+    console.log(`[MIGRATE] down ${migration.file}`);
+    await db.transaction([
+      ...migration.down.map(text => ({ text })),
+      { text: 'DELETE FROM schema_migrations WHERE version = $1', params: [version] }
+    ]);
+    rolledBack.push(migration);
+  }
+
+  return rolledBack;
+}
+
+/**
+ * Report every known migration and whether it has been applied
+ * @param {Object} db - Client from createDbClient
+ * @param {Object} [options] - Options
+ * @param {string} [options.dir] - Migrations directory
+ * @returns {Promise<Array<Object>>} - [{ version, name, applied, appliedAt }]
+ */
+async function migrationStatus(db, { dir } = {}) {
+  const applied = new Map((await getAppliedMigrations(db)).map(m => [m.version, m]));
+  const status = loadMigrations(dir).map(m => ({
+    version: m.version,
+    name: m.name,
+    applied: applied.has(m.version),
+    appliedAt: applied.get(m.version)?.applied_at || null
+  }));
+
+  // Versions recorded in the database without a file (e.g. from another branch)
+  for (const [version, row] of applied) {
+    if (!status.some(s => s.version === version)) {
+      status.push({ version, name: row.name, applied: true, appliedAt: row.applied_at, missingFile: true });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  ensureMigrationsTable,
+  getAppliedMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus
+};
@@ -0,0 +1,531 @@
+/**
+ * Neon/Postgres repository
+ * Same interface as the JSON-file repository, backed by the tables created in migrations/
+ * (run `npm run migrate up` first). Works against Neon or a local Postgres via db-client
+ */
+
+const { createDbClient } = require('./db-client');
+const { RepositoryError } = require('./data-repository');
+
+// Postgres division_by_zero, raised on purpose by the roster check in replacePlayers
+const DIVISION_BY_ZERO = '22012';
+
+/**
+ * Team abbreviation from a player's object or string team field
+ * @param {Object} player - Player record
+ * @returns {string|null} - Team abbreviation
+ */
+function teamAbbrOf(player) {
+  if (!player?.team) return player?.teamAbbr || null;
+  return typeof player.team === 'string' ? player.team : player.team.abbr || null;
+}
+
+/**
+ * Column values for a players row, in insert order
+ * @param {Object} player - Player record
+ * @returns {Array} - [id, name, position, team_abbr, new_overall_rank, new_position_rank, bye_week, data]
+ */
+function playerParams(player) {
+  return [
+    String(player.id),
+    player.name,
+    player.position,
+    teamAbbrOf(player),
+    player.newOverallRank ?? null,
+    player.newPositionRank ?? null,
+    player.byeWeek ?? null,
+    JSON.stringify(player)
+  ];
+}
+
+/**
+ * JSON text with object keys sorted, so a record compares equal to its JSONB round trip
+ * @param {*} value - JSON-compatible value
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Statements that turn the stored roster rows into a new roster list, touching only rows that changed:
+ * identical rows stay, a changed player with the same name and position is updated in place and the
+ * remaining rows are deleted or inserted
+ * @param {Array<Object>} rows - Stored rows { id, player_name, position, data }
+ * @param {Array<Object>} players - New roster list
+ * @returns {Array<Object>} - [{ text, params }]
+ */
+function rosterChanges(rows, players) {
+  const stored = new Map();
+  for (const row of rows) {
+    const key = canonicalJson(row.data);
+    stored.set(key, [...(stored.get(key) || []), row]);
+  }
+
+  const changed = players.filter(player => {
+    const same = stored.get(canonicalJson(player));
+    return !same?.shift();
+  });
+  const stale = [...stored.values()].flat();
+
+  const statements = changed.map(player => {
+    const params = [player.fantasyTeam?.endpoint || '', player.name, player.position ?? null, JSON.stringify(player)];
+    const index = stale.findIndex(row => row.player_name === player.name && row.position === (player.position ?? null));
+    if (index === -1) {
+      return {
+        text: `INSERT INTO fantasy_roster_players (team_endpoint, player_name, position, data)
+               VALUES ($1, $2, $3, $4)`,
+        params
+      };
+    }
+    const [row] = stale.splice(index, 1);
+    return {
+      text: `UPDATE fantasy_roster_players SET team_endpoint = $1, player_name = $2, position = $3, data = $4
+             WHERE id = $5`,
+      params: [...params, row.id]
+    };
+  });
+
+  if (stale.length) {
+    statements.unshift({ text: 'DELETE FROM fantasy_roster_players WHERE id = ANY($1)', params: [stale.map(row => row.id)] });
+  }
+  return statements;
+}
+
+/**
+ * Error for a roster write that would overwrite a change made since the roster was read
+ * @returns {RepositoryError} - roster_conflict error
+ */
+function rosterConflict() {
+  return new RepositoryError('roster_conflict', 'The roster changed while this change was being made; try again', 409);
+}
+
+/**
+ * Insert-or-update statement for a trade row
+ * @param {Object} trade - Trade proposal
+ * @returns {Object} - { text, params }
+ */
+function tradeUpsert(trade) {
+  return {
+    text: `INSERT INTO trades (id, league_id, status, from_team, to_team, data, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           ON CONFLICT (id) DO UPDATE SET status = EXCLUDED.status, data = EXCLUDED.data, updated_at = EXCLUDED.updated_at`,
+    params: [
+      trade.id,
+      trade.leagueId,
+      trade.status,
+      trade.fromTeam,
+      trade.toTeam,
+      JSON.stringify(trade),
+      trade.createdAt,
+      trade.updatedAt
+    ]
+  };
+}
+
+/**
+ * Insert-or-update statement for a waiver claim row
+ * @param {Object} claim - Waiver claim
+ * @returns {Object} - { text, params }
+ */
+function claimUpsert(claim) {
+  return {
+    text: `INSERT INTO waiver_claims (id, league_id, team_endpoint, status, data, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (id) DO UPDATE SET status = EXCLUDED.status, data = EXCLUDED.data`,
+    params: [claim.id, claim.leagueId, claim.team, claim.status, JSON.stringify(claim), claim.createdAt]
+  };
+}
+
+/**
+ * Create a repository backed by Neon
+ * @param {Object} options - Options
+ * @param {string} options.databaseUrl - Postgres connection string
+ * @returns {Object} - Repository
+ */
+function createNeonRepository({ databaseUrl }) {
+  if (!databaseUrl) {
+    throw new Error('DATABASE_URL is required for the neon data backend');
+  }
+  const db = createDbClient({ databaseUrl });
+
+  // Last player list and the table version it was read at; see players.list
+  let playersSnapshot = null;
+
+  return {
+    backend: 'neon',
+    db,
+
+    players: {
+      // Returns the same array until a row changes, like the JSON backend's mtime cache, so callers can
+      // cache derived data by identity. Every write path bumps updated_at and nothing deletes players
+      async list() {
+        const [{ count, changed }] = await db.query(
+          'SELECT count(*)::int AS count, max(updated_at) AS changed FROM players'
+        );
+        const version = `${count}:${changed ? new Date(changed).getTime() : 0}`;
+        if (playersSnapshot?.version === version) return playersSnapshot.value;
+
+        const rows = await db.query('SELECT data FROM players ORDER BY new_overall_rank NULLS LAST, id');
+        playersSnapshot = { version, value: rows.map(r => r.data) };
+        return playersSnapshot.value;
+      },
+      async getById(id) {
+        const rows = await db.query('SELECT data FROM players WHERE id = $1', [String(id)]);
+        return rows[0]?.data || null;
+      },
+      // The players table keeps every season's stats, so the historical record is the player itself
+      async findHistorical(name) {
+        const rows = await db.query('SELECT data FROM players WHERE name = $1 LIMIT 1', [name]);
+        return rows[0]?.data || null;
+      },
+      // One statement per player in a single transaction; xmax = 0 only for freshly inserted rows
+      async upsertMany(players) {
+        const results = await db.transaction(players.map(player => ({
+          text: `INSERT INTO players (id, name, position, team_abbr, new_overall_rank, new_position_rank, bye_week, data)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                 ON CONFLICT (id) DO UPDATE SET
+                   name = EXCLUDED.name,
+                   position = EXCLUDED.position,
+                   team_abbr = EXCLUDED.team_abbr,
+                   new_overall_rank = EXCLUDED.new_overall_rank,
+                   new_position_rank = EXCLUDED.new_position_rank,
+                   bye_week = EXCLUDED.bye_week,
+                   data = EXCLUDED.data,
+                   updated_at = now()
+                 RETURNING id, (xmax = 0) AS inserted`,
+          params: playerParams(player)
+        })));
+        return results.map(([row]) => ({ id: row.id, status: row.inserted ? 'inserted' : 'updated' }));
+      }
+    },
+
+    rosters: {
+      async listPlayers() {
+        const rows = await db.query('SELECT data FROM fantasy_roster_players ORDER BY id');
+        return rows.map(r => r.data);
+      },
+      async listByTeam(endpoint) {
+        const rows = await db.query(
+          'SELECT data FROM fantasy_roster_players WHERE team_endpoint = $1 ORDER BY id',
+          [endpoint]
+        );
+        return rows.map(r => r.data);
+      },
+      // Only the roster rows that differ from the new list are written, together with the transaction log
+      // entries and any trade or waiver claims they settle, in one transaction. Neon's HTTP transactions
+      // can't read and then decide, so the write is optimistic: it fails with roster_conflict when another
+      // instance changed the roster after `expected` or the rows below were read, instead of undoing that change
+      async replacePlayers(players, { expected, transactions = [], trades = [], claims = [] } = {}) {
+        const rows = await db.query('SELECT id, player_name, position, data FROM fantasy_roster_players ORDER BY id');
+        if (expected && canonicalJson(rows.map(row => row.data)) !== canonicalJson(expected)) {
+          throw rosterConflict();
+        }
+
+        const statements = [
+          // Writers queue on this lock (readers don't); the check divides by zero if the rows moved on since the read
+          { text: 'LOCK TABLE fantasy_roster_players IN SHARE ROW EXCLUSIVE MODE' },
+          {
+            text: `SELECT 1 / ((SELECT coalesce(jsonb_agg(jsonb_build_array(id, data) ORDER BY id), '[]'::jsonb)
+                               FROM fantasy_roster_players) = $1::jsonb)::int`,
+            params: [JSON.stringify(rows.map(row => [row.id, row.data]))]
+          },
+          ...rosterChanges(rows, players),
+          ...transactions.map(transaction => ({
+            text: `INSERT INTO roster_transactions (id, league_id, type, team_endpoint, to_team_endpoint, data, created_at)
+                   VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            params: [
+              transaction.id,
+              transaction.leagueId,
+              transaction.type,
+              transaction.team,
+              transaction.toTeam ?? null,
+              JSON.stringify(transaction),
+              transaction.createdAt
+            ]
+          })),
+          ...trades.map(tradeUpsert),
+          ...claims.map(claimUpsert)
+        ];
+
+        try {
+          await db.transaction(statements);
+        } catch (error) {
+          if (error.code === DIVISION_BY_ZERO) throw rosterConflict();
+          throw error;
+        }
+        return players;
+      }
+    },
+
+    transactions: {
+      async list({ leagueId, team, limit = 50 } = {}) {
+        const rows = await db.query(
+          `SELECT data FROM roster_transactions
+           WHERE ($1::text IS NULL OR league_id = $1)
+             AND ($2::text IS NULL OR team_endpoint = $2 OR to_team_endpoint = $2)
+           ORDER BY created_at DESC, id DESC
+           LIMIT $3`,
+          [leagueId ?? null, team ?? null, limit]
+        );
+        return rows.map(r => r.data);
+      }
+    },
+
+    waiverClaims: {
+      async list({ leagueId, team, status } = {}) {
+        const rows = await db.query(
+          `SELECT data FROM waiver_claims
+           WHERE ($1::text IS NULL OR league_id = $1)
+             AND ($2::text IS NULL OR team_endpoint = $2)
+             AND ($3::text IS NULL OR status = $3)
+           ORDER BY created_at, id`,
+          [leagueId ?? null, team ?? null, status ?? null]
+        );
+        return rows.map(r => r.data);
+      },
+      async getById(id) {
+        const rows = await db.query('SELECT data FROM waiver_claims WHERE id = $1', [String(id)]);
+        return rows[0]?.data || null;
+      },
+      async saveMany(claims) {
+        await db.transaction(claims.map(claimUpsert));
+        return claims;
+      }
+    },
+
+    waiverRuns: {
+      // The primary key lets exactly one instance insert a league's run for a period
+      async claim(leagueId, period) {
+        const rows = await db.query(
+          `INSERT INTO waiver_runs (league_id, period) VALUES ($1, $2)
+           ON CONFLICT DO NOTHING RETURNING league_id`,
+          [String(leagueId), period]
+        );
+        return rows.length > 0;
+      },
+      async release(leagueId, period) {
+        await db.query('DELETE FROM waiver_runs WHERE league_id = $1 AND period = $2', [String(leagueId), period]);
+      }
+    },
+
+    trades: {
+      async list({ leagueId, team, status } = {}) {
+        const rows = await db.query(
+          `SELECT data FROM trades
+           WHERE ($1::text IS NULL OR league_id = $1)
+             AND ($2::text IS NULL OR from_team = $2 OR to_team = $2)
+             AND ($3::text IS NULL OR status = $3)
+           ORDER BY created_at DESC, id DESC`,
+          [leagueId ?? null, team ?? null, status ?? null]
+        );
+        return rows.map(r => r.data);
+      },
+      async getById(id) {
+        const rows = await db.query('SELECT data FROM trades WHERE id = $1', [String(id)]);
+        return rows[0]?.data || null;
+      },
+      async save(trade) {
+        const { text, params } = tradeUpsert(trade);
+        await db.query(text, params);
+        return trade;
+      }
+    },
+
+    schedule: {
+      async getSeason() {
+        const rows = await db.query(`
+          SELECT week, home_team, away_team, kickoff, projected_score, final_score
+          FROM schedule_games
+          ORDER BY week, kickoff, home_team
+        `);
+        const season = {};
+        for (const row of rows) {
+          (season[`week${row.week}`] ||= []).push({
+            week: row.week,
+            homeTeam: row.home_team,
+            awayTeam: row.away_team,
+            kickoff: row.kickoff,
+            projectedScore: row.projected_score,
+            finalScore: row.final_score
+          });
+        }
+        return season;
+      },
+      async getWeek(week) {
+        const season = await this.getSeason();
+        return season[`week${week}`] || null;
+      },
+      // Swaps the whole season in one transaction so readers never see a partial schedule
+      async replaceSeason(season) {
+        const games = Object.values(season).flat();
+        await db.transaction([
+          { text: 'DELETE FROM schedule_games' },
+          ...games.map(game => ({
+            text: `INSERT INTO schedule_games (week, home_team, away_team, kickoff, projected_score, final_score)
+                   VALUES ($1, $2, $3, $4, $5, $6)`,
+            params: [game.week, game.homeTeam, game.awayTeam, game.kickoff, game.projectedScore || '', game.finalScore || '']
+          }))
+        ]);
+        return season;
+      }
+    },
+
+    nflTeams: {
+      async list() {
+        const rows = await db.query('SELECT abbr, logo_url FROM nfl_teams ORDER BY abbr');
+        return rows.map(r => ({ abbr: r.abbr, logoUrl: r.logo_url }));
+      }
+    },
+
+    defenseRatings: {
+      async list() {
+        const rows = await db.query('SELECT abbr, points_allowed FROM defense_ratings ORDER BY abbr');
+        return rows.map(r => ({ abbr: r.abbr, pointsAllowed: r.points_allowed }));
+      },
+      async replaceAll(ratings) {
+        await db.transaction([
+          { text: 'DELETE FROM defense_ratings' },
+          ...ratings.map(rating => ({
+            text: 'INSERT INTO defense_ratings (abbr, points_allowed) VALUES ($1, $2)',
+            params: [rating.abbr, JSON.stringify(rating.pointsAllowed)]
+          }))
+        ]);
+        return ratings;
+      }
+    },
+
+    draftSessions: {
+      async getById(id) {
+        const [row] = await db.query(
+          `SELECT id, user_id, conversation_id, league_id, season, league_size, pick_slot, rounds, draft_type,
+                  status, current_index, available_players, created_at, updated_at
+           FROM draft_sessions WHERE id = $1`,
+          [String(id)]
+        );
+        if (!row) return null;
+
+        // Keepers share the session's start time, so they come first in overall order
+        const picks = await db.query(
+          `SELECT overall, round, pick, team_slot, keeper, player, by_user, picked_at
+           FROM draft_picks WHERE session_id = $1 ORDER BY picked_at, overall`,
+          [row.id]
+        );
+        return {
+          id: row.id,
+          user: row.user_id,
+          conversationId: row.conversation_id,
+          leagueId: row.league_id,
+          season: row.season,
+          leagueSize: row.league_size,
+          pickSlot: row.pick_slot,
+          rounds: row.rounds,
+          draftType: row.draft_type,
+          status: row.status,
+          currentIndex: row.current_index,
+          availablePlayers: row.available_players,
+          picks: picks.map(pick => ({
+            round: pick.round,
+            pick: pick.pick,
+            overall: pick.overall,
+            teamSlot: pick.team_slot,
+            ...(pick.keeper && { keeper: true }),
+            player: pick.player,
+            byUser: pick.by_user,
+            at: new Date(pick.picked_at).getTime()
+          })),
+          createdAt: new Date(row.created_at).getTime(),
+          updatedAt: new Date(row.updated_at).getTime()
+        };
+      },
+      // Upserts the session row and inserts only the picks made since the last save
+      async save(session, { picks = [] } = {}) {
+        await db.transaction([
+          {
+            text: `INSERT INTO draft_sessions (id, league_id, user_id, conversation_id, league_size, pick_slot, rounds,
+                     draft_type, status, current_index, season, available_players, created_at, updated_at)
+                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+                   ON CONFLICT (id) DO UPDATE SET
+                     conversation_id = EXCLUDED.conversation_id,
+                     status = EXCLUDED.status,
+                     current_index = EXCLUDED.current_index,
+                     available_players = EXCLUDED.available_players,
+                     updated_at = EXCLUDED.updated_at`,
+            params: [
+              session.id,
+              session.leagueId,
+              session.user ?? null,
+              session.conversationId,
+              session.leagueSize,
+              session.pickSlot,
+              session.rounds,
+              session.draftType,
+              session.status,
+              session.currentIndex,
+              session.season,
+              JSON.stringify(session.availablePlayers),
+              new Date(session.createdAt).toISOString(),
+              new Date(session.updatedAt).toISOString()
+            ]
+          },
+          ...picks.map(pick => ({
+            text: `INSERT INTO draft_picks (session_id, overall, round, pick, team_slot, keeper, player_id, player, by_user, picked_at)
+                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+            params: [
+              session.id,
+              pick.overall,
+              pick.round,
+              pick.pick,
+              pick.teamSlot,
+              Boolean(pick.keeper),
+              String(pick.player.id ?? pick.player.name),
+              JSON.stringify(pick.player),
+              pick.byUser,
+              new Date(pick.at).toISOString()
+            ]
+          }))
+        ]);
+        return session;
+      },
+      async delete(id) {
+        const rows = await db.query('DELETE FROM draft_sessions WHERE id = $1 RETURNING id', [String(id)]);
+        return rows.length > 0;
+      }
+    },
+
+    leagues: {
+      async list() {
+        const rows = await db.query('SELECT data FROM leagues ORDER BY id');
+        return rows.map(r => r.data);
+      },
+      // The league row and its fantasy_teams rows are replaced together
+      async save(league) {
+        const id = String(league.id);
+        await db.transaction([
+          {
+            text: `INSERT INTO leagues (id, data, updated_at) VALUES ($1, $2, now())
+                   ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data, updated_at = now()`,
+            params: [id, JSON.stringify(league)]
+          },
+          { text: 'DELETE FROM fantasy_teams WHERE league_id = $1', params: [id] },
+          ...(league.teams || []).map(team => ({
+            text: 'INSERT INTO fantasy_teams (league_id, endpoint, name, owner) VALUES ($1, $2, $3, $4)',
+            params: [id, team.endpoint, team.name, team.owner ?? null]
+          }))
+        ]);
+        return league;
+      },
+      async delete(id) {
+        const rows = await db.query('DELETE FROM leagues WHERE id = $1 RETURNING id', [String(id)]);
+        return rows.length > 0;
+      }
+    }
+  };
+}
+
+module.exports = { createNeonRepository, rosterChanges, canonicalJson };
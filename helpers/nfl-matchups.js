@@ -0,0 +1,146 @@
+/**
+ * NFL matchup lookup for fantasy players
+ * Finds each player's real-world game (home/away, opponent, kickoff) in a week of the schedule
+ */
+
+const { TEAM_ALIASES, findTeamByAbbr } = require('./nfl-teams');
+
+/**
+ * Get week schedule from either object or array format
+ */
+function getWeekSchedule(schedule, weekNumber) {
+  // Handle object format { "week1": [...], "week2": [...] }
+  if (schedule && typeof schedule === 'object' && !Array.isArray(schedule)) {
+    const weekKey = `week${weekNumber}`;
+    return schedule[weekKey] || null;
+  }
+  
+  // Handle array format [week1Games, week2Games, ...]
+  if (Array.isArray(schedule)) {
+    // Array index 0 = Week 1, index 17 = Week 18
+    return schedule[weekNumber - 1] || null;
+  }
+  
+  return null;
+}
+
+/**
+ * Find matchup for a team in a specific week with enhanced info
+ */
+function findMatchupForTeam(weekSchedule, teamAbbr, nflTeams) {
+  if (!weekSchedule || !Array.isArray(weekSchedule) || !teamAbbr) {
+    return null;
+  }
+
+  // Convert to uppercase for comparison
+  const upperTeamAbbr = teamAbbr.toUpperCase();
+  
+  // Find matchup where team is either home or away (considering aliases)
+  const game = weekSchedule.find(game => {
+    const homeTeam = game.homeTeam.toUpperCase();
+    const awayTeam = game.awayTeam.toUpperCase();
+    
+    // Direct match
+    if (homeTeam === upperTeamAbbr || awayTeam === upperTeamAbbr) {
+      return true;
+    }
+    
+    // Check aliases
+    const teamAlias = TEAM_ALIASES[upperTeamAbbr];
+    if (teamAlias) {
+      return homeTeam === teamAlias || awayTeam === teamAlias;
+    }
+    
+    return false;
+  });
+  
+  if (!game) {
+    return null;
+  }
+  
+  // Determine if player's team is home or away
+  const homeTeam = game.homeTeam.toUpperCase();
+  const isHome = homeTeam === upperTeamAbbr || homeTeam === TEAM_ALIASES[upperTeamAbbr];
+  const type = isHome ? 'home' : 'away';
+  
+  // Get opponent abbreviation
+  const opponentAbbr = isHome ? game.awayTeam : game.homeTeam;
+  
+  // Find opponent team object
+  let opponent = findTeamByAbbr(nflTeams, opponentAbbr);
+  
+  // Fallback if opponent not found in nflTeams
+  if (!opponent) {
+    opponent = { abbr: opponentAbbr };
+  }
+  
+  return {
+    week: game.week,
+    type: type,
+    opponent: opponent,
+    kickoff: game.kickoff || '',
+    projectedScore: game.projectedScore || '',
+    finalScore: game.finalScore || ''
+  };
+}
+
+/**
+ * Clone players with their NFL matchup for a week
+ * Players without a team or without a game that week get { week, bye: true }
+ * @param {Array<Object>} players - Players with a team object or abbreviation string
+ * @param {Object} options - Options
+ * @param {number} options.week - Week number
+ * @param {Array<Object>} options.weekSchedule - Games for the week
+ * @param {Array<Object>} options.nflTeams - Known NFL teams (for opponent logos)
+ * @returns {Array<Object>} - Players with a matchup field
+ */
+function attachMatchups(players, { week, weekSchedule, nflTeams }) {
+  return players.map(player => {
+    // Clone player to avoid mutating original data
+    const playerWithMatchup = { ...player };
+
+    // Get player's team abbreviation - handle both object and string formats
+    let playerTeamAbbr = '';
+    if (player.team) {
+      if (typeof player.team === 'object' && player.team.abbr) {
+        playerTeamAbbr = player.team.abbr;
+      } else if (typeof player.team === 'string') {
+        playerTeamAbbr = player.team;
+      }
+    }
+
+    // No team info or no game found means a bye week
+    const matchupInfo = playerTeamAbbr ? findMatchupForTeam(weekSchedule, playerTeamAbbr, nflTeams) : null;
+    playerWithMatchup.matchup = matchupInfo || { week: week, bye: true };
+
+    return playerWithMatchup;
+  });
+}
+
+/**
+ * The NFL week in progress or up next: the first week with a game that has not kicked off
+ * @param {Object|Array} schedule - Season schedule
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Reference time
+ * @param {number} [options.weeks] - Weeks in the season
+ * @returns {number} - Week number (1 when no kickoffs are loaded, the last week once the season is over)
+ */
+function findCurrentWeek(schedule, { now = new Date(), weeks = 18 } = {}) {
+  let lastLoaded = null;
+  for (let week = 1; week <= weeks; week++) {
+    const kickoffs = (getWeekSchedule(schedule, week) || [])
+      .map(game => Date.parse(game.kickoff))
+      .filter(Number.isFinite);
+    if (!kickoffs.length) continue;
+    if (kickoffs.some(kickoff => kickoff > now.getTime())) return week;
+    lastLoaded = week;
+  }
+  return lastLoaded ?? 1;
+}
+
+module.exports = {
+  getWeekSchedule,
+  findCurrentWeek,
+  findMatchupForTeam,
+  attachMatchups
+};
@@ -0,0 +1,48 @@
+/**
+ * NFL team abbreviation helpers
+ * Sources disagree on a handful of abbreviations (WAS/WSH, JAX/JAC, ...), so lookups go through the aliases
+ */
+
+// Team alias mapping for schedule matching
+const TEAM_ALIASES = {
+  'WAS': 'WSH', 'WSH': 'WAS',
+  'JAX': 'JAC', 'JAC': 'JAX',
+  'NO': 'NOR', 'NOR': 'NO',
+  'SF': 'SFO', 'SFO': 'SF',
+  'GB': 'GNB', 'GNB': 'GB',
+  'KC': 'KAN', 'KAN': 'KC',
+  'TB': 'TAM', 'TAM': 'TB',
+  'NE': 'NWE', 'NWE': 'NE',
+  'LV': 'LVR', 'LVR': 'LV',
+  'LAR': 'LA', 'LA': 'LAR'
+  // Note: LAC has no alias as specified
+};
+
+/**
+ * Find team in nflTeams array by abbreviation
+ */
+function findTeamByAbbr(teams, abbr) {
+  if (!teams || !Array.isArray(teams) || !abbr) {
+    return null;
+  }
+
+  const upperAbbr = abbr.toUpperCase();
+
+  // Direct match
+  let team = teams.find(t => t.abbr && t.abbr.toUpperCase() === upperAbbr);
+  if (team) return team;
+
+  // Check aliases
+  const alias = TEAM_ALIASES[upperAbbr];
+  if (alias) {
+    team = teams.find(t => t.abbr && t.abbr.toUpperCase() === alias);
+    if (team) return team;
+  }
+
+  return null;
+}
+
+module.exports = {
+  TEAM_ALIASES,
+  findTeamByAbbr
+};
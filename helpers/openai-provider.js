@@ -0,0 +1,253 @@
+/**
+ * OpenAI-compatible chat-completions provider
+ * Works with any /v1/chat/completions endpoint (OpenAI, vLLM, Ollama); OPENAI_AUTH_HEADER=api-key
+ * sends the key the way Azure OpenAI and proxies modelled on it expect.
+ * Chat completions are stateless, so the provider keeps each conversation's recent messages in
+ * process memory under a generated conversation id, the way Dify keeps them server-side. The store
+ * is bounded three ways: OPENAI_MAX_HISTORY messages and OPENAI_MAX_HISTORY_CHARS characters per
+ * conversation, and OPENAI_MAX_CONVERSATIONS conversations (least recently used is forgotten first).
+ * History does not survive a restart and is not shared between server instances
+ */
+
+const crypto = require('crypto');
+const { TraceLogger } = require('./dify-client');
+const { parseSse } = require('./sse-parser');
+const {
+  linkAbortSignal,
+  bufferEvents,
+  mapUpstreamError,
+  mapNetworkError
+} = require('./llm-provider');
+
+const OPENAI_API_URL = process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions';
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const OPENAI_SYSTEM_PROMPT = process.env.OPENAI_SYSTEM_PROMPT || 'You are a fantasy football draft and roster assistant.';
+// 'authorization' sends "Authorization: Bearer <key>", 'api-key' sends "api-key: <key>" (Azure)
+const OPENAI_AUTH_HEADER = (process.env.OPENAI_AUTH_HEADER || 'authorization').toLowerCase();
+// Messages and characters kept per conversation, and conversations kept before the least recent is forgotten
+const OPENAI_MAX_HISTORY = Number(process.env.OPENAI_MAX_HISTORY || 20);
+const OPENAI_MAX_HISTORY_CHARS = Number(process.env.OPENAI_MAX_HISTORY_CHARS || 200000);
+const OPENAI_MAX_CONVERSATIONS = Number(process.env.OPENAI_MAX_CONVERSATIONS || 500);
+const OPENAI_AUTH_HEADERS = ['authorization', 'api-key'];
+
+const LABEL = 'OpenAI';
+
+/**
+ * Chat-completions provider with the same interface as UnifiedDifyClient
+ */
+class OpenAIChatProvider {
+  constructor() {
+    this.apiUrl = OPENAI_API_URL;
+    this.model = OPENAI_MODEL;
+    this.conversations = new Map();
+
+    if (!OPENAI_API_KEY) {
+      console.error('[OPENAI] CRITICAL: OPENAI_API_KEY environment variable is not set');
+      throw new Error('OPENAI_API_KEY environment variable is required');
+    }
+    try {
+      new URL(this.apiUrl);
+    } catch {
+      throw new Error(`Invalid OPENAI_API_URL format: ${this.apiUrl}`);
+    }
+    if (!OPENAI_AUTH_HEADERS.includes(OPENAI_AUTH_HEADER)) {
+      throw new Error(`OPENAI_AUTH_HEADER must be one of: ${OPENAI_AUTH_HEADERS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Header carrying the API key
+   * @returns {Object} - Authorization or api-key header
+   */
+  authHeader() {
+    return OPENAI_AUTH_HEADER === 'api-key'
+      ? { 'api-key': OPENAI_API_KEY }
+      : { 'Authorization': `Bearer ${OPENAI_API_KEY}` };
+  }
+
+  /**
+   * Build the chat messages for a Dify-style body
+   * Dify apps read inputs through their prompt template; here they are appended to the query
+   * @param {Object} body - { query, inputs, conversation_id }
+   * @returns {Object} - { conversationId, messages, userMessage }
+   */
+  buildMessages(body) {
+    const conversationId = body.conversation_id || crypto.randomUUID();
+    const inputs = body.inputs && Object.keys(body.inputs).length ? body.inputs : null;
+    const userMessage = {
+      role: 'user',
+      content: inputs ? `${body.query || ''}\n\nInputs:\n${JSON.stringify(inputs)}` : String(body.query || '')
+    };
+    const history = this.conversations.get(conversationId) || [];
+    const messages = [{ role: 'system', content: OPENAI_SYSTEM_PROMPT }, ...history, userMessage];
+    return { conversationId, messages, userMessage };
+  }
+
+  /**
+   * Remember a finished exchange for the conversation
+   * Keeps the newest messages that fit both the message and character limits; an exchange larger
+   * than the character limit on its own is not kept
+   * @param {string} conversationId - Conversation id
+   * @param {Object} userMessage - User message that was sent
+   * @param {string} answer - Assistant answer
+   */
+  remember(conversationId, userMessage, answer) {
+    const history = [...(this.conversations.get(conversationId) || []), userMessage, { role: 'assistant', content: answer }]
+      .slice(-OPENAI_MAX_HISTORY);
+    let chars = history.reduce((sum, message) => sum + message.content.length, 0);
+    // Drop whole exchanges so the history never starts with an assistant message
+    while (history.length && chars > OPENAI_MAX_HISTORY_CHARS) {
+      for (const message of history.splice(0, 2)) chars -= message.content.length;
+    }
+
+    this.conversations.delete(conversationId);
+    this.conversations.set(conversationId, history);
+    while (this.conversations.size > OPENAI_MAX_CONVERSATIONS) {
+      this.conversations.delete(this.conversations.keys().next().value);
+    }
+  }
+
+  /**
+   * POST a chat-completions request
+   * @param {Array<Object>} messages - Chat messages
+   * @param {boolean} stream - Whether to stream
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {Promise<Response>} - Fetch response
+   */
+  request(messages, stream, signal) {
+    return fetch(this.apiUrl, {
+      method: 'POST',
+      headers: {
+        ...this.authHeader(),
+        'Content-Type': 'application/json',
+        ...(stream && { 'Accept': 'text/event-stream' })
+      },
+      body: JSON.stringify({ model: this.model, messages, stream }),
+      signal
+    });
+  }
+
+  /**
+   * Send a blocking chat completion
+   * @param {Object} params - { body, timeoutMs, signal, traceId }
+   * @returns {Promise<Object>} - Normalized response or shaped error
+   */
+  async postBlocking({ body, timeoutMs, signal, traceId }) {
+    const logger = new TraceLogger(traceId);
+    const controller = linkAbortSignal(signal);
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const { conversationId, messages, userMessage } = this.buildMessages(body || {});
+
+    logger.breadcrumb('openai_blocking_start', { timeoutMs, model: this.model, messages: messages.length });
+    try {
+      const response = await this.request(messages, false, controller.signal);
+      if (!response.ok) {
+        return mapUpstreamError(LABEL, response, await response.text().catch(() => ''), logger);
+      }
+
+      const completion = await response.json();
+      const answer = completion.choices?.[0]?.message?.content || '';
+      this.remember(conversationId, userMessage, answer);
+      logger.breadcrumb('openai_blocking_success', { answerLength: answer.length });
+
+      return {
+        ok: true,
+        data: {
+          event: 'message',
+          answer,
+          conversation_id: conversationId,
+          message_id: completion.id || null,
+          id: completion.id || null,
+          metadata: { usage: completion.usage || null, model: completion.model || this.model }
+        },
+        conversationId,
+        traceId: logger.traceId,
+        duration_ms: logger.elapsed()
+      };
+    } catch (error) {
+      logger.error(error, { context: 'openai_blocking' });
+      return mapNetworkError(LABEL, error, timeoutMs, logger);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Send a streaming chat completion
+   * The timeout covers connecting; callers own the lifetime of the stream through signal
+   * @param {Object} params - { body, timeoutMs, signal, traceId }
+   * @returns {Promise<Object>} - { events, controller, logger }
+   */
+  async postStreaming({ body, timeoutMs, signal, traceId }) {
+    const logger = new TraceLogger(traceId);
+    const controller = linkAbortSignal(signal);
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const { conversationId, messages, userMessage } = this.buildMessages(body || {});
+
+    logger.breadcrumb('openai_streaming_start', { timeoutMs, model: this.model, messages: messages.length });
+    let response;
+    try {
+      response = await this.request(messages, true, controller.signal);
+      if (!response.ok) {
+        throw mapUpstreamError(LABEL, response, await response.text().catch(() => ''), logger);
+      }
+    } catch (error) {
+      logger.error(error, { context: 'openai_streaming' });
+      throw mapNetworkError(LABEL, error, timeoutMs, logger);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    const provider = this;
+    async function* events() {
+      let answer = '';
+      let messageId = null;
+      let usage = null;
+      for await (const { data } of parseSse(response.body)) {
+        if (data === '[DONE]') break;
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch {
+          logger.breadcrumb('openai_parse_error', { data: data.slice(0, 100) });
+          continue;
+        }
+        messageId = chunk.id || messageId;
+        usage = chunk.usage || usage;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          answer += delta;
+          yield { event: 'message', answer: delta, conversation_id: conversationId, message_id: messageId };
+        }
+      }
+      provider.remember(conversationId, userMessage, answer);
+      yield { event: 'message_end', conversation_id: conversationId, message_id: messageId, metadata: { usage, model: provider.model } };
+    }
+
+    return { events: events(), controller, logger };
+  }
+
+  /**
+   * Stream a chat completion and return the joined answer
+   * @param {Object} params - { body, timeoutMs, signal, traceId }
+   * @returns {Promise<Object>} - Normalized response or shaped error
+   */
+  async postStreamingBuffered({ body, timeoutMs, signal, traceId }) {
+    const logger = new TraceLogger(traceId);
+    try {
+      const { events } = await this.postStreaming({ body, timeoutMs, signal, traceId: logger.traceId });
+      const data = await bufferEvents(events, body?.conversation_id || null);
+      return { ok: true, data, conversationId: data.conversation_id, traceId: logger.traceId, duration_ms: logger.elapsed() };
+    } catch (error) {
+      logger.error(error, { context: 'openai_buffering' });
+      const timedOut = error?.error === 'timeout' || error?.name === 'AbortError';
+      return { ok: false, error: timedOut ? 'timeout' : 'stream_error', message: error?.message || String(error), traceId: logger.traceId, duration_ms: logger.elapsed() };
+    }
+  }
+}
+
+module.exports = {
+  OPENAI_API_URL,
+  OpenAIChatProvider
+};
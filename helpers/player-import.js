@@ -0,0 +1,218 @@
+/**
+ * Bulk player import
+ * Parses an array or NDJSON upload of v4 player records, validates each row and
+ * upserts the valid ones by id through the data repository in one transaction
+ */
+
+const { getRepository } = require('./data-repository');
+const { findTeamByAbbr } = require('./nfl-teams');
+
+const PLAYER_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'DST'];
+const COMPETITION_LEVELS = ['Low', 'Medium', 'High'];
+const STAT_CATEGORIES = ['passing', 'rushing', 'receiving'];
+// Largest import upload, for JSON and NDJSON bodies alike
+const PLAYER_IMPORT_LIMIT = process.env.PLAYER_IMPORT_LIMIT || '5mb';
+
+// Pre-v4 field names and their replacements
+const LEGACY_FIELDS = {
+  overallRank: 'newOverallRank',
+  positionRank: 'newPositionRank',
+  teamAbbr: 'team.abbr',
+  role: 'reason',
+  attributes: 'reason',
+  riskScore: null
+};
+
+// v4 fields: validator returns an error string or null
+const FIELD_VALIDATORS = {
+  id: value => (typeof value === 'string' && value.trim()) || Number.isInteger(value)
+    ? null : 'id must be a non-empty string or integer',
+  name: value => typeof value === 'string' && value.trim() ? null : 'name must be a non-empty string',
+  position: value => PLAYER_POSITIONS.includes(value) ? null : `position must be one of ${PLAYER_POSITIONS.join(', ')}`,
+  team: value => value && typeof value === 'object' && typeof value.abbr === 'string' && value.abbr.trim()
+    ? null : 'team must be an object with an abbr',
+  newOverallRank: positiveIntegerOrNull,
+  previousOverallRank: positiveIntegerOrNull,
+  newPositionRank: positiveIntegerOrNull,
+  previousPositionRank: positiveIntegerOrNull,
+  expectedRound: positiveIntegerOrNull,
+  reason: value => value == null || typeof value === 'string' ? null : 'must be a string',
+  yearsPro: value => value == null || (Number.isInteger(value) && value >= 0) ? null : 'must be a non-negative integer',
+  newTeam: value => value == null || typeof value === 'boolean' ? null : 'must be a boolean',
+  competitionLevel: value => value == null || COMPETITION_LEVELS.includes(value)
+    ? null : `must be one of ${COMPETITION_LEVELS.join(', ')}`,
+  byeWeek: value => value == null || (Number.isInteger(value) && value >= 1 && value <= 18)
+    ? null : 'must be an integer between 1 and 18',
+  stats: validateStats
+};
+
+const REQUIRED_FIELDS = ['id', 'name', 'position', 'team'];
+
+/**
+ * @param {*} value - Field value
+ * @returns {string|null} - Error or null
+ */
+function positiveIntegerOrNull(value) {
+  return value == null || (Number.isInteger(value) && value > 0) ? null : 'must be a positive integer';
+}
+
+/**
+ * Validate a stats block: { "<season>": { predicted?: {...}, actual?: {...} } }
+ * @param {*} stats - Stats value
+ * @returns {string|null} - Error or null
+ */
+function validateStats(stats) {
+  if (stats == null) return null;
+  if (typeof stats !== 'object' || Array.isArray(stats)) return 'must be an object keyed by season';
+
+  for (const [season, lines] of Object.entries(stats)) {
+    if (!/^\d{4}$/.test(season)) return `season key '${season}' must be a four-digit year`;
+    if (!lines || typeof lines !== 'object') return `${season} must be an object`;
+
+    for (const [kind, line] of Object.entries(lines)) {
+      if (kind !== 'predicted' && kind !== 'actual') return `${season}.${kind} must be predicted or actual`;
+      if (!line || typeof line !== 'object') return `${season}.${kind} must be an object`;
+
+      for (const category of STAT_CATEGORIES) {
+        if (line[category] == null) continue;
+        const bad = Object.entries(line[category]).find(([, v]) => v !== null && !Number.isFinite(v));
+        if (bad) return `${season}.${kind}.${category}.${bad[0]} must be a number`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse an import body into rows
+ * @param {*} body - Parsed JSON (array or { players: [...] }) or NDJSON text
+ * @returns {{rows?: Array<{row: number, record?: Object, error?: string}>, error?: string}} - Rows or a body-level error
+ */
+function parseImportBody(body) {
+  if (typeof body === 'string') {
+    const rows = [];
+    body.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        rows.push({ row: index + 1, record: JSON.parse(line) });
+      } catch (error) {
+        rows.push({ row: index + 1, error: `invalid JSON: ${error.message}` });
+      }
+    });
+    return rows.length ? { rows } : { error: 'NDJSON body has no records' };
+  }
+
+  const records = Array.isArray(body) ? body : Array.isArray(body?.players) ? body.players : null;
+  if (!records) return { error: 'Body must be an array of players, { players: [...] } or NDJSON' };
+  if (records.length === 0) return { error: 'No players to import' };
+
+  return { rows: records.map((record, index) => ({ row: index + 1, record })) };
+}
+
+/**
+ * Validate a v4 player record and normalize it for storage
+ * @param {*} record - Candidate record
+ * @param {Array<Object>} nflTeams - Known NFL teams, used to resolve team.abbr
+ * @returns {{player?: Object, reasons?: Array<string>}} - Normalized player or rejection reasons
+ */
+function validatePlayerRecord(record, nflTeams) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { reasons: ['record must be a JSON object'] };
+  }
+
+  const reasons = [];
+  for (const field of REQUIRED_FIELDS) {
+    if (record[field] == null) reasons.push(`${field} is required`);
+  }
+
+  for (const [field, value] of Object.entries(record)) {
+    if (Object.hasOwn(LEGACY_FIELDS, field)) {
+      const replacement = LEGACY_FIELDS[field];
+      reasons.push(`${field} is not a v4 field${replacement ? `; use ${replacement}` : ''}`);
+      continue;
+    }
+    const validate = Object.hasOwn(FIELD_VALIDATORS, field) ? FIELD_VALIDATORS[field] : null;
+    if (!validate) {
+      reasons.push(`unknown field ${field}`);
+      continue;
+    }
+    if (value == null && REQUIRED_FIELDS.includes(field)) continue;
+    const error = validate(value);
+    if (error) reasons.push(error.startsWith(field) ? error : `${field} ${error}`);
+  }
+
+  let team = record.team;
+  if (team?.abbr && !reasons.some(r => r.startsWith('team'))) {
+    const known = findTeamByAbbr(nflTeams, team.abbr.trim());
+    if (known) {
+      team = { ...team, abbr: known.abbr, logoUrl: team.logoUrl || known.logoUrl };
+    } else {
+      reasons.push(`team.abbr '${team.abbr}' is not a known NFL team`);
+    }
+  }
+
+  if (reasons.length > 0) return { reasons };
+  return { player: { ...record, id: String(record.id).trim(), name: record.name.trim(), team } };
+}
+
+/**
+ * Validate and upsert an import
+ * Valid rows are written together; rejected rows never block the rest of the batch
+ * @param {Array<{row: number, record?: Object, error?: string}>} rows - Rows from parseImportBody
+ * @param {Object} [options] - Options
+ * @param {Object} [options.repository] - Repository (defaults to the shared one)
+ * @returns {Promise<Object>} - { summary: { received, inserted, updated, rejected }, results: [{ row, id, status, reasons? }] }
+ */
+async function importPlayers(rows, { repository = getRepository() } = {}) {
+  const nflTeams = await repository.nflTeams.list();
+  const results = [];
+  const accepted = [];
+  const rowById = new Map();
+
+  for (const { row, record, error } of rows) {
+    const id = record?.id != null ? String(record.id) : null;
+    if (error) {
+      results.push({ row, id, status: 'rejected', reasons: [error] });
+      continue;
+    }
+
+    const { player, reasons } = validatePlayerRecord(record, nflTeams);
+    if (!player) {
+      results.push({ row, id, status: 'rejected', reasons });
+    } else if (rowById.has(player.id)) {
+      results.push({ row, id: player.id, status: 'rejected', reasons: [`duplicate id; already in row ${rowById.get(player.id)}`] });
+    } else {
+      rowById.set(player.id, row);
+      const result = { row, id: player.id, status: null };
+      results.push(result);
+      accepted.push({ player, result });
+    }
+  }
+
+  if (accepted.length > 0) {
+    const outcomes = await repository.players.upsertMany(accepted.map(a => a.player));
+    const statusById = new Map(outcomes.map(o => [o.id, o.status]));
+    for (const { player, result } of accepted) {
+      result.status = statusById.get(player.id);
+    }
+  }
+
+  const count = status => results.filter(r => r.status === status).length;
+  return {
+    summary: {
+      received: rows.length,
+      inserted: count('inserted'),
+      updated: count('updated'),
+      rejected: count('rejected')
+    },
+    results
+  };
+}
+
+module.exports = {
+  PLAYER_POSITIONS,
+  PLAYER_IMPORT_LIMIT,
+  parseImportBody,
+  validatePlayerRecord,
+  importPlayers
+};
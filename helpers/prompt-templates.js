@@ -0,0 +1,192 @@
+/**
+ * Prompt template registry
+ * Prompts live in PROMPTS_DIR as prompts/<name>/v<N>.txt with {{variable}} placeholders. Strings
+ * are inserted as-is, null and undefined as nothing, and anything else as JSON; a placeholder with
+ * no matching variable is an error rather than a silent blank. {{#name}}...{{/name}} keeps its text
+ * only when name is set (not null, undefined, false, '' or an empty list); tags on lines of their
+ * own are removed with their line.
+ *
+ * The highest version of a template is used unless it is pinned. Pins come from PROMPT_VERSIONS
+ * ("draft-analyze=v1,roster-analyze=v2"), then from prompts/pins.json under the current
+ * PROMPT_ENV (defaults to NODE_ENV), so a version can be held back or rolled back per environment
+ * without a code change. Responses carry the rendered version as promptVersion ("draft-analyze@v2")
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+const PROMPT_ENV = process.env.PROMPT_ENV || process.env.NODE_ENV || 'development';
+const PROMPT_VERSIONS = process.env.PROMPT_VERSIONS || '';
+
+const VERSION_FILE = /^(v\d+)\.txt$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g;
+// Sections whose tags sit alone on their lines, then sections within a line
+const BLOCK_SECTION = /^\{\{#\s*([A-Za-z_][\w.]*)\s*\}\}\r?\n([\s\S]*?)^\{\{\/\s*\1\s*\}\}(?:\r?\n|$)/gm;
+const INLINE_SECTION = /\{\{#\s*([A-Za-z_][\w.]*)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g;
+
+let registry = null;
+
+/**
+ * Numeric part of a version name
+ * @param {string} version - Version such as v3
+ * @returns {number} - Version number
+ */
+function versionNumber(version) {
+  return Number(version.slice(1));
+}
+
+/**
+ * Parse a name=version list
+ * @param {string} spec - Comma-separated name=version pairs
+ * @returns {Object} - Template name -> version
+ */
+function parseVersionPins(spec) {
+  const pins = {};
+  for (const entry of String(spec || '').split(',')) {
+    const [name, version] = entry.split('=').map(part => part?.trim());
+    if (name && version) pins[name] = version;
+  }
+  return pins;
+}
+
+/**
+ * Read every template and the pins for the current environment
+ * @param {string} [dir] - Templates directory
+ * @returns {Object} - { templates: Map<name, Map<version, text>>, pins }
+ */
+function loadPromptTemplates(dir = PROMPTS_DIR) {
+  const templates = new Map();
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const versions = new Map();
+    for (const file of fs.readdirSync(path.join(dir, entry.name))) {
+      const version = file.match(VERSION_FILE)?.[1];
+      if (!version) continue;
+      // Editors end files with a newline that is not part of the prompt
+      versions.set(version, fs.readFileSync(path.join(dir, entry.name, file), 'utf8').replace(/\r?\n$/, ''));
+    }
+    if (versions.size) templates.set(entry.name, versions);
+  }
+
+  const pinsFile = path.join(dir, 'pins.json');
+  const filePins = fs.existsSync(pinsFile) ? JSON.parse(fs.readFileSync(pinsFile, 'utf8'))[PROMPT_ENV] || {} : {};
+  const pins = { ...filePins, ...parseVersionPins(PROMPT_VERSIONS) };
+
+  for (const [name, version] of Object.entries(pins)) {
+    if (!templates.get(name)?.has(version)) {
+      throw new Error(`Prompt pin ${name}=${version} (${PROMPT_ENV}) does not match a template file in ${dir}`);
+    }
+  }
+
+  registry = { templates, pins };
+  console.log(`[PROMPTS] Loaded ${templates.size} templates from ${dir}` +
+    (Object.keys(pins).length ? ` (pinned: ${Object.entries(pins).map(([name, version]) => `${name}@${version}`).join(', ')})` : ''));
+  return registry;
+}
+
+/**
+ * Loaded registry, reading the templates on first use
+ * @returns {Object} - { templates, pins }
+ */
+function getRegistry() {
+  return registry || loadPromptTemplates();
+}
+
+/**
+ * Version of a template that will be rendered
+ * @param {string} name - Template name
+ * @returns {string} - Version such as v2
+ */
+function activePromptVersion(name) {
+  const { templates, pins } = getRegistry();
+  const versions = templates.get(name);
+  if (!versions) {
+    throw new Error(`Unknown prompt template '${name}'. Available: ${[...templates.keys()].join(', ')}`);
+  }
+  return pins[name] || [...versions.keys()].sort((a, b) => versionNumber(b) - versionNumber(a))[0];
+}
+
+/**
+ * Look up a dotted variable path
+ * @param {Object} vars - Variables
+ * @param {string} key - Path such as player.name
+ * @returns {{found: boolean, value: *}} - Whether the path exists and its value
+ */
+function lookupVariable(vars, key) {
+  let value = vars;
+  for (const part of key.split('.')) {
+    if (value === null || typeof value !== 'object' || !(part in value)) return { found: false, value: undefined };
+    value = value[part];
+  }
+  return { found: true, value };
+}
+
+/**
+ * Whether a section variable counts as set
+ * @param {*} value - Variable value
+ * @returns {boolean} - False for null, undefined, false, '' and empty arrays
+ */
+function isSet(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== false && value !== '';
+}
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {Object} [vars] - Variables
+ * @param {Object} [options] - Options
+ * @param {string} [options.version] - Render this version instead of the active one
+ * @returns {{text: string, name: string, version: string, promptVersion: string}} - Rendered prompt
+ */
+function renderPrompt(name, vars = {}, { version } = {}) {
+  const selected = version || activePromptVersion(name);
+  const template = getRegistry().templates.get(name)?.get(selected);
+  if (template === undefined) {
+    throw new Error(`Prompt template '${name}' has no version ${selected}`);
+  }
+
+  const section = (match, key, body) => {
+    const { found, value } = lookupVariable(vars, key);
+    if (!found) {
+      throw new Error(`Prompt template ${name}@${selected} needs variable '${key}'`);
+    }
+    return isSet(value) ? body : '';
+  };
+
+  const text = template.replace(BLOCK_SECTION, section).replace(INLINE_SECTION, section).replace(PLACEHOLDER, (placeholder, key) => {
+    const { found, value } = lookupVariable(vars, key);
+    if (!found) {
+      throw new Error(`Prompt template ${name}@${selected} needs variable '${key}'`);
+    }
+    if (value === null || value === undefined) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  });
+
+  return { text, name, version: selected, promptVersion: `${name}@${selected}` };
+}
+
+/**
+ * Every template with its versions and the one in use
+ * @returns {Array<Object>} - [{ name, versions, active, pinned }]
+ */
+function listPromptTemplates() {
+  const { templates, pins } = getRegistry();
+  return [...templates.entries()].map(([name, versions]) => ({
+    name,
+    versions: [...versions.keys()].sort((a, b) => versionNumber(a) - versionNumber(b)),
+    active: activePromptVersion(name),
+    pinned: Boolean(pins[name])
+  }));
+}
+
+module.exports = {
+  PROMPTS_DIR,
+  PROMPT_ENV,
+  parseVersionPins,
+  loadPromptTemplates,
+  activePromptVersion,
+  renderPrompt,
+  listPromptTemplates
+};
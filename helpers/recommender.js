@@ -0,0 +1,246 @@
+/**
+ * Deterministic best-available recommender
+ * Ranks the available player pool for the user's roster needs without calling the LLM
+ */
+
+const { resolveScoringRules, projectedPoints } = require('./scoring');
+const { findLastInTierWarnings } = require('./tiers');
+const { getRepository } = require('./data-repository');
+const { getByeWeeks, withScheduleBye } = require('./bye-weeks');
+
+// Starting lineup the needs calculation fills before counting depth
+const DEFAULT_STARTER_NEEDS = { QB: 1, RB: 2, WR: 2, TE: 1, FLEX: 1 };
+const FLEX_POSITIONS = ['RB', 'WR', 'TE'];
+
+const COMPETITION_ADJUSTMENT = { Low: 4, Medium: 0, High: -4 };
+
+// Player pool maps keyed by the repository's player list, rebuilt when the list changes
+const playerPoolCache = new WeakMap();
+
+/**
+ * Load the player pool keyed by id
+ * @returns {Promise<Map<string, Object>>} - Players by id
+ */
+async function loadPlayerPool() {
+  const players = await getRepository().players.list();
+  if (!playerPoolCache.has(players)) {
+    playerPoolCache.set(players, new Map(players.map(p => [String(p.id), p])));
+  }
+  return playerPoolCache.get(players);
+}
+
+/**
+ * Get a player's team abbreviation from either the object or string team format
+ * @param {Object} player - Player object
+ * @returns {string} - Uppercase team abbreviation or empty string
+ */
+function teamAbbrOf(player) {
+  if (!player || !player.team) return '';
+  if (typeof player.team === 'string') return player.team.toUpperCase();
+  return (player.team.abbr || '').toUpperCase();
+}
+
+/**
+ * Merge a (possibly slimmed) client player with the full v4 record
+ * @param {Object} player - Player from the request
+ * @param {Map<string, Object>} pool - Players by id
+ * @returns {Object} - Player with v4 fields filled in
+ */
+function enrichPlayer(player, pool) {
+  const full = player && player.id != null ? pool.get(String(player.id)) : null;
+  return full ? { ...full, ...player, stats: player.stats || full.stats } : { ...player };
+}
+
+/**
+ * Work out which starting slots the user's roster still needs filled
+ * @param {Array<Object>} userRoster - Players already drafted by the user
+ * @param {Object} [starterNeeds] - Starters per position, including FLEX
+ * @returns {Object} - Open starter slots per position and the positions counted
+ */
+function computeRosterNeeds(userRoster = [], starterNeeds = DEFAULT_STARTER_NEEDS) {
+  const counts = {};
+  for (const player of userRoster) {
+    const pos = String(player?.position || player?.pos || '').toUpperCase();
+    if (pos) counts[pos] = (counts[pos] || 0) + 1;
+  }
+
+  const open = {};
+  let flexSurplus = 0;
+  for (const [pos, required] of Object.entries(starterNeeds)) {
+    if (pos === 'FLEX') continue;
+    const have = counts[pos] || 0;
+    open[pos] = Math.max(0, required - have);
+    if (FLEX_POSITIONS.includes(pos)) flexSurplus += Math.max(0, have - required);
+  }
+  open.FLEX = Math.max(0, (starterNeeds.FLEX || 0) - flexSurplus);
+
+  return { open, counts };
+}
+
+/**
+ * Score one available player for the user's current pick
+ * @param {Object} player - Enriched player
+ * @param {Object} context - Scoring context
+ * @param {number} context.round - Current round
+ * @param {Object} context.needs - Result of computeRosterNeeds
+ * @param {Set<number>} context.rosterByeWeeks - Bye weeks already on the user's roster at the player's position
+ * @param {Object} context.rules - Resolved scoring rules
+ * @param {number} context.maxPoints - Highest projected fantasy points in the pool
+ * @returns {{score: number, points: number, reasons: Array<string>}} - Score, projected points and reasons
+ */
+function scorePlayer(player, { round, needs, rosterByeWeeks, rules, maxPoints }) {
+  const reasons = [];
+  const position = String(player.position || player.pos || '').toUpperCase();
+  const rank = Number(player.newOverallRank || player.overallRank || player.adp) || 250;
+
+  // Base value: overall rank on a 0-100 scale
+  let score = Math.max(0, 100 - (rank - 1) * 0.5);
+  reasons.push(`Overall rank ${rank}${player.newPositionRank ? ` (${position}${player.newPositionRank})` : ''}`);
+
+  // Projected fantasy points, scaled against the best projection in the pool
+  const points = projectedPoints(player, rules);
+  if (points > 0 && maxPoints > 0) {
+    score += (points / maxPoints) * 30;
+    reasons.push(`Projects ${Math.round(points)} fantasy points`);
+  }
+
+  // Value relative to where the player is expected to go
+  const expectedRound = Number(player.expectedRound);
+  if (Number.isFinite(expectedRound) && Number.isFinite(round)) {
+    const delta = round - expectedRound;
+    if (delta > 0) {
+      score += Math.min(delta, 5) * 3;
+      reasons.push(`Value: expected in round ${expectedRound}, available in round ${round}`);
+    } else if (delta < -1) {
+      score += Math.max(delta, -5) * 2;
+      reasons.push(`Reach: expected in round ${expectedRound}`);
+    }
+  }
+
+  // Roster needs
+  const openAtPosition = needs.open[position] || 0;
+  if (openAtPosition > 0) {
+    score += 12;
+    reasons.push(`Fills an open ${position} starter slot`);
+  } else if (FLEX_POSITIONS.includes(position) && needs.open.FLEX > 0) {
+    score += 6;
+    reasons.push('Fills the FLEX slot');
+  } else if ((needs.counts[position] || 0) > 0) {
+    score -= 8;
+    reasons.push(`${position} starters already filled`);
+  }
+
+  // Depth chart competition
+  const competition = COMPETITION_ADJUSTMENT[player.competitionLevel];
+  if (competition) {
+    score += competition;
+    reasons.push(`${player.competitionLevel} competition for touches`);
+  }
+
+  // Stacking byes at one position leaves a hole that week
+  if (player.byeWeek != null && rosterByeWeeks.has(Number(player.byeWeek))) {
+    score -= 3;
+    reasons.push(`Shares week ${player.byeWeek} bye with a rostered ${position}`);
+  }
+
+  return { score: Math.round(score * 10) / 10, points, reasons };
+}
+
+/**
+ * Rank available players for the user's pick
+ * @param {Object} params - Parameters
+ * @param {Array<Object>} params.availablePlayers - Players still on the board
+ * @param {Array<Object>} [params.userRoster] - Players the user has drafted
+ * @param {number} [params.round] - Current round
+ * @param {number} [params.limit] - Number of suggestions to return
+ * @param {Object} [params.starterNeeds] - Starters per position, including FLEX
+ * @param {string|Object} [params.scoring] - Scoring profile passed to resolveScoringRules
+ * @returns {Promise<Object>} - { needs, tierWarnings, recommendations: [{ playerId, name, position, team, score, projectedPoints, lastInTier, reasons, ... }] }
+ */
+async function recommendPicks({ availablePlayers = [], userRoster = [], round, limit = 5, starterNeeds = DEFAULT_STARTER_NEEDS, scoring }) {
+  const pool = await loadPlayerPool();
+  const rules = resolveScoringRules(scoring);
+  // Byes come from the schedule where it settles them, so a stale stored byeWeek can't skew the advice
+  const byes = await getByeWeeks();
+  const enrich = p => withScheduleBye(enrichPlayer(p, pool), byes);
+  const drafted = new Set(userRoster.map(p => String(p?.id)));
+  const candidates = availablePlayers
+    .filter(p => p && !drafted.has(String(p.id)))
+    .map(enrich);
+
+  const rosterPlayers = userRoster.filter(Boolean).map(enrich);
+  const needs = computeRosterNeeds(rosterPlayers, starterNeeds);
+  const maxPoints = candidates.reduce((max, p) => Math.max(max, projectedPoints(p, rules)), 0);
+
+  const byesByPosition = {};
+  for (const p of rosterPlayers) {
+    const pos = String(p.position || p.pos || '').toUpperCase();
+    if (p.byeWeek == null) continue;
+    (byesByPosition[pos] ||= new Set()).add(Number(p.byeWeek));
+  }
+
+  const tierWarnings = await findLastInTierWarnings(candidates, { scoring: rules });
+  const lastInTier = new Map(tierWarnings.map(w => [w.playerId, w]));
+
+  const recommendations = candidates
+    .map(player => {
+      const position = String(player.position || player.pos || '').toUpperCase();
+      const { score, points, reasons } = scorePlayer(player, {
+        round: Number(round),
+        needs,
+        rosterByeWeeks: byesByPosition[position] || new Set(),
+        rules,
+        maxPoints
+      });
+      const tierWarning = lastInTier.get(String(player.id));
+      if (tierWarning) reasons.push(`Last ${position} left in tier ${tierWarning.tier}`);
+      return {
+        playerId: player.id != null ? String(player.id) : null,
+        name: player.name,
+        position,
+        team: teamAbbrOf(player),
+        newOverallRank: player.newOverallRank ?? null,
+        newPositionRank: player.newPositionRank ?? null,
+        expectedRound: player.expectedRound ?? null,
+        byeWeek: player.byeWeek ?? null,
+        projectedPoints: points,
+        score,
+        lastInTier: Boolean(tierWarning),
+        reasons
+      };
+    })
+    // Ties broken by points, rank, then id, so results never depend on input order
+    .sort((a, b) =>
+      b.score - a.score ||
+      b.projectedPoints - a.projectedPoints ||
+      (a.newOverallRank ?? Infinity) - (b.newOverallRank ?? Infinity) ||
+      String(a.playerId).localeCompare(String(b.playerId))
+    )
+    .slice(0, Math.max(1, Number(limit) || 5));
+
+  return { needs: needs.open, tierWarnings, recommendations };
+}
+
+/**
+ * Format recommendations as a short plain-text answer
+ * @param {Array<Object>} recommendations - Output of recommendPicks
+ * @returns {string} - Answer text
+ */
+function formatRecommendations(recommendations) {
+  if (!recommendations.length) {
+    return 'No available players to recommend.';
+  }
+
+  return recommendations
+    .map((r, i) => `${i + 1}. ${r.name} (${r.position}${r.team ? `, ${r.team}` : ''}) - score ${r.score}: ${r.reasons.join('; ')}`)
+    .join('\n');
+}
+
+module.exports = {
+  DEFAULT_STARTER_NEEDS,
+  loadPlayerPool,
+  teamAbbrOf,
+  computeRosterNeeds,
+  recommendPicks,
+  formatRecommendations
+};
@@ -0,0 +1,435 @@
+/**
+ * Roster mutations
+ * Adds free agents from the player pool, drops players, sets starters, moves players between
+ * a league's fantasy teams and settles accepted trades. Each change is checked against the
+ * league's roster slots and written together with its transaction log entries
+ */
+
+const crypto = require('crypto');
+const { getRepository, RepositoryError } = require('./data-repository');
+const { findLeagueTeam, leagueSeason } = require('./league-store');
+const { findTeamByAbbr } = require('./nfl-teams');
+const { normalizePlayerName } = require('./weekly-projection');
+const { findStarterOverflow } = require('./lineup-optimizer');
+
+// Roster changes are read-modify-write on the whole roster list, so they run one at a time in this
+// process; replaceRoster refuses writes that would undo a change another instance made meanwhile
+let rosterQueue = Promise.resolve();
+
+/**
+ * Error raised for invalid roster changes
+ */
+class RosterError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   * @param {number} status - HTTP status to surface to clients
+   */
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'RosterError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Run a roster change after any change already in progress
+ * @param {Function} fn - Async change
+ * @returns {Promise<*>} - Result of fn
+ */
+function withRosterLock(fn) {
+  const run = rosterQueue.then(fn);
+  rosterQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Whether a roster or pool entry is the player a request refers to (by id or name)
+ * @param {Object} player - Player
+ * @param {string} key - Player id or name
+ * @returns {boolean} - Match
+ */
+function matchesPlayer(player, key) {
+  if (player.id != null && String(player.id) === String(key)) return true;
+  return normalizePlayerName(player.name) === normalizePlayerName(key);
+}
+
+/**
+ * Most players a team may roster: the sum of the league's roster slots, bench included
+ * @param {Object} league - League
+ * @returns {number} - Roster size limit
+ */
+function rosterLimit(league) {
+  return Object.values(league.rosterSlots || {}).reduce((sum, count) => sum + (Number(count) || 0), 0);
+}
+
+/**
+ * Get a league team or throw
+ * @param {Object} league - League
+ * @param {string} endpoint - Team endpoint
+ * @returns {Object} - Team
+ */
+function requireTeam(league, endpoint) {
+  const team = findLeagueTeam(league, endpoint);
+  if (!team) {
+    throw new RosterError('team_not_found', `Team '${endpoint}' is not in league ${league.id}`, 404);
+  }
+  return team;
+}
+
+/**
+ * Find a player on a team's roster or throw
+ * @param {Array<Object>} players - All roster players
+ * @param {string} endpoint - Team endpoint
+ * @param {string} key - Player id or name
+ * @returns {number} - Index into players
+ */
+function requireRosterIndex(players, endpoint, key) {
+  const index = players.findIndex(p => p.fantasyTeam?.endpoint === endpoint && matchesPlayer(p, key));
+  if (index === -1) {
+    throw new RosterError('player_not_on_roster', `${key} is not on ${endpoint}'s roster`, 404);
+  }
+  return index;
+}
+
+/**
+ * Throw when a team's starters would not fit the league's starting slots
+ * @param {Object} league - League
+ * @param {Array<Object>} teamPlayers - The team's roster after the change
+ */
+function assertStartersFit(league, teamPlayers) {
+  const overflow = findStarterOverflow(teamPlayers.filter(p => p.starter), league.rosterSlots);
+  if (overflow.length) {
+    const detail = overflow.map(o => `${o.slot} ${o.starters}/${o.allowed}`).join(', ');
+    throw new RosterError('lineup_full', `Starters do not fit the league's starting slots (${detail})`, 409);
+  }
+}
+
+/**
+ * Throw when a team has no room for another player
+ * @param {Object} league - League
+ * @param {Array<Object>} players - All roster players
+ * @param {string} endpoint - Team endpoint
+ */
+function assertRosterRoom(league, players, endpoint) {
+  const limit = rosterLimit(league);
+  const size = players.filter(p => p.fantasyTeam?.endpoint === endpoint).length;
+  if (size >= limit) {
+    throw new RosterError('roster_full', `${endpoint} already has ${size} of ${limit} roster spots filled`, 409);
+  }
+}
+
+/**
+ * Build a transaction log entry
+ * @param {Object} league - League
+ * @param {string} type - add, drop, starter, move or trade
+ * @param {string} team - Team endpoint
+ * @param {Object} player - Roster player
+ * @param {Object} [extra] - Type-specific fields (toTeam, starter, tradeId)
+ * @returns {Object} - Transaction
+ */
+function buildTransaction(league, type, team, player, extra = {}) {
+  return {
+    id: crypto.randomUUID(),
+    leagueId: league.id,
+    season: leagueSeason(league),
+    type,
+    team,
+    ...extra,
+    player: { id: player.id ?? null, name: player.name, position: player.position, team: player.team?.abbr ?? null },
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Save a new roster list made from the list read at the start of the change
+ * @param {Array<Object>} players - All roster players
+ * @param {Array<Object>} expected - Roster list the change was made from
+ * @param {Object} [changes] - { transactions?, trades?, claims? } written with the roster
+ * @returns {Promise<Array<Object>>} - The roster list
+ */
+async function replaceRoster(players, expected, changes = {}) {
+  try {
+    return await getRepository().rosters.replacePlayers(players, { ...changes, expected });
+  } catch (error) {
+    // Another instance wrote the roster after it was read
+    if (error instanceof RepositoryError && error.code === 'roster_conflict') {
+      throw new RosterError(error.code, error.message, error.status);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save the roster list with its transaction and log the change
+ * @param {Array<Object>} players - All roster players
+ * @param {Array<Object>} expected - Roster list the change was made from
+ * @param {Object} transaction - Transaction log entry
+ * @returns {Promise<Object>} - The transaction
+ */
+async function commitRosterChange(players, expected, transaction) {
+  await replaceRoster(players, expected, { transactions: [transaction] });
+  console.log(`[ROSTER] ${transaction.type} ${transaction.player.name} (${transaction.team}${transaction.toTeam ? ` -> ${transaction.toTeam}` : ''})`);
+  return transaction;
+}
+
+/**
+ * Find one player in the pool by id or name
+ * @param {Array<Object>} pool - Player pool
+ * @param {string} key - Player id or name
+ * @param {string} [position] - Position to narrow a name match
+ * @returns {Object} - Pool player
+ */
+function findPoolPlayer(pool, key, position) {
+  const wanted = position ? String(position).toUpperCase() : null;
+  const candidates = pool.filter(p => matchesPlayer(p, key) && (!wanted || p.position === wanted));
+  if (candidates.length === 0) {
+    throw new RosterError('player_not_found', `${key} is not in the player pool`, 404);
+  }
+  if (candidates.length > 1) {
+    throw new RosterError('ambiguous_player', `${key} matches ${candidates.length} players; pass playerId or position`, 409);
+  }
+  return candidates[0];
+}
+
+/**
+ * The roster entry holding a pool player in a league; free agents have none
+ * @param {Array<Object>} players - All roster players
+ * @param {Object} league - League
+ * @param {Object} poolPlayer - Pool player
+ * @returns {Object|null} - Roster entry or null
+ */
+function findRosterOwner(players, league, poolPlayer) {
+  const leagueEndpoints = new Set(league.teams.map(t => t.endpoint));
+  return players.find(p =>
+    leagueEndpoints.has(p.fantasyTeam?.endpoint) &&
+    (matchesPlayer(p, poolPlayer.id) || (matchesPlayer(p, poolPlayer.name) && p.position === poolPlayer.position))
+  ) || null;
+}
+
+/**
+ * Roster entry for a pool player joining a team's bench
+ * @param {Object} poolPlayer - Pool player
+ * @param {Object} team - League team
+ * @param {Array<Object>} nflTeams - Known NFL teams (for the logo)
+ * @returns {Object} - Roster player
+ */
+function toRosterEntry(poolPlayer, team, nflTeams) {
+  const nflTeam = findTeamByAbbr(nflTeams, poolPlayer.team?.abbr);
+  return {
+    id: poolPlayer.id,
+    name: poolPlayer.name,
+    position: poolPlayer.position,
+    fantasyTeam: { owner: team.owner, name: team.name, endpoint: team.endpoint },
+    team: { abbr: nflTeam?.abbr || poolPlayer.team?.abbr, logoUrl: nflTeam?.logoUrl || '' },
+    starter: false
+  };
+}
+
+/**
+ * Add a free agent from the player pool to a team
+ * @param {Object} league - League
+ * @param {string} endpoint - Team endpoint
+ * @param {Object} input - { playerId } or { name, position? }, plus optional starter flag
+ * @returns {Promise<Object>} - { player, transaction }
+ */
+function addPlayer(league, endpoint, input = {}) {
+  return withRosterLock(async () => {
+    const team = requireTeam(league, endpoint);
+    const key = input.playerId ?? input.name;
+    if (key == null || String(key).trim() === '') {
+      throw new RosterError('invalid_player', 'playerId or name is required');
+    }
+    if (input.starter !== undefined && typeof input.starter !== 'boolean') {
+      throw new RosterError('invalid_starter', 'starter must be a boolean');
+    }
+
+    const repository = getRepository();
+    const [pool, players, nflTeams] = await Promise.all([
+      repository.players.list(),
+      repository.rosters.listPlayers(),
+      repository.nflTeams.list()
+    ]);
+
+    const poolPlayer = findPoolPlayer(pool, key, input.position);
+    const owner = findRosterOwner(players, league, poolPlayer);
+    if (owner) {
+      throw new RosterError('player_rostered', `${poolPlayer.name} is already on ${owner.fantasyTeam.endpoint}'s roster`, 409);
+    }
+    assertRosterRoom(league, players, endpoint);
+
+    const player = { ...toRosterEntry(poolPlayer, team, nflTeams), starter: input.starter === true };
+    const next = [...players, player];
+    if (player.starter) {
+      assertStartersFit(league, next.filter(p => p.fantasyTeam?.endpoint === endpoint));
+    }
+
+    const transaction = await commitRosterChange(next, players, buildTransaction(league, 'add', endpoint, player));
+    return { player, transaction };
+  });
+}
+
+/**
+ * Drop a player from a team, returning them to free agency
+ * @param {Object} league - League
+ * @param {string} endpoint - Team endpoint
+ * @param {string} key - Player id or name
+ * @returns {Promise<Object>} - { player, transaction }
+ */
+function dropPlayer(league, endpoint, key) {
+  return withRosterLock(async () => {
+    requireTeam(league, endpoint);
+    const players = await getRepository().rosters.listPlayers();
+    const index = requireRosterIndex(players, endpoint, key);
+    const player = players[index];
+
+    const next = players.filter((_, i) => i !== index);
+    const transaction = await commitRosterChange(next, players, buildTransaction(league, 'drop', endpoint, player));
+    return { player, transaction };
+  });
+}
+
+/**
+ * Move a player into or out of the starting lineup
+ * @param {Object} league - League
+ * @param {string} endpoint - Team endpoint
+ * @param {string} key - Player id or name
+ * @param {boolean} starter - New starter flag
+ * @returns {Promise<Object>} - { player, transaction } (transaction is null when nothing changed)
+ */
+function setStarter(league, endpoint, key, starter) {
+  return withRosterLock(async () => {
+    requireTeam(league, endpoint);
+    if (typeof starter !== 'boolean') {
+      throw new RosterError('invalid_starter', 'starter must be a boolean');
+    }
+
+    const players = await getRepository().rosters.listPlayers();
+    const index = requireRosterIndex(players, endpoint, key);
+    if (Boolean(players[index].starter) === starter) {
+      return { player: players[index], transaction: null };
+    }
+
+    const player = { ...players[index], starter };
+    const next = players.map((p, i) => (i === index ? player : p));
+    if (starter) {
+      assertStartersFit(league, next.filter(p => p.fantasyTeam?.endpoint === endpoint));
+    }
+
+    const transaction = await commitRosterChange(next, players, buildTransaction(league, 'starter', endpoint, player, { starter }));
+    return { player, transaction };
+  });
+}
+
+/**
+ * Move a player to another team in the same league; they join the new team on the bench
+ * @param {Object} league - League
+ * @param {string} endpoint - Current team endpoint
+ * @param {string} key - Player id or name
+ * @param {string} toEndpoint - Destination team endpoint
+ * @returns {Promise<Object>} - { player, transaction }
+ */
+function movePlayer(league, endpoint, key, toEndpoint) {
+  return withRosterLock(async () => {
+    requireTeam(league, endpoint);
+    const toTeam = requireTeam(league, toEndpoint);
+    if (toEndpoint === endpoint) {
+      throw new RosterError('invalid_move', `${key} is already on ${endpoint}`);
+    }
+
+    const players = await getRepository().rosters.listPlayers();
+    const index = requireRosterIndex(players, endpoint, key);
+    assertRosterRoom(league, players, toEndpoint);
+
+    const player = {
+      ...players[index],
+      fantasyTeam: { owner: toTeam.owner, name: toTeam.name, endpoint: toTeam.endpoint },
+      starter: false
+    };
+    const next = players.map((p, i) => (i === index ? player : p));
+    const transaction = await commitRosterChange(
+      next,
+      players,
+      buildTransaction(league, 'move', endpoint, player, { toTeam: toEndpoint })
+    );
+    return { player, transaction };
+  });
+}
+
+/**
+ * Swap a trade's players between the two rosters and store the settled trade in the same write
+ * Traded players join their new team on the bench. Call inside withRosterLock
+ * @param {Object} league - League
+ * @param {Object} trade - { id, fromTeam, toTeam, give, receive } with player refs { id, name }
+ * @param {Object} settled - Trade record to save with the roster change
+ * @returns {Promise<Array<Object>>} - Transaction log entries, one per player moved
+ */
+async function applyTrade(league, trade, settled) {
+  const from = requireTeam(league, trade.fromTeam);
+  const to = requireTeam(league, trade.toTeam);
+  const players = await getRepository().rosters.listPlayers();
+  const next = [...players];
+
+  const moves = [
+    ...trade.give.map(ref => ({ ref, source: from, target: to })),
+    ...trade.receive.map(ref => ({ ref, source: to, target: from }))
+  ];
+  const transactions = moves.map(({ ref, source, target }) => {
+    const index = players.findIndex(p => p.fantasyTeam?.endpoint === source.endpoint && matchesPlayer(p, ref.id ?? ref.name));
+    if (index === -1) {
+      throw new RosterError('trade_stale', `${ref.name} is no longer on ${source.endpoint}'s roster`, 409);
+    }
+    next[index] = {
+      ...players[index],
+      fantasyTeam: { owner: target.owner, name: target.name, endpoint: target.endpoint },
+      starter: false
+    };
+    return buildTransaction(league, 'trade', source.endpoint, next[index], { toTeam: target.endpoint, tradeId: trade.id });
+  });
+
+  // Uneven trades may not push the team getting more players past the roster limit
+  const limit = rosterLimit(league);
+  for (const endpoint of [from.endpoint, to.endpoint]) {
+    const before = players.filter(p => p.fantasyTeam?.endpoint === endpoint).length;
+    const after = next.filter(p => p.fantasyTeam?.endpoint === endpoint).length;
+    if (after > before && after > limit) {
+      throw new RosterError('roster_full', `${endpoint} would have ${after} of ${limit} roster spots filled`, 409);
+    }
+  }
+
+  await replaceRoster(next, players, { transactions, trades: [settled] });
+  console.log(`[ROSTER] trade ${trade.id}: ${moves.length} players between ${from.endpoint} and ${to.endpoint}`);
+  return transactions;
+}
+
+/**
+ * A team's transaction log, newest first
+ * @param {Object} league - League
+ * @param {string} endpoint - Team endpoint
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit] - Most entries to return
+ * @returns {Promise<Array<Object>>} - Transactions
+ */
+async function listTransactions(league, endpoint, { limit = 50 } = {}) {
+  requireTeam(league, endpoint);
+  return getRepository().transactions.list({ leagueId: league.id, team: endpoint, limit });
+}
+
+module.exports = {
+  RosterError,
+  withRosterLock,
+  replaceRoster,
+  matchesPlayer,
+  rosterLimit,
+  findPoolPlayer,
+  findRosterOwner,
+  toRosterEntry,
+  buildTransaction,
+  addPlayer,
+  dropPlayer,
+  setStarter,
+  movePlayer,
+  applyTrade,
+  listTransactions
+};
@@ -0,0 +1,221 @@
+/**
+ * Regular season schedule import
+ * Parses a season from CSV or JSON, validates it against the NFL team list and
+ * normalizes it to the { week1: [...], ..., week18: [...] } shape the schedule store serves
+ */
+
+const { findTeamByAbbr } = require('./nfl-teams');
+
+const REGULAR_SEASON_WEEKS = 18;
+const GAMES_PER_TEAM = 17;
+
+// CSV header spellings accepted for each game field
+const CSV_COLUMNS = {
+  week: ['week', 'wk'],
+  homeTeam: ['hometeam', 'home_team', 'home'],
+  awayTeam: ['awayteam', 'away_team', 'away'],
+  kickoff: ['kickoff', 'kickoff_time', 'start', 'date'],
+  projectedScore: ['projectedscore', 'projected_score'],
+  finalScore: ['finalscore', 'final_score']
+};
+
+// ISO 8601 date-time with an explicit UTC offset, so kickoffs are never read in the server's local zone
+const KICKOFF_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Split CSV text into rows of fields (handles quoted fields and escaped quotes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+/**
+ * Parse schedule CSV with a header row into game objects
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - Games with a source line number
+ */
+function gamesFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error('CSV is empty');
+
+  const normalizedHeader = header.map(h => h.trim().toLowerCase());
+  const columns = {};
+  for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+    const index = normalizedHeader.findIndex(h => names.includes(h));
+    if (index !== -1) columns[field] = index;
+  }
+  const missing = ['week', 'homeTeam', 'awayTeam', 'kickoff'].filter(f => columns[f] == null);
+  if (missing.length) throw new Error(`CSV header is missing columns: ${missing.join(', ')}`);
+
+  return rows.map((row, index) => {
+    const game = { line: index + 2 };
+    for (const [field, col] of Object.entries(columns)) {
+      game[field] = (row[col] ?? '').trim();
+    }
+    return game;
+  });
+}
+
+/**
+ * Flatten a JSON schedule: { week1: [...] }, [[week1 games], ...] or a flat array of games
+ * @param {*} data - Parsed JSON
+ * @returns {Array<Object>} - Games
+ */
+function gamesFromJson(data) {
+  if (Array.isArray(data)) {
+    if (data.every(Array.isArray)) {
+      return data.flatMap((games, index) => games.map(g => ({ week: index + 1, ...g })));
+    }
+    return data;
+  }
+  if (data && typeof data === 'object') {
+    return Object.entries(data).flatMap(([key, games]) => {
+      const week = Number(String(key).replace(/^week/i, ''));
+      return Array.isArray(games) ? games.map(g => ({ week, ...g })) : [];
+    });
+  }
+  throw new Error('JSON schedule must be an object keyed by week or an array');
+}
+
+/**
+ * Parse schedule file contents
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<Object>} - Raw games
+ */
+function parseScheduleFile(text, format) {
+  if (format === 'csv') return gamesFromCsv(text);
+  if (format === 'json') return gamesFromJson(JSON.parse(text));
+  throw new Error(`Unknown schedule format '${format}'. Use csv or json`);
+}
+
+/**
+ * Validate raw games and build the stored season
+ * Every week 1-18 must have games, each team plays at most once per week (otherwise it is on bye),
+ * kickoffs must be ISO 8601 with an offset and abbreviations must resolve to a team in nflTeams
+ * @param {Array<Object>} games - Raw games
+ * @param {Array<Object>} nflTeams - Known NFL teams
+ * @param {Object} [options] - Options
+ * @param {number} [options.weeks] - Number of regular season weeks
+ * @returns {Object} - { season, byes: { week1: [abbr] }, errors: [string], warnings: [string] }
+ */
+function validateSeason(games, nflTeams, { weeks = REGULAR_SEASON_WEEKS } = {}) {
+  const errors = [];
+  const warnings = [];
+  const gamesByWeek = {};
+  const playing = new Map();
+  const gamesByTeam = new Map(nflTeams.map(t => [t.abbr, 0]));
+
+  games.forEach((game, index) => {
+    const where = game.line ? `line ${game.line}` : `game ${index + 1}`;
+    const week = Number(game.week);
+    const problems = [];
+
+    if (!Number.isInteger(week) || week < 1 || week > weeks) {
+      problems.push(`week '${game.week}' must be an integer between 1 and ${weeks}`);
+    }
+
+    const home = findTeamByAbbr(nflTeams, game.homeTeam ? String(game.homeTeam).trim() : '');
+    const away = findTeamByAbbr(nflTeams, game.awayTeam ? String(game.awayTeam).trim() : '');
+    if (!home) problems.push(`home team '${game.homeTeam ?? ''}' does not resolve to an NFL team`);
+    if (!away) problems.push(`away team '${game.awayTeam ?? ''}' does not resolve to an NFL team`);
+    if (home && away && home.abbr === away.abbr) problems.push(`${home.abbr} cannot play itself`);
+
+    const kickoff = game.kickoff ? String(game.kickoff).trim() : '';
+    if (!KICKOFF_PATTERN.test(kickoff) || Number.isNaN(Date.parse(kickoff))) {
+      problems.push(`kickoff '${kickoff}' must be an ISO 8601 date-time with a UTC offset`);
+    }
+
+    if (problems.length) {
+      errors.push(...problems.map(p => `${where}: ${p}`));
+      return;
+    }
+
+    const teamsThisWeek = playing.get(week) || new Map();
+    playing.set(week, teamsThisWeek);
+    for (const team of [home.abbr, away.abbr]) {
+      if (teamsThisWeek.has(team)) {
+        errors.push(`${where}: ${team} already plays in week ${week} (${teamsThisWeek.get(team)})`);
+        return;
+      }
+    }
+    teamsThisWeek.set(home.abbr, where);
+    teamsThisWeek.set(away.abbr, where);
+    gamesByTeam.set(home.abbr, gamesByTeam.get(home.abbr) + 1);
+    gamesByTeam.set(away.abbr, gamesByTeam.get(away.abbr) + 1);
+
+    (gamesByWeek[week] ||= []).push({
+      week,
+      homeTeam: home.abbr,
+      awayTeam: away.abbr,
+      kickoff,
+      projectedScore: game.projectedScore || '',
+      finalScore: game.finalScore || ''
+    });
+  });
+
+  // Built in week order regardless of input order
+  const season = {};
+  const byes = {};
+  for (let week = 1; week <= weeks; week++) {
+    const key = `week${week}`;
+    if (!gamesByWeek[week]) {
+      errors.push(`week ${week} has no games`);
+      continue;
+    }
+    season[key] = gamesByWeek[week].sort((a, b) => Date.parse(a.kickoff) - Date.parse(b.kickoff));
+    const teamsThisWeek = playing.get(week);
+    byes[key] = nflTeams.map(t => t.abbr).filter(abbr => !teamsThisWeek.has(abbr));
+  }
+
+  for (const [abbr, count] of gamesByTeam) {
+    if (count !== GAMES_PER_TEAM) warnings.push(`${abbr} plays ${count} games (expected ${GAMES_PER_TEAM})`);
+  }
+
+  return { season, byes, errors, warnings };
+}
+
+module.exports = {
+  REGULAR_SEASON_WEEKS,
+  parseCsv,
+  parseScheduleFile,
+  validateSeason
+};
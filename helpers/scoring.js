@@ -0,0 +1,192 @@
+/**
+ * Fantasy points scoring engine
+ * Turns predicted/actual passing, rushing and receiving stat lines into fantasy points
+ * using a configurable league scoring profile
+ */
+
+const DEFAULT_SCORING_PROFILE = process.env.SCORING_PROFILE || 'half-ppr';
+const PROJECTION_SEASON = process.env.PROJECTION_SEASON || '2025';
+
+// Points per stat; yardage values are points per yard
+const BASE_RULES = {
+  passYards: 0.04,
+  passTD: 4,
+  interception: -2,
+  rushYards: 0.1,
+  rushTD: 6,
+  reception: 0,
+  recYards: 0.1,
+  recTD: 6,
+  bonus40PlusTD: 0,
+  bonus200PlusGame: 0,
+  bonus400PassGame: 0
+};
+
+// Named presets; several can be combined ("ppr,6pt-pass-td,bonuses")
+const SCORING_PRESETS = {
+  'standard': {},
+  'half-ppr': { reception: 0.5 },
+  'ppr': { reception: 1 },
+  '6pt-pass-td': { passTD: 6 },
+  'bonuses': { bonus40PlusTD: 2, bonus200PlusGame: 3, bonus400PassGame: 3 }
+};
+
+const PRESET_ALIASES = {
+  'std': 'standard',
+  'non-ppr': 'standard',
+  'half': 'half-ppr',
+  'halfppr': 'half-ppr',
+  '0.5ppr': 'half-ppr',
+  'full-ppr': 'ppr',
+  '6pt': '6pt-pass-td',
+  'six-pt-pass-td': '6pt-pass-td',
+  'bonus': 'bonuses'
+};
+
+/**
+ * Resolve a scoring profile into a complete rules object
+ * @param {string|Array<string>|Object} [profile] - Preset name(s), comma list, or rules overrides
+ * @param {Object} [overrides] - Extra rule overrides applied last
+ * @returns {Object} - Complete scoring rules with the preset names that were applied
+ */
+function resolveScoringRules(profile = DEFAULT_SCORING_PROFILE, overrides = {}) {
+  let presetNames = [];
+  let inlineRules = {};
+
+  if (profile && typeof profile === 'object' && !Array.isArray(profile)) {
+    presetNames = profile.preset ? [].concat(profile.preset) : [];
+    inlineRules = profile.rules || profile;
+  } else if (Array.isArray(profile)) {
+    presetNames = profile;
+  } else if (profile) {
+    presetNames = String(profile).split(',');
+  }
+
+  // Already-resolved rules keep the preset names they were built from
+  const applied = !presetNames.length && Array.isArray(inlineRules.presets) ? [...inlineRules.presets] : [];
+  let rules = { ...BASE_RULES };
+  for (const rawName of presetNames) {
+    const key = String(rawName).toLowerCase().trim();
+    const name = PRESET_ALIASES[key] || key;
+    if (!name) continue;
+    if (!SCORING_PRESETS[name]) {
+      const error = new Error(`Unknown scoring profile: ${rawName}. Valid profiles: ${Object.keys(SCORING_PRESETS).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    rules = { ...rules, ...SCORING_PRESETS[name] };
+    applied.push(name);
+  }
+
+  // Only numeric rule keys are taken from inline objects and overrides
+  for (const source of [inlineRules, overrides]) {
+    for (const key of Object.keys(BASE_RULES)) {
+      if (source && typeof source[key] === 'number' && Number.isFinite(source[key])) {
+        rules[key] = source[key];
+      }
+    }
+  }
+
+  return { ...rules, presets: applied };
+}
+
+/**
+ * Score a single stat line (one season of predicted or actual stats)
+ * @param {Object} statLine - { gamesPlayed, passing, rushing, receiving }
+ * @param {Object} rules - Resolved scoring rules
+ * @returns {{points: number, breakdown: Object}} - Total points and per-category points
+ */
+function scoreStatLine(statLine, rules) {
+  const passing = statLine?.passing || {};
+  const rushing = statLine?.rushing || {};
+  const receiving = statLine?.receiving || {};
+
+  const breakdown = {
+    passing: (passing.yards || 0) * rules.passYards
+      + (passing.touchdowns || 0) * rules.passTD
+      + (passing.interceptions || 0) * rules.interception,
+    rushing: (rushing.yards || 0) * rules.rushYards
+      + (rushing.touchdowns || 0) * rules.rushTD,
+    receiving: (receiving.receptions || 0) * rules.reception
+      + (receiving.yards || 0) * rules.recYards
+      + (receiving.touchdowns || 0) * rules.recTD,
+    bonus: ((passing['40PlusTDs'] || 0) + (rushing['40PlusTDs'] || 0) + (receiving['40PlusTDs'] || 0)) * rules.bonus40PlusTD
+      + ((rushing['200PlusGames'] || 0) + (receiving['200PlusGames'] || 0)) * rules.bonus200PlusGame
+      + (passing['400PlusGames'] || 0) * rules.bonus400PassGame
+  };
+
+  for (const key of Object.keys(breakdown)) {
+    breakdown[key] = round2(breakdown[key]);
+  }
+
+  return {
+    points: round2(breakdown.passing + breakdown.rushing + breakdown.receiving + breakdown.bonus),
+    breakdown
+  };
+}
+
+/**
+ * Compute season and per-game fantasy points for a player
+ * @param {Object} player - Player with a stats block keyed by season
+ * @param {Object} [options] - Options
+ * @param {Object} [options.rules] - Resolved scoring rules (defaults to the default profile)
+ * @param {string} [options.season] - Season key (defaults to PROJECTION_SEASON for predicted, latest for actual)
+ * @param {string} [options.kind] - 'predicted' or 'actual'
+ * @returns {Object|null} - { season, kind, points, perGame, gamesPlayed, breakdown } or null when no stats exist
+ */
+function computePlayerPoints(player, { rules = resolveScoringRules(), season, kind = 'predicted' } = {}) {
+  const stats = player?.stats;
+  if (!stats || typeof stats !== 'object') return null;
+
+  let seasonKey = season ? String(season) : null;
+  if (!seasonKey) {
+    seasonKey = kind === 'predicted' && stats[PROJECTION_SEASON]?.predicted
+      ? PROJECTION_SEASON
+      : Object.keys(stats).filter(s => stats[s]?.[kind]).sort().pop();
+  }
+
+  const statLine = seasonKey ? stats[seasonKey]?.[kind] : null;
+  if (!statLine) return null;
+
+  const { points, breakdown } = scoreStatLine(statLine, rules);
+  const gamesPlayed = Number(statLine.gamesPlayed) || 0;
+
+  return {
+    season: seasonKey,
+    kind,
+    points,
+    perGame: gamesPlayed > 0 ? round2(points / gamesPlayed) : 0,
+    gamesPlayed,
+    breakdown
+  };
+}
+
+/**
+ * Projected season points for a player, or 0 when no projection exists
+ * @param {Object} player - Player with stats
+ * @param {Object} [rules] - Resolved scoring rules
+ * @returns {number} - Projected season points
+ */
+function projectedPoints(player, rules = resolveScoringRules()) {
+  return computePlayerPoints(player, { rules, kind: 'predicted' })?.points || 0;
+}
+
+/**
+ * Round to two decimals
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  BASE_RULES,
+  SCORING_PRESETS,
+  DEFAULT_SCORING_PROFILE,
+  PROJECTION_SEASON,
+  resolveScoringRules,
+  scoreStatLine,
+  computePlayerPoints,
+  projectedPoints
+};
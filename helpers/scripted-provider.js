@@ -0,0 +1,163 @@
+/**
+ * Local scripted provider
+ * Answers from a JSON script instead of a model so handlers can run offline and deterministically.
+ * LLM_SCRIPT_FILE maps an action name (or "default") to an answer string or to
+ * { answer, delayMs, error: { status, message } }. Without a script every action gets a short
+ * canned answer that echoes the start of the query
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { TraceLogger } = require('./dify-client');
+const { bufferEvents } = require('./llm-provider');
+
+const LLM_SCRIPT_FILE = process.env.LLM_SCRIPT_FILE || '';
+// Pause between streamed words
+const LLM_SCRIPTED_DELAY_MS = Number(process.env.LLM_SCRIPTED_DELAY_MS || 20);
+
+/**
+ * Load the answer script
+ * @param {string} file - Path to the JSON script
+ * @returns {Object} - Action -> entry
+ */
+function loadScript(file) {
+  if (!file) return {};
+  const script = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!script || typeof script !== 'object' || Array.isArray(script)) {
+    throw new Error(`LLM_SCRIPT_FILE ${file} must contain a JSON object keyed by action`);
+  }
+  return script;
+}
+
+/**
+ * Wait, rejecting early if the signal aborts
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+/**
+ * Scripted provider with the same interface as UnifiedDifyClient
+ */
+class ScriptedProvider {
+  /**
+   * @param {Object} [script] - Action -> entry (defaults to LLM_SCRIPT_FILE)
+   */
+  constructor(script = loadScript(LLM_SCRIPT_FILE)) {
+    this.script = script;
+  }
+
+  /**
+   * Script entry for a request
+   * @param {string} [action] - Action name
+   * @param {Object} body - Request body
+   * @returns {Object} - { answer, delayMs, error }
+   */
+  entryFor(action, body) {
+    const name = action || body.inputs?.action || 'default';
+    const entry = this.script[name] ?? this.script.default;
+    if (typeof entry === 'string') return { answer: entry, delayMs: LLM_SCRIPTED_DELAY_MS };
+    return {
+      answer: entry?.answer ?? `Scripted answer for ${name}: ${String(body.query || '').slice(0, 200)}`,
+      delayMs: entry?.delayMs ?? LLM_SCRIPTED_DELAY_MS,
+      error: entry?.error || null
+    };
+  }
+
+  /**
+   * Shaped error for a scripted failure
+   * @param {Object} error - { status, message }
+   * @param {TraceLogger} logger - Logger instance
+   * @returns {Object} - Shaped error
+   */
+  scriptedError(error, logger) {
+    const status = Number(error.status) || 502;
+    return {
+      ok: false,
+      status,
+      error: status === 504 ? 'timeout' : status >= 500 ? 'upstream_error' : 'bad_request',
+      message: error.message || 'Scripted failure',
+      traceId: logger.traceId,
+      duration_ms: logger.elapsed()
+    };
+  }
+
+  /**
+   * Answer in one response
+   * @param {Object} params - { body, signal, traceId, action }
+   * @returns {Promise<Object>} - Normalized response or shaped error
+   */
+  async postBlocking({ body = {}, signal, traceId, action }) {
+    const logger = new TraceLogger(traceId);
+    const { answer, error } = this.entryFor(action, body);
+    if (error) return this.scriptedError(error, logger);
+    if (signal?.aborted) {
+      return { ok: false, status: 504, error: 'timeout', message: 'Request aborted', traceId: logger.traceId, duration_ms: logger.elapsed() };
+    }
+
+    const conversationId = body.conversation_id || crypto.randomUUID();
+    return {
+      ok: true,
+      data: { event: 'message', answer, conversation_id: conversationId, message_id: crypto.randomUUID(), metadata: { provider: 'scripted' } },
+      conversationId,
+      traceId: logger.traceId,
+      duration_ms: logger.elapsed()
+    };
+  }
+
+  /**
+   * Stream the answer a word at a time
+   * @param {Object} params - { body, signal, traceId, action }
+   * @returns {Promise<Object>} - { events, controller, logger }
+   */
+  async postStreaming({ body = {}, signal, traceId, action }) {
+    const logger = new TraceLogger(traceId);
+    const { answer, delayMs, error } = this.entryFor(action, body);
+    if (error) throw this.scriptedError(error, logger);
+
+    const controller = new AbortController();
+    signal?.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    const conversationId = body.conversation_id || crypto.randomUUID();
+    const messageId = crypto.randomUUID();
+
+    async function* events() {
+      for (const word of answer.match(/\S+\s*/g) || []) {
+        await sleep(delayMs, controller.signal);
+        yield { event: 'message', answer: word, conversation_id: conversationId, message_id: messageId };
+      }
+      yield { event: 'message_end', conversation_id: conversationId, message_id: messageId, metadata: { provider: 'scripted' } };
+    }
+
+    return { events: events(), controller, logger };
+  }
+
+  /**
+   * Stream the answer and return it joined
+   * @param {Object} params - { body, signal, traceId, action }
+   * @returns {Promise<Object>} - Normalized response or shaped error
+   */
+  async postStreamingBuffered(params) {
+    const logger = new TraceLogger(params.traceId);
+    try {
+      const { events } = await this.postStreaming({ ...params, traceId: logger.traceId });
+      const data = await bufferEvents(events, params.body?.conversation_id || null);
+      return { ok: true, data, conversationId: data.conversation_id, traceId: logger.traceId, duration_ms: logger.elapsed() };
+    } catch (error) {
+      return { ok: false, error: error?.error || 'stream_error', message: error?.message || String(error), traceId: logger.traceId, duration_ms: logger.elapsed() };
+    }
+  }
+}
+
+module.exports = {
+  ScriptedProvider
+};
@@ -0,0 +1,250 @@
+/**
+ * Seasons and keepers
+ * A league plays one season at a time. Before rolling over, teams mark keepers for next season's
+ * draft at a round cost; rolling over archives the finished season's rosters, releases everyone
+ * who was not kept (dynasty leagues carry every player over) and moves the league to the next year.
+ * The next draft starts with each keeper already placed in its team's pick for that round
+ */
+
+const { getRepository } = require('./data-repository');
+const {
+  LeagueError,
+  requireLeague,
+  findLeagueTeam,
+  leagueSeason,
+  saveLeagueState,
+  DEFAULT_MAX_KEEPERS
+} = require('./league-store');
+const { withRosterLock, replaceRoster, matchesPlayer, buildTransaction } = require('./roster-store');
+
+const CARRY_OVER_MODES = ['keepers', 'dynasty'];
+
+/**
+ * The year after a season
+ * @param {string} season - Season year
+ * @returns {string} - Next season year
+ */
+function nextSeason(season) {
+  return String(Number(season) + 1);
+}
+
+/**
+ * Keepers marked for a season
+ * @param {Object} league - League
+ * @param {string} [season] - Season year (defaults to the season after the current one)
+ * @returns {Array<Object>} - [{ team, player: { id, name, position }, round, season }]
+ */
+function listKeepers(league, season = nextSeason(leagueSeason(league))) {
+  return (league.keepers || []).filter(keeper => keeper.season === season);
+}
+
+/**
+ * Mark a rostered player as a keeper for next season, or change their round cost
+ * @param {string} leagueId - League id
+ * @param {Object} input - { team, player (id or name), round }
+ * @returns {Promise<Object>} - { keeper, keepers }
+ */
+function setKeeper(leagueId, input = {}) {
+  return withRosterLock(async () => {
+    const league = await requireLeague(leagueId);
+    const team = findLeagueTeam(league, input.team);
+    if (!team) {
+      throw new LeagueError('team_not_found', `Team '${input.team}' not found in league ${league.id}`, 404);
+    }
+    const round = Number(input.round);
+    if (!Number.isInteger(round) || round < 1 || round > league.rounds) {
+      throw new LeagueError('invalid_round', `round must be an integer between 1 and ${league.rounds}`);
+    }
+    if (input.player == null || String(input.player).trim() === '') {
+      throw new LeagueError('invalid_player', 'player (id or name) is required');
+    }
+
+    const roster = await getRepository().rosters.listByTeam(team.endpoint);
+    const rostered = roster.find(p => matchesPlayer(p, input.player));
+    if (!rostered) {
+      throw new LeagueError('player_not_on_roster', `${input.player} is not on ${team.endpoint}'s roster`);
+    }
+
+    const season = nextSeason(leagueSeason(league));
+    const isSame = keeper => keeper.team === team.endpoint && matchesPlayer(keeper.player, rostered.id ?? rostered.name);
+    const teamKeepers = listKeepers(league, season).filter(keeper => keeper.team === team.endpoint && !isSame(keeper));
+
+    const maxKeepers = league.maxKeepers ?? DEFAULT_MAX_KEEPERS;
+    if (teamKeepers.length >= maxKeepers) {
+      throw new LeagueError('keeper_limit', `${team.endpoint} already has ${teamKeepers.length} of ${maxKeepers} keepers`, 409);
+    }
+    const roundTaken = teamKeepers.find(keeper => keeper.round === round);
+    if (roundTaken) {
+      throw new LeagueError('keeper_round_taken', `${team.endpoint} already keeps ${roundTaken.player.name} in round ${round}`, 409);
+    }
+
+    const keeper = {
+      team: team.endpoint,
+      player: { id: rostered.id ?? null, name: rostered.name, position: rostered.position },
+      round,
+      season
+    };
+    const keepers = [...(league.keepers || []).filter(k => !(k.season === season && isSame(k))), keeper];
+    await saveLeagueState(league.id, { keepers });
+    console.log(`[SEASONS] ${team.endpoint} keeps ${rostered.name} in round ${round} of ${season}`);
+    return { keeper, keepers: keepers.filter(k => k.season === season) };
+  });
+}
+
+/**
+ * Remove a keeper for next season
+ * @param {string} leagueId - League id
+ * @param {string} endpoint - Team endpoint
+ * @param {string} player - Player id or name
+ * @returns {Promise<boolean>} - Whether a keeper was removed
+ */
+function removeKeeper(leagueId, endpoint, player) {
+  return withRosterLock(async () => {
+    const league = await requireLeague(leagueId);
+    const season = nextSeason(leagueSeason(league));
+    const keepers = league.keepers || [];
+    const remaining = keepers.filter(k => !(k.season === season && k.team === endpoint && matchesPlayer(k.player, player)));
+    if (remaining.length === keepers.length) return false;
+
+    await saveLeagueState(league.id, { keepers: remaining });
+    return true;
+  });
+}
+
+/**
+ * Close the current season and start the next one
+ * Keepers no longer on their team's roster are left out. In keeper leagues every other player on
+ * the league's teams is released; dynasty leagues keep full rosters with starters reset. Claims saved
+ * without a season are stamped with the closing one so their FAAB spend stays in it. Pending claims
+ * and proposed trades are cancelled (reason season_rollover): their bids belong to the closing
+ * season's budget and their players may have been released
+ * @param {string} leagueId - League id
+ * @param {Object} [options] - Options
+ * @param {string} [options.carryOver] - keepers or dynasty
+ * @param {boolean} [options.dryRun] - Report what would happen without writing anything
+ * @returns {Promise<Object>} - { league, archived, keepers, invalidKeepers, released, cancelledClaims, cancelledTrades }
+ */
+function rolloverSeason(leagueId, { carryOver = 'keepers', dryRun = false } = {}) {
+  if (!CARRY_OVER_MODES.includes(carryOver)) {
+    return Promise.reject(new LeagueError('invalid_carry_over', `carryOver must be one of: ${CARRY_OVER_MODES.join(', ')}`));
+  }
+
+  return withRosterLock(async () => {
+    const league = await requireLeague(leagueId);
+    const repository = getRepository();
+    const [players, claims, trades] = await Promise.all([
+      repository.rosters.listPlayers(),
+      repository.waiverClaims.list({ leagueId: league.id }),
+      repository.trades.list({ leagueId: league.id, status: 'proposed' })
+    ]);
+    const from = leagueSeason(league);
+    const to = nextSeason(from);
+    const endpoints = new Set(league.teams.map(team => team.endpoint));
+    const onLeagueTeam = player => endpoints.has(player.fantasyTeam?.endpoint);
+
+    const rosterFor = endpoint => players.filter(p => p.fantasyTeam?.endpoint === endpoint);
+    const isKept = (keeper, player) => player.fantasyTeam?.endpoint === keeper.team && matchesPlayer(player, keeper.player.id ?? keeper.player.name);
+    const marked = listKeepers(league, to);
+    const keepers = marked.filter(keeper => players.some(player => isKept(keeper, player)));
+    const invalidKeepers = marked.filter(keeper => !keepers.includes(keeper));
+
+    const archived = {
+      season: from,
+      carryOver,
+      closedAt: new Date().toISOString(),
+      rosters: Object.fromEntries(league.teams.map(team => [
+        team.endpoint,
+        rosterFor(team.endpoint).map(p => ({ id: p.id ?? null, name: p.name, position: p.position }))
+      ])),
+      keepers
+    };
+
+    // The next season starts with an empty lineup either way
+    const next = [];
+    const released = [];
+    for (const player of players) {
+      if (!onLeagueTeam(player)) {
+        next.push(player);
+      } else if (carryOver === 'dynasty' || keepers.some(keeper => isKept(keeper, player))) {
+        next.push({ ...player, starter: false });
+      } else {
+        released.push(player);
+      }
+    }
+
+    const pendingClaims = claims.filter(claim => claim.status === 'pending');
+
+    if (dryRun) {
+      return {
+        league,
+        archived,
+        keepers,
+        invalidKeepers,
+        released: released.length,
+        cancelledClaims: pendingClaims.length,
+        cancelledTrades: trades.length
+      };
+    }
+
+    const transactions = released.map(player =>
+      buildTransaction(league, 'drop', player.fantasyTeam.endpoint, player, { rollover: to })
+    );
+    const now = new Date().toISOString();
+    const closedClaims = claims
+      .filter(claim => claim.season == null || claim.status === 'pending')
+      .map(claim => ({
+        ...claim,
+        season: claim.season ?? from,
+        ...(claim.status === 'pending' && { status: 'cancelled', reason: 'season_rollover', processedAt: now })
+      }));
+    const cancelledTrades = trades.map(trade => ({
+      ...trade,
+      status: 'cancelled',
+      history: [...trade.history, { status: 'cancelled', at: now, reason: 'season_rollover' }],
+      updatedAt: now
+    }));
+    await replaceRoster(next, players, { transactions, trades: cancelledTrades, claims: closedClaims });
+
+    const updated = await saveLeagueState(league.id, {
+      season: to,
+      keepers: [...(league.keepers || []).filter(k => k.season !== to), ...keepers],
+      seasonHistory: [...(league.seasonHistory || []), archived],
+      fantasySchedule: null,
+      waiverPriority: null
+    });
+    console.log(`[SEASONS] League ${league.id} rolled over ${from} -> ${to}: ${keepers.length} keepers, ${released.length} released, ${pendingClaims.length} claims and ${trades.length} trades cancelled`);
+    return {
+      league: updated,
+      archived,
+      keepers,
+      invalidKeepers,
+      released: released.length,
+      cancelledClaims: pendingClaims.length,
+      cancelledTrades: trades.length
+    };
+  });
+}
+
+/**
+ * Keepers for a league's current season as draft slots
+ * League team order is the draft slot order (first team picks from slot 1)
+ * @param {Object} league - League
+ * @returns {Array<Object>} - [{ teamSlot, round, player }]
+ */
+function draftKeepersFor(league) {
+  return listKeepers(league, leagueSeason(league)).map(keeper => ({
+    teamSlot: league.teams.findIndex(team => team.endpoint === keeper.team) + 1,
+    round: keeper.round,
+    player: keeper.player
+  })).filter(keeper => keeper.teamSlot > 0);
+}
+
+module.exports = {
+  CARRY_OVER_MODES,
+  nextSeason,
+  listKeepers,
+  setKeeper,
+  removeKeeper,
+  rolloverSeason,
+  draftKeepersFor
+};
@@ -0,0 +1,164 @@
+/**
+ * Server-Sent Events parser
+ * Incremental implementation of the WHATWG event-stream rules: LF, CRLF and CR line endings
+ * (including a CRLF split across chunks), a leading BOM, comment lines, fields with or without a
+ * space after the colon, multi-line data joined with "\n", and dispatch on a blank line.
+ * Every upstream stream (Dify, OpenAI-compatible) is read through here
+ */
+
+const { TextDecoder } = require('util');
+
+const LINE_BREAK = /\r\n|\r|\n/g;
+
+/**
+ * Incremental SSE parser
+ * Feed it decoded text in whatever pieces the network delivers; it returns the messages
+ * completed by each piece as { event, data, id, retry }
+ */
+class SseParser {
+  constructor() {
+    this.buffer = '';
+    this.started = false;
+    this.skipLeadingLf = false;
+    this.lastEventId = '';
+    this.retry = null;
+    this.resetMessage();
+  }
+
+  /**
+   * Clear the message being built
+   */
+  resetMessage() {
+    this.eventType = '';
+    this.dataLines = [];
+  }
+
+  /**
+   * Parse the next piece of the stream
+   * @param {string} text - Decoded text
+   * @returns {Array<Object>} - Messages completed by this piece
+   */
+  feed(text) {
+    if (!text) return [];
+    if (!this.started) {
+      this.started = true;
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+    }
+    // A CR that ended the previous piece may be the first half of a CRLF
+    if (this.skipLeadingLf && text[0] === '\n') text = text.slice(1);
+    this.skipLeadingLf = false;
+
+    this.buffer += text;
+    const messages = [];
+    let start = 0;
+    let match;
+    LINE_BREAK.lastIndex = 0;
+    while ((match = LINE_BREAK.exec(this.buffer)) !== null) {
+      const message = this.processLine(this.buffer.slice(start, match.index));
+      if (message) messages.push(message);
+      start = LINE_BREAK.lastIndex;
+    }
+    if (start > 0 && start === this.buffer.length && this.buffer[start - 1] === '\r') this.skipLeadingLf = true;
+    this.buffer = this.buffer.slice(start);
+    return messages;
+  }
+
+  /**
+   * Apply one line of the stream
+   * @param {string} line - Line without its terminator
+   * @returns {Object|null} - Message dispatched by a blank line, if any
+   */
+  processLine(line) {
+    if (line === '') return this.dispatch();
+    if (line[0] === ':') return null;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value[0] === ' ') value = value.slice(1);
+
+    if (field === 'data') {
+      this.dataLines.push(value);
+    } else if (field === 'event') {
+      this.eventType = value;
+    } else if (field === 'id') {
+      if (!value.includes('\0')) this.lastEventId = value;
+    } else if (field === 'retry') {
+      if (/^\d+$/.test(value)) this.retry = Number(value);
+    }
+    return null;
+  }
+
+  /**
+   * Finish the message being built
+   * Messages without data lines are dropped, as in the spec
+   * @returns {Object|null} - Message, or null when there was no data
+   */
+  dispatch() {
+    if (this.dataLines.length === 0) {
+      this.resetMessage();
+      return null;
+    }
+    const message = {
+      event: this.eventType || 'message',
+      data: this.dataLines.join('\n'),
+      id: this.lastEventId,
+      retry: this.retry
+    };
+    this.resetMessage();
+    return message;
+  }
+}
+
+/**
+ * Parse an SSE body into messages
+ * A message left unterminated when the body ends is discarded, as in the spec
+ * @param {ReadableStream|AsyncIterable<Uint8Array|string>} body - Response body
+ * @returns {AsyncGenerator<Object>} - { event, data, id, retry }
+ */
+async function* parseSse(body) {
+  if (!body) throw new Error('No response body to parse');
+  const parser = new SseParser();
+  const decoder = new TextDecoder();
+
+  for await (const chunk of body) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    yield* parser.feed(text);
+  }
+  yield* parser.feed(decoder.decode());
+}
+
+/**
+ * Parse a Dify SSE body into Dify events
+ * Each data payload is JSON with an event field (message, agent_message, agent_thought,
+ * message_end, error, workflow events); the SSE event name fills in when the payload has none.
+ * A [DONE] payload ends the stream
+ * @param {ReadableStream|AsyncIterable<Uint8Array|string>} body - Response body
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onInvalid] - Called with each payload that is not JSON
+ * @returns {AsyncGenerator<Object>} - Dify events
+ */
+async function* readDifyEvents(body, { onInvalid } = {}) {
+  for await (const message of parseSse(body)) {
+    if (message.data === '[DONE]') return;
+
+    let event;
+    try {
+      event = JSON.parse(message.data);
+    } catch {
+      onInvalid?.(message.data, message);
+      continue;
+    }
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      onInvalid?.(message.data, message);
+      continue;
+    }
+    yield event.event ? event : { event: message.event, ...event };
+  }
+}
+
+module.exports = {
+  SseParser,
+  parseSse,
+  readDifyEvents
+};
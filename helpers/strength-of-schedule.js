@@ -0,0 +1,161 @@
+/**
+ * Team schedules and strength of schedule
+ * Strength of schedule compares the fantasy points a team's opponents allow to each position
+ * with the league average; ratings come from the repository's defenseRatings
+ * ([{ abbr, pointsAllowed: { QB, RB, WR, TE } }], average points allowed per game), loaded with
+ * `npm run import:defense`
+ */
+
+const { getRepository } = require('./data-repository');
+const { findTeamByAbbr } = require('./nfl-teams');
+const { REGULAR_SEASON_WEEKS } = require('./schedule-import');
+const { getByeWeeks } = require('./bye-weeks');
+
+// Index bands: opponents allowing 5% more than average are an easy slate, 5% less a hard one
+const SOS_EASY_INDEX = Number(process.env.SOS_EASY_INDEX || 1.05);
+const SOS_HARD_INDEX = Number(process.env.SOS_HARD_INDEX || 0.95);
+
+/**
+ * Each week's game for a team, with byes for loaded weeks where it has none
+ * @param {Object} season - { week1: [...], ... }
+ * @param {Array<Object>} nflTeams - Known NFL teams
+ * @param {string} abbr - Canonical team abbreviation
+ * @param {Object} [range] - Week range
+ * @param {number} [range.from] - First week (inclusive)
+ * @param {number} [range.to] - Last week (inclusive)
+ * @returns {Array<Object>} - [{ week, bye, type, opponent, kickoff, projectedScore, finalScore }]
+ */
+function buildTeamSlate(season, nflTeams, abbr, { from = 1, to = REGULAR_SEASON_WEEKS } = {}) {
+  const slate = [];
+
+  for (let week = from; week <= to; week++) {
+    const games = season?.[`week${week}`];
+    if (!Array.isArray(games) || games.length === 0) continue;
+
+    const game = games.find(g =>
+      findTeamByAbbr(nflTeams, g.homeTeam)?.abbr === abbr || findTeamByAbbr(nflTeams, g.awayTeam)?.abbr === abbr
+    );
+    if (!game) {
+      slate.push({ week, bye: true });
+      continue;
+    }
+
+    const isHome = findTeamByAbbr(nflTeams, game.homeTeam)?.abbr === abbr;
+    const opponentAbbr = isHome ? game.awayTeam : game.homeTeam;
+    slate.push({
+      week,
+      bye: false,
+      type: isHome ? 'home' : 'away',
+      opponent: findTeamByAbbr(nflTeams, opponentAbbr) || { abbr: opponentAbbr },
+      kickoff: game.kickoff || '',
+      projectedScore: game.projectedScore || '',
+      finalScore: game.finalScore || ''
+    });
+  }
+
+  return slate;
+}
+
+/**
+ * Index ratings by canonical team abbreviation and average them per position
+ * @param {Array<Object>} ratings - [{ abbr, pointsAllowed }]
+ * @param {Array<Object>} nflTeams - Known NFL teams
+ * @returns {Object} - { byTeam: Map<abbr, pointsAllowed>, positions, leagueAverage: { POS: number|null } }
+ */
+function buildDefenseIndex(ratings, nflTeams) {
+  const byTeam = new Map();
+  for (const rating of ratings || []) {
+    const team = findTeamByAbbr(nflTeams, rating?.abbr);
+    if (team && rating.pointsAllowed) byTeam.set(team.abbr, rating.pointsAllowed);
+  }
+
+  const positions = [...new Set([...byTeam.values()].flatMap(Object.keys))];
+  const leagueAverage = {};
+  for (const pos of positions) {
+    const values = [...byTeam.values()].map(r => Number(r[pos])).filter(Number.isFinite);
+    leagueAverage[pos] = values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+  }
+
+  return { byTeam, positions, leagueAverage };
+}
+
+/**
+ * Strength of schedule per position for every team over a week range
+ * index = average points the opponents allow / league average (above 1 is easier); rank 1 is the easiest slate
+ * @param {Object} season - { week1: [...], ... }
+ * @param {Array<Object>} nflTeams - Known NFL teams
+ * @param {Array<Object>} ratings - Defensive ratings
+ * @param {Object} [range] - { from, to }
+ * @returns {Object} - { TEAM: { POS: { games, pointsAllowed, leagueAverage, index, rank, rating } } } (empty without ratings)
+ */
+function computeStrengthOfSchedule(season, nflTeams, ratings, range = {}) {
+  const { byTeam, positions, leagueAverage } = buildDefenseIndex(ratings, nflTeams);
+  if (byTeam.size === 0) return {};
+
+  const result = {};
+  for (const { abbr } of nflTeams) {
+    const opponents = buildTeamSlate(season, nflTeams, abbr, range).filter(g => !g.bye).map(g => g.opponent.abbr);
+    result[abbr] = {};
+
+    for (const pos of positions) {
+      const allowed = opponents.map(opp => Number(byTeam.get(opp)?.[pos])).filter(Number.isFinite);
+      if (!allowed.length || !leagueAverage[pos]) {
+        result[abbr][pos] = null;
+        continue;
+      }
+      const pointsAllowed = allowed.reduce((sum, v) => sum + v, 0) / allowed.length;
+      const index = pointsAllowed / leagueAverage[pos];
+      result[abbr][pos] = {
+        games: allowed.length,
+        pointsAllowed: Math.round(pointsAllowed * 10) / 10,
+        leagueAverage: Math.round(leagueAverage[pos] * 10) / 10,
+        index: Math.round(index * 100) / 100,
+        rank: null,
+        rating: index >= SOS_EASY_INDEX ? 'easy' : index <= SOS_HARD_INDEX ? 'hard' : 'neutral'
+      };
+    }
+  }
+
+  for (const pos of positions) {
+    Object.values(result)
+      .map(team => team[pos])
+      .filter(Boolean)
+      .sort((a, b) => b.index - a.index)
+      .forEach((entry, i) => { entry.rank = i + 1; });
+  }
+
+  return result;
+}
+
+/**
+ * A team's slate and strength of schedule from the repository
+ * @param {string} abbr - Team abbreviation (aliases accepted)
+ * @param {Object} [range] - { from, to }
+ * @returns {Promise<Object|null>} - { team, byeWeek, games, strengthOfSchedule }, or null for an unknown team
+ */
+async function getTeamSchedule(abbr, range = {}) {
+  const repository = getRepository();
+  const nflTeams = await repository.nflTeams.list();
+  const team = findTeamByAbbr(nflTeams, abbr);
+  if (!team) return null;
+
+  const [season, ratings, byes] = await Promise.all([
+    repository.schedule.getSeason(),
+    repository.defenseRatings.list(),
+    getByeWeeks()
+  ]);
+
+  return {
+    team,
+    byeWeek: byes.teams[team.abbr]?.byeWeek ?? null,
+    games: buildTeamSlate(season, nflTeams, team.abbr, range),
+    strengthOfSchedule: computeStrengthOfSchedule(season, nflTeams, ratings, range)[team.abbr] || null
+  };
+}
+
+module.exports = {
+  buildTeamSlate,
+  buildDefenseIndex,
+  computeStrengthOfSchedule,
+  getTeamSchedule
+};
@@ -0,0 +1,406 @@
+/**
+ * Structured LLM answers
+ * Routes that need data rather than prose declare one of the schemas below. The schema is appended
+ * to the query (prompts/structured-schema), the answer is parsed and validated against it, and an
+ * answer that fails gets one repair request (prompts/structured-repair) in the same conversation
+ * listing what was wrong. An answer that still fails is reported as invalid_structured_output
+ * instead of being passed on as free text. Results carry the versions of those templates as
+ * promptVersions.
+ * The mode is opt-in because it changes response shapes (user-turn and analyze return the schema's
+ * summary as answer plus recommendations): LLM_STRUCTURED_OUTPUT=1 turns it on for every request,
+ * and a request can send structured: true or false to override the default either way
+ */
+
+const { renderPrompt } = require('./prompt-templates');
+
+const LLM_STRUCTURED_OUTPUT = process.env.LLM_STRUCTURED_OUTPUT === '1';
+// Problems listed in a repair request
+const MAX_REPAIR_ERRORS = 10;
+
+// JSON Schema subset: type, properties, required, additionalProperties, items, enum,
+// minimum, maximum, minItems, maxItems, minLength
+const RESPONSE_SCHEMAS = {
+  pickRecommendations: {
+    type: 'object',
+    required: ['recommendations', 'summary'],
+    properties: {
+      recommendations: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 10,
+        items: {
+          type: 'object',
+          required: ['playerId', 'name', 'position', 'reason'],
+          properties: {
+            playerId: { type: 'string', minLength: 1 },
+            name: { type: 'string', minLength: 1 },
+            position: { type: 'string', enum: ['QB', 'RB', 'WR', 'TE', 'K', 'DST'] },
+            reason: { type: 'string', minLength: 1 },
+            confidence: { type: 'number', minimum: 0, maximum: 1 }
+          }
+        }
+      },
+      summary: { type: 'string', minLength: 1 }
+    }
+  },
+  rosterAnalysis: {
+    type: 'object',
+    required: ['players', 'strengths', 'weaknesses', 'summary'],
+    properties: {
+      players: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['playerId', 'name', 'position', 'analysis'],
+          properties: {
+            playerId: { type: 'string', minLength: 1 },
+            name: { type: 'string', minLength: 1 },
+            position: { type: 'string' },
+            analysis: { type: 'string', minLength: 1 },
+            projectedPoints: { type: 'number', minimum: 0 },
+            recommendation: { type: 'string', enum: ['start', 'sit', 'flex', 'drop'] }
+          }
+        }
+      },
+      strengths: { type: 'array', items: { type: 'string' } },
+      weaknesses: { type: 'array', items: { type: 'string' } },
+      summary: { type: 'string', minLength: 1 }
+    }
+  },
+  tradeVerdict: {
+    type: 'object',
+    required: ['verdict', 'favors', 'reasons', 'summary'],
+    properties: {
+      verdict: { type: 'string', enum: ['accept', 'reject', 'counter'] },
+      favors: { type: 'string', enum: ['fromTeam', 'toTeam', 'even'] },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      reasons: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+      counterOffer: { type: ['string', 'null'] },
+      summary: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+/**
+ * Whether structured output applies to a request
+ * @param {*} [requested] - structured flag from the request body
+ * @returns {boolean} - True when answers should be validated against a schema
+ */
+function structuredOutputEnabled(requested) {
+  return typeof requested === 'boolean' ? requested : LLM_STRUCTURED_OUTPUT;
+}
+
+/**
+ * Look up a response schema
+ * @param {string} schemaName - Key of RESPONSE_SCHEMAS
+ * @returns {Object} - Schema
+ */
+function requireSchema(schemaName) {
+  const schema = RESPONSE_SCHEMAS[schemaName];
+  if (!schema) {
+    throw new Error(`Unknown response schema '${schemaName}'. Available: ${Object.keys(RESPONSE_SCHEMAS).join(', ')}`);
+  }
+  return schema;
+}
+
+/**
+ * JSON type name of a value
+ * @param {*} value - Value
+ * @returns {string} - object, array, string, number, integer, boolean or null
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (see RESPONSE_SCHEMAS)
+ * @param {string} [path] - Path of the value, for messages
+ * @returns {Array<string>} - Problems found, empty when valid
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const type = jsonType(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+    if (!matches) return [`${path} must be ${allowed.join(' or ')}, got ${type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (type === 'string' && schema.minLength != null && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+  if ((type === 'number' || type === 'integer') && Number.isFinite(value)) {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+
+  if (type === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Find the first balanced { ... } block in text, skipping braces inside strings
+ * @param {string} text - Text
+ * @returns {string|null} - JSON object text
+ */
+function firstJsonObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}' && --depth === 0) {
+      return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse the JSON object in an LLM answer
+ * Strips <think> blocks and ``` fences, then falls back to the first { ... } block when the
+ * model wrapped the object in prose
+ * @param {string} answer - Answer text
+ * @returns {{value: *, error: string|null}} - Parsed value or why it failed
+ */
+function parseJsonAnswer(answer) {
+  if (typeof answer !== 'string' || !answer.trim()) {
+    return { value: null, error: 'answer is empty' };
+  }
+
+  const text = answer
+    .replace(/<think>[\s\S]*?<\/think>/gi, '')
+    .replace(/```(?:json)?\s*/gi, '')
+    .trim();
+  try {
+    return { value: JSON.parse(text), error: null };
+  } catch (directError) {
+    const slice = firstJsonObject(text);
+    if (!slice) return { value: null, error: 'answer does not contain a JSON object' };
+    try {
+      return { value: JSON.parse(slice), error: null };
+    } catch (sliceError) {
+      return { value: null, error: `answer is not valid JSON: ${sliceError.message}` };
+    }
+  }
+}
+
+/**
+ * Parse and validate an answer against a schema
+ * @param {string} schemaName - Key of RESPONSE_SCHEMAS
+ * @param {string} answer - Answer text
+ * @param {Function} [validate] - Extra checks on the parsed value, returning a list of problems
+ * @returns {{ok: boolean, value: *, errors: Array<string>}} - Parsed value and problems
+ */
+function checkStructuredAnswer(schemaName, answer, validate) {
+  const { value, error } = parseJsonAnswer(answer);
+  if (error) return { ok: false, value: null, errors: [error] };
+
+  const errors = validateSchema(value, requireSchema(schemaName));
+  if (errors.length === 0 && validate) errors.push(...(validate(value) || []));
+  return { ok: errors.length === 0, value, errors };
+}
+
+/**
+ * Append the answer format to a query
+ * The schema goes on the template's last line as one line of JSON
+ * @param {string} schemaName - Key of RESPONSE_SCHEMAS
+ * @param {string} query - Query text
+ * @returns {Object} - Rendered structured-schema prompt { text, promptVersion }
+ */
+function withSchemaInstructions(schemaName, query) {
+  return renderPrompt('structured-schema', { query, schema: requireSchema(schemaName) });
+}
+
+/**
+ * Query asking the model to fix an answer that failed validation
+ * @param {string} schemaName - Key of RESPONSE_SCHEMAS
+ * @param {Array<string>} errors - Problems with the previous answer
+ * @returns {Object} - { text, promptVersions } for the repair request
+ */
+function repairPrompt(schemaName, errors) {
+  const repair = renderPrompt('structured-repair', { errors: errors.slice(0, MAX_REPAIR_ERRORS).join('; ') });
+  const prompt = withSchemaInstructions(schemaName, repair.text);
+  return { text: prompt.text, promptVersions: [prompt.promptVersion, repair.promptVersion] };
+}
+
+/**
+ * Result for an answer that failed validation twice
+ * @param {string} schemaName - Key of RESPONSE_SCHEMAS
+ * @param {Object} result - Provider result of the repair request
+ * @param {Array<string>} errors - Problems with the repaired answer
+ * @returns {Object} - Shaped error
+ */
+function invalidStructuredOutput(schemaName, result, errors) {
+  return {
+    ok: false,
+    status: 502,
+    error: 'invalid_structured_output',
+    message: `Answer did not match the ${schemaName} schema after one repair attempt`,
+    details: errors,
+    answer: result.data?.answer ?? null,
+    conversationId: result.conversationId ?? null,
+    traceId: result.traceId,
+    duration_ms: result.duration_ms
+  };
+}
+
+/**
+ * Ask for a corrected answer once and validate it
+ * @param {Object} params - Parameters
+ * @param {string} params.schemaName - Key of RESPONSE_SCHEMAS
+ * @param {Object} params.provider - Provider from getProvider
+ * @param {Array<string>} params.errors - Problems with the previous answer
+ * @param {Object} params.body - Original request body ({ inputs, user, ... })
+ * @param {string|null} params.conversationId - Conversation of the previous answer
+ * @param {number} params.timeoutMs - Timeout in milliseconds
+ * @param {AbortSignal} [params.signal] - Abort signal
+ * @param {string} [params.traceId] - Trace id
+ * @param {string} [params.action] - Provider action
+ * @param {Function} [params.validate] - Extra checks on the parsed value
+ * @returns {Promise<Object>} - { ok, data, answer, conversationId, repaired, promptVersions } or a shaped error
+ */
+async function repairStructuredAnswer({ schemaName, provider, errors, body, conversationId, timeoutMs, signal, traceId, action, validate }) {
+  console.warn(`[STRUCTURED] ${schemaName} answer for ${action || 'request'} failed validation, requesting a repair:`, errors.slice(0, 5));
+  const prompt = repairPrompt(schemaName, errors);
+  const result = await provider.postStreamingBuffered({
+    body: { ...body, query: prompt.text, conversation_id: conversationId || body.conversation_id },
+    timeoutMs,
+    signal,
+    traceId,
+    action
+  });
+  if (!result.ok) return result;
+
+  const checked = checkStructuredAnswer(schemaName, result.data?.answer, validate);
+  if (!checked.ok) return invalidStructuredOutput(schemaName, result, checked.errors);
+  return { ...result, data: checked.value, answer: result.data?.answer, usage: result.data?.usage ?? null, schema: schemaName, repaired: true, promptVersions: prompt.promptVersions };
+}
+
+/**
+ * Add up the token counts of two requests' usage metadata
+ * Numeric fields both report are summed; the rest come from the later request
+ * @param {Object|null} first - Usage of the first request
+ * @param {Object|null} second - Usage of the repair request
+ * @returns {Object|null} - Combined usage
+ */
+function addUsage(first, second) {
+  if (!first || !second) return second || first || null;
+  const total = { ...first, ...second };
+  for (const [key, value] of Object.entries(second)) {
+    if (typeof value === 'number' && typeof first[key] === 'number') total[key] = first[key] + value;
+  }
+  return total;
+}
+
+/**
+ * Ask a provider for an answer matching a schema, with one repair retry
+ * @param {Object} params - Parameters
+ * @param {string} params.schemaName - Key of RESPONSE_SCHEMAS
+ * @param {Object} params.provider - Provider from getProvider
+ * @param {Object} params.body - Request body ({ query, inputs, conversation_id, user })
+ * @param {number} params.timeoutMs - Timeout in milliseconds for each request
+ * @param {AbortSignal} [params.signal] - Abort signal
+ * @param {string} [params.traceId] - Trace id
+ * @param {string} [params.action] - Provider action
+ * @param {Function} [params.validate] - Extra checks on the parsed value, returning a list of problems
+ * @returns {Promise<Object>} - { ok, data, answer, usage, conversationId, repaired, promptVersions } or a
+ *   shaped error; usage adds up both requests when the answer was repaired
+ */
+async function requestStructured({ schemaName, provider, body, timeoutMs, signal, traceId, action, validate }) {
+  const prompt = withSchemaInstructions(schemaName, body.query || '');
+  const result = await provider.postStreamingBuffered({
+    body: { ...body, query: prompt.text },
+    timeoutMs,
+    signal,
+    traceId,
+    action
+  });
+  if (!result.ok) return result;
+
+  const checked = checkStructuredAnswer(schemaName, result.data?.answer, validate);
+  if (checked.ok) {
+    return { ...result, data: checked.value, answer: result.data?.answer, usage: result.data?.usage ?? null, schema: schemaName, repaired: false, promptVersions: [prompt.promptVersion] };
+  }
+  const repaired = await repairStructuredAnswer({
+    schemaName,
+    provider,
+    errors: checked.errors,
+    body,
+    conversationId: result.conversationId,
+    timeoutMs,
+    signal,
+    traceId,
+    action,
+    validate
+  });
+  return repaired.ok ? { ...repaired, usage: addUsage(result.data?.usage, repaired.usage) } : repaired;
+}
+
+/**
+ * Check that every playerId in a list was among the players sent to the model
+ * @param {Array<Object>} items - Parsed items with playerId
+ * @param {Array<Object>} players - Players that were sent
+ * @param {string} path - Path of the list, for messages
+ * @returns {Array<string>} - Problems found
+ */
+function unknownPlayerIds(items, players, path) {
+  const ids = new Set(players.filter(p => p?.id != null).map(p => String(p.id)));
+  if (ids.size === 0) return [];
+  return items
+    .map((item, i) => (ids.has(String(item.playerId)) ? null : `${path}[${i}].playerId '${item.playerId}' is not one of the players provided`))
+    .filter(Boolean);
+}
+
+module.exports = {
+  LLM_STRUCTURED_OUTPUT,
+  RESPONSE_SCHEMAS,
+  structuredOutputEnabled,
+  validateSchema,
+  parseJsonAnswer,
+  checkStructuredAnswer,
+  withSchemaInstructions,
+  repairPrompt,
+  repairStructuredAnswer,
+  requestStructured,
+  unknownPlayerIds
+};
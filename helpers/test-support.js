@@ -0,0 +1,133 @@
+/**
+ * Scaffolding shared by the test-*.js scripts
+ * useScratchData points the JSON backend at a temp copy of the data files a test reads, so the
+ * tracked data is never written; call it before requiring anything that reads the repository
+ * configuration. serve mounts routers on a local port for route-level checks; runTest prints the
+ * summary line, closes what the test opened and sets the exit code
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+let failures = 0;
+const scratchDirs = [];
+const servers = [];
+
+/**
+ * Copy data files into a temp dir and point the JSON backend at it
+ * @param {string} name - Temp dir prefix
+ * @param {Array<string>} files - Paths under data/ the test reads; files the backend writes are created on demand
+ * @returns {string} - Scratch data dir
+ */
+function useScratchData(name, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+  for (const file of files) {
+    fs.cpSync(path.join(DATA_DIR, file), path.join(dir, file), { recursive: true });
+  }
+  scratchDirs.push(dir);
+
+  process.env.DATA_BACKEND = 'json';
+  process.env.DATA_DIR = dir;
+  process.env.LEAGUES_FILE = path.join(dir, 'leagues', 'leagues.json');
+  return dir;
+}
+
+/**
+ * Print one check result
+ * @param {boolean} ok - Whether the check passed
+ * @param {string} label - What was checked
+ * @param {*} [detail] - Shown when the check fails
+ */
+function check(ok, label, detail) {
+  if (ok) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.log(`❌ ${label}${detail === undefined ? '' : `: ${JSON.stringify(detail)}`}`);
+  }
+}
+
+/**
+ * Run a call that should fail and return the error
+ * @param {Function} fn - Async call
+ * @returns {Promise<Error|null>} - The error, or null when the call succeeded
+ */
+async function failureOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Serve routers on a free local port
+ * @param {Object} mounts - Router per mount path, e.g. { '/api/draft': router }
+ * @returns {Promise<string>} - Base URL
+ */
+async function serve(mounts) {
+  const express = require('express');
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+  for (const [mountPath, router] of Object.entries(mounts)) {
+    app.use(mountPath, router);
+  }
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  servers.push(server);
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * POST a JSON body
+ * @param {string} url - Request URL
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} - { status, body } with the parsed response
+ */
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Run a test function, then remove the scratch data and report the result
+ * @param {string} subject - What is tested, used in the summary ('trade', 'waiver', ...)
+ * @param {Function} testFn - Async test body
+ * @returns {Promise<void>}
+ */
+function runTest(subject, testFn) {
+  return Promise.resolve()
+    .then(testFn)
+    .catch(error => {
+      failures++;
+      console.error(`❌ ${subject[0].toUpperCase()}${subject.slice(1)} test crashed:`, error);
+    })
+    .finally(() => {
+      servers.forEach(server => {
+        server.closeAllConnections();
+        server.close();
+      });
+      scratchDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+      console.log(failures === 0 ? `\n🎉 All ${subject} checks passed` : `\n💥 ${failures} ${subject} check(s) failed`);
+      process.exitCode = failures === 0 ? 0 : 1;
+    });
+}
+
+module.exports = {
+  useScratchData,
+  check,
+  failureOf,
+  serve,
+  postJson,
+  runTest
+};
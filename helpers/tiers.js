@@ -0,0 +1,152 @@
+/**
+ * Automatic player tiering
+ * Groups each position into tiers at the natural breaks in projected fantasy points,
+ * so the draft assistant can warn before a tier runs dry
+ */
+
+const { resolveScoringRules, projectedPoints } = require('./scoring');
+const { filterPlayersByPosition } = require('./utils');
+const { getRepository } = require('./data-repository');
+
+const TIER_POSITIONS = ['QB', 'RB', 'WR', 'TE'];
+
+// A gap counts as a break when it exceeds mean + TIER_BREAK_STDDEV standard deviations
+const TIER_BREAK_STDDEV = Number(process.env.TIER_BREAK_STDDEV || 0.5);
+const TIER_MAX = Number(process.env.TIER_MAX || 8);
+
+// Computed tiers per player list and scoring rules: WeakMap<players, Map<rulesKey, tiers>>
+const tierCache = new WeakMap();
+
+/**
+ * Split one position's players into tiers at the largest gaps in projected points
+ * @param {Array<Object>} players - Players at a single position
+ * @param {Object} rules - Resolved scoring rules
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxTiers] - Upper bound on the number of tiers
+ * @param {number} [options.breakStddev] - Gap threshold in standard deviations above the mean gap
+ * @returns {Array<Object>} - Tiers: [{ tier, minPoints, maxPoints, players: [{ id, name, team, projectedPoints }] }]
+ */
+function buildPositionTiers(players, rules, { maxTiers = TIER_MAX, breakStddev = TIER_BREAK_STDDEV } = {}) {
+  const sorted = players
+    .map(player => ({
+      id: player.id != null ? String(player.id) : null,
+      name: player.name,
+      team: typeof player.team === 'string' ? player.team : player.team?.abbr || player.teamAbbr || null,
+      projectedPoints: projectedPoints(player, rules)
+    }))
+    .sort((a, b) => b.projectedPoints - a.projectedPoints);
+
+  if (sorted.length === 0) return [];
+
+  const gaps = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    gaps.push({ index: i, size: sorted[i].projectedPoints - sorted[i + 1].projectedPoints });
+  }
+
+  let breaks = [];
+  if (gaps.length) {
+    const mean = gaps.reduce((sum, g) => sum + g.size, 0) / gaps.length;
+    const stddev = Math.sqrt(gaps.reduce((sum, g) => sum + (g.size - mean) ** 2, 0) / gaps.length);
+    const threshold = mean + breakStddev * stddev;
+
+    // Keep the largest qualifying gaps, then restore draft order
+    breaks = gaps
+      .filter(g => g.size > 0 && g.size >= threshold)
+      .sort((a, b) => b.size - a.size || a.index - b.index)
+      .slice(0, Math.max(0, maxTiers - 1))
+      .map(g => g.index)
+      .sort((a, b) => a - b);
+  }
+
+  const tiers = [];
+  let start = 0;
+  for (const end of [...breaks, sorted.length - 1]) {
+    const members = sorted.slice(start, end + 1);
+    tiers.push({
+      tier: tiers.length + 1,
+      maxPoints: members[0].projectedPoints,
+      minPoints: members[members.length - 1].projectedPoints,
+      players: members
+    });
+    start = end + 1;
+  }
+
+  return tiers;
+}
+
+/**
+ * Build tiers for every position in a player pool
+ * @param {Array<Object>} players - Player pool
+ * @param {Object} [options] - Options
+ * @param {string|Object} [options.scoring] - Scoring profile passed to resolveScoringRules
+ * @param {number} [options.maxTiers] - Upper bound on tiers per position
+ * @returns {Object} - { scoring, positions: { QB: [...tiers], RB: [...], ... } }
+ */
+function buildTiers(players, { scoring, maxTiers } = {}) {
+  const rules = resolveScoringRules(scoring);
+  const positions = {};
+  for (const pos of TIER_POSITIONS) {
+    positions[pos] = buildPositionTiers(filterPlayersByPosition(players || [], pos), rules, { maxTiers });
+  }
+  return { scoring: rules.presets, positions };
+}
+
+/**
+ * Get tiers for the player pool, recomputing when the pool or scoring profile changes
+ * @param {Object} [options] - Options
+ * @param {string|Object} [options.scoring] - Scoring profile passed to resolveScoringRules
+ * @returns {Promise<Object>} - Output of buildTiers
+ */
+async function getPoolTiers({ scoring } = {}) {
+  const rules = resolveScoringRules(scoring);
+  const key = JSON.stringify(rules);
+  // The repository hands back a new list whenever the pool changes
+  const players = await getRepository().players.list();
+
+  if (!tierCache.has(players)) tierCache.set(players, new Map());
+  const byRules = tierCache.get(players);
+  if (!byRules.has(key)) {
+    byRules.set(key, buildTiers(players, { scoring: rules }));
+  }
+
+  return byRules.get(key);
+}
+
+/**
+ * Find tiers that are down to their last available player
+ * @param {Array<Object>} availablePlayers - Players still on the board
+ * @param {Object} [options] - Options
+ * @param {string|Object} [options.scoring] - Scoring profile passed to resolveScoringRules
+ * @returns {Promise<Array<Object>>} - [{ position, tier, playerId, name, message }]
+ */
+async function findLastInTierWarnings(availablePlayers = [], { scoring } = {}) {
+  const { positions } = await getPoolTiers({ scoring });
+  const availableIds = new Set(availablePlayers.filter(Boolean).map(p => String(p.id)));
+  const warnings = [];
+
+  for (const [position, tiers] of Object.entries(positions)) {
+    for (const tier of tiers) {
+      const left = tier.players.filter(p => availableIds.has(p.id));
+      // Single-player tiers are outliers, not a tier running dry
+      if (left.length === 1 && tier.players.length > 1) {
+        warnings.push({
+          position,
+          tier: tier.tier,
+          playerId: left[0].id,
+          name: left[0].name,
+          message: `${left[0].name} is the last ${position} left in tier ${tier.tier}`
+        });
+      }
+    }
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  TIER_POSITIONS,
+  buildPositionTiers,
+  buildTiers,
+  getPoolTiers,
+  findLastInTierWarnings
+};
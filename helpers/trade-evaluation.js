@@ -0,0 +1,134 @@
+/**
+ * Trade evaluation
+ * Scores a proposed trade for both teams with rest-of-season projections: the points each side
+ * gives and gets, how its best starting lineup changes, and which thin positions it fills or opens
+ */
+
+const { getRepository } = require('./data-repository');
+const { leagueSeason } = require('./league-store');
+const { loadProjectionContext, projectRestOfSeason } = require('./weekly-projection');
+const { findCurrentWeek } = require('./nfl-matchups');
+const { REGULAR_SEASON_WEEKS } = require('./schedule-import');
+const { optimizeLineup, lineupPosition } = require('./lineup-optimizer');
+const { matchesPlayer } = require('./roster-store');
+
+// Lineup gains closer than this are an even trade
+const TRADE_EVEN_MARGIN = Number(process.env.TRADE_EVEN_MARGIN || 5);
+// Kickers and defenses are rarely rostered with a backup, so they never count as a need
+const NEED_POSITIONS = ['QB', 'RB', 'WR', 'TE'];
+
+/**
+ * Positions where a team has no depth: no more players rostered than starting slots
+ * @param {Array<Object>} players - Team roster
+ * @param {Object} rosterSlots - League roster slots
+ * @returns {Array<string>} - Positions
+ */
+function findPositionalNeeds(players, rosterSlots) {
+  return NEED_POSITIONS.filter(position => {
+    const slots = Number(rosterSlots?.[position]) || 0;
+    return slots > 0 && players.filter(p => lineupPosition(p) === position).length <= slots;
+  });
+}
+
+/**
+ * Best starting lineup total with rest-of-season points as each player's projection
+ * @param {Array<Object>} players - Players with restOfSeason
+ * @param {Object} rosterSlots - League roster slots
+ * @returns {number} - Lineup points
+ */
+function lineupValue(players, rosterSlots) {
+  const projected = players.map(p => ({ ...p, projection: { points: p.restOfSeason.points } }));
+  return optimizeLineup(projected, rosterSlots).total;
+}
+
+/**
+ * Summarize one player for an evaluation
+ * @param {Object} player - Player with restOfSeason
+ * @returns {Object} - { id, name, position, team, restOfSeason }
+ */
+function tradedPlayer(player) {
+  return {
+    id: player.id ?? null,
+    name: player.name,
+    position: player.position,
+    team: player.team?.abbr ?? null,
+    restOfSeason: player.restOfSeason
+  };
+}
+
+/**
+ * Score one side of a trade
+ * @param {string} endpoint - Team endpoint
+ * @param {Array<Object>} roster - Team roster with restOfSeason
+ * @param {Array<Object>} outgoing - Players the team gives
+ * @param {Array<Object>} incoming - Players the team gets
+ * @param {Object} rosterSlots - League roster slots
+ * @returns {Object} - Side evaluation
+ */
+function evaluateSide(endpoint, roster, outgoing, incoming, rosterSlots) {
+  const after = [...roster.filter(p => !outgoing.includes(p)), ...incoming];
+  const lineupBefore = lineupValue(roster, rosterSlots);
+  const lineupAfter = lineupValue(after, rosterSlots);
+  const needsBefore = findPositionalNeeds(roster, rosterSlots);
+  const needsAfter = findPositionalNeeds(after, rosterSlots);
+  const sum = players => Math.round(players.reduce((total, p) => total + p.restOfSeason.points, 0) * 10) / 10;
+
+  return {
+    team: endpoint,
+    gives: outgoing.map(tradedPlayer),
+    receives: incoming.map(tradedPlayer),
+    pointsOut: sum(outgoing),
+    pointsIn: sum(incoming),
+    lineupBefore,
+    lineupAfter,
+    lineupDelta: Math.round((lineupAfter - lineupBefore) * 10) / 10,
+    needsFilled: needsBefore.filter(pos => !needsAfter.includes(pos)),
+    needsCreated: needsAfter.filter(pos => !needsBefore.includes(pos)),
+    needs: needsAfter
+  };
+}
+
+/**
+ * Evaluate a trade for both teams
+ * @param {Object} league - League (roster slots and scoring)
+ * @param {Object} trade - { fromTeam, toTeam, give, receive } with player refs { id, name }
+ * @param {Object} [options] - Options
+ * @param {number} [options.fromWeek] - First week to project (defaults to the current NFL week)
+ * @param {number} [options.toWeek] - Last week to project
+ * @returns {Promise<Object>} - { fromWeek, toWeek, projectionSeason, favors, sides: { from, to }, evaluatedAt }
+ */
+async function evaluateTrade(league, trade, { fromWeek, toWeek = REGULAR_SEASON_WEEKS } = {}) {
+  const repository = getRepository();
+  const [season, context, fromRoster, toRoster] = await Promise.all([
+    repository.schedule.getSeason(),
+    loadProjectionContext({ scoring: league.scoring, season: leagueSeason(league) }),
+    repository.rosters.listByTeam(trade.fromTeam),
+    repository.rosters.listByTeam(trade.toTeam)
+  ]);
+  const firstWeek = fromWeek ?? findCurrentWeek(season, { weeks: toWeek });
+
+  const project = roster => projectRestOfSeason(roster, { season, fromWeek: firstWeek, toWeek, context });
+  const fromPlayers = project(fromRoster);
+  const toPlayers = project(toRoster);
+  const pick = (players, refs) => refs.map(ref => players.find(p => matchesPlayer(p, ref.id ?? ref.name))).filter(Boolean);
+  const give = pick(fromPlayers, trade.give);
+  const receive = pick(toPlayers, trade.receive);
+
+  const from = evaluateSide(trade.fromTeam, fromPlayers, give, receive, league.rosterSlots);
+  const to = evaluateSide(trade.toTeam, toPlayers, receive, give, league.rosterSlots);
+  const margin = from.lineupDelta - to.lineupDelta;
+
+  return {
+    fromWeek: firstWeek,
+    toWeek,
+    projectionSeason: context.season ?? null,
+    favors: Math.abs(margin) < TRADE_EVEN_MARGIN ? null : margin > 0 ? trade.fromTeam : trade.toTeam,
+    sides: { from, to },
+    evaluatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  findPositionalNeeds,
+  evaluateTrade
+};
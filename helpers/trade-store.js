@@ -0,0 +1,208 @@
+/**
+ * Trade proposals
+ * A proposal offers players from one fantasy team for players on another team in the same league.
+ * It starts out proposed and moves once to accepted, rejected or cancelled; accepting swaps the
+ * players through the roster store in the same write that records the new status. Only the receiving
+ * team may accept or reject, and only the proposing team may cancel
+ */
+
+const crypto = require('crypto');
+const { getRepository } = require('./data-repository');
+const { findLeagueTeam } = require('./league-store');
+const { withRosterLock, matchesPlayer, applyTrade } = require('./roster-store');
+const { evaluateTrade } = require('./trade-evaluation');
+const { REGULAR_SEASON_WEEKS } = require('./schedule-import');
+
+const TRADE_STATUSES = ['proposed', 'accepted', 'rejected', 'cancelled'];
+// Action -> status it moves a proposed trade to
+const TRADE_ACTIONS = { accept: 'accepted', reject: 'rejected', cancel: 'cancelled' };
+// Action -> trade field naming the only team allowed to take it
+const TRADE_ACTORS = { accept: 'toTeam', reject: 'toTeam', cancel: 'fromTeam' };
+
+/**
+ * Error raised for invalid trade proposals and transitions
+ */
+class TradeError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   * @param {number} status - HTTP status to surface to clients
+   */
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'TradeError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Resolve the players one team offers to their roster entries
+ * @param {Array<Object>} roster - Team roster
+ * @param {*} keys - Player ids or names from the request
+ * @param {string} field - Request field, for messages
+ * @param {string} endpoint - Team endpoint
+ * @returns {Array<Object>} - Player refs { id, name, position }
+ */
+function resolveTradePlayers(roster, keys, field, endpoint) {
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new TradeError('invalid_trade', `${field} must be a non-empty array of player ids or names`);
+  }
+
+  const refs = keys.map(key => {
+    const player = roster.find(p => matchesPlayer(p, key));
+    if (!player) {
+      throw new TradeError('player_not_on_roster', `${key} is not on ${endpoint}'s roster`);
+    }
+    return { id: player.id ?? null, name: player.name, position: player.position };
+  });
+
+  const names = refs.map(ref => ref.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    throw new TradeError('invalid_trade', `${duplicate} is listed more than once in ${field}`);
+  }
+  return refs;
+}
+
+/**
+ * Validate an optional first projection week
+ * @param {*} fromWeek - Week from the request
+ * @returns {number|undefined} - Week
+ */
+function normalizeFromWeek(fromWeek) {
+  if (fromWeek === undefined || fromWeek === null || fromWeek === '') return undefined;
+  const week = Number(fromWeek);
+  if (!Number.isInteger(week) || week < 1 || week > REGULAR_SEASON_WEEKS) {
+    throw new TradeError('invalid_week', `fromWeek must be an integer between 1 and ${REGULAR_SEASON_WEEKS}`);
+  }
+  return week;
+}
+
+/**
+ * Propose a trade and score it for both teams
+ * @param {Object} league - League
+ * @param {Object} input - { fromTeam, toTeam, give, receive, note?, fromWeek? }
+ * @returns {Promise<Object>} - Stored trade with its evaluation
+ */
+async function proposeTrade(league, input = {}) {
+  const { fromTeam, toTeam, give, receive, note } = input;
+  for (const [field, endpoint] of [['fromTeam', fromTeam], ['toTeam', toTeam]]) {
+    if (!findLeagueTeam(league, endpoint)) {
+      throw new TradeError('team_not_found', `${field} '${endpoint}' is not in league ${league.id}`, 404);
+    }
+  }
+  if (fromTeam === toTeam) {
+    throw new TradeError('invalid_trade', 'fromTeam and toTeam must be different teams');
+  }
+  if (note !== undefined && typeof note !== 'string') {
+    throw new TradeError('invalid_trade', 'note must be a string');
+  }
+  const fromWeek = normalizeFromWeek(input.fromWeek);
+
+  const repository = getRepository();
+  const [fromRoster, toRoster] = await Promise.all([
+    repository.rosters.listByTeam(fromTeam),
+    repository.rosters.listByTeam(toTeam)
+  ]);
+
+  const now = new Date().toISOString();
+  const trade = {
+    id: crypto.randomUUID(),
+    leagueId: league.id,
+    status: 'proposed',
+    fromTeam,
+    toTeam,
+    give: resolveTradePlayers(fromRoster, give, 'give', fromTeam),
+    receive: resolveTradePlayers(toRoster, receive, 'receive', toTeam),
+    note: note ?? null,
+    history: [{ status: 'proposed', at: now }],
+    createdAt: now,
+    updatedAt: now
+  };
+  trade.evaluation = await evaluateTrade(league, trade, { fromWeek });
+
+  await repository.trades.save(trade);
+  console.log(`[TRADES] ${fromTeam} proposed trade ${trade.id} to ${toTeam}`);
+  return trade;
+}
+
+/**
+ * Get one of a league's trades or throw a 404
+ * @param {string} tradeId - Trade id
+ * @param {Object} league - League the trade must belong to
+ * @returns {Promise<Object>} - Trade
+ */
+async function requireTrade(tradeId, league) {
+  const trade = await getRepository().trades.getById(tradeId);
+  if (!trade || trade.leagueId !== league.id) {
+    throw new TradeError('trade_not_found', `Trade ${tradeId} not found`, 404);
+  }
+  return trade;
+}
+
+/**
+ * List a league's trades, newest first
+ * @param {Object} league - League
+ * @param {Object} [filter] - { team?, status? }
+ * @returns {Promise<Array<Object>>} - Trades
+ */
+async function listTrades(league, { team, status } = {}) {
+  if (status !== undefined && !TRADE_STATUSES.includes(status)) {
+    throw new TradeError('invalid_status', `status must be one of: ${TRADE_STATUSES.join(', ')}`);
+  }
+  return getRepository().trades.list({ leagueId: league.id, team, status });
+}
+
+/**
+ * Accept, reject or cancel a proposed trade on behalf of one of its teams
+ * Runs under the roster lock so a trade settles once and against the rosters as they are now
+ * @param {Object} league - League
+ * @param {string} tradeId - Trade id
+ * @param {string} action - accept, reject or cancel
+ * @param {string} team - Endpoint of the team taking the action
+ * @returns {Promise<Object>} - { trade, transactions }
+ */
+function respondToTrade(league, tradeId, action, team) {
+  if (!Object.hasOwn(TRADE_ACTIONS, action)) {
+    return Promise.reject(new TradeError('invalid_action', `action must be one of: ${Object.keys(TRADE_ACTIONS).join(', ')}`));
+  }
+  if (typeof team !== 'string' || !team.trim()) {
+    return Promise.reject(new TradeError('invalid_team', 'team (the endpoint of the team taking the action) is required'));
+  }
+  const status = TRADE_ACTIONS[action];
+
+  return withRosterLock(async () => {
+    const trade = await requireTrade(tradeId, league);
+    const actor = TRADE_ACTORS[action];
+    if (trade[actor] !== team) {
+      throw new TradeError('not_allowed', `Only ${trade[actor]} may ${action} trade ${tradeId}`, 403);
+    }
+    if (trade.status !== 'proposed') {
+      throw new TradeError('trade_closed', `Trade ${tradeId} is already ${trade.status}`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const settled = { ...trade, status, history: [...trade.history, { status, at: now }], updatedAt: now };
+
+    let transactions = [];
+    if (status === 'accepted') {
+      transactions = await applyTrade(league, trade, settled);
+    } else {
+      await getRepository().trades.save(settled);
+    }
+    console.log(`[TRADES] Trade ${tradeId} ${status} by ${team}`);
+    return { trade: settled, transactions };
+  });
+}
+
+module.exports = {
+  TradeError,
+  TRADE_STATUSES,
+  TRADE_ACTIONS,
+  TRADE_ACTORS,
+  proposeTrade,
+  requireTrade,
+  listTrades,
+  respondToTrade
+};
@@ -40,6 +40,18 @@ function filterQuarterbacks(players) {
   return quarterbacks;
 }
 
+/**
+ * Filters players by position, keeping the input order
+ * @param {Array} players - Array of player objects
+ * @param {string} position - Position to filter for (RB, WR, QB, etc.)
+ * @param {number} [limit] - Maximum number of players to include (all when omitted)
+ * @returns {Array} Array of players at the position
+ */
+function filterPlayersByPosition(players, position, limit) {
+  const filtered = players.filter(player => player.position === position);
+  return limit == null ? filtered : filtered.slice(0, limit);
+}
+
 /**
  * Generic function to extract players by position and save to a JSON file
  * @param {string} position - Position to filter for (RB, WR, QB, etc.)
@@ -59,9 +71,7 @@ function extractPlayersByPosition(
     const players = JSON.parse(draftRosterData);
     
     // Filter players by position and limit results
-    const filteredPlayers = players
-      .filter(player => player.position === position)
-      .slice(0, limit);
+    const filteredPlayers = filterPlayersByPosition(players, position, limit);
     
     console.log(`Found ${filteredPlayers.length} ${position}s out of ${players.length} total players`);
     
@@ -157,6 +167,7 @@ module.exports = {
   filterRunningBacks,
   filterWideReceivers,
   filterQuarterbacks,
+  filterPlayersByPosition,
   extractPlayersByPosition,
   extractRunningBacksToFile,
   extractWideReceiversToFile,
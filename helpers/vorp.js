@@ -0,0 +1,153 @@
+/**
+ * Value over replacement player (VORP)
+ * Replacement level at each position is set by how many starters the league consumes,
+ * so players can be compared across positions on one value scale
+ */
+
+const { resolveScoringRules, projectedPoints } = require('./scoring');
+const { DEFAULT_STARTER_NEEDS } = require('./recommender');
+
+const VORP_POSITIONS = ['QB', 'RB', 'WR', 'TE'];
+const FLEX_POSITIONS = ['RB', 'WR', 'TE'];
+const DEFAULT_LEAGUE_SIZE = Number(process.env.DEFAULT_LEAGUE_SIZE || 12);
+
+/**
+ * Normalize starter slot counts, keeping only the positions VORP uses
+ * @param {Object} [starterSlots] - Starters per position, including FLEX
+ * @returns {Object} - { QB, RB, WR, TE, FLEX } as non-negative integers
+ */
+function normalizeStarterSlots(starterSlots = DEFAULT_STARTER_NEEDS) {
+  const slots = {};
+  for (const pos of [...VORP_POSITIONS, 'FLEX']) {
+    const value = Number(starterSlots?.[pos] ?? DEFAULT_STARTER_NEEDS[pos] ?? 0);
+    slots[pos] = Number.isInteger(value) && value >= 0 ? value : 0;
+  }
+  return slots;
+}
+
+/**
+ * Work out how many players at each position the league starts, including FLEX usage
+ * FLEX slots go to the best RB/WR/TE left once the dedicated starters are taken
+ * @param {Object} byPosition - Players per position, sorted by projected points descending
+ * @param {number} leagueSize - Number of teams
+ * @param {Object} slots - Normalized starter slots
+ * @returns {Object} - Starters consumed per position
+ */
+function computeStartersConsumed(byPosition, leagueSize, slots) {
+  const consumed = {};
+  for (const pos of VORP_POSITIONS) {
+    consumed[pos] = leagueSize * slots[pos];
+  }
+
+  let flexLeft = leagueSize * slots.FLEX;
+  while (flexLeft > 0) {
+    let bestPos = null;
+    let bestPoints = -Infinity;
+    for (const pos of FLEX_POSITIONS) {
+      const next = byPosition[pos][consumed[pos]];
+      if (next && next.projectedPoints > bestPoints) {
+        bestPoints = next.projectedPoints;
+        bestPos = pos;
+      }
+    }
+    if (!bestPos) break;
+    consumed[bestPos]++;
+    flexLeft--;
+  }
+
+  return consumed;
+}
+
+/**
+ * Compute VORP, starter band and positional scarcity for a player pool
+ * @param {Array<Object>} players - Players with position and stats
+ * @param {Object} [options] - Options
+ * @param {number} [options.leagueSize] - Number of teams
+ * @param {Object} [options.starterSlots] - Starters per position, including FLEX
+ * @param {string|Object} [options.scoring] - Scoring profile passed to resolveScoringRules
+ * @returns {Object} - { leagueSize, starterSlots, positions, players } with players sorted by VORP
+ */
+function computeVorp(players, { leagueSize = DEFAULT_LEAGUE_SIZE, starterSlots, scoring } = {}) {
+  const rules = resolveScoringRules(scoring);
+  const slots = normalizeStarterSlots(starterSlots);
+
+  const byPosition = Object.fromEntries(VORP_POSITIONS.map(pos => [pos, []]));
+  for (const player of players || []) {
+    const position = String(player?.position || '').toUpperCase();
+    if (!byPosition[position]) continue;
+    byPosition[position].push({ player, position, projectedPoints: projectedPoints(player, rules) });
+  }
+  for (const pos of VORP_POSITIONS) {
+    byPosition[pos].sort((a, b) => b.projectedPoints - a.projectedPoints);
+  }
+
+  const consumed = computeStartersConsumed(byPosition, leagueSize, slots);
+
+  const positions = {};
+  for (const pos of VORP_POSITIONS) {
+    const list = byPosition[pos];
+    // Replacement is the best player left after every starter is taken; a thin pool uses its last player
+    const replacement = list[consumed[pos]] || list[list.length - 1] || null;
+    positions[pos] = {
+      startersConsumed: consumed[pos],
+      available: list.length,
+      replacementRank: replacement ? list.indexOf(replacement) + 1 : null,
+      replacementPlayer: replacement ? replacement.player.name : null,
+      replacementPoints: replacement ? replacement.projectedPoints : 0,
+      // Drop from the best player to replacement level; filled in relative terms below
+      dropOff: list.length ? list[0].projectedPoints - (replacement ? replacement.projectedPoints : 0) : 0,
+      scarcity: 0
+    };
+  }
+
+  // Scarcity: each position's drop-off relative to the steepest one (0-1)
+  const maxDropOff = Math.max(0, ...Object.values(positions).map(p => p.dropOff));
+  for (const pos of VORP_POSITIONS) {
+    positions[pos].dropOff = round2(positions[pos].dropOff);
+    positions[pos].scarcity = maxDropOff > 0 ? round2(positions[pos].dropOff / maxDropOff) : 0;
+  }
+
+  const valued = [];
+  for (const pos of VORP_POSITIONS) {
+    byPosition[pos].forEach((entry, index) => {
+      valued.push({
+        ...entry.player,
+        projectedPoints: entry.projectedPoints,
+        vorp: round2(entry.projectedPoints - positions[pos].replacementPoints),
+        // Starter band 1 is the top leagueSize players at the position; natural-breaks tiers live in tiers.js
+        starterBand: Math.floor(index / leagueSize) + 1,
+        scarcity: positions[pos].scarcity,
+        positionValueRank: index + 1
+      });
+    });
+  }
+
+  valued.sort((a, b) => b.vorp - a.vorp || (a.newOverallRank ?? Infinity) - (b.newOverallRank ?? Infinity));
+  valued.forEach((player, index) => {
+    player.valueRank = index + 1;
+  });
+
+  return {
+    leagueSize,
+    starterSlots: slots,
+    scoring: rules.presets,
+    positions,
+    players: valued
+  };
+}
+
+/**
+ * Round to two decimals
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  VORP_POSITIONS,
+  DEFAULT_LEAGUE_SIZE,
+  normalizeStarterSlots,
+  computeVorp
+};
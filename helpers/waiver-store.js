@@ -0,0 +1,451 @@
+/**
+ * Waiver wire
+ * Teams claim free agents (pool players no team in the league rosters) with an optional FAAB bid
+ * and an optional player to drop. Claims wait until a processing run, which awards contested
+ * players by bid, then waiver priority, then claim time; every winning team moves to the back of
+ * the priority order
+ */
+
+const crypto = require('crypto');
+const { getRepository } = require('./data-repository');
+const {
+  requireLeague,
+  listLeagues,
+  findLeagueTeam,
+  saveWaiverPriority,
+  leagueSeason,
+  DEFAULT_FAAB_BUDGET
+} = require('./league-store');
+const {
+  withRosterLock,
+  replaceRoster,
+  matchesPlayer,
+  rosterLimit,
+  findPoolPlayer,
+  findRosterOwner,
+  toRosterEntry,
+  buildTransaction
+} = require('./roster-store');
+const { loadProjectionContext, projectRestOfSeason, projectPlayerWeek } = require('./weekly-projection');
+const { getWeekSchedule, findCurrentWeek, attachMatchups } = require('./nfl-matchups');
+const { lineupPosition } = require('./lineup-optimizer');
+
+const CLAIM_STATUSES = ['pending', 'won', 'lost', 'failed', 'cancelled'];
+// Weekly processing run (UTC), scheduled only with WAIVER_AUTO_PROCESS=true; otherwise processing is
+// left to the script or endpoint
+const WAIVER_PROCESS_DAY = Number(process.env.WAIVER_PROCESS_DAY || 3);
+const WAIVER_PROCESS_HOUR = Number(process.env.WAIVER_PROCESS_HOUR || 10);
+
+/**
+ * Error raised for invalid waiver claims
+ */
+class WaiverError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   * @param {number} status - HTTP status to surface to clients
+   */
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'WaiverError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * A league's waiver priority: the stored order when it still lists every team, else the reverse of
+ * the team order
+ * @param {Object} league - League
+ * @returns {Array<string>} - Team endpoints, first claim first
+ */
+function getWaiverPriority(league) {
+  const endpoints = league.teams.map(team => team.endpoint);
+  const stored = league.waiverPriority;
+  if (Array.isArray(stored) && stored.length === endpoints.length && endpoints.every(e => stored.includes(e))) {
+    return [...stored];
+  }
+  return [...endpoints].reverse();
+}
+
+/**
+ * FAAB budget, spend on won claims this season and what is left for each team
+ * Claims saved before claims carried a season count toward the league's current season
+ * @param {Object} league - League
+ * @param {Array<Object>} claims - The league's claims
+ * @returns {Object} - { [endpoint]: { budget, spent, remaining } }
+ */
+function computeBudgets(league, claims) {
+  const budget = league.faabBudget ?? DEFAULT_FAAB_BUDGET;
+  const season = leagueSeason(league);
+  const won = claims.filter(c => c.status === 'won' && (c.season ?? season) === season);
+  const budgets = {};
+  for (const { endpoint } of league.teams) {
+    const spent = won.filter(c => c.team === endpoint).reduce((sum, c) => sum + c.bid, 0);
+    budgets[endpoint] = { budget, spent, remaining: budget - spent };
+  }
+  return budgets;
+}
+
+/**
+ * Players in the pool that no team in the league rosters
+ * @param {Object} league - League
+ * @returns {Promise<Array<Object>>} - Pool players
+ */
+async function listFreeAgentPlayers(league) {
+  const repository = getRepository();
+  const [pool, players] = await Promise.all([repository.players.list(), repository.rosters.listPlayers()]);
+  return pool.filter(player => !findRosterOwner(players, league, player));
+}
+
+/**
+ * Free agents with this week's and rest-of-season projections, best rest of season first
+ * @param {Object} league - League (scoring)
+ * @param {Object} [options] - Options
+ * @param {string} [options.position] - Only this position
+ * @param {number} [options.week] - Week to project (defaults to the current NFL week)
+ * @param {number} [options.limit] - Most players to return
+ * @returns {Promise<Object>} - { week, projectionSeason, total, players }
+ */
+async function listFreeAgents(league, { position, week, limit = 50 } = {}) {
+  const [freeAgents, season, context] = await Promise.all([
+    listFreeAgentPlayers(league),
+    getRepository().schedule.getSeason(),
+    loadProjectionContext({ scoring: league.scoring, season: leagueSeason(league) })
+  ]);
+  const wanted = position ? lineupPosition({ position }) : null;
+  const candidates = wanted ? freeAgents.filter(p => lineupPosition(p) === wanted) : freeAgents;
+
+  const currentWeek = week ?? findCurrentWeek(season);
+  const weekSchedule = getWeekSchedule(season, currentWeek);
+  const withMatchups = weekSchedule
+    ? attachMatchups(candidates, { week: currentWeek, weekSchedule, nflTeams: context.nflTeams })
+    : candidates.map(player => ({ ...player, matchup: null }));
+  const restOfSeason = projectRestOfSeason(candidates, { season, fromWeek: currentWeek, context });
+
+  const players = withMatchups
+    .map((player, i) => ({
+      ...player,
+      projection: projectPlayerWeek(player, context),
+      restOfSeason: restOfSeason[i].restOfSeason
+    }))
+    .sort((a, b) => b.restOfSeason.points - a.restOfSeason.points || String(a.name).localeCompare(String(b.name)));
+
+  return { week: currentWeek, projectionSeason: context.season ?? null, total: players.length, players: players.slice(0, limit) };
+}
+
+/**
+ * Submit a waiver claim
+ * @param {Object} league - League
+ * @param {Object} input - { team, playerId or name (+ position), drop?, bid? }
+ * @returns {Promise<Object>} - Pending claim
+ */
+function submitClaim(league, input = {}) {
+  return withRosterLock(async () => {
+    const team = findLeagueTeam(league, input.team);
+    if (!team) {
+      throw new WaiverError('team_not_found', `Team '${input.team}' is not in league ${league.id}`, 404);
+    }
+    const key = input.playerId ?? input.name;
+    if (key == null || String(key).trim() === '') {
+      throw new WaiverError('invalid_player', 'playerId or name is required');
+    }
+    const bid = input.bid === undefined ? 0 : Number(input.bid);
+    if (!Number.isInteger(bid) || bid < 0) {
+      throw new WaiverError('invalid_bid', 'bid must be a non-negative integer');
+    }
+
+    const repository = getRepository();
+    const [pool, players, claims] = await Promise.all([
+      repository.players.list(),
+      repository.rosters.listPlayers(),
+      repository.waiverClaims.list({ leagueId: league.id })
+    ]);
+
+    const poolPlayer = findPoolPlayer(pool, key, input.position);
+    const owner = findRosterOwner(players, league, poolPlayer);
+    if (owner) {
+      throw new WaiverError('player_rostered', `${poolPlayer.name} is already on ${owner.fantasyTeam.endpoint}'s roster`, 409);
+    }
+
+    const remaining = computeBudgets(league, claims)[team.endpoint].remaining;
+    if (bid > remaining) {
+      throw new WaiverError('insufficient_budget', `${team.endpoint} has $${remaining} of FAAB left`, 409);
+    }
+
+    const roster = players.filter(p => p.fantasyTeam?.endpoint === team.endpoint);
+    let drop = null;
+    if (input.drop != null) {
+      const dropPlayer = roster.find(p => matchesPlayer(p, input.drop));
+      if (!dropPlayer) {
+        throw new WaiverError('player_not_on_roster', `${input.drop} is not on ${team.endpoint}'s roster`);
+      }
+      drop = { id: dropPlayer.id ?? null, name: dropPlayer.name, position: dropPlayer.position };
+    } else if (roster.length >= rosterLimit(league)) {
+      throw new WaiverError('roster_full', `${team.endpoint}'s roster is full; name a player to drop`, 409);
+    }
+
+    const duplicate = claims.find(c =>
+      c.status === 'pending' && c.team === team.endpoint && String(c.player.id) === String(poolPlayer.id)
+    );
+    if (duplicate) {
+      throw new WaiverError('duplicate_claim', `${team.endpoint} already has pending claim ${duplicate.id} for ${poolPlayer.name}`, 409);
+    }
+
+    const claim = {
+      id: crypto.randomUUID(),
+      leagueId: league.id,
+      season: leagueSeason(league),
+      team: team.endpoint,
+      player: { id: poolPlayer.id, name: poolPlayer.name, position: poolPlayer.position },
+      drop,
+      bid,
+      status: 'pending',
+      reason: null,
+      createdAt: new Date().toISOString(),
+      processedAt: null
+    };
+    await repository.waiverClaims.saveMany([claim]);
+    console.log(`[WAIVERS] ${team.endpoint} claimed ${poolPlayer.name} for $${bid}`);
+    return claim;
+  });
+}
+
+/**
+ * List a league's claims, oldest first
+ * @param {Object} league - League
+ * @param {Object} [filter] - { team?, status? }
+ * @returns {Promise<Array<Object>>} - Claims
+ */
+async function listClaims(league, { team, status } = {}) {
+  if (status !== undefined && !CLAIM_STATUSES.includes(status)) {
+    throw new WaiverError('invalid_status', `status must be one of: ${CLAIM_STATUSES.join(', ')}`);
+  }
+  return getRepository().waiverClaims.list({ leagueId: league.id, team, status });
+}
+
+/**
+ * Cancel a pending claim
+ * @param {string} claimId - Claim id
+ * @returns {Promise<Object>} - Cancelled claim
+ */
+function cancelClaim(claimId) {
+  return withRosterLock(async () => {
+    const repository = getRepository();
+    const claim = await repository.waiverClaims.getById(claimId);
+    if (!claim) {
+      throw new WaiverError('claim_not_found', `Claim ${claimId} not found`, 404);
+    }
+    if (claim.status !== 'pending') {
+      throw new WaiverError('claim_closed', `Claim ${claimId} is already ${claim.status}`, 409);
+    }
+
+    const cancelled = { ...claim, status: 'cancelled', processedAt: new Date().toISOString() };
+    await repository.waiverClaims.saveMany([cancelled]);
+    return cancelled;
+  });
+}
+
+/**
+ * Resolve a league's pending claims against the current rosters
+ * Repeatedly awards the best remaining claim (highest bid, then waiver priority, then oldest, then
+ * id), so the same claims and rosters always produce the same result
+ * @param {Object} league - League
+ * @param {Object} state - { pool, players, nflTeams, claims }
+ * @returns {Object} - { players, priority, processed, transactions }
+ */
+function resolveClaims(league, { pool, players, nflTeams, claims }) {
+  const priority = getWaiverPriority(league);
+  const budgets = computeBudgets(league, claims);
+  const limit = rosterLimit(league);
+  const processedAt = new Date().toISOString();
+  let roster = [...players];
+  let pending = claims.filter(c => c.status === 'pending');
+  const processed = [];
+  const transactions = [];
+
+  const close = (claim, status, reason) => processed.push({ ...claim, status, reason, processedAt });
+  const rank = claim => priority.indexOf(claim.team);
+  const order = (a, b) => b.bid - a.bid || rank(a) - rank(b) || a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id);
+
+  while (pending.length) {
+    const [claim, ...rest] = [...pending].sort(order);
+    pending = rest;
+
+    const poolPlayer = pool.find(p => String(p.id) === String(claim.player.id));
+    const team = findLeagueTeam(league, claim.team);
+    const dropIndex = claim.drop
+      ? roster.findIndex(p => p.fantasyTeam?.endpoint === claim.team && matchesPlayer(p, claim.drop.id ?? claim.drop.name))
+      : -1;
+    const size = roster.filter(p => p.fantasyTeam?.endpoint === claim.team).length;
+
+    let failure = null;
+    if (!team) failure = 'team_not_in_league';
+    else if (!poolPlayer) failure = 'player_not_in_pool';
+    else if (findRosterOwner(roster, league, poolPlayer)) failure = 'player_not_available';
+    else if (claim.bid > budgets[claim.team].remaining) failure = 'insufficient_budget';
+    else if (claim.drop && dropIndex === -1) failure = 'drop_player_not_on_roster';
+    else if (!claim.drop && size >= limit) failure = 'roster_full';
+    if (failure) {
+      close(claim, 'failed', failure);
+      continue;
+    }
+
+    if (dropIndex !== -1) {
+      transactions.push(buildTransaction(league, 'drop', claim.team, roster[dropIndex], { claimId: claim.id }));
+      roster = roster.filter((_, i) => i !== dropIndex);
+    }
+    const entry = toRosterEntry(poolPlayer, team, nflTeams);
+    roster.push(entry);
+    transactions.push(buildTransaction(league, 'add', claim.team, entry, { claimId: claim.id, bid: claim.bid }));
+    budgets[claim.team].remaining -= claim.bid;
+    budgets[claim.team].spent += claim.bid;
+    priority.push(...priority.splice(priority.indexOf(claim.team), 1));
+    close(claim, 'won', null);
+
+    // Everyone else chasing this player loses it
+    pending = pending.filter(other => {
+      if (String(other.player.id) !== String(claim.player.id)) return true;
+      close(other, 'lost', other.team === claim.team ? 'duplicate_claim' : 'claimed_by_another_team');
+      return false;
+    });
+  }
+
+  return { players: roster, priority, processed, transactions };
+}
+
+/**
+ * Process a league's pending claims and save the rosters, claim outcomes and new priority
+ * @param {string} [leagueId] - League id (default league when omitted)
+ * @returns {Promise<Object>} - { leagueId, processedAt, won, lost, failed, claims, priority }
+ */
+function processWaivers(leagueId) {
+  return withRosterLock(async () => {
+    const league = await requireLeague(leagueId);
+    const repository = getRepository();
+    const [pool, players, nflTeams, claims] = await Promise.all([
+      repository.players.list(),
+      repository.rosters.listPlayers(),
+      repository.nflTeams.list(),
+      repository.waiverClaims.list({ leagueId: league.id })
+    ]);
+
+    const result = resolveClaims(league, { pool, players, nflTeams, claims });
+    const count = status => result.processed.filter(c => c.status === status).length;
+
+    if (result.processed.length) {
+      if (result.transactions.length) {
+        await replaceRoster(result.players, players, {
+          transactions: result.transactions,
+          claims: result.processed
+        });
+      } else {
+        await repository.waiverClaims.saveMany(result.processed);
+      }
+      if (count('won')) await saveWaiverPriority(league.id, result.priority);
+    }
+
+    console.log(`[WAIVERS] Processed ${result.processed.length} claims for league ${league.id}: ${count('won')} won, ${count('lost')} lost, ${count('failed')} failed`);
+    return {
+      leagueId: league.id,
+      processedAt: new Date().toISOString(),
+      won: count('won'),
+      lost: count('lost'),
+      failed: count('failed'),
+      claims: result.processed,
+      priority: count('won') ? result.priority : getWaiverPriority(league)
+    };
+  });
+}
+
+/**
+ * Give back a league's claim on a period after its run failed
+ * A failed release is only logged; the period then stays skipped until its run record is removed
+ * @param {string} leagueId - League id
+ * @param {string} period - Scheduled run (its ISO time)
+ * @returns {Promise<void>}
+ */
+async function releaseWaiverRun(leagueId, period) {
+  try {
+    await getRepository().waiverRuns.release(leagueId, period);
+  } catch (error) {
+    console.error(`[WAIVERS] Could not release the ${period} run for league ${leagueId}:`, error.message);
+  }
+}
+
+/**
+ * Process every league's claims; one league failing does not stop the others
+ * With a period, each league's run is first claimed in the repository, so leagues another instance
+ * (or an earlier attempt) already ran for that period are skipped; a run that fails gives its claim
+ * back so the period can be retried
+ * @param {Object} [options] - Options
+ * @param {string} [options.period] - Scheduled run this call belongs to (its ISO time)
+ * @returns {Promise<Array<Object>>} - Results per league ({ leagueId, error } on failure, { leagueId, skipped } when already run)
+ */
+async function processAllWaivers({ period } = {}) {
+  const results = [];
+  for (const league of await listLeagues()) {
+    let claimed = false;
+    try {
+      if (period && !(claimed = await getRepository().waiverRuns.claim(league.id, period))) {
+        console.log(`[WAIVERS] League ${league.id} already processed for ${period}; skipping`);
+        results.push({ leagueId: league.id, skipped: true });
+        continue;
+      }
+      results.push(await processWaivers(league.id));
+    } catch (error) {
+      console.error(`[WAIVERS] Processing failed for league ${league.id}:`, error.message);
+      results.push({ leagueId: league.id, error: error.message });
+      if (claimed) await releaseWaiverRun(league.id, period);
+    }
+  }
+  return results;
+}
+
+/**
+ * Time of the next weekly processing run
+ * @param {Date} [now] - Reference time
+ * @returns {Date} - Next run (UTC day and hour from WAIVER_PROCESS_DAY / WAIVER_PROCESS_HOUR)
+ */
+function nextWaiverRun(now = new Date()) {
+  const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), WAIVER_PROCESS_HOUR));
+  next.setUTCDate(next.getUTCDate() + ((WAIVER_PROCESS_DAY - next.getUTCDay() + 7) % 7));
+  if (next <= now) next.setUTCDate(next.getUTCDate() + 7);
+  return next;
+}
+
+/**
+ * Run processAllWaivers every week at the configured time while the server is up
+ * Each run is keyed by its scheduled time, so instances sharing a database process a league once
+ * @returns {Function} - Stops the schedule
+ */
+function startWaiverSchedule() {
+  let timer = null;
+  const schedule = () => {
+    const next = nextWaiverRun();
+    console.log(`[WAIVERS] Next processing run at ${next.toISOString()}`);
+    timer = setTimeout(() => {
+      processAllWaivers({ period: next.toISOString() }).finally(schedule);
+    }, next - Date.now());
+    // Don't keep the process alive just for waivers
+    timer.unref();
+  };
+  schedule();
+  return () => clearTimeout(timer);
+}
+
+module.exports = {
+  WaiverError,
+  CLAIM_STATUSES,
+  getWaiverPriority,
+  computeBudgets,
+  listFreeAgents,
+  submitClaim,
+  listClaims,
+  cancelClaim,
+  resolveClaims,
+  processWaivers,
+  processAllWaivers,
+  nextWaiverRun,
+  startWaiverSchedule
+};
@@ -0,0 +1,253 @@
+/**
+ * Weekly fantasy projections
+ * A player's week = season projection per game x opponent factor x home/away factor, or 0 on bye.
+ * The opponent factor is the points the opponent allows to the position relative to the league
+ * average (from defenseRatings, see `npm run import:defense`); without ratings it stays at 1
+ */
+
+const { getRepository } = require('./data-repository');
+const { computePlayerPoints, resolveScoringRules } = require('./scoring');
+const { buildDefenseIndex } = require('./strength-of-schedule');
+const { findTeamByAbbr } = require('./nfl-teams');
+const { attachMatchups, getWeekSchedule } = require('./nfl-matchups');
+const { REGULAR_SEASON_WEEKS } = require('./schedule-import');
+
+const PROJECTION_HOME_ADJUSTMENT = Number(process.env.PROJECTION_HOME_ADJUSTMENT || 0.02);
+const PROJECTION_MIN_OPPONENT_FACTOR = Number(process.env.PROJECTION_MIN_OPPONENT_FACTOR || 0.75);
+const PROJECTION_MAX_OPPONENT_FACTOR = Number(process.env.PROJECTION_MAX_OPPONENT_FACTOR || 1.25);
+// Used when a projection has no gamesPlayed
+const DEFAULT_GAMES_PLAYED = 17;
+
+// Pool lookups keyed by the repository's player list, rebuilt when the list changes
+const poolIndexCache = new WeakMap();
+// "requested->used" season fallbacks already logged, so each is reported once per process
+const loggedSeasonFallbacks = new Set();
+
+/**
+ * Normalize a player name for matching roster entries against the player pool
+ * @param {string} name - Player name
+ * @returns {string} - Lowercase name without punctuation or suffixes
+ */
+function normalizePlayerName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/\s+(jr|sr|ii|iii|iv|v)$/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Index the player pool by id and by name + position
+ * @param {Array<Object>} players - Player pool
+ * @returns {Object} - { byId: Map, byName: Map, predictedSeasons: [season] (oldest first) }
+ */
+function buildPoolIndex(players) {
+  if (!poolIndexCache.has(players)) {
+    const byId = new Map();
+    const byName = new Map();
+    const predictedSeasons = new Set();
+    for (const player of players) {
+      byId.set(String(player.id), player);
+      byName.set(`${normalizePlayerName(player.name)}|${String(player.position).toUpperCase()}`, player);
+      for (const [season, line] of Object.entries(player.stats || {})) {
+        if (line?.predicted) predictedSeasons.add(season);
+      }
+    }
+    poolIndexCache.set(players, { byId, byName, predictedSeasons: [...predictedSeasons].sort() });
+  }
+  return poolIndexCache.get(players);
+}
+
+/**
+ * Find the pool record with stats for a roster player (by id, then name and position)
+ * @param {Object} player - Roster player
+ * @param {Object} poolIndex - Output of buildPoolIndex
+ * @returns {Object|null} - Pool player or null
+ */
+function findPoolPlayer(player, poolIndex) {
+  if (player.stats) return player;
+  if (player.id != null && poolIndex.byId.has(String(player.id))) return poolIndex.byId.get(String(player.id));
+  return poolIndex.byName.get(`${normalizePlayerName(player.name)}|${String(player.position).toUpperCase()}`) || null;
+}
+
+/**
+ * The season whose predicted stats project a league's weeks
+ * After a rollover the league's new season usually has no predictions imported yet; rather than
+ * projecting every player as null, fall back to the latest season the pool has predictions for
+ * @param {string} [season] - League season
+ * @param {Object} poolIndex - Pool index from buildPoolIndex
+ * @returns {string|undefined} - Season to project from
+ */
+function resolveProjectionSeason(season, { predictedSeasons }) {
+  if (!season || predictedSeasons.includes(String(season)) || predictedSeasons.length === 0) return season;
+
+  const fallback = predictedSeasons.at(-1);
+  if (!loggedSeasonFallbacks.has(`${season}->${fallback}`)) {
+    loggedSeasonFallbacks.add(`${season}->${fallback}`);
+    console.warn(`[PROJECTIONS] No predicted stats for ${season}; projecting from ${fallback} until they are imported`);
+  }
+  return fallback;
+}
+
+/**
+ * Load what weekly projections need: scoring rules, the player pool and defensive ratings
+ * @param {Object} [options] - Options
+ * @param {string|Object} [options.scoring] - Scoring profile passed to resolveScoringRules
+ * @param {string} [options.season] - Season whose predicted stats to use (defaults to PROJECTION_SEASON);
+ *   context.season is the season actually used, see resolveProjectionSeason
+ * @returns {Promise<Object>} - Projection context
+ */
+async function loadProjectionContext({ scoring, season } = {}) {
+  const repository = getRepository();
+  const rules = resolveScoringRules(scoring);
+  const [players, nflTeams, ratings] = await Promise.all([
+    repository.players.list(),
+    repository.nflTeams.list(),
+    repository.defenseRatings.list()
+  ]);
+
+  const poolIndex = buildPoolIndex(players);
+  return {
+    rules,
+    season: resolveProjectionSeason(season, poolIndex),
+    requestedSeason: season,
+    nflTeams,
+    poolIndex,
+    defense: buildDefenseIndex(ratings, nflTeams)
+  };
+}
+
+/**
+ * Opponent factor for a position: points the opponent allows relative to the league average, clamped
+ * @param {string} opponentAbbr - Opponent abbreviation
+ * @param {string} position - Fantasy position
+ * @param {Object} context - Projection context
+ * @returns {number} - Multiplier (1 when unrated)
+ */
+function opponentFactor(opponentAbbr, position, { defense, nflTeams }) {
+  const opponent = findTeamByAbbr(nflTeams, opponentAbbr);
+  const allowed = Number(defense.byTeam.get(opponent?.abbr)?.[position]);
+  const average = defense.leagueAverage[position];
+  if (!Number.isFinite(allowed) || !average) return 1;
+
+  const factor = allowed / average;
+  return Math.min(PROJECTION_MAX_OPPONENT_FACTOR, Math.max(PROJECTION_MIN_OPPONENT_FACTOR, factor));
+}
+
+/**
+ * Project one player's points for a week
+ * @param {Object} player - Player with a matchup field (from attachMatchups)
+ * @param {Object} context - Projection context
+ * @returns {Object} - { points, perGame, opponentFactor, homeFactor, bye, source }
+ */
+function projectPlayerWeek(player, context) {
+  const matchup = player.matchup;
+  if (matchup?.bye) {
+    return { points: 0, perGame: null, opponentFactor: null, homeFactor: null, bye: true, source: 'bye' };
+  }
+
+  const poolPlayer = findPoolPlayer(player, context.poolIndex);
+  const season = poolPlayer ? computePlayerPoints(poolPlayer, { rules: context.rules, season: context.season, kind: 'predicted' }) : null;
+  if (!season) {
+    return { points: null, perGame: null, opponentFactor: null, homeFactor: null, bye: false, source: 'none' };
+  }
+
+  const position = String(player.position || poolPlayer.position).toUpperCase();
+  const perGame = season.points / (season.gamesPlayed || DEFAULT_GAMES_PLAYED);
+  const oppFactor = matchup ? opponentFactor(matchup.opponent?.abbr, position, context) : 1;
+  const homeFactor = matchup?.type === 'home'
+    ? 1 + PROJECTION_HOME_ADJUSTMENT
+    : matchup?.type === 'away' ? 1 - PROJECTION_HOME_ADJUSTMENT : 1;
+
+  return {
+    points: round1(perGame * oppFactor * homeFactor),
+    perGame: round1(perGame),
+    opponentFactor: Math.round(oppFactor * 100) / 100,
+    homeFactor,
+    bye: false,
+    source: 'season_projection'
+  };
+}
+
+/**
+ * Project a fantasy roster for a week and total its starters
+ * @param {Array<Object>} players - Roster players (starter flag marks the lineup)
+ * @param {Object} options - Options
+ * @param {number} options.week - Week number
+ * @param {Array<Object>} options.weekSchedule - NFL games for the week
+ * @param {Object} options.context - Projection context from loadProjectionContext
+ * @returns {Object} - { projectionSeason, totalProjected, unprojectedStarters, starters, bench }
+ */
+function projectRosterWeek(players, { week, weekSchedule, context }) {
+  const projected = attachMatchups(players, { week, weekSchedule, nflTeams: context.nflTeams })
+    .map(player => ({ ...player, projection: projectPlayerWeek(player, context) }));
+
+  const starters = projected.filter(p => p.starter);
+  const bench = projected.filter(p => !p.starter);
+
+  return {
+    projectionSeason: context.season ?? null,
+    totalProjected: round1(starters.reduce((sum, p) => sum + (p.projection.points || 0), 0)),
+    unprojectedStarters: starters.filter(p => p.projection.points == null).length,
+    starters,
+    bench
+  };
+}
+
+/**
+ * Project players over a range of weeks
+ * Weeks without a loaded schedule use the per-game projection with neutral opponent and venue
+ * @param {Array<Object>} players - Players
+ * @param {Object} options - Options
+ * @param {Object|Array} options.season - Season schedule
+ * @param {number} options.fromWeek - First week (inclusive)
+ * @param {number} [options.toWeek] - Last week (inclusive)
+ * @param {Object} options.context - Projection context from loadProjectionContext
+ * @returns {Array<Object>} - Players with restOfSeason: { points, games, byes, unprojected }
+ */
+function projectRestOfSeason(players, { season, fromWeek, toWeek = REGULAR_SEASON_WEEKS, context }) {
+  const totals = players.map(() => ({ points: 0, games: 0, byes: 0, unprojected: false }));
+
+  for (let week = fromWeek; week <= toWeek; week++) {
+    const weekSchedule = getWeekSchedule(season, week);
+    const weekPlayers = weekSchedule
+      ? attachMatchups(players, { week, weekSchedule, nflTeams: context.nflTeams })
+      : players.map(player => ({ ...player, matchup: null }));
+
+    weekPlayers.forEach((player, i) => {
+      const projection = projectPlayerWeek(player, context);
+      if (projection.bye) {
+        totals[i].byes++;
+      } else if (projection.points == null) {
+        totals[i].unprojected = true;
+      } else {
+        totals[i].points += projection.points;
+        totals[i].games++;
+      }
+    });
+  }
+
+  return players.map((player, i) => ({
+    ...player,
+    restOfSeason: { ...totals[i], points: round1(totals[i].points) }
+  }));
+}
+
+/**
+ * Round to one decimal
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = {
+  normalizePlayerName,
+  resolveProjectionSeason,
+  loadProjectionContext,
+  projectPlayerWeek,
+  projectRosterWeek,
+  projectRestOfSeason
+};
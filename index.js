@@ -27,6 +27,8 @@ const {
 
 // Import the route-scoped streaming router
 const { streamRouter } = require('./streamRouter');
+const { loadPromptTemplates, renderPrompt } = require('./helpers/prompt-templates');
+const { PLAYER_IMPORT_LIMIT } = require('./helpers/player-import');
 
 const sql = neon(process.env.DATABASE_URL);
 const app = express();
@@ -101,6 +103,36 @@ app.use('/api/schedule', express.json({ limit: '1mb' }));
 // Mount the schedule router
 app.use('/api/schedule', require('./routes/schedule'));
 
+// Mount route-scoped JSON parser for /api/players; JSON imports get the same limit as NDJSON ones
+app.use('/api/players', express.json({ limit: PLAYER_IMPORT_LIMIT }));
+
+// Mount the players router
+app.use('/api/players', require('./routes/players'));
+
+// Mount route-scoped JSON parser for /api/leagues
+app.use('/api/leagues', express.json({ limit: '1mb' }));
+
+// Mount the leagues router
+app.use('/api/leagues', require('./routes/leagues'));
+
+// Mount route-scoped JSON parser for /api/matchups
+app.use('/api/matchups', express.json({ limit: '1mb' }));
+
+// Mount the matchups router
+app.use('/api/matchups', require('./routes/matchups'));
+
+// Mount route-scoped JSON parser for /api/trades
+app.use('/api/trades', express.json({ limit: '1mb' }));
+
+// Mount the trades router
+app.use('/api/trades', require('./routes/trades'));
+
+// Mount route-scoped JSON parser for /api/waivers
+app.use('/api/waivers', express.json({ limit: '1mb' }));
+
+// Mount the waivers router
+app.use('/api/waivers', require('./routes/waivers'));
+
 // Apply compression middleware with conditional logic to skip streaming routes
 app.use(compression({
   filter: (req, res) => {
@@ -128,6 +160,9 @@ console.log('[BOOT]', {
   BLOCKING_TIMEOUT_MS: process.env.BLOCKING_TIMEOUT_MS || 3000000
 });
 
+// Read prompt templates now so a pin to a missing version stops the server at boot
+loadPromptTemplates();
+
 // Startup guard - DEV-only environment diagnostics
 if (process.env.NODE_ENV !== 'production') {
   console.info('[env]', {
@@ -171,66 +206,6 @@ app.get("/version", async (req, res) => {
   }
 });
 
-// Endpoint to insert a player
-app.post("/api/players", async (req, res) => {
-  // Destructure the request body to individual variables
-  const {
-    id,
-    overallRank,
-    position,
-    positionRank,
-    name,
-    teamAbbr,
-    byeWeek,
-    yearsPro,
-    newTeam,
-    role,
-    competitionLevel,
-    attributes,
-    riskScore,
-    stats
-  } = req.body;
-
-  try {
-    await sql`
-      INSERT INTO draft_roster (
-        id, overall_rank, position, position_rank, name, team_abbr, bye_week,
-        years_pro, new_team, role, competition_level, attributes, risk_score, stats
-      ) VALUES (
-        ${id},
-        ${overallRank},
-        ${position},
-        ${positionRank},
-        ${name},
-        ${teamAbbr},
-        ${byeWeek},
-        ${yearsPro},
-        ${newTeam},
-        ${role},
-        ${competitionLevel},
-        ${JSON.stringify(attributes)},
-        ${riskScore},
-        ${JSON.stringify(stats)}
-      )
-    `;
-    res.json({ success: true, inserted: id });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Endpoint to serve players from finalized draft roster JSON file
-app.get("/api/players", async (req, res) => {
-  try {
-    const filePath = path.join(__dirname, "data", "finalized", "draftRoster_v4.json");
-    const jsonData = fs.readFileSync(filePath, "utf8");
-    const players = JSON.parse(jsonData);
-    res.json(players);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
 // Fantasy Football Draft Endpoints
 
 // Endpoint to reset the draft
@@ -268,14 +243,45 @@ app.post("/api/draft/reset", async (req, res) => {
 
 // Duplicate route removed - using the buffered version in routes/draft.js instead
 
+/**
+ * Response for a pick recorded in a draft session whose upstream acknowledgement failed
+ * The pick stands; upstream describes the failure so the client can tell the user the LLM missed it
+ * @param {Object} session - Draft session
+ * @param {Object} sessionPick - Recorded pick entry
+ * @param {Object} player - Player from the request
+ * @param {Object} upstream - { error, message, upstreamStatus?, provider? }
+ * @param {Object} [extra] - More response fields (traceId, duration_ms, promptVersion)
+ * @returns {Object} - Response body
+ */
+function sessionPickWithoutAck(session, sessionPick, player, upstream, extra = {}) {
+  const { getCurrentPick } = require('./helpers/draft-session');
+  console.warn(`[DRAFT] Round ${sessionPick.round} pick ${sessionPick.pick} recorded in session ${session.id} without an upstream acknowledgement (${upstream.error})`);
+  return {
+    ok: true,
+    ack: false,
+    player: { id: player.id, name: player.name },
+    conversationId: session.conversationId || null,
+    sessionId: session.id,
+    pick: sessionPick,
+    current: getCurrentPick(session),
+    upstream,
+    ...extra,
+    source: 'draft_session'
+  };
+}
+
 // ROO: ACK endpoint — blocking, fast lightweight ACK
 app.post("/api/draft/player-taken", async (req, res) => {
   const crypto = require('crypto');
-  const { UnifiedDifyClient, TraceLogger } = require('./helpers/dify-client');
+  const { TraceLogger } = require('./helpers/dify-client');
+  const { getProvider } = require('./helpers/llm-provider');
+  const { DraftSessionError, getDraftSession, recordPick, getCurrentPick } = require('./helpers/draft-session');
   
   const traceId = crypto.randomUUID();
   const logger = new TraceLogger(traceId);
   const t0 = Date.now();
+  let session = null;
+  let sessionPick = null;
   
   logger.breadcrumb('player_taken_start', {
     endpoint: '/api/draft/player-taken',
@@ -283,7 +289,21 @@ app.post("/api/draft/player-taken", async (req, res) => {
   });
   
   try {
-    const { conversationId, player } = req.body;
+    const { sessionId, player } = req.body;
+    session = await getDraftSession(sessionId);
+
+    if (sessionId && !session) {
+      return res.status(404).json({
+        ok: false,
+        error: 'session_not_found',
+        message: `Draft session '${sessionId}' not found`,
+        traceId,
+        source: 'node_backend_validation',
+        duration_ms: Date.now() - t0
+      });
+    }
+
+    const conversationId = req.body.conversationId || session?.conversationId;
     
     // Enhanced validation with detailed error messages
     if (!conversationId || !player) {
@@ -332,14 +352,43 @@ app.post("/api/draft/player-taken", async (req, res) => {
       conversationId: conversationId?.slice(0, 8) + '...'
     });
 
+    const sendSessionError = sessionError => {
+      if (!(sessionError instanceof DraftSessionError)) throw sessionError;
+      return res.status(sessionError.status).json({
+        ok: false,
+        error: sessionError.code,
+        message: sessionError.message,
+        traceId,
+        source: 'draft_session',
+        duration_ms: Date.now() - t0
+      });
+    };
+
+    // Record the pick as soon as it is valid so the server-side draft keeps moving (and the local
+    // recommender sees the right pool) while the provider is down; the acknowledgement is best effort
+    if (session) {
+      try {
+        sessionPick = await recordPick(session, player);
+      } catch (sessionError) {
+        return sendSessionError(sessionError);
+      }
+      logger.breadcrumb('player_taken_session_recorded', {
+        sessionId: session.id,
+        round: sessionPick.round,
+        pick: sessionPick.pick,
+        teamSlot: sessionPick.teamSlot
+      });
+    }
+
     // Fix timeout configuration: 45s response, 15s Dify
     res.setTimeout(45000);
 
-    const unifiedClient = new UnifiedDifyClient();
+    const provider = getProvider('player-taken');
+    const prompt = renderPrompt('draft-player-taken-ack', { name: player.name, id: player.id });
     
     // Create request body for Dify
     const difyRequestBody = {
-      query: `Taken: ${player.name} (id:${player.id})`,
+      query: prompt.text,
       inputs: {
         action: 'player-taken',
         player: {
@@ -354,16 +403,16 @@ app.post("/api/draft/player-taken", async (req, res) => {
     };
 
     logger.breadcrumb('player_taken_calling_dify', {
-      difyUrl: unifiedClient.apiUrl,
-      hasSecretKey: !!unifiedClient.secretKey,
+      provider: provider.name,
       timeoutMs: 15000
     });
 
-    // Use UnifiedDifyClient directly for better error control
-    const result = await unifiedClient.postBlocking({
+    // Call the provider directly for better error control
+    const result = await provider.postBlocking({
       body: difyRequestBody,
       timeoutMs: 15000,
-      traceId
+      traceId,
+      action: 'player-taken'
     });
     
     const duration_ms = Date.now() - t0;
@@ -379,8 +428,14 @@ app.post("/api/draft/player-taken", async (req, res) => {
         ack: true,
         player: { id: player.id, name: player.name },
         conversationId: result.conversationId,
+        ...(session && {
+          sessionId: session.id,
+          pick: sessionPick,
+          current: getCurrentPick(session)
+        }),
         traceId,
         duration_ms,
+        promptVersion: prompt.promptVersion,
         source: 'dify_success'
       });
     } else {
@@ -392,7 +447,14 @@ app.post("/api/draft/player-taken", async (req, res) => {
         upstreamStatus: result.upstreamStatus
       });
 
-      if (result.error === 'timeout') {
+      if (sessionPick) {
+        res.json(sessionPickWithoutAck(session, sessionPick, player, {
+          error: result.error,
+          message: result.message,
+          upstreamStatus: result.upstreamStatus,
+          provider: provider.name
+        }, { traceId, duration_ms, promptVersion: prompt.promptVersion }));
+      } else if (result.error === 'timeout') {
         res.status(504).json({
           ok: false,
           error: 'timeout',
@@ -429,7 +491,7 @@ app.post("/api/draft/player-taken", async (req, res) => {
             upstreamStatus: result.upstreamStatus,
             upstreamMessage: result.message,
             bodySnippet: result.bodySnippet,
-            difyUrl: unifiedClient.apiUrl
+            provider: provider.name
           },
           traceId,
           source: 'dify_upstream_error',
@@ -454,6 +516,13 @@ app.post("/api/draft/player-taken", async (req, res) => {
   } catch (error) {
     const duration_ms = Date.now() - t0;
     logger.error(error, { context: 'player_taken_handler', duration_ms });
+
+    if (sessionPick) {
+      return res.json(sessionPickWithoutAck(session, sessionPick, req.body.player, {
+        error: 'server_error',
+        message: error.message
+      }, { traceId, duration_ms }));
+    }
     
     // Determine if this is a network error, Dify error, or Node backend error
     let errorSource = 'node_backend_error';
@@ -485,8 +554,27 @@ app.post("/api/draft/player-taken", async (req, res) => {
 
 // ROO: User drafted endpoint — blocking, 60s
 app.post("/api/draft/user-drafted", async (req, res) => {
+  const { DraftSessionError, getDraftSession, recordPick, getCurrentPick } = require('./helpers/draft-session');
+  let session = null;
+  let sessionPick = null;
+
   try {
-    const { player, round, pick, conversationId } = req.body;
+    const { player, sessionId } = req.body;
+    session = await getDraftSession(sessionId);
+
+    if (sessionId && !session) {
+      return res.status(404).json({
+        ok: false,
+        error: 'session_not_found',
+        message: `Draft session '${sessionId}' not found`
+      });
+    }
+
+    // Round and pick come from the session when one is supplied
+    const current = session ? getCurrentPick(session) : null;
+    const round = req.body.round || current?.round;
+    const pick = req.body.pick || current?.pick;
+    const conversationId = req.body.conversationId || session?.conversationId;
     
     if (!player || !round || !pick) {
       return res.status(400).json({
@@ -494,6 +582,24 @@ app.post("/api/draft/user-drafted", async (req, res) => {
       });
     }
 
+    const sendSessionError = sessionError => {
+      if (!(sessionError instanceof DraftSessionError)) throw sessionError;
+      return res.status(sessionError.status).json({
+        ok: false,
+        error: sessionError.code,
+        message: sessionError.message
+      });
+    };
+
+    // Recorded before the upstream call, which only acknowledges the pick
+    if (session) {
+      try {
+        sessionPick = await recordPick(session, player, { byUser: true });
+      } catch (sessionError) {
+        return sendSessionError(sessionError);
+      }
+    }
+
     // Set response timeout ≥ 20,000 ms
     res.setTimeout(20000);
     
@@ -502,7 +608,11 @@ app.post("/api/draft/user-drafted", async (req, res) => {
 
     // Create small, explicit payload structure
     const user = "fantasy-draft-user";
-    const query = `Player taken: ${player.name} (${player.position}, ${player.team?.abbr || ''})`;
+    const prompt = renderPrompt('draft-user-drafted-ack', {
+      name: player.name,
+      position: player.position,
+      team: player.team?.abbr || ''
+    });
     const inputs = {
       action: 'user-drafted',
       player: {
@@ -519,7 +629,7 @@ app.post("/api/draft/user-drafted", async (req, res) => {
     // Use blocking call with 15,000ms timeout
     const result = await getDifyBlockingResponse({
       action: 'user-drafted',
-      query,
+      query: prompt.text,
       inputs,
       user,
       conversationId,
@@ -538,7 +648,21 @@ app.post("/api/draft/user-drafted", async (req, res) => {
       res.json({
         success: true,
         confirmation: answer || 'Player taken acknowledged',
-        conversationId: result.conversationId
+        conversationId: result.conversationId,
+        promptVersion: prompt.promptVersion,
+        ...(session && {
+          sessionId: session.id,
+          pick: sessionPick,
+          current: getCurrentPick(session)
+        })
+      });
+    } else if (sessionPick) {
+      res.json({
+        success: true,
+        ...sessionPickWithoutAck(session, sessionPick, player, {
+          error: result.status === 408 || result.status === 504 ? 'timeout' : 'upstream',
+          message: result.message
+        }, { promptVersion: prompt.promptVersion })
       });
     } else {
       // Error mapping per requirements
@@ -552,6 +676,12 @@ app.post("/api/draft/user-drafted", async (req, res) => {
     }
   } catch (error) {
     console.error('[user-drafted] error:', error.message);
+    if (sessionPick) {
+      return res.json({
+        success: true,
+        ...sessionPickWithoutAck(session, sessionPick, req.body.player, { error: 'upstream', message: error.message })
+      });
+    }
     res.status(502).json({ ok: false, error: 'upstream' });
   }
 });
@@ -609,6 +739,11 @@ const server = app.listen(PORT, () => {
   console.log(`Streaming enabled: ${process.env.STREAMING_ENABLED === 'true'}`);
 });
 
+// Weekly waiver processing is opt-in (WAIVER_AUTO_PROCESS=true); otherwise run npm run waivers:process from cron
+if (process.env.WAIVER_AUTO_PROCESS === 'true') {
+  require('./helpers/waiver-store').startWaiverSchedule();
+}
+
 // Allow long-running blocking requests
 server.requestTimeout = 0;      // no per-request inactive timeout
 server.headersTimeout = 0;      // no header timeout (safe for trusted internal use)
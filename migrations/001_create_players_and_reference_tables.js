@@ -0,0 +1,50 @@
+/**
+ * Player pool, fantasy roster players, schedule and NFL teams
+ * Full records are kept in JSONB so the API returns the same shapes as the JSON files;
+ * the plain columns exist for lookups and ordering
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE players (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      position TEXT NOT NULL,
+      team_abbr TEXT,
+      new_overall_rank INTEGER,
+      new_position_rank INTEGER,
+      bye_week INTEGER,
+      data JSONB NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE INDEX players_name_idx ON players (name)`,
+    `CREATE TABLE fantasy_roster_players (
+      id SERIAL PRIMARY KEY,
+      team_endpoint TEXT NOT NULL,
+      player_name TEXT NOT NULL,
+      position TEXT,
+      data JSONB NOT NULL
+    )`,
+    `CREATE INDEX fantasy_roster_players_team_idx ON fantasy_roster_players (team_endpoint)`,
+    // Kickoff is text so the original UTC offset survives the round trip
+    `CREATE TABLE schedule_games (
+      week INTEGER NOT NULL,
+      home_team TEXT NOT NULL,
+      away_team TEXT NOT NULL,
+      kickoff TEXT,
+      projected_score TEXT NOT NULL DEFAULT '',
+      final_score TEXT NOT NULL DEFAULT '',
+      PRIMARY KEY (week, home_team)
+    )`,
+    `CREATE TABLE nfl_teams (
+      abbr TEXT PRIMARY KEY,
+      logo_url TEXT
+    )`
+  ],
+  down: [
+    `DROP TABLE IF EXISTS nfl_teams`,
+    `DROP TABLE IF EXISTS schedule_games`,
+    `DROP TABLE IF EXISTS fantasy_roster_players`,
+    `DROP TABLE IF EXISTS players`
+  ]
+};
@@ -0,0 +1,26 @@
+/**
+ * Leagues and their fantasy teams
+ * The league record (roster slots, scoring, draft type) stays in JSONB; teams get their own
+ * rows so endpoints can be looked up and kept unique per league
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE leagues (
+      id TEXT PRIMARY KEY,
+      data JSONB NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE TABLE fantasy_teams (
+      league_id TEXT NOT NULL REFERENCES leagues (id) ON DELETE CASCADE,
+      endpoint TEXT NOT NULL,
+      name TEXT NOT NULL,
+      owner TEXT,
+      PRIMARY KEY (league_id, endpoint)
+    )`
+  ],
+  down: [
+    `DROP TABLE IF EXISTS fantasy_teams`,
+    `DROP TABLE IF EXISTS leagues`
+  ]
+};
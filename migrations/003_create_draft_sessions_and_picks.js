@@ -0,0 +1,39 @@
+/**
+ * Draft sessions and the picks made in them
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE draft_sessions (
+      id TEXT PRIMARY KEY,
+      league_id TEXT REFERENCES leagues (id) ON DELETE SET NULL,
+      user_id TEXT,
+      conversation_id TEXT,
+      league_size INTEGER NOT NULL,
+      pick_slot INTEGER NOT NULL,
+      rounds INTEGER NOT NULL,
+      draft_type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'in_progress',
+      current_index INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE TABLE draft_picks (
+      session_id TEXT NOT NULL REFERENCES draft_sessions (id) ON DELETE CASCADE,
+      overall INTEGER NOT NULL,
+      round INTEGER NOT NULL,
+      pick INTEGER NOT NULL,
+      team_slot INTEGER NOT NULL,
+      player_id TEXT NOT NULL,
+      player JSONB NOT NULL,
+      by_user BOOLEAN NOT NULL DEFAULT false,
+      picked_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (session_id, overall),
+      UNIQUE (session_id, player_id)
+    )`
+  ],
+  down: [
+    `DROP TABLE IF EXISTS draft_picks`,
+    `DROP TABLE IF EXISTS draft_sessions`
+  ]
+};
@@ -0,0 +1,17 @@
+/**
+ * Opponent defensive ratings used for strength of schedule
+ * points_allowed holds average fantasy points allowed per game by position, e.g. { "QB": 17.4, "RB": 24.1 }
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE defense_ratings (
+      abbr TEXT PRIMARY KEY,
+      points_allowed JSONB NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`
+  ],
+  down: [
+    `DROP TABLE IF EXISTS defense_ratings`
+  ]
+};
@@ -0,0 +1,21 @@
+/**
+ * Roster transaction log: adds, drops, starter changes and moves between fantasy teams
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE roster_transactions (
+      id TEXT PRIMARY KEY,
+      league_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      team_endpoint TEXT NOT NULL,
+      to_team_endpoint TEXT,
+      data JSONB NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE INDEX roster_transactions_team_idx ON roster_transactions (league_id, team_endpoint, created_at)`
+  ],
+  down: [
+    `DROP TABLE IF EXISTS roster_transactions`
+  ]
+};
@@ -0,0 +1,22 @@
+/**
+ * Trade proposals between fantasy teams and their status history
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE trades (
+      id TEXT PRIMARY KEY,
+      league_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      from_team TEXT NOT NULL,
+      to_team TEXT NOT NULL,
+      data JSONB NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE INDEX trades_league_status_idx ON trades (league_id, status, created_at)`
+  ],
+  down: [
+    `DROP TABLE IF EXISTS trades`
+  ]
+};
@@ -0,0 +1,20 @@
+/**
+ * Waiver claims with optional FAAB bids and their processing outcome
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE waiver_claims (
+      id TEXT PRIMARY KEY,
+      league_id TEXT NOT NULL,
+      team_endpoint TEXT NOT NULL,
+      status TEXT NOT NULL,
+      data JSONB NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE INDEX waiver_claims_league_status_idx ON waiver_claims (league_id, status, created_at)`
+  ],
+  down: [
+    `DROP TABLE IF EXISTS waiver_claims`
+  ]
+};
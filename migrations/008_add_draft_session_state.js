@@ -0,0 +1,19 @@
+/**
+ * Columns the draft session store needs to resume a draft from the database: the season, the
+ * remaining player pool and which picks were filled by keepers
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE draft_sessions
+      ADD COLUMN season TEXT,
+      ADD COLUMN available_players JSONB NOT NULL DEFAULT '[]'`,
+    `ALTER TABLE draft_picks ADD COLUMN keeper BOOLEAN NOT NULL DEFAULT false`
+  ],
+  down: [
+    `ALTER TABLE draft_picks DROP COLUMN IF EXISTS keeper`,
+    `ALTER TABLE draft_sessions
+      DROP COLUMN IF EXISTS available_players,
+      DROP COLUMN IF EXISTS season`
+  ]
+};
@@ -0,0 +1,18 @@
+/**
+ * One row per league and scheduled waiver run, claimed before the run processes claims so a run
+ * that several server instances schedule for the same time happens once
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE waiver_runs (
+      league_id TEXT NOT NULL,
+      period TEXT NOT NULL,
+      started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (league_id, period)
+    )`
+  ],
+  down: [
+    `DROP TABLE IF EXISTS waiver_runs`
+  ]
+};
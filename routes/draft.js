@@ -1,6 +1,30 @@
 const express = require('express');
 const { slimPlayers } = require('../helpers/slimPlayers');
-const { getDifyBufferedResponse, getDifyBlockingResponse } = require('../helpers/dify-client');
+const { getDifyBufferedResponse, getDifyBlockingResponse, getDifyStructuredResponse } = require('../helpers/dify-client');
+const { getProvider, providerNameFor } = require('../helpers/llm-provider');
+const { structuredOutputEnabled, unknownPlayerIds } = require('../helpers/structured-output');
+const { renderPrompt } = require('../helpers/prompt-templates');
+const {
+  DraftSessionError,
+  createDraftSession,
+  getDraftSession,
+  getCurrentPick,
+  getUserRoster,
+  setConversationId,
+  serializeDraftSession,
+  deleteDraftSession
+} = require('../helpers/draft-session');
+const {
+  DRAFT_TYPES,
+  describePickPosition,
+  validatePickPosition,
+  getTeamPicks,
+  normalizeDraftType
+} = require('../helpers/draft-order');
+const { recommendPicks, formatRecommendations } = require('../helpers/recommender');
+const { findLastInTierWarnings } = require('../helpers/tiers');
+const { getLeague, starterSlotsFor, leagueSeason } = require('../helpers/league-store');
+const { draftKeepersFor } = require('../helpers/season-store');
 
 const router = express.Router();
 
@@ -20,10 +44,9 @@ try {
 }
 
 // Environment configuration
-const DIFY_API_URL = process.env.DIFY_API_URL || 'https://api.dify.ai/v1/chat-messages';
-const DIFY_SECRET_KEY = process.env.DIFY_SECRET_KEY;
 const MAX_INIT_PLAYERS = Number(process.env.MAX_INIT_PLAYERS || 50);
 const LLM_BLOCKING_TIMEOUT_MS = Number(process.env.LLM_BLOCKING_TIMEOUT_MS || 3000000);
+const LOCAL_RECOMMENDER_FALLBACK = process.env.LOCAL_RECOMMENDER_FALLBACK !== '0';
 
 // GET /api/draft/debug/delay/:ms — sleeps for :ms then returns
 router.get('/debug/delay/:ms', async (req, res) => {
@@ -33,68 +56,61 @@ router.get('/debug/delay/:ms', async (req, res) => {
   res.json({ slept_ms: ms });
 });
 
-// POST /api/draft/marco — Pings Dify; expects "Polo!" answer
+// POST /api/draft/marco — Pings the provider configured for marco; expects "Polo!" answer
 router.post('/marco', async (req, res) => {
   const t0 = Date.now();
 
   // Give the *response* enough time on the server side
   res.setTimeout(120_000);
 
-  // Build the Dify payload (force "Marco"; ignore any FE message)
+  // Build the payload (force "Marco"; ignore any FE message)
   const user = (req.body && req.body.user) ? String(req.body.user) : 'local-dev';
   const difyPayload = {
     user,
     query: 'Marco',
-    response_mode: 'blocking',
     inputs: { action: 'Marco' },
     // IMPORTANT: omit conversation_id for this simple ping
   };
 
-  // Local per-route timeout — avoid any shared 60s default elsewhere
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), 90_000); // 90s
-
   try {
-    const response = await fetch(DIFY_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${DIFY_SECRET_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(difyPayload),
-      signal: controller.signal
-    });
-
-    // Be robust to non-JSON error bodies (e.g., 502/504 proxies)
-    const raw = await response.text();
-    let data;
-    try { data = JSON.parse(raw); } catch { data = { raw }; }
+    const provider = getProvider('marco');
+    // Local per-route timeout — avoid any shared 60s default elsewhere
+    const result = await provider.postBlocking({ body: difyPayload, timeoutMs: 90_000, action: 'marco' });
 
     const duration = Date.now() - t0;
-    const answer = data?.answer ?? '';
+    const answer = result.ok ? (result.data?.answer ?? '') : '';
 
-    console.log(`[MARCO] status=${response.status} durationMs=${duration} answer=${JSON.stringify(answer)}`);
+    console.log(`[MARCO] provider=${provider.name} ok=${result.ok} durationMs=${duration} answer=${JSON.stringify(answer)}`);
 
-    return res.status(response.status).json({
-      ok: response.ok,
-      upstreamStatus: response.status,
+    if (result.ok) {
+      return res.json({
+        ok: true,
+        provider: provider.name,
+        duration_ms: duration,
+        answer,             // should be "Polo!" if your Dify rule matched
+        upstream: result.data
+      });
+    }
+
+    return res.status(result.status || 502).json({
+      ok: false,
+      provider: provider.name,
+      error: result.error,
+      upstreamStatus: result.upstreamStatus ?? null,
       duration_ms: duration,
-      answer,             // should be "Polo!" if your Dify rule matched
-      upstream: data      // keep for now; remove later if too chatty
+      message: result.message,
+      ...(result.bodySnippet && { bodySnippet: result.bodySnippet })
     });
   } catch (err) {
     const duration = Date.now() - t0;
-    const isAbort = err?.name === 'AbortError';
-    console.error('[MARCO][ERROR]', { isAbort, duration, message: String(err) });
+    console.error('[MARCO][ERROR]', { duration, message: String(err) });
 
-    return res.status(isAbort ? 504 : 502).json({
+    return res.status(500).json({
       ok: false,
-      error: isAbort ? 'timeout' : 'fetch_error',
+      error: 'handler_error',
       duration_ms: duration,
       message: String(err)
     });
-  } finally {
-    clearTimeout(timer);
   }
 });
 
@@ -106,7 +122,8 @@ router.post('/initialize', async (req, res) => {
   res.setTimeout(320000);
   
   try {
-    const { user, conversationId, payload } = req.body;
+    const { user, conversationId } = req.body;
+    let { payload } = req.body;
     const isStreaming = req.query.stream;
 
     // Validation
@@ -124,6 +141,26 @@ router.post('/initialize', async (req, res) => {
       });
     }
 
+    // League settings fill in numTeams, draftType and rounds the client left out
+    const leagueId = payload.leagueId || req.body.leagueId;
+    let league = null;
+    if (leagueId) {
+      league = await getLeague(leagueId);
+      if (!league) {
+        return res.status(404).json({
+          ok: false,
+          error: 'league_not_found',
+          message: `League ${leagueId} not found`
+        });
+      }
+      payload = {
+        ...payload,
+        numTeams: payload.numTeams ?? league.teams.length,
+        draftType: payload.draftType ?? league.draftType,
+        rounds: payload.rounds ?? league.rounds
+      };
+    }
+
     const { numTeams, userPickPosition, players } = payload;
 
     if (typeof numTeams !== 'number') {
@@ -161,6 +198,33 @@ router.post('/initialize', async (req, res) => {
       });
     }
 
+    // Create the server-side draft session before calling Dify
+    let session;
+    try {
+      session = await createDraftSession({
+        user,
+        leagueSize: numTeams,
+        pickSlot: userPickPosition,
+        players,
+        rounds: payload.rounds != null ? Number(payload.rounds) : undefined,
+        draftType: payload.draftType,
+        leagueId: league?.id || null,
+        season: league ? leagueSeason(league) : null,
+        // Keeper slots follow the league's team order, so they only apply when every team drafts
+        keepers: league && numTeams === league.teams.length ? draftKeepersFor(league) : [],
+        conversationId: conversationId || null
+      });
+    } catch (sessionError) {
+      if (sessionError instanceof DraftSessionError) {
+        return res.status(sessionError.status).json({
+          ok: false,
+          error: sessionError.code,
+          message: sessionError.message
+        });
+      }
+      throw sessionError;
+    }
+
     // Handle streaming mode
     if (isStreaming) {
       const wantsStream = req.query.stream;
@@ -185,6 +249,8 @@ router.post('/initialize', async (req, res) => {
           console.log('[DEBUG_STREAM_INIT] Headers flushed for simulation');
         }
 
+        res.write(JSON.stringify({ event: 'session', data: { sessionId: session.id } }) + '\n');
+
         const tokens = ['Creating', 'your', 'draft', 'strategy', 'based', 'on', 'team', 'analysis', 'and', 'player', 'data', 'Complete!'];
         for (let i = 0; i < tokens.length; i++) {
           await new Promise(resolve => setTimeout(resolve, 200));
@@ -206,6 +272,10 @@ router.post('/initialize', async (req, res) => {
         console.log('[DEBUG_STREAM_INIT] Headers flushed for real streaming');
       }
 
+      // Tell the client which session this stream belongs to before any upstream data
+      const prompt = renderPrompt('draft-initialize-trigger');
+      res.write(JSON.stringify({ event: 'session', data: { sessionId: session.id, promptVersion: prompt.promptVersion } }) + '\n');
+
       // Set up AbortController for client disconnects and timeout
       const controller = new AbortController();
       const controllerId = Math.random().toString(36).substr(2, 9);
@@ -214,6 +284,12 @@ router.post('/initialize', async (req, res) => {
       if (process.env.DEBUG_STREAM_INIT) {
         console.log(`[DEBUG_STREAM_INIT] AbortController created: id=${controllerId}, timeout=${timeoutMs}ms`);
       }
+
+
+      // An initialize that never completes leaves nothing to resume, so its session is dropped
+      const discardSession = () => deleteDraftSession(session.id).catch(err => {
+        console.error(`[DRAFT] Failed to delete session ${session.id}:`, err.message);
+      });
       
       // Safety timeout that persists throughout entire stream lifecycle
       const timeoutId = setTimeout(() => {
@@ -224,6 +300,9 @@ router.post('/initialize', async (req, res) => {
         controller.abort('timeout');
       }, timeoutMs);
 
+      // Keepalive ping, started once the request is built; declared here so the catch below can clear it
+      let pingInterval = null;
+
       // Handle client abort - Track abort and abort controller
       req.on('aborted', () => {
         clientAborted = true;
@@ -237,7 +316,7 @@ router.post('/initialize', async (req, res) => {
         const difyPayload = {
           user: user,
           response_mode: 'streaming',
-          query: 'initialize',
+          query: prompt.text,
           inputs: {
             action: 'initialize',
             numTeams: payload.numTeams,
@@ -268,155 +347,87 @@ router.post('/initialize', async (req, res) => {
 
         // Initialize keepalive ping functionality
         let firstChunkSeen = false;
-        const pingInterval = setInterval(() => {
+        pingInterval = setInterval(() => {
           if (!firstChunkSeen && !res.writableEnded) {
             res.write(JSON.stringify({ event: "ping", data: { ts: Date.now() } }) + "\n");
           }
         }, 10000);
 
+        const provider = getProvider('initialize');
         if (process.env.DEBUG_STREAM_INIT) {
-          console.log(`[DEBUG_STREAM_INIT] Upstream fetch start: URL=${DIFY_API_URL}, Accept=text/event-stream`);
+          console.log(`[DEBUG_STREAM_INIT] Upstream stream start: provider=${provider.name}`);
         }
         
-        // Make streaming call to Dify API directly
-        const response = await fetch(DIFY_API_URL, {
-          method: 'POST',
-          headers: {
-            'Accept': 'text/event-stream',
-            'Content-Type': 'application/json',
-            'Authorization': 'Bearer ' + DIFY_SECRET_KEY
-          },
-          body: JSON.stringify(difyPayload),
-          signal: controller.signal,
-          duplex: 'half'
-        });
-// CRITICAL FIX: Do NOT clear timeout after fetch succeeds
+        // Stream from the provider configured for initialize
+        let events;
+        try {
+          ({ events } = await provider.postStreaming({
+            body: difyPayload,
+            timeoutMs,
+            signal: controller.signal,
+            action: 'initialize'
+          }));
+        } catch (upstreamError) {
+          // Network failures fall through to the fetch_error handling below
+          if (!upstreamError?.upstreamStatus) throw upstreamError;
+
+          // Write ONE NDJSON error line for a non-200 or non-SSE upstream response
+          const errorEvent = {
+            event: 'error',
+            data: {
+              error: 'bad_upstream_status',
+              status: upstreamError.upstreamStatus,
+              contentType: upstreamError.contentType || '',
+              bodyPreview: (upstreamError.bodySnippet || '').slice(0, 200),
+              provider: provider.name
+            }
+          };
+          clearTimeout(timeoutId);
+          clearInterval(pingInterval);
+          res.write(JSON.stringify(errorEvent) + '\n');
+          await discardSession();
+          res.end();
+          return;
+        }
+// CRITICAL FIX: Do NOT clear timeout after the stream opens
 // Keep timeout active during entire stream processing lifecycle
 
-// Preflight check for upstream response
-const status = response.status;
-const contentType = response.headers.get('content-type') || '';
-
-if (!response.ok || !contentType.includes('text/event-stream')) {
-  // Read up to first 512 bytes from response body if present
-  let bodyPreview = '';
-  try {
-    if (response.body) {
-      const reader = response.body.getReader();
-      const { value } = await reader.read();
-      if (value) {
-        const decoder = new TextDecoder();
-        const fullText = decoder.decode(value);
-        bodyPreview = fullText.slice(0, 200); // First 200 chars, sanitized
-      }
-    }
-  } catch (bodyReadError) {
-    bodyPreview = 'Error reading response body';
-  }
-  
-  // Write ONE NDJSON error line
-  const errorEvent = {
-    event: 'error',
-    data: {
-      error: 'bad_upstream_status',
-      status: status,
-      contentType: contentType,
-      bodyPreview: bodyPreview,
-      hasUrl: !!process.env.DIFY_API_URL,
-      hasKey: !!process.env.DIFY_SECRET_KEY
-    }
-  };
-  
-  res.write(JSON.stringify(errorEvent) + '\n');
-  res.end();
-  return;
-}
-
-// Process SSE stream and transform to NDJSON
-const reader = response.body?.getReader();
-if (!reader) {
-  const text = await response.text();
-  res.write(JSON.stringify({ type: 'final', data: text }) + '\n');
-  return res.end();
-}
-const decoder = new TextDecoder();
-let buffer = '';
+// Transform provider events to NDJSON
 let finalConversationId = conversationId;
-let chunkCount = 0;
-let firstChunkReceived = false;
+let eventCount = 0;
 let streamCompleted = false;
 
 try {
-  while (true) {
-    const { value, done } = await reader.read();
-    if (done) break;
-
-    chunkCount++;
-    if (!firstChunkReceived) {
-      firstChunkReceived = true;
+  for await (const data of events) {
+    eventCount++;
+    if (eventCount === 1) {
       firstChunkSeen = true;
       clearInterval(pingInterval);
       if (process.env.DEBUG_STREAM_INIT) {
-        console.log('[DEBUG_STREAM_INIT] First upstream chunk received');
+        console.log('[DEBUG_STREAM_INIT] First upstream event received');
       }
     }
     
-    // Occasionally log chunk count for debugging
-    if (process.env.DEBUG_STREAM_INIT && chunkCount % 10 === 0) {
-      console.log(`[DEBUG_STREAM_INIT] Processed ${chunkCount} chunks`);
+    // Occasionally log event count for debugging
+    if (process.env.DEBUG_STREAM_INIT && eventCount % 10 === 0) {
+      console.log(`[DEBUG_STREAM_INIT] Processed ${eventCount} events`);
     }
-    
-    const chunk = decoder.decode(value, { stream: true });
-    buffer += chunk;
-
-    // Process complete SSE events (separated by \n\n)
-    let sep;
-    while ((sep = buffer.indexOf('\n\n')) !== -1) {
-      const chunk = buffer.slice(0, sep);
-      buffer = buffer.slice(sep + 2);
-      
-      // Process this complete SSE frame
-      const lines = chunk.split('\n');
-      const datas = lines
-        .filter(l => l.startsWith('data:'))
-        .map(l => l.slice(5).trim())
-        .filter(Boolean);
-        
-      for (const payload of datas) {
-        if (payload === '[DONE]') continue;  // Handle [DONE]
-        
-        try {
-          const data = JSON.parse(payload);
-          
-          // Track conversation ID
-          if (data.conversation_id) {
-            finalConversationId = data.conversation_id;
-          }
 
-          // Transform SSE event to NDJSON and write to response
-          const ndjsonEvent = {
-            event: data.event,
-            data: data
-          };
+    // Track conversation ID
+    if (data.conversation_id) {
+      finalConversationId = data.conversation_id;
+    }
 
-          // Write NDJSON line
-          res.write(JSON.stringify(ndjsonEvent) + '\n');
-          res.flush?.();
+    // Write NDJSON line
+    res.write(JSON.stringify({ event: data.event, data }) + '\n');
+    res.flush?.();
 
-          // Handle stream completion
-          if (data.event === 'message_end') {
-            streamCompleted = true;
-            break;
-          } else if (data.event === 'error') {
-            throw new Error(`Dify stream error: ${data.message || 'Unknown error'}`);
-          }
-        } catch (error) {
-          // Fallback for non-JSON data
-          const ndjsonEvent = { type: 'text', data: payload };
-          res.write(JSON.stringify(ndjsonEvent) + '\n');
-          res.flush?.();
-        }
-      }
+    // Handle stream completion; an upstream error event ends the stream without completing it
+    if (data.event === 'message_end') {
+      streamCompleted = true;
+      break;
+    } else if (data.event === 'error') {
+      break;
     }
   }
 
@@ -426,10 +437,12 @@ try {
 
   // Send final completion event only if stream completed normally
   if (streamCompleted) {
+    await setConversationId(session, finalConversationId);
     const completionEvent = {
       event: 'complete',
       data: {
         conversationId: finalConversationId,
+        sessionId: session.id,
         duration_ms: Date.now() - startTime
       }
     };
@@ -476,8 +489,7 @@ try {
         name: name,
         code: code,
         message: message,
-        hasUrl: !!process.env.DIFY_API_URL,
-        hasKey: !!process.env.DIFY_SECRET_KEY
+        provider: provider.name
       }
     };
     res.write(JSON.stringify(errorEvent) + '\n');
@@ -491,6 +503,10 @@ try {
   // CRITICAL FIX: Clear timeout and ping interval in finally block
   clearTimeout(timeoutId);
   clearInterval(pingInterval);
+
+  if (!streamCompleted) {
+    await discardSession();
+  }
   
   // For client closes, just end the response without error
   res.end();
@@ -528,8 +544,8 @@ if (error.name === 'AbortError' && controller.signal.reason === 'client-aborted'
       name: name,
       code: code,
       message: message,
-      hasUrl: !!process.env.DIFY_API_URL,
-      hasKey: !!process.env.DIFY_SECRET_KEY
+      // The provider may not have been created yet, so report the configured one
+      provider: providerNameFor('initialize')
     }
   };
   
@@ -539,6 +555,7 @@ if (error.name === 'AbortError' && controller.signal.reason === 'client-aborted'
   res.write(JSON.stringify(errorEvent) + '\n');
   res.flush?.();
 }
+await discardSession();
 res.end();
       } finally {
         if (process.env.DEBUG_STREAM_INIT) {
@@ -563,16 +580,22 @@ res.end();
     }
 
     if (result.success) {
+      await setConversationId(session, result.conversationId);
       return res.json({
         ok: true,
         conversationId: result.conversationId || null,
+        sessionId: session.id,
         answer: result.data.answer || null,
+        promptVersion: result.promptVersion || null,
         raw: {
           id: result.data.id || null,
           event: result.data.event || null
         }
       });
     } else {
+      // Initialization never reached Dify, so don't leave a half-started session behind
+      await deleteDraftSession(session.id);
+
       // Handle different error types
       if (result.errorType === 'timeout') {
         return res.status(504).json({
@@ -603,7 +626,7 @@ router.post('/reset', async (req, res) => {
   const startTime = Date.now();
   
   try {
-    const { user } = req.body;
+    const { user, sessionId } = req.body;
 
     // Validation
     if (!user) {
@@ -613,71 +636,52 @@ router.post('/reset', async (req, res) => {
       });
     }
 
-    // Build Dify request payload for reset
+    // Starting over discards the server-side draft state
+    if (sessionId) {
+      await deleteDraftSession(sessionId);
+    }
+
+    // Build request payload for reset
+    const prompt = renderPrompt('draft-reset-ack');
     const difyPayload = {
       user: user,
-      response_mode: 'blocking',
       inputs: {},
-      query: 'RESET_DRAFT: user is starting over. Please acknowledge reset.'
+      query: prompt.text
     };
 
-    // Set up AbortController for timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), LLM_BLOCKING_TIMEOUT_MS);
-
-    try {
-      // Make blocking call to Dify
-      const response = await fetch(DIFY_API_URL, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${DIFY_SECRET_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(difyPayload),
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
+    // Blocking call to the provider configured for reset
+    const result = await getProvider('reset').postBlocking({
+      body: difyPayload,
+      timeoutMs: LLM_BLOCKING_TIMEOUT_MS,
+      action: 'reset'
+    });
 
-      if (response.ok) {
-        const data = await response.json();
-        const duration = Date.now() - startTime;
-        console.log(`[BLOCKING][reset] ms=${duration}`);
+    if (result.ok) {
+      const duration = Date.now() - startTime;
+      console.log(`[BLOCKING][reset] ms=${duration}`);
 
-        // Ignore conversation_id in response; client will clear its stored conversationId
-        return res.json({
-          ok: true,
-          resetAcknowledged: true
-        });
-      } else {
-        // Non-200 response
-        const errorText = await response.text();
-        const bodySnippet = errorText.slice(0, 2000);
-        
-        return res.status(502).json({
-          ok: false,
-          message: 'Upstream error',
-          status: response.status,
-          bodySnippet: bodySnippet
-        });
-      }
+      // Ignore conversation_id in response; client will clear its stored conversationId
+      return res.json({
+        ok: true,
+        resetAcknowledged: true,
+        promptVersion: prompt.promptVersion
+      });
+    }
 
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      
-      if (fetchError.name === 'AbortError') {
-        return res.status(504).json({
-          ok: false,
-          message: `Upstream timeout after ${LLM_BLOCKING_TIMEOUT_MS} ms`
-        });
-      } else {
-        return res.status(504).json({
-          ok: false,
-          message: fetchError.message
-        });
-      }
+    if (result.error === 'timeout') {
+      return res.status(504).json({
+        ok: false,
+        message: `Upstream timeout after ${LLM_BLOCKING_TIMEOUT_MS} ms`
+      });
     }
 
+    // Non-200 response or network failure
+    return res.status(result.upstreamStatus ? 502 : 504).json({
+      ok: false,
+      message: result.upstreamStatus ? 'Upstream error' : result.message,
+      ...(result.upstreamStatus && { status: result.upstreamStatus, bodySnippet: result.bodySnippet })
+    });
+
   } catch (error) {
     const duration = Date.now() - startTime;
     console.log(`[BLOCKING][reset] ms=${duration}`);
@@ -698,15 +702,212 @@ function bytesOf(obj) {
   }
 }
 
+// Fill draft context the client left out from the server-side session
+function withSessionDefaults(payload, session) {
+  if (!session) return payload;
+
+  const current = getCurrentPick(session);
+  const defaults = {
+    round: current?.round,
+    pick: current?.pick,
+    userRoster: getUserRoster(session),
+    availablePlayers: session.availablePlayers,
+    leagueSize: session.leagueSize,
+    pickSlot: session.pickSlot,
+    leagueId: session.leagueId
+  };
+
+  // Client-sent pickNumber is an alias for pick and must win over the session value
+  if (payload.pickNumber != null) delete defaults.pick;
+
+  return { ...defaults, ...payload };
+}
+
+// Fill leagueSize and draftType from the league named by payload.leagueId
+// Resolves to the merged payload, or null when the league does not exist
+async function withLeagueDefaults(payload) {
+  if (!payload.leagueId) return payload;
+
+  const league = await getLeague(payload.leagueId);
+  if (!league) return null;
+
+  return {
+    leagueSize: league.teams.length,
+    draftType: league.draftType,
+    ...payload
+  };
+}
+
+// 404 body for an unknown leagueId
+function leagueNotFound(leagueId) {
+  return { ok: false, error: 'league_not_found', message: `League ${leagueId} not found` };
+}
+
+// Ask for pick advice: validated pickRecommendations JSON, or free text when structured output is off
+function requestPickAnswer({ structured, action, payload, conversationId, providerAction, availablePlayers }) {
+  if (!structured) {
+    return getDifyBufferedResponse(action, payload, conversationId, 90_000, providerAction);
+  }
+  return getDifyStructuredResponse(action, payload, 'pickRecommendations', {
+    conversationId,
+    timeoutMs: 90_000,
+    providerAction,
+    validate: value => unknownPlayerIds(value.recommendations, availablePlayers, '$.recommendations')
+  });
+}
+
+// Answer fields for a pick response: typed recommendations when structured, else the cleaned text
+function pickAnswerFields(result) {
+  if (result.structured) {
+    return {
+      answer: result.structured.summary,
+      recommendations: result.structured.recommendations,
+      structured: { schema: 'pickRecommendations', repaired: result.repaired, promptVersions: result.promptVersions }
+    };
+  }
+  // Strip <think>...</think> tags from final answer
+  const answer = result.data?.answer || null;
+  return { answer: answer ? answer.replace(/<think>[\s\S]*?<\/think>/gi, '').trim() : null };
+}
+
+// Check round/pick against the league setup (and the session, when present)
+// Returns { position } on success or { status, body } to send back
+function resolvePickPosition({ round, pick, leagueSize, pickSlot, draftType, session, requireUserPick = false }) {
+  const type = session ? session.draftType : draftType;
+  const { errors, pick: pickInRound } = validatePickPosition({
+    round,
+    pick,
+    leagueSize,
+    pickSlot,
+    rounds: session?.rounds,
+    draftType: type
+  });
+
+  if (errors.length) {
+    return {
+      status: 400,
+      body: { ok: false, error: 'invalid_pick_position', message: 'Round/pick do not match the league setup', details: errors }
+    };
+  }
+
+  if (session) {
+    const current = getCurrentPick(session);
+    if (!current || current.round !== round || current.pick !== pickInRound) {
+      return {
+        status: 409,
+        body: {
+          ok: false,
+          error: 'pick_out_of_sync',
+          message: current
+            ? `Session is at round ${current.round}, pick ${current.pick}; request sent round ${round}, pick ${pickInRound}`
+            : 'Session draft is already complete',
+          current
+        }
+      };
+    }
+  }
+
+  const position = describePickPosition({
+    leagueSize,
+    pickSlot,
+    round,
+    pick: pickInRound,
+    rounds: session?.rounds,
+    draftType: type
+  });
+
+  if (requireUserPick && !position.isUserPick) {
+    return {
+      status: 409,
+      body: {
+        ok: false,
+        error: 'not_users_turn',
+        message: `Team ${position.onTheClock} is on the clock at round ${round}, pick ${pickInRound}, not pick slot ${pickSlot}`,
+        draft: position
+      }
+    };
+  }
+
+  return { position };
+}
+
+// GET /api/draft/order - Pick order, on-the-clock team and the user's upcoming picks
+router.get('/order', (req, res) => {
+  const leagueSize = Number(req.query.leagueSize);
+  const pickSlot = Number(req.query.pickSlot);
+  const rounds = req.query.rounds != null ? Number(req.query.rounds) : 15;
+  const round = req.query.round != null ? Number(req.query.round) : 1;
+  const pick = req.query.pick != null ? Number(req.query.pick) : 1;
+  const draftType = req.query.draftType;
+
+  const { errors, pick: pickInRound } = validatePickPosition({ round, pick, leagueSize, pickSlot, rounds, draftType });
+  if (!Number.isInteger(rounds) || rounds < 1) {
+    errors.push('rounds must be a positive integer');
+  }
+  if (errors.length) {
+    return res.status(400).json({
+      ok: false,
+      error: 'bad_request',
+      message: `Validation failed (draftType: ${DRAFT_TYPES.join(' | ')})`,
+      details: errors
+    });
+  }
+
+  const type = normalizeDraftType(draftType);
+  return res.json({
+    ok: true,
+    data: {
+      ...describePickPosition({ leagueSize, pickSlot, round, pick: pickInRound, rounds, draftType: type }),
+      userPicks: getTeamPicks({ leagueSize, pickSlot, rounds, draftType: type })
+    }
+  });
+});
+
+// Shared 404 body for unknown session IDs
+function sessionNotFound(sessionId) {
+  return {
+    ok: false,
+    error: 'session_not_found',
+    message: `Draft session '${sessionId}' not found`
+  };
+}
+
+// GET /api/draft/session/:sessionId - Resume a draft from server-side state
+router.get('/session/:sessionId', async (req, res) => {
+  try {
+    const session = await getDraftSession(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json(sessionNotFound(req.params.sessionId));
+    }
+
+    return res.json({
+      ok: true,
+      data: serializeDraftSession(session, { includePool: req.query.includePool === '1' })
+    });
+  } catch (error) {
+    console.error(`[DRAFT] Error loading session ${req.params.sessionId}:`, error.message);
+    return res.status(500).json({ ok: false, error: 'session_load_failed', message: error.message });
+  }
+});
+
 // POST /api/draft/user-turn - User turn analysis endpoint
 router.post('/user-turn', async (req, res) => {
   const t0 = Date.now();
   res.setTimeout(120_000);
   
   try {
-    const user           = req.body?.user || 'local-dev';
-    const conversationId = req.body?.conversationId;
-    const p              = req.body?.payload || {};
+    const sessionId      = req.body?.sessionId;
+    const session        = await getDraftSession(sessionId);
+    if (sessionId && !session) {
+      return res.status(404).json(sessionNotFound(sessionId));
+    }
+
+    const user           = req.body?.user || session?.user || 'local-dev';
+    const conversationId = req.body?.conversationId || session?.conversationId;
+    const p              = await withLeagueDefaults(withSessionDefaults(req.body?.payload || {}, session));
+    if (!p) {
+      return res.status(404).json(leagueNotFound(req.body?.payload?.leagueId || session?.leagueId));
+    }
 
     // Map pickNumber -> pick
     const round          = Number(p.round);
@@ -729,12 +930,18 @@ router.post('/user-turn', async (req, res) => {
       return res.status(400).json({ error: `Missing required fields: ${missing.join(', ')}` });
     }
 
-    // Build Dify body (forced trigger)
-    const query = "User's turn";
-    const inputs = { action: 'users-turn', round, pick, userRoster, availablePlayers, leagueSize, pickSlot };
+    // Round and pick must agree with the league size, pick slot and draft order
+    const checked = resolvePickPosition({ round, pick, leagueSize, pickSlot, draftType: p.draftType, session, requireUserPick: true });
+    if (checked.body) {
+      return res.status(checked.status).json(checked.body);
+    }
+    const draft = checked.position;
+
+    // Roster and pool go upstream in the draft-user-turn message; player is the last pick, when sent
+    const payload = { player: p.player ?? null, round, pick, userRoster, availablePlayers };
 
     // Byte-size log (warn/error only)
-    const difyBodyForLog = { user, query, response_mode: 'streaming', inputs, conversation_id: conversationId };
+    const difyBodyForLog = { user, response_mode: 'streaming', payload, conversation_id: conversationId };
     const bytes = bytesOf(difyBodyForLog);
     if (bytes >= 300_000) {
       console.error('[PAYLOAD][ALERT] /draft/user-turn bytes', { bytes, count: availablePlayers.length });
@@ -742,34 +949,39 @@ router.post('/user-turn', async (req, res) => {
       console.warn('[PAYLOAD][WARN] /draft/user-turn bytes',  { bytes, count: availablePlayers.length });
     }
 
-    const result = await getDifyBufferedResponse('legacy', { query }, conversationId, 90_000);
+    const result = await requestPickAnswer({
+      structured: structuredOutputEnabled(req.body?.structured),
+      action: 'user-turn',
+      payload,
+      conversationId,
+      providerAction: 'user-turn',
+      availablePlayers
+    });
 
     res.set('X-Backend-Timing', String(Date.now() - t0));
     res.set('X-Streamed', 'true');
     if (result?.conversationId) res.set('X-Conversation-Id', String(result.conversationId));
 
     if (!result?.success) {
+      const invalid = result?.errorType === 'invalid_structured_output';
       const isTimeout = result?.errorType === 'timeout' || result?.error?.includes('cloudflare');
       const status = isTimeout ? 504 : 502;
-      const error = isTimeout ? (result?.error?.includes('cloudflare') ? 'cloudflare_timeout' : 'timeout') : 'upstream';
+      const error = invalid ? 'invalid_structured_output' : isTimeout ? (result?.error?.includes('cloudflare') ? 'cloudflare_timeout' : 'timeout') : 'upstream';
       return res.status(status).json({
         ok: false,
         error,
         message: result?.error || 'Unknown error',
+        ...(invalid && { details: result.details }),
         duration_ms: Date.now() - t0
       });
     }
 
-    // Strip <think>...</think> tags from final answer
-    let answer = result.data?.answer || null;
-    if (answer) {
-      answer = answer.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
-    }
-
     return res.status(200).json({
       ok: true,
       conversationId: result.conversationId || null,
-      answer,
+      ...pickAnswerFields(result),
+      promptVersion: result.promptVersion || null,
+      draft,
       usage: result.data?.usage,
       duration_ms: Date.now() - t0
     });
@@ -790,9 +1002,18 @@ router.post('/analyze', async (req, res) => {
   res.setTimeout(120_000);
   
   try {
-    const user           = req.body?.user || 'local-dev';
-    const conversationId = req.body?.conversationId;
-    const p              = req.body?.payload || {};
+    const sessionId      = req.body?.sessionId;
+    const session        = await getDraftSession(sessionId);
+    if (sessionId && !session) {
+      return res.status(404).json(sessionNotFound(sessionId));
+    }
+
+    const user           = req.body?.user || session?.user || 'local-dev';
+    const conversationId = req.body?.conversationId || session?.conversationId;
+    const p              = await withLeagueDefaults(withSessionDefaults(req.body?.payload || {}, session));
+    if (!p) {
+      return res.status(404).json(leagueNotFound(req.body?.payload?.leagueId || session?.leagueId));
+    }
 
     // Map pickNumber -> pick
     const round          = Number(p.round);
@@ -815,6 +1036,13 @@ router.post('/analyze', async (req, res) => {
       return res.status(400).json({ error: `Missing required fields: ${missing.join(', ')}` });
     }
 
+    // Round and pick must agree with the league size, pick slot and draft order
+    const checked = resolvePickPosition({ round, pick, leagueSize, pickSlot, draftType: p.draftType, session });
+    if (checked.body) {
+      return res.status(checked.status).json(checked.body);
+    }
+    const draft = checked.position;
+
     // Build Dify body (forced trigger with analyze action)
     const query = "analyze";
     const inputs = { action: 'analyze', round, pick, userRoster, availablePlayers, leagueSize, pickSlot };
@@ -828,34 +1056,66 @@ router.post('/analyze', async (req, res) => {
       console.warn('[PAYLOAD][WARN] /draft/analyze bytes',  { bytes, count: availablePlayers.length });
     }
 
-    const result = await getDifyBufferedResponse('analyze', { query, round, pick, userRoster, availablePlayers, leagueSize, pickSlot }, conversationId, 90_000);
+    const result = await requestPickAnswer({
+      structured: structuredOutputEnabled(req.body?.structured),
+      action: 'analyze',
+      payload: { query, round, pick, userRoster, availablePlayers, leagueSize, pickSlot },
+      conversationId,
+      providerAction: 'analyze',
+      availablePlayers
+    });
 
     res.set('X-Backend-Timing', String(Date.now() - t0));
     res.set('X-Streamed', 'true');
     if (result?.conversationId) res.set('X-Conversation-Id', String(result.conversationId));
 
     if (!result?.success) {
+      const invalid = result?.errorType === 'invalid_structured_output';
       const isTimeout = result?.errorType === 'timeout' || result?.error?.includes('cloudflare');
       const status = isTimeout ? 504 : 502;
-      const error = isTimeout ? (result?.error?.includes('cloudflare') ? 'cloudflare_timeout' : 'timeout') : 'upstream';
+      const error = invalid ? 'invalid_structured_output' : isTimeout ? (result?.error?.includes('cloudflare') ? 'cloudflare_timeout' : 'timeout') : 'upstream';
+
+      // Dify timed out, failed upstream or sent an unusable answer: answer from the local recommender instead
+      if (LOCAL_RECOMMENDER_FALLBACK) {
+        const league = p.leagueId ? await getLeague(p.leagueId) : null;
+        const local = await recommendPicks({
+          availablePlayers,
+          userRoster,
+          round,
+          starterNeeds: league ? starterSlotsFor(league) : undefined,
+          scoring: p.scoring || league?.scoring
+        });
+        console.warn(`[analyze] upstream ${error} after ${Date.now() - t0}ms, using local recommender`);
+        return res.status(200).json({
+          ok: true,
+          conversationId: conversationId || null,
+          answer: formatRecommendations(local.recommendations),
+          recommendations: local.recommendations,
+          needs: local.needs,
+          tierWarnings: local.tierWarnings,
+          draft,
+          source: 'local_recommender',
+          fallback: { reason: error, upstreamStatus: status, message: result?.error || 'Unknown error' },
+          duration_ms: Date.now() - t0
+        });
+      }
+
       return res.status(status).json({
         ok: false,
         error,
         message: result?.error || 'Unknown error',
+        ...(invalid && { details: result.details }),
         duration_ms: Date.now() - t0
       });
     }
 
-    // Strip <think>...</think> tags from final answer
-    let answer = result.data?.answer || null;
-    if (answer) {
-      answer = answer.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
-    }
-
     return res.status(200).json({
       ok: true,
       conversationId: result.conversationId || null,
-      answer,
+      ...pickAnswerFields(result),
+      promptVersion: result.promptVersion || null,
+      draft,
+      tierWarnings: await findLastInTierWarnings(availablePlayers),
       usage: result.data?.usage,
       duration_ms: Date.now() - t0
     });
@@ -870,15 +1130,73 @@ router.post('/analyze', async (req, res) => {
   }
 });
 
+// POST /api/draft/recommend - Local best-available suggestions, no LLM involved
+router.post('/recommend', async (req, res) => {
+  const t0 = Date.now();
+
+  try {
+    const sessionId = req.body?.sessionId;
+    const session   = await getDraftSession(sessionId);
+    if (sessionId && !session) {
+      return res.status(404).json(sessionNotFound(sessionId));
+    }
+
+    const p = await withLeagueDefaults(withSessionDefaults(req.body?.payload || {}, session));
+    if (!p) {
+      return res.status(404).json(leagueNotFound(req.body?.payload?.leagueId || session?.leagueId));
+    }
+    const league = p.leagueId ? await getLeague(p.leagueId) : null;
+
+    if (!Array.isArray(p.availablePlayers)) {
+      return res.status(400).json({ ok: false, error: 'bad_request', message: 'Missing required fields: availablePlayers' });
+    }
+
+    const { needs, tierWarnings, recommendations } = await recommendPicks({
+      availablePlayers: p.availablePlayers,
+      userRoster: Array.isArray(p.userRoster) ? p.userRoster : [],
+      round: Number(p.round),
+      limit: Number(p.limit) || 5,
+      starterNeeds: league ? starterSlotsFor(league) : undefined,
+      scoring: p.scoring || req.body?.scoring || league?.scoring
+    });
+
+    return res.json({
+      ok: true,
+      recommendations,
+      needs,
+      tierWarnings,
+      answer: formatRecommendations(recommendations),
+      source: 'local_recommender',
+      duration_ms: Date.now() - t0
+    });
+  } catch (err) {
+    return res.status(err.status || 500).json({
+      ok: false,
+      error: err.status === 400 ? 'bad_request' : 'handler_error',
+      message: err.message || String(err),
+      duration_ms: Date.now() - t0
+    });
+  }
+});
+
 // POST /api/draft/query - Query endpoint that preserves user input
 router.post('/query', async (req, res) => {
   const t0 = Date.now();
   res.setTimeout(120_000);
   
   try {
-    const user           = req.body?.user || 'local-dev';
-    const conversationId = req.body?.conversationId;
-    const p              = req.body?.payload || {};
+    const sessionId      = req.body?.sessionId;
+    const session        = await getDraftSession(sessionId);
+    if (sessionId && !session) {
+      return res.status(404).json(sessionNotFound(sessionId));
+    }
+
+    const user           = req.body?.user || session?.user || 'local-dev';
+    const conversationId = req.body?.conversationId || session?.conversationId;
+    const p              = await withLeagueDefaults(withSessionDefaults(req.body?.payload || {}, session));
+    if (!p) {
+      return res.status(404).json(leagueNotFound(req.body?.payload?.leagueId || session?.leagueId));
+    }
 
     // Extract user query/message from supported locations
     let userQuery = req.body?.query ||
@@ -908,6 +1226,13 @@ router.post('/query', async (req, res) => {
       return res.status(400).json({ error: `Missing required fields: ${missing.join(', ')}` });
     }
 
+    // Round and pick must agree with the league size, pick slot and draft order
+    const checked = resolvePickPosition({ round, pick, leagueSize, pickSlot, draftType: p.draftType, session });
+    if (checked.body) {
+      return res.status(checked.status).json(checked.body);
+    }
+    const draft = checked.position;
+
     // Byte-size log (warn/error only)
     const difyBodyForLog = { user, query: userQuery, response_mode: 'streaming', inputs: { action: 'query', round, pick, userRoster, availablePlayers, leagueSize, pickSlot }, conversation_id: conversationId };
     const bytes = bytesOf(difyBodyForLog);
@@ -945,6 +1270,8 @@ router.post('/query', async (req, res) => {
       ok: true,
       conversationId: result.conversationId || null,
       answer,
+      promptVersion: result.promptVersion || null,
+      draft,
       usage: result.data?.usage,
       duration_ms: Date.now() - t0
     });
@@ -982,7 +1309,6 @@ router.post('/_debug/init-raw', async (req, res) => {
     // Construct exact Dify body
     const body = {
       user: user,
-      response_mode: "streaming",
       query: "initialize",
       inputs: {
         action: "initialize",
@@ -992,7 +1318,8 @@ router.post('/_debug/init-raw', async (req, res) => {
       }
     };
 
-    // Set up AbortController for timeout
+    // Abort the stream after 235s; the provider's timeout only covers connecting
+    const provider = getProvider('initialize');
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort('timeout'), 235000);
 
@@ -1003,149 +1330,70 @@ router.post('/_debug/init-raw', async (req, res) => {
     res.setHeader('X-Accel-Buffering', 'no');
     res.flushHeaders();
 
+    let events;
     try {
-      // Upstream fetch
-      const response = await fetch(DIFY_API_URL, {
-        method: 'POST',
-        headers: {
-          'Accept': 'text/event-stream',
-          'Content-Type': 'application/json',
-          'Authorization': 'Bearer ' + DIFY_SECRET_KEY
-        },
-        body: JSON.stringify(body),
+      ({ events } = await provider.postStreaming({
+        body,
+        timeoutMs: 235000,
         signal: controller.signal,
-        duplex: 'half'
-      });
-
+        action: 'initialize'
+      }));
+    } catch (upstreamError) {
       clearTimeout(timeoutId);
 
-      // Preflight check
-      const status = response.status;
-      const contentType = response.headers.get('content-type') || '';
-      
-      if (!response.ok || !contentType.includes('text/event-stream')) {
-        // Read up to first 512 bytes of response body
-        let bodyPreview = '';
-        try {
-          if (response.body) {
-            const reader = response.body.getReader();
-            const { value } = await reader.read();
-            if (value) {
-              const decoder = new TextDecoder();
-              const fullText = decoder.decode(value);
-              bodyPreview = fullText.slice(0, 200); // First 200 chars
-            }
-          }
-        } catch (bodyReadError) {
-          bodyPreview = 'Error reading response body';
-        }
-        
-        // Write one NDJSON error line
-        const errorEvent = {
-          event: "error",
-          data: {
-            error: "bad_upstream_status",
-            status: status,
-            contentType: contentType,
-            bodyPreview: bodyPreview,
-            hasUrl: !!DIFY_API_URL,
-            hasKey: !!DIFY_SECRET_KEY
-          }
-        };
-        
-        res.write(JSON.stringify(errorEvent) + '\n');
-        return res.end();
-      }
-
-      // Stream SSE → NDJSON
-      const reader = response.body?.getReader();
-      if (!reader) {
-        const text = await response.text();
-        res.write(JSON.stringify({ event: 'error', data: { error: 'no_reader', text } }) + '\n');
-        return res.end();
-      }
-
-      const decoder = new TextDecoder();
-      let buffer = '';
-
-      try {
-        while (true) {
-          const { value, done } = await reader.read();
-          if (done) break;
-
-          const chunk = decoder.decode(value, { stream: true });
-          buffer += chunk;
-
-          // Process complete SSE events (split on \n\n)
-          let sep;
-          while ((sep = buffer.indexOf('\n\n')) !== -1) {
-            const sseChunk = buffer.slice(0, sep);
-            buffer = buffer.slice(sep + 2);
-            
-            // Extract "data:" lines
-            const lines = sseChunk.split('\n');
-            const dataLines = lines
-              .filter(l => l.startsWith('data:'))
-              .map(l => l.slice(5).trim())
-              .filter(Boolean);
-              
-            for (const payload of dataLines) {
-              if (payload === '[DONE]') continue;
-              
-              try {
-                const p = JSON.parse(payload);
-                // For each JSON payload p, write {"event": p.event, "data": p}
-                const ndjsonEvent = { event: p.event, data: p };
-                res.write(JSON.stringify(ndjsonEvent) + '\n');
-              } catch (parseError) {
-                // Fallback for non-JSON data
-                const ndjsonEvent = { event: 'text', data: payload };
-                res.write(JSON.stringify(ndjsonEvent) + '\n');
-              }
+      // Write one NDJSON error line: a non-200 upstream response, or a network failure
+      const errorEvent = upstreamError?.upstreamStatus
+        ? {
+            event: "error",
+            data: {
+              error: "bad_upstream_status",
+              status: upstreamError.upstreamStatus,
+              contentType: upstreamError.contentType || '',
+              bodyPreview: (upstreamError.bodySnippet || '').slice(0, 200),
+              provider: provider.name
             }
           }
-        }
-      } catch (streamError) {
-        if (streamError.name === 'AbortError') {
-          const errorEvent = {
+        : {
             event: 'error',
-            data: { error: 'timeout', message: 'Stream timeout after 235s' }
-          };
-          res.write(JSON.stringify(errorEvent) + '\n');
-        } else {
-          const errorEvent = {
-            event: 'error',
-            data: { error: 'stream_error', message: streamError.message }
+            data: {
+              error: 'fetch_error',
+              name: upstreamError?.name || 'Error',
+              code: upstreamError?.code || upstreamError?.cause?.code || upstreamError?.error || 'unknown',
+              message: upstreamError?.message || String(upstreamError),
+              provider: provider.name
+            }
           };
-          res.write(JSON.stringify(errorEvent) + '\n');
-        }
-      }
 
-      res.end();
+      res.write(JSON.stringify(errorEvent) + '\n');
+      return res.end();
+    }
 
-    } catch (fetchError) {
+    // Provider events → NDJSON
+    try {
+      for await (const p of events) {
+        // For each JSON payload p, write {"event": p.event, "data": p}
+        res.write(JSON.stringify({ event: p.event, data: p }) + '\n');
+      }
+    } catch (streamError) {
+      if (streamError.name === 'AbortError') {
+        const errorEvent = {
+          event: 'error',
+          data: { error: 'timeout', message: 'Stream timeout after 235s' }
+        };
+        res.write(JSON.stringify(errorEvent) + '\n');
+      } else {
+        const errorEvent = {
+          event: 'error',
+          data: { error: 'stream_error', message: streamError.message, provider: provider.name }
+        };
+        res.write(JSON.stringify(errorEvent) + '\n');
+      }
+    } finally {
       clearTimeout(timeoutId);
-      
-      // Extract error properties correctly
-      const errorName = fetchError?.name || fetchError?.constructor?.name || 'Error';
-      const errorCode = fetchError?.code || fetchError?.cause?.code || 'unknown';
-      
-      const errorEvent = {
-        event: 'error',
-        data: {
-          error: 'fetch_error',
-          name: errorName,
-          code: errorCode,
-          message: fetchError.message,
-          hasUrl: !!DIFY_API_URL,
-          hasKey: !!DIFY_SECRET_KEY
-        }
-      };
-      
-      res.write(JSON.stringify(errorEvent) + '\n');
-      res.end();
     }
 
+    res.end();
+
   } catch (error) {
     // Handle route-level errors
     if (!res.headersSent) {
@@ -0,0 +1,163 @@
+const express = require('express');
+const {
+  LeagueError,
+  listLeagues,
+  requireLeague,
+  createLeague,
+  updateLeague,
+  deleteLeague,
+  findLeagueTeam,
+  leagueSeason
+} = require('../helpers/league-store');
+const { RosterError } = require('../helpers/roster-store');
+const { nextSeason, listKeepers, setKeeper, removeKeeper, rolloverSeason } = require('../helpers/season-store');
+
+const router = express.Router();
+
+/**
+ * Send a LeagueError or RosterError (or unexpected error) as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} err - Error thrown by the league or season store
+ * @param {string} context - Log context
+ */
+function sendLeagueError(res, err, context) {
+  if (err instanceof LeagueError || err instanceof RosterError) {
+    return res.status(err.status).json({ ok: false, error: err.code, message: err.message });
+  }
+  console.error(`[LEAGUES] ${context}:`, err.message);
+  return res.status(500).json({ ok: false, error: 'handler_error', message: err.message });
+}
+
+// GET /api/leagues - List leagues
+router.get('/', async (req, res) => {
+  try {
+    res.json({ ok: true, data: await listLeagues() });
+  } catch (err) {
+    sendLeagueError(res, err, 'Error listing leagues');
+  }
+});
+
+// POST /api/leagues - Create a league
+router.post('/', async (req, res) => {
+  try {
+    const league = await createLeague(req.body || {});
+    console.log(`[LEAGUES] Created league ${league.id} with ${league.teams.length} teams`);
+    res.status(201).json({ ok: true, data: league });
+  } catch (err) {
+    sendLeagueError(res, err, 'Error creating league');
+  }
+});
+
+// GET /api/leagues/:leagueId - League settings
+router.get('/:leagueId', async (req, res) => {
+  try {
+    res.json({ ok: true, data: await requireLeague(req.params.leagueId) });
+  } catch (err) {
+    sendLeagueError(res, err, `Error reading league ${req.params.leagueId}`);
+  }
+});
+
+// PUT /api/leagues/:leagueId - Update name, teams, roster slots, scoring, draft type, rounds, FAAB budget, waiver priority, season or max keepers
+router.put('/:leagueId', async (req, res) => {
+  try {
+    res.json({ ok: true, data: await updateLeague(req.params.leagueId, req.body || {}) });
+  } catch (err) {
+    sendLeagueError(res, err, `Error updating league ${req.params.leagueId}`);
+  }
+});
+
+// DELETE /api/leagues/:leagueId - Remove a league
+router.delete('/:leagueId', async (req, res) => {
+  try {
+    if (!(await deleteLeague(req.params.leagueId))) {
+      throw new LeagueError('league_not_found', `League ${req.params.leagueId} not found`, 404);
+    }
+    res.json({ ok: true, deleted: req.params.leagueId });
+  } catch (err) {
+    sendLeagueError(res, err, `Error deleting league ${req.params.leagueId}`);
+  }
+});
+
+// POST /api/leagues/:leagueId/teams - Add a team { name, owner, endpoint? }
+router.post('/:leagueId/teams', async (req, res) => {
+  try {
+    const league = await requireLeague(req.params.leagueId);
+    const updated = await updateLeague(league.id, { teams: [...league.teams, req.body || {}] });
+    res.status(201).json({ ok: true, data: updated.teams[updated.teams.length - 1], league: updated });
+  } catch (err) {
+    sendLeagueError(res, err, `Error adding team to league ${req.params.leagueId}`);
+  }
+});
+
+// DELETE /api/leagues/:leagueId/teams/:endpoint - Remove a team
+router.delete('/:leagueId/teams/:endpoint', async (req, res) => {
+  try {
+    const league = await requireLeague(req.params.leagueId);
+    if (!findLeagueTeam(league, req.params.endpoint)) {
+      throw new LeagueError('team_not_found', `Team '${req.params.endpoint}' not found in league ${league.id}`, 404);
+    }
+    const updated = await updateLeague(league.id, {
+      teams: league.teams.filter(team => team.endpoint !== req.params.endpoint)
+    });
+    res.json({ ok: true, deleted: req.params.endpoint, league: updated });
+  } catch (err) {
+    sendLeagueError(res, err, `Error removing team from league ${req.params.leagueId}`);
+  }
+});
+
+// GET /api/leagues/:leagueId/seasons - Current season and the archive of finished ones
+router.get('/:leagueId/seasons', async (req, res) => {
+  try {
+    const league = await requireLeague(req.params.leagueId);
+    res.json({ ok: true, season: leagueSeason(league), data: league.seasonHistory || [] });
+  } catch (err) {
+    sendLeagueError(res, err, `Error reading seasons for league ${req.params.leagueId}`);
+  }
+});
+
+// POST /api/leagues/:leagueId/rollover - Start the next season { carryOver?: keepers|dynasty, dryRun? }
+router.post('/:leagueId/rollover', async (req, res) => {
+  try {
+    const { carryOver, dryRun } = req.body || {};
+    const result = await rolloverSeason(req.params.leagueId, { carryOver, dryRun: dryRun === true });
+    res.json({ ok: true, dryRun: dryRun === true, ...result });
+  } catch (err) {
+    sendLeagueError(res, err, `Error rolling over league ${req.params.leagueId}`);
+  }
+});
+
+// GET /api/leagues/:leagueId/keepers?season= - Keepers for a season (next season by default)
+router.get('/:leagueId/keepers', async (req, res) => {
+  try {
+    const league = await requireLeague(req.params.leagueId);
+    const season = req.query.season ? String(req.query.season) : nextSeason(leagueSeason(league));
+    res.json({ ok: true, season, data: listKeepers(league, season) });
+  } catch (err) {
+    sendLeagueError(res, err, `Error reading keepers for league ${req.params.leagueId}`);
+  }
+});
+
+// POST /api/leagues/:leagueId/keepers - Keep a player next season { team, player, round }
+router.post('/:leagueId/keepers', async (req, res) => {
+  try {
+    const result = await setKeeper(req.params.leagueId, req.body || {});
+    res.status(201).json({ ok: true, data: result.keeper, keepers: result.keepers });
+  } catch (err) {
+    sendLeagueError(res, err, `Error setting keeper for league ${req.params.leagueId}`);
+  }
+});
+
+// DELETE /api/leagues/:leagueId/keepers/:team/:player - Remove a keeper; :player is an id or name
+router.delete('/:leagueId/keepers/:team/:player', async (req, res) => {
+  try {
+    const { leagueId, team, player } = req.params;
+    if (!(await removeKeeper(leagueId, team, player))) {
+      throw new LeagueError('keeper_not_found', `${player} is not a keeper for ${team}`, 404);
+    }
+    res.json({ ok: true, deleted: { team, player } });
+  } catch (err) {
+    sendLeagueError(res, err, `Error removing keeper for league ${req.params.leagueId}`);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const { LeagueError, requireLeague, findLeagueTeam, leagueSeason } = require('../helpers/league-store');
+const { getFantasySchedule, MAX_FANTASY_WEEKS } = require('../helpers/fantasy-schedule');
+const { getWeekSchedule } = require('../helpers/nfl-matchups');
+const { loadProjectionContext, projectRosterWeek } = require('../helpers/weekly-projection');
+const { getRepository } = require('../helpers/data-repository');
+
+const router = express.Router();
+
+/**
+ * Send a LeagueError (or unexpected error) as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} err - Error thrown while building matchups
+ * @param {string} context - Log context
+ */
+function sendMatchupError(res, err, context) {
+  if (err instanceof LeagueError) {
+    return res.status(err.status).json({ ok: false, error: err.code, message: err.message });
+  }
+  console.error(`[MATCHUPS] ${context}:`, err.message);
+  return res.status(500).json({ ok: false, error: 'handler_error', message: err.message });
+}
+
+/**
+ * Load a league that has enough teams for head-to-head matchups
+ * @param {string} [leagueId] - League id (defaults to the default league)
+ * @returns {Promise<Object>} - League
+ */
+async function requireSchedulableLeague(leagueId) {
+  const league = await requireLeague(leagueId);
+  if (league.teams.length < 2) {
+    throw new LeagueError('invalid_teams', `League ${league.id} needs at least 2 teams to schedule matchups`);
+  }
+  return league;
+}
+
+/**
+ * One side of a head-to-head matchup: the fantasy team, its roster with NFL matchup info and
+ * each player's projection, and the projected starting lineup total
+ * @param {Object} league - League
+ * @param {string} endpoint - Team endpoint
+ * @param {Object} context - { week, weekSchedule, projection }
+ * @returns {Promise<Object>} - { team, totalProjected, unprojectedStarters, players }
+ */
+async function buildSide(league, endpoint, { week, weekSchedule, projection }) {
+  const players = await getRepository().rosters.listByTeam(endpoint);
+  const team = findLeagueTeam(league, endpoint) || { endpoint };
+
+  // Without the NFL week loaded there is no way to tell a game from a bye
+  if (!weekSchedule) {
+    return {
+      team,
+      totalProjected: null,
+      unprojectedStarters: null,
+      players: players.map(player => ({ ...player, matchup: null }))
+    };
+  }
+
+  const { totalProjected, unprojectedStarters, starters, bench } = projectRosterWeek(players, {
+    week,
+    weekSchedule,
+    context: projection
+  });
+  return { team, totalProjected, unprojectedStarters, players: [...starters, ...bench] };
+}
+
+// GET /api/matchups/schedule?leagueId= - The league's full head-to-head schedule
+router.get('/schedule', async (req, res) => {
+  try {
+    const league = await requireSchedulableLeague(req.query.leagueId);
+    res.json({ ok: true, leagueId: league.id, data: await getFantasySchedule(league) });
+  } catch (err) {
+    sendMatchupError(res, err, 'Error reading fantasy schedule');
+  }
+});
+
+// POST /api/matchups/schedule - Regenerate a league's schedule { leagueId?, weeks? }
+router.post('/schedule', async (req, res) => {
+  try {
+    const { leagueId, weeks } = req.body || {};
+    if (weeks !== undefined && (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_FANTASY_WEEKS)) {
+      throw new LeagueError('invalid_weeks', `weeks must be an integer between 1 and ${MAX_FANTASY_WEEKS}`);
+    }
+
+    const league = await requireSchedulableLeague(leagueId);
+
+    const schedule = await getFantasySchedule(league, { weeks, regenerate: true });
+    res.status(201).json({ ok: true, leagueId: league.id, data: schedule });
+  } catch (err) {
+    sendMatchupError(res, err, 'Error generating fantasy schedule');
+  }
+});
+
+// GET /api/matchups/:week?leagueId= - Head-to-head pairings for a week with both rosters and projected totals side by side
+router.get('/:week', async (req, res) => {
+  try {
+    const week = Number(req.params.week);
+    if (!Number.isInteger(week) || week < 1) {
+      return res.status(400).json({
+        ok: false,
+        error: 'bad_request',
+        message: 'week must be a positive integer'
+      });
+    }
+
+    const league = await requireSchedulableLeague(req.query.leagueId);
+
+    const schedule = await getFantasySchedule(league);
+    const fantasyWeek = schedule.matchups.find(m => m.week === week);
+    if (!fantasyWeek) {
+      return res.status(404).json({
+        ok: false,
+        error: 'not_found',
+        message: `League ${league.id} schedule has ${schedule.weeks} weeks`
+      });
+    }
+
+    const [season, projection] = await Promise.all([
+      getRepository().schedule.getSeason(),
+      loadProjectionContext({ scoring: league.scoring, season: leagueSeason(league) })
+    ]);
+    const context = { week, weekSchedule: getWeekSchedule(season, week), projection };
+
+    const matchups = await Promise.all(fantasyWeek.games.map(async game => ({
+      home: await buildSide(league, game.home, context),
+      away: await buildSide(league, game.away, context)
+    })));
+
+    res.json({
+      ok: true,
+      leagueId: league.id,
+      week,
+      projectionSeason: projection.season ?? null,
+      nflScheduleAvailable: Boolean(context.weekSchedule),
+      matchups,
+      bye: fantasyWeek.bye ? await buildSide(league, fantasyWeek.bye, context) : null
+    });
+  } catch (err) {
+    sendMatchupError(res, err, `Error building matchups for week ${req.params.week}`);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,250 @@
+const express = require('express');
+const { resolveScoringRules, computePlayerPoints, SCORING_PRESETS } = require('../helpers/scoring');
+const { computeVorp, DEFAULT_LEAGUE_SIZE } = require('../helpers/vorp');
+const { getPoolTiers, TIER_POSITIONS } = require('../helpers/tiers');
+const { getLeague, starterSlotsFor } = require('../helpers/league-store');
+const { getRepository } = require('../helpers/data-repository');
+const { parseImportBody, importPlayers, PLAYER_IMPORT_LIMIT } = require('../helpers/player-import');
+
+const router = express.Router();
+
+// Content types read as NDJSON text by the import endpoint
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'text/plain'];
+
+/**
+ * Find a player's historical record (actual stat lines), or null when unavailable
+ * @param {Object} player - Player
+ * @returns {Promise<Object|null>} - Historical player record or null
+ */
+async function findHistoricalPlayer(player) {
+  try {
+    return await getRepository().players.findHistorical(player.name);
+  } catch (error) {
+    console.warn('[PLAYERS] Could not read historical stats:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve the scoring query parameter, sending a 400 when it is unknown
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string|Object} [scoring] - Profile to resolve instead, such as the league's scoring
+ * @returns {Object|null} - Resolved rules, or null when a response was already sent
+ */
+function rulesFromQuery(req, res, scoring = req.query.scoring) {
+  try {
+    return resolveScoringRules(scoring || undefined);
+  } catch (err) {
+    res.status(err.status || 400).json({
+      ok: false,
+      error: 'invalid_scoring_profile',
+      message: err.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Build VORP options from query parameters (leagueId, leagueSize, scoring and QB/RB/WR/TE/FLEX starter counts)
+ * Explicit parameters override the league's settings
+ * @param {Object} query - Express query object
+ * @returns {Promise<{options?: Object, error?: string, status?: number}>} - VORP options or a validation error
+ */
+async function vorpOptionsFromQuery(query) {
+  let league = null;
+  if (query.leagueId) {
+    league = await getLeague(query.leagueId);
+    if (!league) return { error: `League ${query.leagueId} not found`, status: 404 };
+  }
+
+  const leagueSize = query.leagueSize != null
+    ? Number(query.leagueSize)
+    : league ? league.teams.length : DEFAULT_LEAGUE_SIZE;
+  if (!Number.isInteger(leagueSize) || leagueSize < 2) {
+    return { error: 'leagueSize must be an integer of at least 2' };
+  }
+
+  const starterSlots = league ? starterSlotsFor(league) : {};
+  for (const pos of ['QB', 'RB', 'WR', 'TE', 'FLEX']) {
+    if (query[pos] == null) continue;
+    const value = Number(query[pos]);
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `${pos} must be a non-negative integer` };
+    }
+    starterSlots[pos] = value;
+  }
+
+  return { options: { leagueSize, starterSlots, scoring: query.scoring || league?.scoring } };
+}
+
+// GET /api/players/scoring-profiles - Lists the scoring presets and their rules
+router.get('/scoring-profiles', (req, res) => {
+  const profiles = Object.keys(SCORING_PRESETS).map(name => ({
+    name,
+    rules: resolveScoringRules(name)
+  }));
+  res.json({ ok: true, default: resolveScoringRules().presets.join(','), profiles });
+});
+
+// GET /api/players/vorp - Value over replacement for the pool, with replacement level per position
+// ?leagueId=default or ?leagueSize=12&scoring=ppr&QB=1&RB=2&WR=2&TE=1&FLEX=1
+router.get('/vorp', async (req, res) => {
+  try {
+    const { options, error, status } = await vorpOptionsFromQuery(req.query);
+    if (error) {
+      return res.status(status || 400).json({ ok: false, error: status === 404 ? 'league_not_found' : 'bad_request', message: error });
+    }
+    const rules = rulesFromQuery(req, res, options.scoring);
+    if (!rules) return;
+
+    res.json({ ok: true, ...computeVorp(await getRepository().players.list(), { ...options, scoring: rules }) });
+  } catch (error) {
+    console.error('[PLAYERS] Error computing VORP:', error.message);
+    res.status(500).json({ ok: false, error: 'handler_error', message: error.message });
+  }
+});
+
+// GET /api/players/tiers?position=RB&scoring=ppr - Tiers at natural breaks in projected points
+router.get('/tiers', async (req, res) => {
+  try {
+    const position = req.query.position ? String(req.query.position).toUpperCase() : null;
+    if (position && !TIER_POSITIONS.includes(position)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'bad_request',
+        message: `position must be one of: ${TIER_POSITIONS.join(', ')}`
+      });
+    }
+
+    const rules = rulesFromQuery(req, res);
+    if (!rules) return;
+
+    const { scoring, positions } = await getPoolTiers({ scoring: rules });
+    if (position) {
+      return res.json({ ok: true, scoring, position, tiers: positions[position] });
+    }
+    res.json({ ok: true, scoring, positions });
+  } catch (error) {
+    console.error('[PLAYERS] Error building tiers:', error.message);
+    res.status(500).json({ ok: false, error: 'handler_error', message: error.message });
+  }
+});
+
+// GET /api/players - Serves the draft player pool
+// ?scoring=<profile> adds fantasyPoints to each player; ?sort=points orders by projected points
+// ?vorp=1 (or ?sort=vorp) adds vorp, tier, starterBand, scarcity and valueRank using the /vorp query parameters;
+// with a leagueId, fantasyPoints and the values use the league's scoring unless ?scoring is sent
+router.get('/', async (req, res) => {
+  try {
+    const players = await getRepository().players.list();
+    const wantsVorp = req.query.vorp === '1' || req.query.vorp === 'true' || req.query.sort === 'vorp';
+    if (!req.query.scoring && req.query.sort !== 'points' && !wantsVorp) {
+      return res.json(players);
+    }
+
+    let vorpOptions = null;
+    if (wantsVorp) {
+      const { options, error, status } = await vorpOptionsFromQuery(req.query);
+      if (error) {
+        return res.status(status || 400).json({ ok: false, error: status === 404 ? 'league_not_found' : 'bad_request', message: error });
+      }
+      vorpOptions = options;
+    }
+
+    const rules = rulesFromQuery(req, res, vorpOptions ? vorpOptions.scoring : req.query.scoring);
+    if (!rules) return;
+
+    let scored = players.map(player => ({
+      ...player,
+      fantasyPoints: computePlayerPoints(player, { rules, season: req.query.season })
+    }));
+
+    if (wantsVorp) {
+      const { players: valued } = computeVorp(players, { ...vorpOptions, scoring: rules });
+      const byId = new Map(valued.map(p => [String(p.id), p]));
+      const { positions } = await getPoolTiers({ scoring: rules });
+      const tierById = new Map();
+      for (const tiers of Object.values(positions)) {
+        for (const tier of tiers) {
+          tier.players.forEach(p => tierById.set(p.id, tier.tier));
+        }
+      }
+      scored = scored.map(player => {
+        const value = byId.get(String(player.id));
+        return {
+          ...player,
+          vorp: value ? value.vorp : null,
+          tier: tierById.get(String(player.id)) ?? null,
+          starterBand: value ? value.starterBand : null,
+          scarcity: value ? value.scarcity : null,
+          valueRank: value ? value.valueRank : null
+        };
+      });
+    }
+
+    if (req.query.sort === 'vorp') {
+      scored.sort((a, b) => (a.valueRank ?? Infinity) - (b.valueRank ?? Infinity));
+    } else if (req.query.sort === 'points') {
+      scored.sort((a, b) => (b.fantasyPoints?.points || 0) - (a.fantasyPoints?.points || 0) || a.newOverallRank - b.newOverallRank);
+    }
+
+    res.json(scored);
+  } catch (error) {
+    console.error('[PLAYERS] Error reading player data:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/players/import - Bulk upsert v4 player records from a JSON array or NDJSON upload
+router.post('/import', express.text({ type: NDJSON_TYPES, limit: PLAYER_IMPORT_LIMIT }), async (req, res) => {
+  const { rows, error } = parseImportBody(req.body);
+  if (error) {
+    return res.status(400).json({ ok: false, error: 'invalid_import', message: error });
+  }
+
+  try {
+    const report = await importPlayers(rows);
+    console.log(`[PLAYERS] Import: ${report.summary.inserted} inserted, ${report.summary.updated} updated, ${report.summary.rejected} rejected`);
+    res.json({ ok: true, ...report });
+  } catch (err) {
+    console.error('[PLAYERS] Import failed:', err.message);
+    res.status(err.status || 500).json({ ok: false, error: 'import_failed', message: err.message });
+  }
+});
+
+// GET /api/players/:id/points - Predicted and actual fantasy points for one player
+router.get('/:id/points', async (req, res) => {
+  try {
+    const rules = rulesFromQuery(req, res);
+    if (!rules) return;
+
+    const player = await getRepository().players.getById(req.params.id);
+    if (!player) {
+      return res.status(404).json({
+        ok: false,
+        error: 'player_not_found',
+        message: `Player ${req.params.id} not found`
+      });
+    }
+
+    const { presets, ...ruleValues } = rules;
+    const actual = computePlayerPoints(player, { rules, season: req.query.season, kind: 'actual' })
+      || computePlayerPoints(await findHistoricalPlayer(player), { rules, season: req.query.season, kind: 'actual' });
+
+    res.json({
+      ok: true,
+      playerId: player.id,
+      name: player.name,
+      position: player.position,
+      scoring: { presets, rules: ruleValues },
+      predicted: computePlayerPoints(player, { rules, season: req.query.season, kind: 'predicted' }),
+      actual
+    });
+  } catch (error) {
+    console.error(`[PLAYERS] Error scoring player ${req.params.id}:`, error.message);
+    res.status(500).json({ ok: false, error: 'handler_error', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,20 @@
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
 const { randomUUID } = require('crypto');
-const { UnifiedDifyClient, getDifyBlockingResponse, slimPlayers, TraceLogger } = require('../helpers/dify-client');
+const { getProvider } = require('../helpers/llm-provider');
+const {
+  structuredOutputEnabled,
+  withSchemaInstructions,
+  checkStructuredAnswer,
+  repairStructuredAnswer,
+  unknownPlayerIds
+} = require('../helpers/structured-output');
+const { getLeague, findLeagueTeam, leagueSeason } = require('../helpers/league-store');
+const { renderPrompt } = require('../helpers/prompt-templates');
+const { getRepository } = require('../helpers/data-repository');
+const { getWeekSchedule, attachMatchups } = require('../helpers/nfl-matchups');
+const { loadProjectionContext, projectRosterWeek } = require('../helpers/weekly-projection');
+const { optimizeLineup, compareWithCurrent } = require('../helpers/lineup-optimizer');
+const { RosterError, addPlayer, dropPlayer, setStarter, movePlayer, listTransactions } = require('../helpers/roster-store');
 
 // Check if global fetch is available (Node 18+), otherwise use node-fetch
 let fetch, AbortController;
@@ -20,8 +32,6 @@ try {
 }
 
 // Environment configuration for Dify
-const DIFY_API_URL = process.env.DIFY_API_URL || 'https://api.dify.ai/v1/chat-messages';
-const DIFY_SECRET_KEY = process.env.DIFY_SECRET_KEY;
 const DIFY_TIMEOUT_MS = parseInt(process.env.DIFY_TIMEOUT_MS) || 120000;
 
 /**
@@ -34,100 +44,6 @@ function createSlug(text) {
     .replace(/^-+|-+$/g, '');
 }
 
-/**
- * Extract JSON from text that may contain code fences or other formatting
- * Strips ``` fences, tries direct JSON.parse, falls back to first { ... } brace slice
- */
-function extractJson(text) {
-  if (!text || typeof text !== 'string') {
-    return null;
-  }
-  
-  // Strip code fences (```json and ```)
-  let cleanText = text.replace(/```(?:json)?\s*/g, '').replace(/```/g, '');
-  
-  // Try direct JSON.parse first
-  try {
-    return JSON.parse(cleanText);
-  } catch (directParseError) {
-    // Fall back to finding first { ... } block
-    const braceStart = cleanText.indexOf('{');
-    if (braceStart === -1) {
-      return null;
-    }
-    
-    let braceCount = 0;
-    let braceEnd = -1;
-    
-    for (let i = braceStart; i < cleanText.length; i++) {
-      if (cleanText[i] === '{') {
-        braceCount++;
-      } else if (cleanText[i] === '}') {
-        braceCount--;
-        if (braceCount === 0) {
-          braceEnd = i;
-          break;
-        }
-      }
-    }
-    
-    if (braceEnd === -1) {
-      return null;
-    }
-    
-    const jsonSlice = cleanText.slice(braceStart, braceEnd + 1);
-    try {
-      return JSON.parse(jsonSlice);
-    } catch (sliceParseError) {
-      return null;
-    }
-  }
-}
-
-/**
- * Normalize upstream response to structured format
- * Returns { userRoster, opponentRoster, summary }
- */
-function normalizeSeasonResponse(upstream) {
-  let userRoster = [];
-  let opponentRoster = [];
-  let summary = '';
-  
-  if (!upstream || !upstream.answer) {
-    return { userRoster, opponentRoster, summary };
-  }
-  
-  const llmResponse = upstream.answer;
-  
-  // Try to extract JSON from the response
-  const extractedData = extractJson(llmResponse);
-  
-  if (extractedData) {
-    // Use extracted JSON data
-    userRoster = Array.isArray(extractedData.userRoster) ? extractedData.userRoster : [];
-    opponentRoster = Array.isArray(extractedData.opponentRoster) ? extractedData.opponentRoster : [];
-    
-    // Extract summary after JSON or use provided summary
-    if (extractedData.summary && typeof extractedData.summary === 'string') {
-      summary = extractedData.summary;
-    } else {
-      // Try to find text after the JSON block
-      const jsonMatch = llmResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const jsonEndIndex = llmResponse.indexOf(jsonMatch[0]) + jsonMatch[0].length;
-        summary = llmResponse.substring(jsonEndIndex).trim();
-      }
-    }
-  }
-  
-  // If no summary extracted, use the full response as summary
-  if (!summary || summary.length < 10) {
-    summary = extractedData ? 'Analysis completed successfully. Please review the roster details above.' : llmResponse;
-  }
-  
-  return { userRoster, opponentRoster, summary };
-}
-
 /**
  * Normalize player data for Dify API
  * - Ensures id exists (synthesizes if missing)
@@ -163,165 +79,28 @@ function normalizePlayerForDify(player) {
 
 const router = express.Router();
 
-// Initialize UnifiedDifyClient
-const difyClient = new UnifiedDifyClient();
-
-// Cache for schedule data
-let scheduleCache = null;
-
-// Cache for NFL teams data
-let nflTeamsCache = null;
-
-// Team alias mapping for schedule matching
-const TEAM_ALIASES = {
-  'WAS': 'WSH', 'WSH': 'WAS',
-  'JAX': 'JAC', 'JAC': 'JAX',
-  'NO': 'NOR', 'NOR': 'NO',
-  'SF': 'SFO', 'SFO': 'SF',
-  'GB': 'GNB', 'GNB': 'GB',
-  'KC': 'KAN', 'KAN': 'KC',
-  'TB': 'TAM', 'TAM': 'TB',
-  'NE': 'NWE', 'NWE': 'NE',
-  'LV': 'LVR', 'LVR': 'LV',
-  'LAR': 'LA', 'LA': 'LAR'
-  // Note: LAC has no alias as specified
-};
-
-/**
- * Load and cache NFL teams data
- */
-function loadNflTeams() {
-  if (!nflTeamsCache) {
-    try {
-      const teamsPath = path.join(__dirname, '..', 'data', 'nflTeams.json');
-      const teamsData = fs.readFileSync(teamsPath, 'utf8');
-      nflTeamsCache = JSON.parse(teamsData);
-    } catch (error) {
-      console.error('[ROSTER] Error loading NFL teams data:', error.message);
-      throw error;
-    }
-  }
-  return nflTeamsCache;
-}
-
 /**
- * Load and cache schedule data
+ * Load NFL teams data through the data repository
  */
-function loadScheduleData() {
-  if (!scheduleCache) {
-    try {
-      const schedulePath = path.join(__dirname, '..', 'data', 'schedule', 'regularSeason.json');
-      const scheduleData = fs.readFileSync(schedulePath, 'utf8');
-      scheduleCache = JSON.parse(scheduleData);
-    } catch (error) {
-      console.error('[ROSTER] Error loading schedule data:', error.message);
-      throw error;
-    }
-  }
-  return scheduleCache;
-}
-
-/**
- * Get week schedule from either object or array format
- */
-function getWeekSchedule(schedule, weekNumber) {
-  // Handle object format { "week1": [...], "week2": [...] }
-  if (schedule && typeof schedule === 'object' && !Array.isArray(schedule)) {
-    const weekKey = `week${weekNumber}`;
-    return schedule[weekKey] || null;
-  }
-  
-  // Handle array format [week1Games, week2Games, ...]
-  if (Array.isArray(schedule)) {
-    // Array index 0 = Week 1, index 17 = Week 18
-    return schedule[weekNumber - 1] || null;
-  }
-  
-  return null;
-}
-
-/**
- * Find team in nflTeams array by abbreviation
- */
-function findTeamByAbbr(teams, abbr) {
-  if (!teams || !Array.isArray(teams) || !abbr) {
-    return null;
-  }
-  
-  const upperAbbr = abbr.toUpperCase();
-  
-  // Direct match
-  let team = teams.find(t => t.abbr && t.abbr.toUpperCase() === upperAbbr);
-  if (team) return team;
-  
-  // Check aliases
-  const alias = TEAM_ALIASES[upperAbbr];
-  if (alias) {
-    team = teams.find(t => t.abbr && t.abbr.toUpperCase() === alias);
-    if (team) return team;
+async function loadNflTeams() {
+  try {
+    return await getRepository().nflTeams.list();
+  } catch (error) {
+    console.error('[ROSTER] Error loading NFL teams data:', error.message);
+    throw error;
   }
-  
-  return null;
 }
 
 /**
- * Find matchup for a team in a specific week with enhanced info
+ * Load schedule data through the data repository
  */
-function findMatchupForTeam(weekSchedule, teamAbbr, nflTeams) {
-  if (!weekSchedule || !Array.isArray(weekSchedule) || !teamAbbr) {
-    return null;
-  }
-
-  // Convert to uppercase for comparison
-  const upperTeamAbbr = teamAbbr.toUpperCase();
-  
-  // Find matchup where team is either home or away (considering aliases)
-  const game = weekSchedule.find(game => {
-    const homeTeam = game.homeTeam.toUpperCase();
-    const awayTeam = game.awayTeam.toUpperCase();
-    
-    // Direct match
-    if (homeTeam === upperTeamAbbr || awayTeam === upperTeamAbbr) {
-      return true;
-    }
-    
-    // Check aliases
-    const teamAlias = TEAM_ALIASES[upperTeamAbbr];
-    if (teamAlias) {
-      return homeTeam === teamAlias || awayTeam === teamAlias;
-    }
-    
-    return false;
-  });
-  
-  if (!game) {
-    return null;
-  }
-  
-  // Determine if player's team is home or away
-  const homeTeam = game.homeTeam.toUpperCase();
-  const isHome = homeTeam === upperTeamAbbr || homeTeam === TEAM_ALIASES[upperTeamAbbr];
-  const type = isHome ? 'home' : 'away';
-  
-  // Get opponent abbreviation
-  const opponentAbbr = isHome ? game.awayTeam : game.homeTeam;
-  
-  // Find opponent team object
-  let opponent = findTeamByAbbr(nflTeams, opponentAbbr);
-  
-  // Fallback if opponent not found in nflTeams
-  if (!opponent) {
-    opponent = { abbr: opponentAbbr };
+async function loadScheduleData() {
+  try {
+    return await getRepository().schedule.getSeason();
+  } catch (error) {
+    console.error('[ROSTER] Error loading schedule data:', error.message);
+    throw error;
   }
-  
-  return {
-    week: game.week,
-    type: type,
-    opponent: opponent,
-    kickoff: game.kickoff || '',
-    projectedScore: game.projectedScore || '',
-    finalScore: game.finalScore || ''
-  };
 }
 
 /**
@@ -349,19 +128,48 @@ function selectRosterAndSide(body) {
   return { side: null, roster: [] };
 }
 
-// GET /allPlayers - Serves the JSON data from data/roster/allPlayers.json
+/**
+ * Check that a team endpoint belongs to a league (the default league when no leagueId is given)
+ * @param {string} [leagueId] - League id from the query string
+ * @param {string} teamName - Team endpoint slug
+ * @returns {Promise<{league?: Object, team?: Object, status?: number, body?: Object}>} - League and team, or an error response
+ */
+async function checkLeagueTeam(leagueId, teamName) {
+  const league = await getLeague(leagueId);
+  if (!league) {
+    return {
+      status: 404,
+      body: { ok: false, error: 'league_not_found', message: `League ${leagueId} not found` }
+    };
+  }
+
+  const team = findLeagueTeam(league, teamName);
+  if (!team) {
+    const validTeamEndpoints = league.teams.map(t => t.endpoint);
+    return {
+      status: 400,
+      body: {
+        ok: false,
+        error: 'Invalid team name',
+        message: `Team '${teamName}' not found. Valid teams: ${validTeamEndpoints.join(', ')}`
+      }
+    };
+  }
+
+  return { league, team };
+}
+
+// GET /allPlayers - Serves every fantasy roster player
 router.get('/allPlayers', async (req, res) => {
   try {
-    const filePath = path.join(__dirname, '..', 'data', 'roster', 'allPlayers.json');
-    const jsonData = fs.readFileSync(filePath, 'utf8');
-    const players = JSON.parse(jsonData);
+    const players = await getRepository().rosters.listPlayers();
     
     res.json({
       ok: true,
       data: players
     });
   } catch (error) {
-    console.error('[ROSTER] Error reading allPlayers.json:', error.message);
+    console.error('[ROSTER] Error reading rosters:', error.message);
     res.status(500).json({
       ok: false,
       error: `Failed to read roster data: ${error.message}`
@@ -374,41 +182,21 @@ router.get('/:teamName', async (req, res) => {
   try {
     const { teamName } = req.params;
     
-    // List of valid team endpoints
-    const validTeamEndpoints = [
-      "boykies",
-      "nothin-but-net",
-      "rorys-rowdy-team",
-      "whos-your-baddie",
-      "elenas-knotty-men",
-      "my-njigbas"
-    ];
-    
-    // Validate team name
-    if (!validTeamEndpoints.includes(teamName)) {
-      return res.status(400).json({
-        ok: false,
-        error: 'Invalid team name',
-        message: `Team '${teamName}' not found. Valid teams: ${validTeamEndpoints.join(', ')}`
-      });
+    // Validate team name against the league's teams
+    const leagueCheck = await checkLeagueTeam(req.query.leagueId, teamName);
+    if (leagueCheck.body) {
+      return res.status(leagueCheck.status).json(leagueCheck.body);
     }
     
-    // Read the allPlayers.json file
-    const filePath = path.join(__dirname, '..', 'data', 'roster', 'allPlayers.json');
-    const jsonData = fs.readFileSync(filePath, 'utf8');
-    const allPlayers = JSON.parse(jsonData);
-    
-    // Filter players by fantasyTeam.endpoint
-    const teamPlayers = allPlayers.filter(player =>
-      player.fantasyTeam &&
-      player.fantasyTeam.endpoint === teamName
-    );
+    // Players whose fantasyTeam.endpoint matches the team
+    const teamPlayers = await getRepository().rosters.listByTeam(teamName);
     
     // Return the filtered players
     res.json({
       ok: true,
       data: {
         teamName: teamName,
+        team: leagueCheck.team,
         players: teamPlayers,
         count: teamPlayers.length
       }
@@ -524,6 +312,11 @@ router.get('/:teamName', async (req, res) => {
  *
  * Accepts both new single-roster format (inputs.roster) and legacy dual-roster format
  * (inputs.userRoster/opponentRoster). Implements exact streaming pattern as draft route.
+ *
+ * With structured output on (LLM_STRUCTURED_OUTPUT=1 or body.structured === true), the
+ * answer must be rosterAnalysis JSON. After message_end it is validated (and repaired once if
+ * needed) and sent as { event: 'structured', data: { schema, repaired, promptVersions, result } } before
+ * 'complete', or as an invalid_structured_output error event in place of 'complete'.
  */
 router.post('/analyze', async (req, res) => {
   const startTime = Date.now();
@@ -575,6 +368,7 @@ router.post('/analyze', async (req, res) => {
     // Set up AbortController for client disconnects and timeout
     const controller = new AbortController();
     let clientAborted = false;
+    let streamCompleted = false;
     
     // Safety timeout that persists throughout entire stream lifecycle
     const timeoutId = setTimeout(() => {
@@ -597,22 +391,24 @@ router.post('/analyze', async (req, res) => {
           ? req.body.query
           : "Analyze roster for weekly projections.";
 
-      // Inline a second copy of the inputs so the model cannot miss them even if template vars fail
-      const inlineBlock = [
-        "### INPUT ECHO (do not ignore) ###",
-        `SIDE: ${side ?? ""}`,
-        `REQUEST_ID: ${finalRequestId ?? ""}`,
-        `WEEK: ${req.body.inputs?.week ?? ""}`,
-        "ROSTER_JSON_START",
-        JSON.stringify(roster ?? [], null, 0),
-        "ROSTER_JSON_END",
-      ].join("\n");
+      // The template echoes the inputs inline so the model cannot miss them even if template vars fail
+      const prompt = renderPrompt('roster-analyze', {
+        query: originalQuery,
+        side,
+        requestId: finalRequestId,
+        week: req.body.inputs?.week,
+        roster: roster ?? []
+      });
+
+      const structured = structuredOutputEnabled(req.body.structured);
+      const schemaPrompt = structured ? withSchemaInstructions('rosterAnalysis', prompt.text) : null;
+      const query = prompt.text;
 
       // Build payload for Dify - forward exactly one roster as inputs.roster
       const difyPayload = {
         user: req.body.user || 'anonymous',
         response_mode: 'streaming',
-        query: `${originalQuery}\n\n${inlineBlock}`, // <<< only change
+        query: schemaPrompt ? schemaPrompt.text : query,
         side: side,
         requestId: finalRequestId,
         inputs: {
@@ -628,125 +424,99 @@ router.post('/analyze', async (req, res) => {
         difyPayload.conversation_id = req.body.conversation_id;
       }
 
-      // Make streaming call to Dify API directly using fetch like draft
-      const response = await fetch(DIFY_API_URL, {
-        method: 'POST',
-        headers: {
-          'Accept': 'text/event-stream',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${DIFY_SECRET_KEY}`
-        },
-        body: JSON.stringify(difyPayload),
-        signal: controller.signal,
-        duplex: 'half'
-      });
-
-      // Preflight check for upstream response
-      const status = response.status;
-      const contentType = response.headers.get('content-type') || '';
-
-      if (!response.ok || !contentType.includes('text/event-stream')) {
-        // Read up to first 200 bytes from response body if present
-        let bodyPreview = '';
-        try {
-          if (response.body) {
-            const reader = response.body.getReader();
-            const { value } = await reader.read();
-            if (value) {
-              const decoder = new TextDecoder();
-              const fullText = decoder.decode(value);
-              bodyPreview = fullText.slice(0, 200); // First 200 chars
-            }
-          }
-        } catch (bodyReadError) {
-          bodyPreview = 'Error reading response body';
-        }
-        
-        // Write ONE NDJSON error line
+      // Stream from the provider configured for analyze
+      const provider = getProvider('analyze');
+      let events;
+      try {
+        ({ events } = await provider.postStreaming({
+          body: difyPayload,
+          timeoutMs,
+          signal: controller.signal,
+          action: 'analyze'
+        }));
+      } catch (upstreamError) {
+        // Network failures are reported by the catch below
+        if (!upstreamError?.upstreamStatus) throw upstreamError;
+
+        // Write ONE NDJSON error line for a non-200 or non-SSE upstream response
         const errorEvent = {
           event: 'error',
           data: {
             error: 'bad_upstream_status',
-            status: status,
-            contentType: contentType,
-            bodyPreview: bodyPreview,
+            status: upstreamError.upstreamStatus,
+            contentType: upstreamError.contentType || '',
+            bodyPreview: (upstreamError.bodySnippet || '').slice(0, 200),
             hasUrl: !!process.env.DIFY_API_URL,
             hasKey: !!process.env.DIFY_SECRET_KEY
           }
         };
         
+        clearTimeout(timeoutId);
         res.write(JSON.stringify(errorEvent) + '\n');
         res.end();
         return;
       }
 
-      // Process SSE stream and transform to NDJSON
-      const reader = response.body?.getReader();
-      if (!reader) {
-        const text = await response.text();
-        res.write(JSON.stringify({ type: 'final', data: text }) + '\n');
-        return res.end();
-      }
+      // Transform provider events to NDJSON
+      let answer = '';
+      let conversationId = req.body.conversation_id || null;
+      try {
+        for await (const data of events) {
+          // Write NDJSON line
+          res.write(JSON.stringify({ event: data.event, data }) + '\n');
+          res.flush?.();
 
-      const decoder = new TextDecoder();
-      let buffer = '';
-      let chunkCount = 0;
-      let streamCompleted = false;
+          if (data.event === 'message' || data.event === 'agent_message') {
+            answer += data.answer || '';
+          }
+          conversationId = data.conversation_id || conversationId;
+
+          // Handle stream completion; an upstream error event ends the stream without completing it
+          if (data.event === 'message_end') {
+            streamCompleted = true;
+            break;
+          } else if (data.event === 'error') {
+            break;
+          }
+        }
 
-      try {
-        while (true) {
-          const { value, done } = await reader.read();
-          if (done) break;
+        // Validate the analysis, asking once for a corrected answer when it does not fit the schema
+        if (streamCompleted && structured) {
+          const validate = value => unknownPlayerIds(value.players, roster, '$.players');
+          let checked = checkStructuredAnswer('rosterAnalysis', answer, validate);
+          let repaired = false;
+          let promptVersions = [schemaPrompt.promptVersion];
+          if (!checked.ok) {
+            const repair = await repairStructuredAnswer({
+              schemaName: 'rosterAnalysis',
+              provider,
+              errors: checked.errors,
+              body: difyPayload,
+              conversationId,
+              timeoutMs,
+              signal: controller.signal,
+              action: 'analyze',
+              validate
+            });
+            checked = repair.ok ? { ok: true, value: repair.data } : { ok: false, error: repair };
+            repaired = repair.ok;
+            if (repair.ok) promptVersions = repair.promptVersions;
+          }
 
-          chunkCount++;
-          
-          const chunk = decoder.decode(value, { stream: true });
-          buffer += chunk;
-
-          // Process complete SSE events (separated by \n\n)
-          let sep;
-          while ((sep = buffer.indexOf('\n\n')) !== -1) {
-            const chunk = buffer.slice(0, sep);
-            buffer = buffer.slice(sep + 2);
-            
-            // Process this complete SSE frame
-            const lines = chunk.split('\n');
-            const datas = lines
-              .filter(l => l.startsWith('data:'))
-              .map(l => l.slice(5).trim())
-              .filter(Boolean);
-              
-            for (const payload of datas) {
-              if (payload === '[DONE]') continue;  // Handle [DONE]
-              
-              try {
-                const data = JSON.parse(payload);
-
-                // Transform SSE event to NDJSON and write to response
-                const ndjsonEvent = {
-                  event: data.event,
-                  data: data
-                };
-
-                // Write NDJSON line
-                res.write(JSON.stringify(ndjsonEvent) + '\n');
-                res.flush?.();
-
-                // Handle stream completion
-                if (data.event === 'message_end') {
-                  streamCompleted = true;
-                  break;
-                } else if (data.event === 'error') {
-                  throw new Error(`Dify stream error: ${data.message || 'Unknown error'}`);
-                }
-              } catch (error) {
-                // Fallback for non-JSON data
-                const ndjsonEvent = { type: 'text', data: payload };
-                res.write(JSON.stringify(ndjsonEvent) + '\n');
-                res.flush?.();
+          if (checked.ok) {
+            res.write(JSON.stringify({ event: 'structured', data: { schema: 'rosterAnalysis', repaired, promptVersion: prompt.promptVersion, promptVersions, result: checked.value } }) + '\n');
+          } else {
+            streamCompleted = false;
+            res.write(JSON.stringify({
+              event: 'error',
+              data: {
+                error: checked.error.error,
+                message: checked.error.message,
+                details: checked.error.details
               }
-            }
+            }) + '\n');
           }
+          res.flush?.();
         }
 
         // Send final completion event only if stream completed normally
@@ -754,7 +524,8 @@ router.post('/analyze', async (req, res) => {
           const completionEvent = {
             event: 'complete',
             data: {
-              duration_ms: Date.now() - startTime
+              duration_ms: Date.now() - startTime,
+              promptVersion: prompt.promptVersion
             }
           };
           res.write(JSON.stringify(completionEvent) + '\n');
@@ -873,17 +644,14 @@ router.get('/:teamName/matchups/:weekNumber', async (req, res) => {
         message: 'teamName is required'
       });
     }
+
+    const leagueCheck = await checkLeagueTeam(req.query.leagueId, teamName);
+    if (leagueCheck.body) {
+      return res.status(leagueCheck.status).json(leagueCheck.body);
+    }
     
-    // Read allPlayers.json
-    const playersPath = path.join(__dirname, '..', 'data', 'roster', 'allPlayers.json');
-    const playersData = fs.readFileSync(playersPath, 'utf8');
-    const allPlayers = JSON.parse(playersData);
-    
-    // Filter players by team
-    const teamPlayers = allPlayers.filter(player =>
-      player.fantasyTeam &&
-      player.fantasyTeam.endpoint === teamName
-    );
+    // Players on the team
+    const teamPlayers = await getRepository().rosters.listByTeam(teamName);
     
     // Check if any players found
     if (teamPlayers.length === 0) {
@@ -897,7 +665,7 @@ router.get('/:teamName/matchups/:weekNumber', async (req, res) => {
     // Load schedule data
     let schedule;
     try {
-      schedule = loadScheduleData();
+      schedule = await loadScheduleData();
     } catch (error) {
       return res.status(500).json({
         ok: false,
@@ -909,7 +677,7 @@ router.get('/:teamName/matchups/:weekNumber', async (req, res) => {
     // Load NFL teams data
     let nflTeams;
     try {
-      nflTeams = loadNflTeams();
+      nflTeams = await loadNflTeams();
     } catch (error) {
       return res.status(500).json({
         ok: false,
@@ -930,44 +698,7 @@ router.get('/:teamName/matchups/:weekNumber', async (req, res) => {
     }
     
     // Clone players and add matchup info
-    const playersWithMatchups = teamPlayers.map(player => {
-      // Clone player to avoid mutating original data
-      const playerWithMatchup = { ...player };
-      
-      // Get player's team abbreviation - handle both object and string formats
-      let playerTeamAbbr = '';
-      if (player.team) {
-        if (typeof player.team === 'object' && player.team.abbr) {
-          playerTeamAbbr = player.team.abbr;
-        } else if (typeof player.team === 'string') {
-          playerTeamAbbr = player.team;
-        }
-      }
-      
-      if (!playerTeamAbbr) {
-        // No team info, assume bye week
-        playerWithMatchup.matchup = {
-          week: week,
-          bye: true
-        };
-      } else {
-        // Find matchup for player's team with enhanced info
-        const matchupInfo = findMatchupForTeam(weekSchedule, playerTeamAbbr, nflTeams);
-        
-        if (matchupInfo) {
-          // Found matchup - use enhanced format
-          playerWithMatchup.matchup = matchupInfo;
-        } else {
-          // No matchup found, it's a bye week
-          playerWithMatchup.matchup = {
-            week: week,
-            bye: true
-          };
-        }
-      }
-      
-      return playerWithMatchup;
-    });
+    const playersWithMatchups = attachMatchups(teamPlayers, { week, weekSchedule, nflTeams });
     
     // Return players with matchups
     res.json(playersWithMatchups);
@@ -999,4 +730,201 @@ router.get('/:teamName/matchups/:weekNumber', async (req, res) => {
   }
 });
 
+/**
+ * Validate a team/week request and project the team's roster for that week
+ * @param {Object} req - Express request with teamName and weekNumber params and optional leagueId/scoring query
+ * @returns {Promise<{league?: Object, team?: Object, week?: number, scoring?: {presets: Array<string>, rules: Object}, projection?: Object, status?: number, body?: Object}>} - Projection, or an error response
+ */
+async function projectTeamWeek(req) {
+  const { teamName, weekNumber } = req.params;
+  const week = parseInt(weekNumber, 10);
+
+  if (!weekNumber || isNaN(week) || week < 1 || week > 18) {
+    return { status: 400, body: { ok: false, error: 'bad_request', message: 'weekNumber must be 1-18' } };
+  }
+
+  const leagueCheck = await checkLeagueTeam(req.query.leagueId, teamName);
+  if (leagueCheck.body) return leagueCheck;
+
+  const teamPlayers = await getRepository().rosters.listByTeam(teamName);
+  if (teamPlayers.length === 0) {
+    return { status: 404, body: { ok: false, error: 'not_found', message: 'roster not found' } };
+  }
+
+  const weekSchedule = getWeekSchedule(await loadScheduleData(), week);
+  if (!weekSchedule) {
+    return { status: 404, body: { ok: false, error: 'not_found', message: 'schedule for week not found' } };
+  }
+
+  let context;
+  try {
+    context = await loadProjectionContext({
+      scoring: req.query.scoring || leagueCheck.league.scoring,
+      season: leagueSeason(leagueCheck.league)
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return { status: 400, body: { ok: false, error: 'invalid_scoring_profile', message: error.message } };
+    }
+    throw error;
+  }
+
+  const { presets, ...rules } = context.rules;
+  return {
+    league: leagueCheck.league,
+    team: leagueCheck.team,
+    week,
+    scoring: { presets, rules },
+    projection: projectRosterWeek(teamPlayers, { week, weekSchedule, context })
+  };
+}
+
+// GET /:teamName/projection/:weekNumber - Projected points per player and the starting lineup total for a week
+router.get('/:teamName/projection/:weekNumber', async (req, res) => {
+  try {
+    const result = await projectTeamWeek(req);
+    if (result.body) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.json({
+      ok: true,
+      team: result.team,
+      week: result.week,
+      scoring: result.scoring,
+      ...result.projection
+    });
+  } catch (error) {
+    console.error('[ROSTER] Error in projection endpoint:', error.message);
+    res.status(500).json({
+      ok: false,
+      error: 'handler_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /:teamName/optimal-lineup/:weekNumber - Best lineup for the league's starting slots vs the current starter flags
+router.get('/:teamName/optimal-lineup/:weekNumber', async (req, res) => {
+  try {
+    const result = await projectTeamWeek(req);
+    if (result.body) {
+      return res.status(result.status).json(result.body);
+    }
+
+    const players = [...result.projection.starters, ...result.projection.bench];
+    const optimal = optimizeLineup(players, result.league.rosterSlots);
+
+    res.json({
+      ok: true,
+      team: result.team,
+      week: result.week,
+      scoring: result.scoring,
+      lineup: optimal.lineup,
+      bench: optimal.bench,
+      emptySlots: optimal.emptySlots,
+      optimalTotal: optimal.total,
+      ...compareWithCurrent(optimal, players)
+    });
+  } catch (error) {
+    console.error('[ROSTER] Error in optimal lineup endpoint:', error.message);
+    res.status(500).json({
+      ok: false,
+      error: 'handler_error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Send a RosterError (or unexpected error) from a roster change as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the roster store
+ * @param {string} context - Log context
+ */
+function sendRosterError(res, error, context) {
+  if (error instanceof RosterError) {
+    return res.status(error.status).json({ ok: false, error: error.code, message: error.message });
+  }
+  console.error(`[ROSTER] ${context}:`, error.message);
+  res.status(500).json({ ok: false, error: 'handler_error', message: 'Internal server error' });
+}
+
+// POST /:teamName/players - Add a free agent { playerId } or { name, position? }, optionally { starter: true }
+router.post('/:teamName/players', async (req, res) => {
+  try {
+    const leagueCheck = await checkLeagueTeam(req.query.leagueId, req.params.teamName);
+    if (leagueCheck.body) {
+      return res.status(leagueCheck.status).json(leagueCheck.body);
+    }
+
+    const result = await addPlayer(leagueCheck.league, req.params.teamName, req.body || {});
+    res.status(201).json({ ok: true, ...result });
+  } catch (error) {
+    sendRosterError(res, error, `Error adding player to ${req.params.teamName}`);
+  }
+});
+
+// PATCH /:teamName/players/:player - Set { starter } or move to another team { moveTo }; :player is an id or name
+router.patch('/:teamName/players/:player', async (req, res) => {
+  try {
+    const { teamName, player } = req.params;
+    const { starter, moveTo } = req.body || {};
+    if ((starter === undefined) === (moveTo === undefined)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'bad_request',
+        message: 'Send exactly one of starter or moveTo'
+      });
+    }
+
+    const leagueCheck = await checkLeagueTeam(req.query.leagueId, teamName);
+    if (leagueCheck.body) {
+      return res.status(leagueCheck.status).json(leagueCheck.body);
+    }
+
+    const result = moveTo !== undefined
+      ? await movePlayer(leagueCheck.league, teamName, player, String(moveTo))
+      : await setStarter(leagueCheck.league, teamName, player, starter);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendRosterError(res, error, `Error updating ${req.params.player} on ${req.params.teamName}`);
+  }
+});
+
+// DELETE /:teamName/players/:player - Drop a player to free agency; :player is an id or name
+router.delete('/:teamName/players/:player', async (req, res) => {
+  try {
+    const leagueCheck = await checkLeagueTeam(req.query.leagueId, req.params.teamName);
+    if (leagueCheck.body) {
+      return res.status(leagueCheck.status).json(leagueCheck.body);
+    }
+
+    const result = await dropPlayer(leagueCheck.league, req.params.teamName, req.params.player);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendRosterError(res, error, `Error dropping ${req.params.player} from ${req.params.teamName}`);
+  }
+});
+
+// GET /:teamName/transactions?limit= - The team's roster transactions, newest first
+router.get('/:teamName/transactions', async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ ok: false, error: 'bad_request', message: 'limit must be a positive integer' });
+    }
+
+    const leagueCheck = await checkLeagueTeam(req.query.leagueId, req.params.teamName);
+    if (leagueCheck.body) {
+      return res.status(leagueCheck.status).json(leagueCheck.body);
+    }
+
+    const transactions = await listTransactions(leagueCheck.league, req.params.teamName, { limit });
+    res.json({ ok: true, team: leagueCheck.team, data: transactions });
+  } catch (error) {
+    sendRosterError(res, error, `Error reading transactions for ${req.params.teamName}`);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,22 +1,94 @@
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
+const { getRepository } = require('../helpers/data-repository');
+const { getByeWeeks, findByeConflicts } = require('../helpers/bye-weeks');
+const { getTeamSchedule } = require('../helpers/strength-of-schedule');
+const { REGULAR_SEASON_WEEKS } = require('../helpers/schedule-import');
 
 const router = express.Router();
 
-// GET /api/schedule - Serves the entire schedule data from data/schedule/regularSeason.json
+// GET /api/schedule - Serves the entire season schedule
 router.get('/', async (req, res) => {
   try {
-    const filePath = path.join(__dirname, '..', 'data', 'schedule', 'regularSeason.json');
-    const jsonData = fs.readFileSync(filePath, 'utf8');
-    const schedule = JSON.parse(jsonData);
+    const schedule = await getRepository().schedule.getSeason();
     
     res.json({
       ok: true,
       data: schedule
     });
   } catch (error) {
-    console.error('[SCHEDULE] Error reading regularSeason.json:', error.message);
+    console.error('[SCHEDULE] Error reading schedule:', error.message);
+    res.status(500).json({
+      ok: false,
+      error: `Failed to read schedule data: ${error.message}`
+    });
+  }
+});
+
+// GET /api/schedule/byes - Each team's bye computed from the schedule, plus players whose stored byeWeek disagrees
+router.get('/byes', async (req, res) => {
+  try {
+    const byes = await getByeWeeks();
+    const players = await getRepository().players.list();
+    const conflicts = findByeConflicts(players, byes);
+
+    if (conflicts.length > 0) {
+      console.warn(`[SCHEDULE] ${conflicts.length} player(s) have a byeWeek that disagrees with the schedule`);
+    }
+
+    res.json({
+      ok: true,
+      complete: byes.complete,
+      weeksLoaded: byes.weeksLoaded,
+      byes: Object.fromEntries(Object.values(byes.teams).map(t => [t.abbr, t.byeWeek])),
+      byWeek: byes.byWeek,
+      conflicts
+    });
+  } catch (error) {
+    console.error('[SCHEDULE] Error computing bye weeks:', error.message);
+    res.status(500).json({
+      ok: false,
+      error: `Failed to compute bye weeks: ${error.message}`
+    });
+  }
+});
+
+// GET /api/schedule/team/:abbr?from=14&to=17 - A team's games with opponent logos and strength of schedule by position
+router.get('/team/:abbr', async (req, res) => {
+  try {
+    const range = {};
+    for (const key of ['from', 'to']) {
+      if (req.query[key] == null) continue;
+      const week = Number(req.query[key]);
+      if (!Number.isInteger(week) || week < 1 || week > REGULAR_SEASON_WEEKS) {
+        return res.status(400).json({
+          ok: false,
+          error: `Invalid ${key} week. Must be an integer between 1 and ${REGULAR_SEASON_WEEKS}.`
+        });
+      }
+      range[key] = week;
+    }
+    if (range.from != null && range.to != null && range.from > range.to) {
+      return res.status(400).json({ ok: false, error: 'from must not be after to' });
+    }
+
+    const schedule = await getTeamSchedule(req.params.abbr, range);
+    if (!schedule) {
+      return res.status(404).json({
+        ok: false,
+        error: `Team ${req.params.abbr} not found`
+      });
+    }
+
+    res.json({
+      ok: true,
+      team: schedule.team,
+      byeWeek: schedule.byeWeek,
+      weeks: { from: range.from ?? 1, to: range.to ?? REGULAR_SEASON_WEEKS },
+      games: schedule.games,
+      strengthOfSchedule: schedule.strengthOfSchedule
+    });
+  } catch (error) {
+    console.error(`[SCHEDULE] Error reading schedule for team ${req.params.abbr}:`, error.message);
     res.status(500).json({
       ok: false,
       error: `Failed to read schedule data: ${error.message}`
@@ -37,12 +109,7 @@ router.get('/:weekNumber', async (req, res) => {
       });
     }
     
-    const filePath = path.join(__dirname, '..', 'data', 'schedule', 'regularSeason.json');
-    const jsonData = fs.readFileSync(filePath, 'utf8');
-    const schedule = JSON.parse(jsonData);
-    
-    const weekKey = `week${weekNumber}`;
-    const weekData = schedule[weekKey];
+    const weekData = await getRepository().schedule.getWeek(Number(weekNumber));
     
     if (!weekData) {
       return res.status(404).json({
@@ -0,0 +1,137 @@
+const express = require('express');
+const { LeagueError, requireLeague } = require('../helpers/league-store');
+const { RosterError } = require('../helpers/roster-store');
+const { TradeError, TRADE_ACTIONS, proposeTrade, requireTrade, listTrades, respondToTrade } = require('../helpers/trade-store');
+const { getProvider } = require('../helpers/llm-provider');
+const { requestStructured } = require('../helpers/structured-output');
+const { renderPrompt } = require('../helpers/prompt-templates');
+
+const TRADE_REVIEW_TIMEOUT_MS = Number(process.env.TRADE_REVIEW_TIMEOUT_MS || 90000);
+
+const router = express.Router();
+
+/**
+ * Send a league, roster or trade error (or unexpected error) as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} err - Error thrown while handling a trade
+ * @param {string} context - Log context
+ */
+function sendTradeError(res, err, context) {
+  if (err instanceof TradeError || err instanceof RosterError || err instanceof LeagueError) {
+    return res.status(err.status).json({ ok: false, error: err.code, message: err.message });
+  }
+  console.error(`[TRADES] ${context}:`, err.message);
+  return res.status(500).json({ ok: false, error: 'handler_error', message: err.message });
+}
+
+// GET /api/trades?leagueId=&team=&status= - Trade history, newest first
+router.get('/', async (req, res) => {
+  try {
+    const league = await requireLeague(req.query.leagueId);
+    const trades = await listTrades(league, { team: req.query.team, status: req.query.status });
+    res.json({ ok: true, leagueId: league.id, data: trades });
+  } catch (err) {
+    sendTradeError(res, err, 'Error listing trades');
+  }
+});
+
+// POST /api/trades - Propose a trade { leagueId?, fromTeam, toTeam, give: [ids or names], receive: [...], note?, fromWeek? }
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const league = await requireLeague(body.leagueId);
+    res.status(201).json({ ok: true, data: await proposeTrade(league, body) });
+  } catch (err) {
+    sendTradeError(res, err, 'Error proposing trade');
+  }
+});
+
+// GET /api/trades/:id?leagueId= - One trade with its evaluation and status history
+router.get('/:id', async (req, res) => {
+  try {
+    const league = await requireLeague(req.query.leagueId);
+    res.json({ ok: true, data: await requireTrade(req.params.id, league) });
+  } catch (err) {
+    sendTradeError(res, err, `Error reading trade ${req.params.id}`);
+  }
+});
+
+/**
+ * Prompt asking the LLM to judge a trade from its rest-of-season evaluation
+ * @param {Object} trade - Trade with evaluation
+ * @returns {Object} - Rendered trade-review template { text, promptVersion }
+ */
+function tradeReviewPrompt(trade) {
+  const describe = players => players.map(p => `${p.name} (${p.position})`).join(', ');
+  return renderPrompt('trade-review', {
+    fromTeam: trade.fromTeam,
+    toTeam: trade.toTeam,
+    gives: describe(trade.give),
+    receives: describe(trade.receive),
+    note: trade.note,
+    evaluation: trade.evaluation
+  });
+}
+
+// POST /api/trades/:id/review - LLM verdict on a trade as tradeVerdict JSON { leagueId?, user?, conversationId? }
+router.post('/:id/review', async (req, res) => {
+  const t0 = Date.now();
+  try {
+    const league = await requireLeague(req.body?.leagueId);
+    const trade = await requireTrade(req.params.id, league);
+    const prompt = tradeReviewPrompt(trade);
+    const result = await requestStructured({
+      schemaName: 'tradeVerdict',
+      provider: getProvider('trade-review'),
+      body: {
+        query: prompt.text,
+        inputs: {},
+        user: req.body?.user || 'fantasy-trade-user',
+        conversation_id: req.body?.conversationId
+      },
+      timeoutMs: TRADE_REVIEW_TIMEOUT_MS,
+      action: 'trade-review'
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || (result.error === 'timeout' ? 504 : 502)).json({
+        ok: false,
+        error: result.error,
+        message: result.message,
+        ...(result.details && { details: result.details }),
+        promptVersion: prompt.promptVersion,
+        duration_ms: Date.now() - t0
+      });
+    }
+    res.json({
+      ok: true,
+      tradeId: trade.id,
+      data: result.data,
+      conversationId: result.conversationId || null,
+      structured: { schema: 'tradeVerdict', repaired: result.repaired, promptVersions: result.promptVersions },
+      promptVersion: prompt.promptVersion,
+      usage: result.usage,
+      duration_ms: Date.now() - t0
+    });
+  } catch (err) {
+    sendTradeError(res, err, `Error reviewing trade ${req.params.id}`);
+  }
+});
+
+// POST /api/trades/:id/(accept|reject|cancel) - Settle a proposed trade { leagueId?, team }; accepting swaps the players
+// team is the acting team: toTeam accepts or rejects, fromTeam cancels
+router.post('/:id/:action', async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    if (!Object.hasOwn(TRADE_ACTIONS, action)) {
+      return res.status(404).json({ ok: false, error: 'not_found', message: `Unknown trade action '${action}'` });
+    }
+    const league = await requireLeague(req.body?.leagueId);
+    const result = await respondToTrade(league, id, action, req.body?.team);
+    res.json({ ok: true, data: result.trade, transactions: result.transactions });
+  } catch (err) {
+    sendTradeError(res, err, `Error updating trade ${req.params.id}`);
+  }
+});
+
+module.exports = router;
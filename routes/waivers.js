@@ -0,0 +1,111 @@
+const express = require('express');
+const { LeagueError, requireLeague } = require('../helpers/league-store');
+const { RosterError } = require('../helpers/roster-store');
+const {
+  WaiverError,
+  getWaiverPriority,
+  computeBudgets,
+  listFreeAgents,
+  submitClaim,
+  listClaims,
+  cancelClaim,
+  processWaivers,
+  nextWaiverRun
+} = require('../helpers/waiver-store');
+const { getRepository } = require('../helpers/data-repository');
+
+const router = express.Router();
+
+/**
+ * Send a league, roster or waiver error (or unexpected error) as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} err - Error thrown while handling waivers
+ * @param {string} context - Log context
+ */
+function sendWaiverError(res, err, context) {
+  if (err instanceof WaiverError || err instanceof RosterError || err instanceof LeagueError) {
+    return res.status(err.status).json({ ok: false, error: err.code, message: err.message });
+  }
+  console.error(`[WAIVERS] ${context}:`, err.message);
+  return res.status(500).json({ ok: false, error: 'handler_error', message: err.message });
+}
+
+// GET /api/waivers/free-agents?leagueId=&position=&week=&limit= - Unrostered players with weekly and rest-of-season projections
+router.get('/free-agents', async (req, res) => {
+  try {
+    const { position } = req.query;
+    const week = req.query.week === undefined ? undefined : Number(req.query.week);
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (week !== undefined && (!Number.isInteger(week) || week < 1 || week > 18)) {
+      return res.status(400).json({ ok: false, error: 'bad_request', message: 'week must be 1-18' });
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ ok: false, error: 'bad_request', message: 'limit must be a positive integer' });
+    }
+
+    const league = await requireLeague(req.query.leagueId);
+    const result = await listFreeAgents(league, { position, week, limit });
+    res.json({ ok: true, leagueId: league.id, ...result });
+  } catch (err) {
+    sendWaiverError(res, err, 'Error listing free agents');
+  }
+});
+
+// GET /api/waivers/priority?leagueId= - Waiver order, FAAB budgets and the next processing run
+router.get('/priority', async (req, res) => {
+  try {
+    const league = await requireLeague(req.query.leagueId);
+    const claims = await getRepository().waiverClaims.list({ leagueId: league.id });
+    res.json({
+      ok: true,
+      leagueId: league.id,
+      priority: getWaiverPriority(league),
+      budgets: computeBudgets(league, claims),
+      nextRun: nextWaiverRun().toISOString()
+    });
+  } catch (err) {
+    sendWaiverError(res, err, 'Error reading waiver priority');
+  }
+});
+
+// GET /api/waivers/claims?leagueId=&team=&status= - Claims, oldest first
+router.get('/claims', async (req, res) => {
+  try {
+    const league = await requireLeague(req.query.leagueId);
+    const claims = await listClaims(league, { team: req.query.team, status: req.query.status });
+    res.json({ ok: true, leagueId: league.id, data: claims });
+  } catch (err) {
+    sendWaiverError(res, err, 'Error listing waiver claims');
+  }
+});
+
+// POST /api/waivers/claims - Claim a free agent { leagueId?, team, playerId or name, position?, drop?, bid? }
+router.post('/claims', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const league = await requireLeague(body.leagueId);
+    res.status(201).json({ ok: true, data: await submitClaim(league, body) });
+  } catch (err) {
+    sendWaiverError(res, err, 'Error submitting waiver claim');
+  }
+});
+
+// DELETE /api/waivers/claims/:id - Cancel a pending claim
+router.delete('/claims/:id', async (req, res) => {
+  try {
+    res.json({ ok: true, data: await cancelClaim(req.params.id) });
+  } catch (err) {
+    sendWaiverError(res, err, `Error cancelling claim ${req.params.id}`);
+  }
+});
+
+// POST /api/waivers/process - Process a league's pending claims now { leagueId? }
+router.post('/process', async (req, res) => {
+  try {
+    res.json({ ok: true, data: await processWaivers(req.body?.leagueId ?? req.query.leagueId) });
+  } catch (err) {
+    sendWaiverError(res, err, 'Error processing waivers');
+  }
+});
+
+module.exports = router;
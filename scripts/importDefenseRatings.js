@@ -0,0 +1,89 @@
+/**
+ * Defensive ratings import
+ * Usage: node scripts/importDefenseRatings.js <file.csv|file.json> [--format csv|json] [--dry-run]
+ * Validates the ratings and replaces them in the configured data backend (DATA_BACKEND); strength of
+ * schedule and the weekly projection opponent factor stay neutral until ratings are loaded
+ * CSV needs a header with a team column (abbr, team or defense) and QB, RB, WR and TE columns holding
+ * average fantasy points allowed per game; extra position columns (K, DST) are kept
+ * JSON is [{ "abbr": "BUF", "pointsAllowed": { "QB": 17.2, ... } }] or { "BUF": { "QB": 17.2, ... } }
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createRepository } = require('../helpers/data-repository');
+const { parseDefenseRatingsFile, validateDefenseRatings } = require('../helpers/defense-import');
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { file, format, dryRun }
+ */
+function parseArgs(argv) {
+  const options = { file: null, format: null, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--format') {
+      options.format = String(argv[++i] || '').toLowerCase();
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option '${arg}'`);
+    } else {
+      options.file = arg;
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('Usage: node scripts/importDefenseRatings.js <file.csv|file.json> [--format csv|json] [--dry-run]');
+  }
+  options.format ||= path.extname(options.file).slice(1).toLowerCase();
+  return options;
+}
+
+/**
+ * Validate a ratings file and write it to the ratings store
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<boolean>} - True when the ratings were valid
+ */
+async function importDefenseRatings(argv) {
+  const { file, format, dryRun } = parseArgs(argv);
+  const repository = createRepository();
+
+  const rows = parseDefenseRatingsFile(fs.readFileSync(file, 'utf8'), format);
+  const nflTeams = await repository.nflTeams.list();
+  const { ratings, errors, warnings } = validateDefenseRatings(rows, nflTeams);
+
+  warnings.forEach(w => console.warn(`WARN: ${w}`));
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(`ERROR: ${e}`));
+    console.error(`Ratings rejected: ${errors.length} error(s) in ${rows.length} rows. Nothing was written.`);
+    return false;
+  }
+
+  if (dryRun) {
+    console.log(`Dry run: ratings for ${ratings.length} teams are valid. Nothing was written.`);
+    return true;
+  }
+
+  await repository.defenseRatings.replaceAll(ratings);
+  console.log(`Imported ratings for ${ratings.length} teams into the ${repository.backend} ratings store.`);
+  return true;
+}
+
+// Run import if this script is executed directly
+if (require.main === module) {
+  importDefenseRatings(process.argv.slice(2))
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      console.error(`importDefenseRatings: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseArgs,
+  importDefenseRatings
+};
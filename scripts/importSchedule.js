@@ -0,0 +1,91 @@
+/**
+ * Regular season schedule import
+ * Usage: node scripts/importSchedule.js <file.csv|file.json> [--format csv|json] [--dry-run]
+ * Validates the full season and replaces the schedule in the configured data backend (DATA_BACKEND)
+ * CSV needs a header with week, homeTeam, awayTeam and kickoff columns (projectedScore/finalScore optional)
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createRepository } = require('../helpers/data-repository');
+const { parseScheduleFile, validateSeason } = require('../helpers/schedule-import');
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { file, format, dryRun }
+ */
+function parseArgs(argv) {
+  const options = { file: null, format: null, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--format') {
+      options.format = String(argv[++i] || '').toLowerCase();
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option '${arg}'`);
+    } else {
+      options.file = arg;
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('Usage: node scripts/importSchedule.js <file.csv|file.json> [--format csv|json] [--dry-run]');
+  }
+  options.format ||= path.extname(options.file).slice(1).toLowerCase();
+  return options;
+}
+
+/**
+ * Validate a schedule file and write it to the schedule store
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<boolean>} - True when the schedule was valid
+ */
+async function importSchedule(argv) {
+  const { file, format, dryRun } = parseArgs(argv);
+  const repository = createRepository();
+
+  const games = parseScheduleFile(fs.readFileSync(file, 'utf8'), format);
+  const nflTeams = await repository.nflTeams.list();
+  const { season, byes, errors, warnings } = validateSeason(games, nflTeams);
+
+  warnings.forEach(w => console.warn(`WARN: ${w}`));
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(`ERROR: ${e}`));
+    console.error(`Schedule rejected: ${errors.length} error(s) in ${games.length} games. Nothing was written.`);
+    return false;
+  }
+
+  for (const [week, teams] of Object.entries(byes)) {
+    if (teams.length > 0) console.log(`${week} byes: ${teams.join(', ')}`);
+  }
+
+  const weekCount = Object.keys(season).length;
+  if (dryRun) {
+    console.log(`Dry run: ${games.length} games over ${weekCount} weeks are valid. Nothing was written.`);
+    return true;
+  }
+
+  await repository.schedule.replaceSeason(season);
+  console.log(`Imported ${games.length} games over ${weekCount} weeks into the ${repository.backend} schedule store.`);
+  return true;
+}
+
+// Run import if this script is executed directly
+if (require.main === module) {
+  importSchedule(process.argv.slice(2))
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      console.error(`importSchedule: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseArgs,
+  importSchedule
+};
@@ -0,0 +1,74 @@
+/**
+ * Schema migration CLI
+ * Usage:
+ *   node scripts/migrate.js up [--to N]
+ *   node scripts/migrate.js down [--steps N | --to N]
+ *   node scripts/migrate.js status
+ * Connects to DATABASE_URL (DB_DRIVER=pg|neon overrides driver detection)
+ */
+
+require('dotenv').config();
+
+const { createDbClient } = require('../helpers/db-client');
+const { migrateUp, migrateDown, migrationStatus } = require('../helpers/migrations');
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { command, to, steps }
+ */
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = { command };
+
+  for (let i = 0; i < rest.length; i++) {
+    const flag = rest[i];
+    if (flag !== '--to' && flag !== '--steps') {
+      throw new Error(`Unknown option '${flag}'`);
+    }
+    const value = Number(rest[++i]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${flag} expects a non-negative integer`);
+    }
+    options[flag.slice(2)] = value;
+  }
+
+  return options;
+}
+
+/**
+ * Run a migration command
+ * @param {Array<string>} argv - Arguments after the script name
+ */
+async function main(argv) {
+  const { command, to, steps } = parseArgs(argv);
+  const db = createDbClient({ databaseUrl: process.env.DATABASE_URL });
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(db, { to });
+      console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+    } else if (command === 'down') {
+      const rolledBack = await migrateDown(db, { to, steps });
+      console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s).` : 'Nothing to roll back.');
+    } else if (command === 'status') {
+      for (const m of await migrationStatus(db)) {
+        const state = m.applied ? `applied ${new Date(m.appliedAt).toISOString()}` : 'pending';
+        console.log(`${String(m.version).padStart(3, '0')} ${m.name} - ${state}${m.missingFile ? ' (file missing)' : ''}`);
+      }
+    } else {
+      throw new Error(`Unknown command '${command}'. Use up, down or status`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`migrate: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, main };
@@ -0,0 +1,423 @@
+/**
+ * Mock Dify server for offline development and tests
+ * Usage: node scripts/mockDify.js [--port 5001] [--scenario chat] [--delay 30]
+ * Implements POST /v1/chat-messages in blocking and streaming modes. Point the backend at it with
+ * DIFY_API_URL=http://127.0.0.1:5001/v1/chat-messages (any DIFY_SECRET_KEY works).
+ *
+ * A scenario decides how each request is answered:
+ *   chat                    message events, then message_end (default)
+ *   agent                   agent_thought and agent_message events, as agent apps send them
+ *   slow                    chat with ten times the delay between events
+ *   timeout                 accepts the request and never answers
+ *   stall                   starts streaming, then goes quiet
+ *   conversation_not_found  404 the way Dify answers an unknown conversation_id
+ *   server_error            500 before any output
+ *   stream_error            a few message events, then an error event
+ *   invalid_json            prose even when the query asks for JSON, to exercise repair retries
+ * Queries that carry a response schema (helpers/structured-output.js) are answered with JSON
+ * generated from the schema, using player ids found in the query.
+ * The scenario comes from a "[mock:<scenario>]" tag in the query, else the next one queued with
+ * POST /mock/scenario, else the default. Conversations the mock did not create get a 404 unless
+ * strict conversations are turned off (MOCK_DIFY_STRICT_CONVERSATIONS=false)
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+const MOCK_DIFY_PORT = Number(process.env.MOCK_DIFY_PORT || 5001);
+const MOCK_DIFY_DELAY_MS = Number(process.env.MOCK_DIFY_DELAY_MS || 30);
+const MOCK_DIFY_SCENARIO = process.env.MOCK_DIFY_SCENARIO || 'chat';
+const MOCK_DIFY_STRICT_CONVERSATIONS = process.env.MOCK_DIFY_STRICT_CONVERSATIONS !== 'false';
+const MOCK_DIFY_URL = `http://127.0.0.1:${MOCK_DIFY_PORT}/v1/chat-messages`;
+
+const SCENARIOS = ['chat', 'agent', 'slow', 'timeout', 'stall', 'conversation_not_found', 'server_error', 'stream_error', 'invalid_json'];
+// Requests kept for GET /mock/requests
+const MAX_LOGGED_REQUESTS = 50;
+
+/**
+ * Dify-style error body
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - Dify error code
+ * @param {string} message - Error message
+ */
+function sendDifyError(res, status, code, message) {
+  res.status(status).json({ code, message, status });
+}
+
+/**
+ * Response schema a query asks for
+ * The structured-schema prompt ends the query with the schema as one line of JSON
+ * @param {string} query - Query text
+ * @returns {Object|null} - Schema, or null for free-text queries
+ */
+function requestedSchema(query) {
+  const lastLine = String(query).trim().split('\n').pop();
+  try {
+    const schema = JSON.parse(lastLine);
+    return schema?.type === 'object' && schema.properties ? schema : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a value that satisfies a schema
+ * @param {Object} schema - JSON Schema subset used by helpers/structured-output.js
+ * @param {string} key - Property name, for hints
+ * @param {Array<string>} playerIds - Player ids found in the query
+ * @param {number} index - Position within the parent array
+ * @returns {*} - Sample value
+ */
+function sampleFromSchema(schema, key, playerIds, index = 0) {
+  if (schema.enum) return schema.enum[index % schema.enum.length];
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([name, propertySchema]) => [name, sampleFromSchema(propertySchema, name, playerIds, index)]));
+    case 'array': {
+      const count = Math.min(schema.maxItems ?? 3, Math.max(schema.minItems ?? 0, key === 'players' ? playerIds.length : 3, 1));
+      return Array.from({ length: count }, (_, i) => sampleFromSchema(schema.items || {}, key, playerIds, i));
+    }
+    case 'number':
+    case 'integer':
+      return schema.maximum != null ? (schema.maximum + (schema.minimum ?? 0)) / 2 : (schema.minimum ?? 0) + 10;
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default:
+      if (key === 'playerId') return playerIds.length ? playerIds[index % playerIds.length] : `mock-player-${index + 1}`;
+      return `Mock ${key} ${index + 1}`;
+  }
+}
+
+/**
+ * Player ids mentioned in a query's JSON
+ * @param {string} query - Query text
+ * @returns {Array<string>} - Ids
+ */
+function playerIdsIn(query) {
+  return [...String(query || '').matchAll(/"id":\s*"?([^",}\s]+)/g)].map(match => match[1]);
+}
+
+/**
+ * Player ids a structured answer may recommend: the query's available players when it lists them,
+ * else every id seen in the conversation (drafted players stay in that list)
+ * @param {string} query - Query text
+ * @param {Array<string>} conversationIds - Player ids seen in the conversation
+ * @returns {Array<string>} - Ids
+ */
+function recommendableIds(query, conversationIds) {
+  const available = String(query || '').split('\n').find(line => /available players/i.test(line));
+  const ids = playerIdsIn(available);
+  return ids.length ? ids : conversationIds;
+}
+
+/**
+ * Answer text for a request
+ * @param {Object} body - Request body
+ * @param {Object} answers - Action -> answer overrides
+ * @param {string} scenario - Scenario answering the request
+ * @param {Array<string>} playerIds - Player ids seen in the conversation
+ * @returns {string} - Answer
+ */
+function answerFor(body, answers, scenario, playerIds) {
+  const action = body.inputs?.action || 'chat';
+  if (answers[action]) return answers[action];
+  const query = String(body.query || '').replace(/\[mock:[a-z_]+\]/g, '').trim();
+
+  const schema = scenario === 'invalid_json' ? null : requestedSchema(query);
+  if (schema) {
+    return JSON.stringify(sampleFromSchema(schema, 'answer', recommendableIds(query, playerIds)));
+  }
+  return `Mock Dify answer for ${action}. You asked: "${query.slice(0, 80)}". ` +
+    'Prioritize positional scarcity, take the best available running back, and revisit the board next round.';
+}
+
+/**
+ * Split an answer into streamed chunks of a few words
+ * @param {string} answer - Answer text
+ * @returns {Array<string>} - Chunks
+ */
+function chunkAnswer(answer) {
+  const words = answer.match(/\S+\s*/g) || [];
+  const chunks = [];
+  for (let i = 0; i < words.length; i += 3) {
+    chunks.push(words.slice(i, i + 3).join(''));
+  }
+  return chunks;
+}
+
+/**
+ * Token usage metadata shaped like Dify's
+ * @param {string} query - Query text
+ * @param {string} answer - Answer text
+ * @param {number} startedAt - Request start time
+ * @returns {Object} - Usage
+ */
+function usageFor(query, answer, startedAt) {
+  const promptTokens = Math.ceil(String(query || '').length / 4);
+  const completionTokens = Math.ceil(answer.length / 4);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    currency: 'USD',
+    latency: (Date.now() - startedAt) / 1000
+  };
+}
+
+/**
+ * Build the mock app
+ * @param {Object} [options] - Options
+ * @param {string} [options.scenario] - Default scenario
+ * @param {number} [options.delayMs] - Delay between streamed events
+ * @param {boolean} [options.strictConversations] - 404 conversation ids the mock did not create
+ * @param {Object} [options.answers] - Action (inputs.action) -> answer text
+ * @returns {Object} - Express app; app.locals.mock holds the mock's state
+ */
+function createMockDifyApp({
+  scenario = MOCK_DIFY_SCENARIO,
+  delayMs = MOCK_DIFY_DELAY_MS,
+  strictConversations = MOCK_DIFY_STRICT_CONVERSATIONS,
+  answers = {}
+} = {}) {
+  if (!SCENARIOS.includes(scenario)) {
+    throw new Error(`Unknown scenario '${scenario}'. Available: ${SCENARIOS.join(', ')}`);
+  }
+
+  const app = express();
+  // conversations: conversation id -> player ids seen in it, so repair answers can reuse them
+  const state = { scenario, queue: [], conversations: new Map(), requests: [] };
+  app.locals.mock = state;
+  app.use(express.json({ limit: '5mb' }));
+
+  /**
+   * Scenario for one request
+   * @param {string} query - Query text
+   * @returns {string} - Scenario
+   */
+  function pickScenario(query) {
+    const tagged = String(query || '').match(/\[mock:([a-z_]+)\]/)?.[1];
+    if (SCENARIOS.includes(tagged)) return tagged;
+    return state.queue.shift() || state.scenario;
+  }
+
+  app.get('/health', (req, res) => {
+    res.json({ ok: true, scenario: state.scenario });
+  });
+
+  // POST /mock/scenario - Queue scenarios { scenario, count? } or change the default { scenario, default: true }
+  app.post('/mock/scenario', (req, res) => {
+    const { scenario: next, count = 1 } = req.body || {};
+    if (!SCENARIOS.includes(next)) {
+      return res.status(400).json({ ok: false, error: 'invalid_scenario', message: `scenario must be one of: ${SCENARIOS.join(', ')}` });
+    }
+    if (req.body.default === true) {
+      state.scenario = next;
+    } else {
+      state.queue.push(...Array(Math.max(1, Number(count) || 1)).fill(next));
+    }
+    res.json({ ok: true, scenario: state.scenario, queue: state.queue });
+  });
+
+  // GET /mock/requests - Most recent requests, newest last
+  app.get('/mock/requests', (req, res) => {
+    res.json({ ok: true, data: state.requests });
+  });
+
+  // POST /mock/reset - Forget queued scenarios, conversations and logged requests
+  app.post('/mock/reset', (req, res) => {
+    state.queue = [];
+    state.conversations.clear();
+    state.requests = [];
+    res.json({ ok: true });
+  });
+
+  app.post(['/v1/chat-messages', '/chat-messages'], (req, res) => {
+    const startedAt = Date.now();
+    const body = req.body || {};
+    const streaming = body.response_mode === 'streaming';
+    const requestScenario = pickScenario(body.query);
+
+    state.requests.push({
+      at: new Date(startedAt).toISOString(),
+      mode: streaming ? 'streaming' : 'blocking',
+      scenario: requestScenario,
+      query: String(body.query || '').slice(0, 200),
+      inputs: Object.keys(body.inputs || {}),
+      conversationId: body.conversation_id || null,
+      user: body.user || null
+    });
+    state.requests = state.requests.slice(-MAX_LOGGED_REQUESTS);
+    console.log(`[MOCK_DIFY] ${streaming ? 'streaming' : 'blocking'} ${requestScenario} query=${JSON.stringify(String(body.query || '').slice(0, 40))}`);
+
+    if (!/^Bearer\s+\S+/.test(req.get('authorization') || '')) {
+      return sendDifyError(res, 401, 'unauthorized', 'Access token is invalid');
+    }
+    if (!body.query) {
+      return sendDifyError(res, 400, 'invalid_param', 'query is required');
+    }
+    if (!body.user) {
+      return sendDifyError(res, 400, 'invalid_param', 'user is required');
+    }
+
+    const unknownConversation = body.conversation_id && strictConversations && !state.conversations.has(body.conversation_id);
+    if (requestScenario === 'conversation_not_found' || unknownConversation) {
+      return sendDifyError(res, 404, 'not_found', 'Conversation Not Exists.');
+    }
+    if (requestScenario === 'server_error') {
+      return sendDifyError(res, 500, 'internal_server_error', 'The server encountered an internal error and was unable to complete your request.');
+    }
+    if (requestScenario === 'timeout') {
+      // Hold the request open until the client gives up
+      return;
+    }
+
+    const conversationId = body.conversation_id || crypto.randomUUID();
+    const playerIds = [...new Set([...(state.conversations.get(conversationId) || []), ...playerIdsIn(body.query)])];
+    state.conversations.set(conversationId, playerIds);
+    const taskId = crypto.randomUUID();
+    const messageId = crypto.randomUUID();
+    const answer = answerFor(body, answers, requestScenario, playerIds);
+    const createdAt = Math.floor(startedAt / 1000);
+
+    if (!streaming) {
+      const delay = requestScenario === 'slow' ? delayMs * 10 : delayMs;
+      const timer = setTimeout(() => {
+        res.json({
+          event: 'message',
+          task_id: taskId,
+          id: messageId,
+          message_id: messageId,
+          conversation_id: conversationId,
+          mode: requestScenario === 'agent' ? 'agent-chat' : 'advanced-chat',
+          answer,
+          metadata: { usage: usageFor(body.query, answer, startedAt), retriever_resources: [] },
+          created_at: createdAt
+        });
+      }, delay);
+      res.on('close', () => clearTimeout(timer));
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const base = { task_id: taskId, id: messageId, message_id: messageId, conversation_id: conversationId, created_at: createdAt };
+    const chunks = chunkAnswer(answer);
+    const events = [];
+    if (requestScenario === 'agent') {
+      events.push({ event: 'agent_thought', ...base, id: crypto.randomUUID(), position: 1, thought: '', observation: '', tool: '', tool_input: '', message_files: [] });
+      events.push(...chunks.map(chunk => ({ event: 'agent_message', ...base, answer: chunk })));
+      events.push({ event: 'agent_thought', ...base, id: crypto.randomUUID(), position: 1, thought: answer, observation: '', tool: '', tool_input: '', message_files: [] });
+    } else {
+      events.push(...chunks.map(chunk => ({ event: 'message', ...base, answer: chunk })));
+    }
+
+    if (requestScenario === 'stall') {
+      events.splice(2);
+    } else if (requestScenario === 'stream_error') {
+      events.splice(2);
+      events.push({ event: 'error', task_id: taskId, message_id: messageId, status: 500, code: 'completion_request_error', message: 'Mock model provider error' });
+    } else {
+      events.push({ event: 'message_end', ...base, metadata: { usage: usageFor(body.query, answer, startedAt), retriever_resources: [] } });
+    }
+
+    // Dify opens streams with a ping that carries no data
+    res.write('event: ping\n\n');
+
+    const delay = requestScenario === 'slow' ? delayMs * 10 : delayMs;
+    let index = 0;
+    const timer = setInterval(() => {
+      if (index < events.length) {
+        res.write(`data: ${JSON.stringify(events[index++])}\n\n`);
+      } else if (requestScenario !== 'stall') {
+        clearInterval(timer);
+        res.end();
+      }
+    }, delay);
+    res.on('close', () => clearInterval(timer));
+  });
+
+  return app;
+}
+
+/**
+ * Start the mock server
+ * @param {Object} [options] - createMockDifyApp options plus port (0 picks a free port)
+ * @returns {Promise<Object>} - { app, server, url, close }
+ */
+function startMockDify({ port = MOCK_DIFY_PORT, ...options } = {}) {
+  const app = createMockDifyApp(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}/v1/chat-messages`;
+      resolve({
+        app,
+        server,
+        url,
+        close: () => new Promise(done => {
+          // Held-open timeout and stall requests would otherwise keep the server alive
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { port, scenario, delayMs }
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      options.port = Number(argv[++i]);
+    } else if (arg === '--scenario') {
+      options.scenario = argv[++i];
+    } else if (arg === '--delay') {
+      options.delayMs = Number(argv[++i]);
+    } else {
+      throw new Error(`Unknown option '${arg}'. Usage: node scripts/mockDify.js [--port 5001] [--scenario chat] [--delay 30]`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Start the mock and log where it listens
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<Object>} - Started server
+ */
+async function run(argv) {
+  const mock = await startMockDify(parseArgs(argv));
+  console.log(`[MOCK_DIFY] Listening at ${mock.url} (scenario: ${mock.app.locals.mock.scenario})`);
+  return mock;
+}
+
+// Start the server if this script is executed directly
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    console.error(`mockDify: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MOCK_DIFY_URL,
+  SCENARIOS,
+  createMockDifyApp,
+  startMockDify,
+  run
+};
@@ -0,0 +1,41 @@
+/**
+ * Waiver processing run
+ * Usage: node scripts/processWaivers.js [leagueId]
+ * Resolves pending waiver claims for one league, or every league when no id is given.
+ * For cron setups; the server only schedules runs itself with WAIVER_AUTO_PROCESS=true
+ */
+
+require('dotenv').config();
+
+const { processWaivers, processAllWaivers } = require('../helpers/waiver-store');
+
+/**
+ * Process claims and print a summary per league
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<boolean>} - True when every league processed
+ */
+async function run(argv) {
+  const [leagueId] = argv;
+  const results = leagueId ? [await processWaivers(leagueId)] : await processAllWaivers();
+
+  for (const result of results) {
+    if (result.error) {
+      console.error(`${result.leagueId}: ${result.error}`);
+    } else {
+      console.log(`${result.leagueId}: ${result.won} won, ${result.lost} lost, ${result.failed} failed`);
+    }
+  }
+  return results.every(result => !result.error);
+}
+
+// Run processing if this script is executed directly
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      console.error(`processWaivers: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -27,6 +27,8 @@ const {
   getTranscript,
   getLastTranscript
 } = require('./helpers/stream-debug');
+const { readDifyEvents } = require('./helpers/sse-parser');
+const { renderPrompt } = require('./helpers/prompt-templates');
 
 // Utility functions for payload size logging
 function bytesFromSizeString(limitString) {
@@ -293,7 +295,7 @@ async function handleStreamingAction(req, res, action, conversationId, payload)
     // Connect watchdog setup
     const connectMs = Number(process.env.LLM_CONNECT_WATCHDOG_MS || 15000);
     let watchdogTimeout;
-    let upstream, controller;
+    let events, provider, promptVersion;
     
     try {
       // Set up watchdog that fires if fetch hasn't returned
@@ -303,107 +305,75 @@ async function handleStreamingAction(req, res, action, conversationId, payload)
       }, connectMs);
       
       // Build query and inputs
-      let query, inputs;
+      let prompt, inputs;
       if (action === 'initialize') {
-        query = 'Initialize draft strategy given these inputs.';
+        prompt = renderPrompt('draft-initialize-inputs');
         inputs = shapedInputs;
       } else if (action === 'user-turn') {
-        query = `Player taken: ${JSON.stringify(shapedInputs.player)} in round ${shapedInputs.round}, pick ${shapedInputs.pick}.
-
-IT'S MY TURN NOW!
-
-My current roster: ${JSON.stringify(shapedInputs.userRoster)}
-Available players (top options): ${JSON.stringify(shapedInputs.availablePlayers)}
-
-Please provide your analysis and recommendations for my next pick.`;
+        const { player, round, pick, userRoster, availablePlayers } = shapedInputs;
+        prompt = renderPrompt('draft-user-turn', { player, round, pick, userRoster, availablePlayers });
         inputs = {};
       }
+      promptVersion = prompt?.promptVersion ?? null;
       
       // Call the new streaming helper
       const result = await getDifyStreamingResponse({
         action,
-        query,
+        query: prompt?.text,
         inputs,
         user: "fantasy-draft-user",
         conversationId
       });
       
-      upstream = result.response;
-      controller = result.controller;
+      events = result.events;
+      provider = result.provider;
       
+    } catch (upstreamError) {
+      // Upstream status errors arrive already shaped by the provider
+      if (upstreamError?.upstreamStatus) {
+        phase('upstream_non_200', { status: upstreamError.upstreamStatus });
+        res.write(`event: error\ndata: ${JSON.stringify({
+          message: upstreamError.message,
+          status: upstreamError.upstreamStatus,
+          bodySnippet: (upstreamError.bodySnippet || '').slice(0, 300)
+        })}\n\n`);
+        cleanupAndEnd();
+        return;
+      }
+      throw upstreamError;
     } finally {
       if (watchdogTimeout) {
         clearTimeout(watchdogTimeout);
       }
     }
 
-    console.log('[STREAM] upstream-start', { status: upstream.status, reqId });
+    console.log('[STREAM] upstream-start', { provider, reqId });
     
     // Phase: upstream_response
-    phase('upstream_response', { status: upstream.status, ct: upstream.headers.get('content-type') });
-
-    // Handle upstream errors
-    if (!upstream.body) {
-      phase('upstream_no_body');
-      res.write(`event: error\ndata: ${JSON.stringify({ message: 'Upstream had no body', status: upstream.status })}\n\n`);
-      cleanupAndEnd();
-      return;
-    }
-    
-    if (!upstream.ok) {
-      let bodySnippet = '';
-      try {
-        const errText = await upstream.text();
-        bodySnippet = errText.slice(0, 300);
-      } catch {}
-      
-      phase('upstream_non_200', { status: upstream.status });
-      res.write(`event: error\ndata: ${JSON.stringify({
-        message: `Upstream ${upstream.status} ${upstream.statusText}`,
-        status: upstream.status,
-        bodySnippet
-      })}\n\n`);
-      cleanupAndEnd();
-      return;
-    }
+    phase('upstream_response', { provider });
 
-    const reader = upstream.body.getReader();
-    const decoder = new TextDecoder();
-    let isFirstChunk = true;
-    
-    while (true) {
-      const { value, done } = await reader.read();
-      if (done) break;
-      
-      // On first chunk, decode a sample for phase logging
-      if (isFirstChunk && value) {
-        let sample = '';
-        try {
-          const decoded = decoder.decode(value.slice(0, Math.min(400, value.length)), { stream: true });
-          sample = decoded.slice(0, 300);
-        } catch (err) {
-          sample = `<decode error: ${err.message}>`;
-        }
-        if (process.env.DIFY_DEBUG === '1') {
-          phase('upstream_first_chunk_sample', { sample });
-        }
-        isFirstChunk = false;
+    let isFirstEvent = true;
+    for await (const event of events) {
+      if (isFirstEvent && process.env.DIFY_DEBUG === '1') {
+        phase('upstream_first_chunk_sample', { sample: JSON.stringify(event).slice(0, 300) });
       }
-      
-      // Write original chunk unchanged (binary-safe passthrough)
-      res.write(value);
+      isFirstEvent = false;
+
+      // Normalized events go out in Dify's SSE framing whichever provider produced them
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
     }
 
     // Phase: upstream_end
     phase('upstream_end');
-    res.write('event: done\ndata: {}\n\n');
+    res.write(`event: done\ndata: ${JSON.stringify({ promptVersion })}\n\n`);
     console.log('[STREAM] upstream-end', { reqId });
 
   } catch (err) {
-    console.log('[STREAM] upstream-error', { error: String(err), reqId });
-    phase('upstream_fetch_error', { message: String(err) });
+    const message = err?.message || String(err);
+    console.log('[STREAM] upstream-error', { error: message, reqId });
+    phase('upstream_fetch_error', { message });
     if (!res.writableEnded) {
-      res.write(`event: error\ndata: ${JSON.stringify({ message: String(err), retryable: false })}\n\n`);
+      res.write(`event: error\ndata: ${JSON.stringify({ message, retryable: false })}\n\n`);
     }
   } finally {
     phase('stream_ending');
@@ -437,19 +407,16 @@ async function handleBlockingAction(req, res, action, conversationId, payload) {
     }
     
     // Build query for the action
-    let query;
-    if (action === 'player-taken') {
-      const { player, round, pick } = payload;
-      query = `Player taken: ${JSON.stringify(player)} in round ${round}, pick ${pick}.`;
-    } else if (action === 'user-drafted') {
+    let prompt;
+    if (action === 'player-taken' || action === 'user-drafted') {
       const { player, round, pick } = payload;
-      query = `I drafted: ${JSON.stringify(player)} in round ${round}, pick ${pick}.`;
+      prompt = renderPrompt(`draft-${action}`, { player, round, pick });
     }
     
     // Call the blocking helper with 10-15s timeout
     const result = await getDifyBlockingResponse({
       action,
-      query,
+      query: prompt?.text,
       inputs: {},
       user: "fantasy-draft-user",
       conversationId,
@@ -460,7 +427,8 @@ async function handleBlockingAction(req, res, action, conversationId, payload) {
       res.status(200).json({
         ok: true,
         confirmation: result.data?.answer || 'Acknowledged',
-        conversationId: result.conversationId
+        conversationId: result.conversationId,
+        promptVersion: prompt?.promptVersion ?? null
       });
     } else {
       res.status(result.status || 500).json({
@@ -550,29 +518,20 @@ async function sendToDifyStreamingInstrumented(req, res, cleanupAndEnd, reqId, p
       return;
     }
 
-    const reader = upstream.body.getReader();
-    const decoder = new TextDecoder();
-    let isFirstChunk = true;
+    const events = readDifyEvents(upstream.body, {
+      onInvalid: data => phase('upstream_invalid_event', { sample: data.slice(0, 300) })
+    });
+    let isFirstEvent = true;
     
-    while (true) {
-      const { value, done } = await reader.read();
-      if (done) break;
-      
-      // On first chunk, decode a sample for phase logging
-      if (isFirstChunk && value) {
-        let sample = '';
-        try {
-          const decoded = decoder.decode(value.slice(0, Math.min(400, value.length)), { stream: true });
-          sample = decoded.slice(0, 300);
-        } catch (err) {
-          sample = `<decode error: ${err.message}>`;
-        }
-        phase('upstream_first_chunk_sample', { sample });
-        isFirstChunk = false;
+    for await (const event of events) {
+      // On first event, log a sample
+      if (isFirstEvent) {
+        phase('upstream_first_chunk_sample', { sample: JSON.stringify(event).slice(0, 300) });
+        isFirstEvent = false;
       }
       
-      // Write original chunk unchanged (binary-safe passthrough)
-      res.write(value);
+      // Re-emit each parsed event as a single-line SSE frame
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
     }
 
     // Phase: upstream_end
@@ -592,28 +551,26 @@ async function sendToDifyStreamingInstrumented(req, res, cleanupAndEnd, reqId, p
   }
 }
 
-// Simple message builder for basic actions
+// Simple message builder for basic actions (templates in prompts/)
 function buildSimpleMessage(action, payload) {
   switch (action) {
     case 'initialize':
       const { numTeams, userPickPosition, players } = payload;
-      return `Fantasy football draft is beginning. League details:
-- Number of teams: ${numTeams}
-- My draft position: ${userPickPosition}
-- Available players: ${JSON.stringify(players?.slice(0, 50) || [])}
-
-Please create an in-depth draft strategy for this league setup.`;
+      return renderPrompt('draft-initialize', {
+        numTeams,
+        userPickPosition,
+        players: players?.slice(0, 50) || []
+      }).text;
     
     case 'user-turn':
       const { player, round, pick, userRoster, availablePlayers } = payload;
-      return `Player taken: ${JSON.stringify(player)} in round ${round}, pick ${pick}.
-
-IT'S MY TURN NOW!
-
-My current roster: ${JSON.stringify(userRoster)}
-Available players (top options): ${JSON.stringify(availablePlayers?.slice(0, 20) || [])}
-
-Please provide your analysis and recommendations for my next pick.`;
+      return renderPrompt('draft-user-turn', {
+        player,
+        round,
+        pick,
+        userRoster,
+        availablePlayers: availablePlayers?.slice(0, 20) || []
+      }).text;
       
     default:
       return JSON.stringify(payload);
@@ -681,29 +638,19 @@ streamRouter.get('/debug/stream-selftest', async (req, res) => {
       return;
     }
     
-    const reader = upstream.body.getReader();
-    const decoder = new TextDecoder();
-    let isFirstChunk = true;
+    const events = readDifyEvents(upstream.body, {
+      onInvalid: data => phase('selftest_invalid_event', { sample: data.slice(0, 300) })
+    });
+    let isFirstEvent = true;
     
-    while (true) {
-      const { value, done } = await reader.read();
-      if (done) break;
-      
-      // On first chunk, decode a sample
-      if (isFirstChunk && value) {
-        let sample = '';
-        try {
-          const decoded = decoder.decode(value.slice(0, Math.min(400, value.length)), { stream: true });
-          sample = decoded.slice(0, 300);
-        } catch (err) {
-          sample = `<decode error: ${err.message}>`;
-        }
-        phase('selftest_first_chunk_sample', { sample });
-        isFirstChunk = false;
+    for await (const event of events) {
+      // On first event, log a sample
+      if (isFirstEvent) {
+        phase('selftest_first_chunk_sample', { sample: JSON.stringify(event).slice(0, 300) });
+        isFirstEvent = false;
       }
       
-      // Passthrough chunks
-      res.write(value);
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
     }
     
     res.write('event: done\ndata: {}\n\n');
@@ -829,32 +776,22 @@ streamRouter.post('/test-dify-stream', async (req, res) => {
       return;
     }
     
-    // 6) Streaming pass-through loop
-    const reader = upstream.body.getReader();
-    const decoder = new TextDecoder();
-    let isFirstChunk = true;
+    // 6) Streaming relay loop
+    const events = readDifyEvents(upstream.body, {
+      onInvalid: data => emitPhase('upstream_invalid_event', { sample: data.slice(0, 400) })
+    });
+    let isFirstEvent = true;
     
-    while (true) {
-      const { value, done } = await reader.read();
-      if (done) break;
-      
-      // On the first chunk only, decode sample and emit phase
-      if (isFirstChunk && value) {
-        let sample = '';
-        try {
-          const sampleBytes = Math.min(400, value.length);
-          const decoded = decoder.decode(value.slice(0, sampleBytes), { stream: true });
-          sample = decoded.slice(0, 400);
-        } catch (err) {
-          sample = `<decode error: ${err.message}>`;
-        }
-        emitPhase('upstream_first_chunk_sample', { sample });
-        isFirstChunk = false;
+    for await (const event of events) {
+      // On the first event only, emit a sample phase
+      if (isFirstEvent) {
+        emitPhase('upstream_first_chunk_sample', { sample: JSON.stringify(event).slice(0, 400) });
+        isFirstEvent = false;
       }
       
-      // Write each chunk value directly to the client without transformation
+      // Re-emit each parsed event as a single-line SSE frame
       if (!res.writableEnded) {
-        res.write(value);
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
       }
     }
     
@@ -1,3 +1,5 @@
+// Runs against a local backend on :3000. To test without network access, start the mock Dify
+// (npm run mock:dify) and the backend with DIFY_API_URL=http://localhost:5001/v1/chat-messages
 const axios = require('axios');
 
 const BASE_URL = 'http://localhost:3000';
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Test script for the draft pick order engine: who is on the clock in snake, linear and
+ * third-round-reversal drafts at odd and even league sizes, how long until the user picks again,
+ * and the round/pick checks the draft routes apply before calling the LLM
+ */
+
+const { useScratchData, check, serve, postJson, runTest } = require('./helpers/test-support');
+
+// Sessions created below are written to a scratch dir
+useScratchData('draft-order-test', []);
+
+const {
+  normalizeDraftType,
+  buildPickOrder,
+  getTeamPicks,
+  describePickPosition,
+  validatePickPosition
+} = require('./helpers/draft-order');
+const { createDraftSession, recordPick } = require('./helpers/draft-session');
+const draftRouter = require('./routes/draft');
+
+/**
+ * Team slots on the clock, one string per round
+ * @param {number} leagueSize - Number of teams
+ * @param {number} rounds - Rounds to list
+ * @param {string} draftType - Draft type
+ * @returns {Array<string>} - e.g. ['1234', '4321']
+ */
+function slotsByRound(leagueSize, rounds, draftType) {
+  const order = buildPickOrder(leagueSize, rounds, draftType);
+  return Array.from({ length: rounds }, (_, i) =>
+    order.filter(p => p.round === i + 1).map(p => p.teamSlot).join(''));
+}
+
+async function testDraftOrder() {
+  console.log('🧪 Testing draft pick order\n');
+
+  // Pick order per draft type, even and odd league sizes
+  const expected = {
+    snake: { 4: ['1234', '4321', '1234', '4321'], 5: ['12345', '54321', '12345', '54321'] },
+    linear: { 4: ['1234', '1234', '1234', '1234'], 5: ['12345', '12345', '12345', '12345'] },
+    'third-round-reversal': { 4: ['1234', '4321', '4321', '1234'], 5: ['12345', '54321', '54321', '12345'] }
+  };
+  for (const [draftType, bySize] of Object.entries(expected)) {
+    for (const [size, rounds] of Object.entries(bySize)) {
+      const actual = slotsByRound(Number(size), rounds.length, draftType);
+      check(JSON.stringify(actual) === JSON.stringify(rounds), `${draftType}, ${size} teams: ${rounds.join(' ')}`, actual);
+    }
+  }
+
+  const order = buildPickOrder(5, 3, 'snake');
+  check(order.length === 15 && order.every((p, i) => p.overall === i + 1), 'Overall pick numbers run 1..rounds x teams', order.length);
+  check(normalizeDraftType('3RR') === 'third-round-reversal' && normalizeDraftType() === 'snake' && normalizeDraftType('auction') === null, 'Draft type aliases, default and unknown types');
+
+  // Round 3 under 3RR repeats round 2's order, so the last slot picks twice in a row at the turn
+  const trr = getTeamPicks({ leagueSize: 4, pickSlot: 4, rounds: 4, draftType: '3rr' });
+  check(JSON.stringify(trr.map(p => p.overall)) === JSON.stringify([4, 5, 9, 16]), 'Slot 4 picks 4, 5, 9 and 16 in a 4-team 3RR draft', trr);
+  const trrFirst = getTeamPicks({ leagueSize: 5, pickSlot: 1, rounds: 4, draftType: 'third-round-reversal' });
+  check(JSON.stringify(trrFirst.map(p => p.overall)) === JSON.stringify([1, 10, 15, 16]), 'Slot 1 picks 1, 10, 15 and 16 in a 5-team 3RR draft', trrFirst);
+
+  // Picks until the user is on the clock again
+  let position = describePickPosition({ leagueSize: 4, pickSlot: 1, round: 1, pick: 1, draftType: 'snake' });
+  check(position.isUserPick && position.picksUntilUserTurn === 0, 'User on the clock has 0 picks to wait', position);
+
+  position = describePickPosition({ leagueSize: 4, pickSlot: 1, round: 1, pick: 2, draftType: 'snake' });
+  check(position.onTheClock === 2 && position.nextUserPick.overall === 8 && position.picksUntilUserTurn === 6, 'Snake, 4 teams: slot 1 waits 6 picks for the turn', position);
+
+  position = describePickPosition({ leagueSize: 5, pickSlot: 3, round: 1, pick: 4, draftType: 'snake' });
+  check(position.nextUserPick.overall === 8 && position.picksUntilUserTurn === 4, 'Snake, 5 teams: slot 3 waits 4 picks', position);
+
+  position = describePickPosition({ leagueSize: 5, pickSlot: 3, round: 1, pick: 4, draftType: 'linear' });
+  check(position.nextUserPick.overall === 8 && position.nextUserPick.pick === 3 && position.picksUntilUserTurn === 4, 'Linear, 5 teams: slot 3 picks third every round', position);
+
+  position = describePickPosition({ leagueSize: 5, pickSlot: 5, round: 2, pick: 2, draftType: '3rr' });
+  check(position.nextUserPick.round === 3 && position.nextUserPick.overall === 11 && position.picksUntilUserTurn === 4, '3RR, 5 teams: slot 5 picks first in round 3', position);
+
+  position = describePickPosition({ leagueSize: 4, pickSlot: 2, round: 3, pick: 4, rounds: 3, draftType: 'snake' });
+  check(position.nextUserPick === null && position.picksUntilUserTurn === null, 'No next pick after the user\'s last round', position);
+
+  // Round/pick validation
+  let validation = validatePickPosition({ round: 2, pick: 7, leagueSize: 4, pickSlot: 1 });
+  check(validation.errors.length === 0 && validation.pick === 3, 'Overall pick 7 is pick 3 of round 2 in a 4-team league', validation);
+  validation = validatePickPosition({ round: 1, pick: 7, leagueSize: 4, pickSlot: 1 });
+  check(validation.errors.length === 1, 'Overall pick outside the stated round is rejected', validation);
+  validation = validatePickPosition({ round: 16, pick: 1, leagueSize: 4, pickSlot: 5, rounds: 15 });
+  check(validation.errors.length === 2, 'Pick slot outside the league and rounds past the draft are rejected', validation.errors);
+
+  // Routes reject client round and pick values that disagree with the session
+  const baseUrl = await serve({ '/api/draft': draftRouter });
+  const players = [1, 2, 3, 4, 5, 6].map(id => ({ id: String(id), name: `Player ${id}`, position: 'RB' }));
+  const session = await createDraftSession({ user: 'order-test', leagueSize: 4, pickSlot: 2, players, rounds: 2, conversationId: 'order-test-conversation' });
+
+  let response = await postJson(`${baseUrl}/api/draft/analyze`, { sessionId: session.id, payload: { round: 2, pick: 1 } });
+  check(response.status === 409 && response.body.error === 'pick_out_of_sync' && response.body.current?.overall === 1, 'Round the session is not at is out of sync', response.body);
+
+  response = await postJson(`${baseUrl}/api/draft/analyze`, { sessionId: session.id, payload: { round: 1, pick: 9 } });
+  check(response.status === 400 && response.body.error === 'invalid_pick_position', 'Overall pick in another round is an invalid position', response.body);
+
+  response = await postJson(`${baseUrl}/api/draft/user-turn`, { sessionId: session.id });
+  check(response.status === 409 && response.body.error === 'not_users_turn' && response.body.draft?.picksUntilUserTurn === 1, 'User-turn while another team is on the clock', response.body);
+
+  await recordPick(session, players[0]);
+  response = await postJson(`${baseUrl}/api/draft/user-turn`, { sessionId: session.id, payload: { round: 1, pick: 1 } });
+  check(response.status === 409 && response.body.error === 'pick_out_of_sync' && response.body.current?.pick === 2, 'Pick already made is out of sync', response.body);
+}
+
+runTest('draft order', testDraftOrder);
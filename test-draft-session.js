@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * Test script for server-side draft sessions on the JSON backend: creating a session, picks and the
+ * errors that guard them, keepers, reloading from storage after the cache is cleared, and dropping
+ * the session of an initialize that failed upstream
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { useScratchData, check, failureOf, serve, postJson, runTest } = require('./helpers/test-support');
+
+// Must run before the repository and provider read their configuration
+const dataDir = useScratchData('draft-session-test', []);
+const scriptFile = path.join(dataDir, 'llm-script.json');
+fs.writeFileSync(scriptFile, JSON.stringify({ initialize: { error: { status: 503, message: 'Provider unavailable' } } }));
+process.env.LLM_PROVIDER = 'scripted';
+process.env.LLM_SCRIPT_FILE = scriptFile;
+process.env.LLM_SCRIPTED_DELAY_MS = '0';
+
+const {
+  createDraftSession,
+  getDraftSession,
+  getCurrentPick,
+  checkPick,
+  recordPick,
+  getUserRoster,
+  deleteDraftSession,
+  DRAFT_SESSIONS
+} = require('./helpers/draft-session');
+const draftRouter = require('./routes/draft');
+
+const players = Array.from({ length: 8 }, (_, i) => ({ id: String(i + 1), name: `Player ${i + 1}`, position: i % 2 ? 'WR' : 'RB' }));
+
+/**
+ * Ids of the sessions stored on disk
+ * @returns {Array<string>} - Session ids
+ */
+function storedSessionIds() {
+  const dir = path.join(dataDir, 'draftSessions');
+  return fs.existsSync(dir) ? fs.readdirSync(dir).map(file => path.basename(file, '.json')) : [];
+}
+
+async function testDraftSession() {
+  console.log('🧪 Testing draft sessions\n');
+
+  // Create
+  const session = await createDraftSession({ user: 'session-test', leagueSize: 3, pickSlot: 2, players, rounds: 2, conversationId: 'session-test-conversation' });
+  check(session.pickOrder.length === 6 && session.status === 'in_progress', 'New session has the full pick order', session.pickOrder.length);
+  check(getCurrentPick(session).overall === 1 && getCurrentPick(session).teamSlot === 1, 'Team 1 is on the clock first', getCurrentPick(session));
+  check(storedSessionIds().includes(session.id), 'Session is saved to the repository');
+
+  let error = await failureOf(() => createDraftSession({ user: 'session-test', leagueSize: 3, pickSlot: 4, players }));
+  check(error?.code === 'invalid_pick_slot' && error.status === 400, 'Pick slot outside the league is refused', error?.code);
+
+  // Picks
+  error = await failureOf(() => recordPick(session, players[0], { byUser: true }));
+  check(error?.code === 'not_users_turn' && error.status === 409, 'User cannot pick while team 1 is on the clock', error?.code);
+
+  const first = await recordPick(session, players[0]);
+  check(first.teamSlot === 1 && !first.byUser && session.availablePlayers.length === 7, 'Team 1 pick leaves the pool', first);
+
+  error = await failureOf(() => recordPick(session, players[0], { byUser: true }));
+  check(error?.code === 'player_already_drafted', 'Drafted player cannot be picked again', error?.code);
+
+  error = await failureOf(async () => checkPick(session, { name: 'No id' }));
+  check(error?.code === 'invalid_player' && error.status === 400, 'Pick without a player id is refused', error?.code);
+
+  const userPick = await recordPick(session, players[1], { byUser: true });
+  check(userPick.byUser && getUserRoster(session).map(p => p.id).join() === '2', 'User pick goes on the user roster', getUserRoster(session));
+
+  // Reload from storage
+  DRAFT_SESSIONS.clear();
+  const reloaded = await getDraftSession(session.id);
+  check(reloaded !== session && reloaded.currentIndex === 2, 'Session reloads from storage after the cache is cleared', reloaded?.currentIndex);
+  check(getUserRoster(reloaded).map(p => p.id).join() === '2' && reloaded.teams[0].roster.map(p => p.id).join() === '1', 'Rosters are rebuilt from the stored picks', reloaded.teams);
+  check(reloaded.availablePlayers.length === 6 && getCurrentPick(reloaded).teamSlot === 3, 'Pool and clock survive the reload', getCurrentPick(reloaded));
+
+  // Finish the draft: 3 teams x 2 rounds
+  for (const player of players.slice(2, 6)) {
+    await recordPick(reloaded, player);
+  }
+  check(reloaded.status === 'complete' && getCurrentPick(reloaded) === null, 'Session completes after the last pick', reloaded.status);
+  error = await failureOf(() => recordPick(reloaded, players[6]));
+  check(error?.code === 'draft_complete', 'No picks after the draft is complete', error?.code);
+
+  // Keepers
+  const keepers = [
+    { teamSlot: 1, round: 1, player: { id: '3', name: 'Player 3' } },
+    { teamSlot: 2, round: 2, player: { id: '99', name: 'Off-board Keeper' } }
+  ];
+  const keeperSession = await createDraftSession({ user: 'session-test', leagueSize: 3, pickSlot: 2, players, rounds: 2, keepers });
+  check(getCurrentPick(keeperSession).overall === 2, 'Keeper pick at 1.01 is skipped', getCurrentPick(keeperSession));
+  check(!keeperSession.availablePlayers.some(p => p.id === '3'), 'Kept player leaves the pool');
+  check(getUserRoster(keeperSession).map(p => p.name).join() === 'Off-board Keeper', 'Keeper not in the pool still joins its roster', getUserRoster(keeperSession));
+
+  await recordPick(keeperSession, players[0], { byUser: true });
+  await recordPick(keeperSession, players[1]);
+  await recordPick(keeperSession, players[3]);
+  check(getCurrentPick(keeperSession).overall === 6, 'Clock jumps over the user\'s round 2 keeper at 2.02', getCurrentPick(keeperSession));
+
+  DRAFT_SESSIONS.clear();
+  const reloadedKeepers = await getDraftSession(keeperSession.id);
+  check(getCurrentPick(reloadedKeepers).overall === 6 && reloadedKeepers.pickOrder.filter(p => p.keeper).length === 2, 'Keeper picks stay filled after a reload', reloadedKeepers.pickOrder.filter(p => p.keeper));
+
+  error = await failureOf(() => createDraftSession({ user: 'session-test', leagueSize: 3, pickSlot: 2, players, rounds: 2, keepers: [{ teamSlot: 1, round: 3, player: players[0] }] }));
+  check(error?.code === 'invalid_keeper', 'Keeper in a round past the draft is refused', error?.code);
+  error = await failureOf(() => createDraftSession({ user: 'session-test', leagueSize: 3, pickSlot: 2, players, rounds: 2, keepers: [keepers[0], { ...keepers[0], player: players[1] }] }));
+  check(error?.code === 'invalid_keeper', 'Two keepers for one team and round are refused', error?.code);
+
+  // Delete
+  check(await deleteDraftSession(keeperSession.id) === true && await getDraftSession(keeperSession.id) === null, 'Deleted session is gone from cache and storage');
+
+  // Initialize that fails upstream leaves no session behind
+  const baseUrl = await serve({ '/api/draft': draftRouter });
+  const before = storedSessionIds();
+  const response = await postJson(`${baseUrl}/api/draft/initialize`, {
+    user: 'session-test',
+    payload: { numTeams: 3, userPickPosition: 2, players: players.slice(0, 4) }
+  });
+  check(response.status === 502 && response.body.ok === false, 'Initialize reports the provider failure', response);
+  check(JSON.stringify(storedSessionIds().sort()) === JSON.stringify(before.sort()), 'Failed initialize deletes its session', storedSessionIds());
+}
+
+runTest('draft session', testDraftSession);
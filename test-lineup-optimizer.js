@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Test script for the lineup optimizer: which positions FLEX accepts, byes and unprojected players,
+ * the point difference against the current starters and starter overflow checks
+ */
+
+const { check, runTest } = require('./helpers/test-support');
+const { lineupPosition, optimizeLineup, compareWithCurrent, findStarterOverflow } = require('./helpers/lineup-optimizer');
+
+const SLOTS = { QB: 1, RB: 2, WR: 2, TE: 1, FLEX: 1, K: 1, DST: 1, BENCH: 5 };
+
+/**
+ * Roster player with a weekly projection
+ * @param {string} name - Player name
+ * @param {string} position - Position
+ * @param {number|null} points - Projected points (null when unprojected)
+ * @param {Object} [fields] - { starter?, bye? }
+ * @returns {Object} - Player
+ */
+function player(name, position, points, { starter = false, bye = false } = {}) {
+  return { name, position, starter, projection: { points: bye ? 0 : points, bye } };
+}
+
+/**
+ * Slot and player name per lineup entry
+ * @param {Object} result - optimizeLineup output
+ * @returns {string} - e.g. 'QB:QB1,RB:RB1'
+ */
+function lineupOf(result) {
+  return result.lineup.map(entry => `${entry.slot}:${entry.player.name}`).join();
+}
+
+async function testLineupOptimizer() {
+  console.log('🧪 Testing the lineup optimizer\n');
+
+  // Current lineup starts WR2 and TE1 and uses WR3 at FLEX
+  const roster = [
+    player('QB1', 'QB', 20, { starter: true }),
+    player('QB2', 'QB', 15),
+    player('RB1', 'RB', 18, { starter: true }),
+    player('RB2', 'RB', 14, { starter: true }),
+    player('RB3', 'RB', 12),
+    player('WR1', 'WR', 16, { starter: true }),
+    player('WR2', 'WR', 11, { starter: true }),
+    player('WR3', 'WR', 13, { starter: true }),
+    player('TE1', 'TE', 9, { starter: true }),
+    player('TE2', 'TE', 12.5),
+    player('K1', 'K', 8, { starter: true }),
+    player('DST1', 'D/ST', 7, { starter: true })
+  ];
+
+  const optimal = optimizeLineup(roster, SLOTS);
+  check(lineupOf(optimal) === 'QB:QB1,RB:RB1,RB:RB2,WR:WR1,WR:WR3,TE:TE2,FLEX:RB3,K:K1,DST:DST1', 'Dedicated slots first, then the best RB/WR/TE at FLEX', lineupOf(optimal));
+  check(optimal.total === 120.5 && optimal.emptySlots.length === 0, 'Optimal total is 120.5', optimal.total);
+  check(optimal.bench.map(p => p.name).join() === 'QB2,WR2,TE1', 'Bench keeps everyone else, best first', optimal.bench.map(p => p.name));
+
+  const comparison = compareWithCurrent(optimal, roster);
+  check(comparison.currentTotal === 116 && comparison.delta === 4.5, 'Optimal lineup gains 4.5 points over the current one', comparison);
+  check(comparison.moveIn.join() === 'TE2,RB3' && comparison.moveOut.join() === 'WR2,TE1', 'Changes list who moves in and out', comparison);
+  const starting = optimal.lineup.map(entry => ({ ...entry.player, starter: true }));
+  const unchanged = compareWithCurrent(optimizeLineup(starting, SLOTS), starting);
+  check(unchanged.delta === 0 && unchanged.moveIn.length === 0, 'Optimal lineup compared with itself has no gain', unchanged);
+
+  // FLEX eligibility
+  let result = optimizeLineup([player('QBa', 'QB', 25), player('QBb', 'QB', 22), player('Kx', 'K', 15), player('WRx', 'WR', 5)], { QB: 1, FLEX: 1 });
+  check(lineupOf(result) === 'QB:QBa,FLEX:WRx', 'FLEX skips a higher-scoring QB and K for a WR', lineupOf(result));
+  result = optimizeLineup([player('QBa', 'QB', 25), player('QBb', 'QB', 22)], { QB: 1, FLEX: 1 });
+  check(result.emptySlots.join() === 'FLEX' && result.bench[0].name === 'QBb', 'FLEX stays empty without an RB, WR or TE', result);
+  result = optimizeLineup([player('TEx', 'TE', 10), player('TEy', 'TE', 9)], { TE: 1, FLEX: 1 });
+  check(lineupOf(result) === 'TE:TEx,FLEX:TEy', 'A second TE can start at FLEX', lineupOf(result));
+
+  // Byes and unprojected players
+  result = optimizeLineup([player('Bye Back', 'RB', 20, { bye: true }), player('Unknown Back', 'RB', null), player('Low Back', 'RB', 1)], { RB: 2 });
+  check(lineupOf(result) === 'RB:Low Back,RB:Unknown Back' && result.bench[0].name === 'Bye Back', 'Byes sit behind unprojected players', lineupOf(result));
+  result = optimizeLineup([player('Bench WR', 'WR', 10), player('Starting WR', 'WR', 10, { starter: true })], { WR: 1 });
+  check(lineupOf(result) === 'WR:Starting WR', 'Ties keep the current starter', lineupOf(result));
+  check(['D/ST', 'DEF', 'dst'].every(position => lineupPosition({ position }) === 'DST'), 'D/ST and DEF fill the DST slot');
+
+  // Starter overflow
+  const starters = positions => positions.map((position, i) => player(`${position}${i}`, position, 1, { starter: true }));
+  check(findStarterOverflow(starters(['RB', 'RB', 'RB', 'WR']), SLOTS).length === 0, 'Third RB starter fits at FLEX');
+  check(JSON.stringify(findStarterOverflow(starters(['RB', 'RB', 'RB', 'TE', 'TE']), SLOTS)) === JSON.stringify([{ slot: 'FLEX', starters: 2, allowed: 1 }]), 'RB and TE spill past a single FLEX', findStarterOverflow(starters(['RB', 'RB', 'RB', 'TE', 'TE']), SLOTS));
+  check(JSON.stringify(findStarterOverflow(starters(['QB', 'QB']), SLOTS)) === JSON.stringify([{ slot: 'QB', starters: 2, allowed: 1 }]), 'Second QB starter has no slot', findStarterOverflow(starters(['QB', 'QB']), SLOTS));
+}
+
+runTest('lineup optimizer', testLineupOptimizer);
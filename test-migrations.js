@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Test script for schema migrations: loading and validating migration files, the migrate CLI's
+ * arguments and, when DATABASE_URL is set with DB_DRIVER=pg, running every migration up, down and
+ * up again against that database. Point it at a throwaway local database: the down step drops
+ * every table the migrations create
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { useScratchData, check, failureOf, runTest } = require('./helpers/test-support');
+
+const scratchDir = useScratchData('migrations-test', []);
+
+const { loadMigrations, migrateUp, migrateDown, migrationStatus } = require('./helpers/migrations');
+const { parseArgs } = require('./scripts/migrate');
+const { createDbClient } = require('./helpers/db-client');
+
+const VALID = 'module.exports = { up: [\'SELECT 1\'], down: [\'SELECT 1\'] };\n';
+
+/**
+ * Write a migrations directory
+ * @param {string} name - Directory name under the scratch dir
+ * @param {Object} files - Contents per file name
+ * @returns {string} - Directory path
+ */
+function migrationsDir(name, files) {
+  const dir = path.join(scratchDir, name);
+  fs.mkdirSync(dir);
+  for (const [file, contents] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), contents);
+  }
+  return dir;
+}
+
+/**
+ * Run up, down and up again against DATABASE_URL
+ */
+async function testDatabase() {
+  if (!process.env.DATABASE_URL || process.env.DB_DRIVER !== 'pg') {
+    console.log('\n⏭️  Skipping up/down/up: set DATABASE_URL and DB_DRIVER=pg to run it against a local database');
+    return;
+  }
+
+  console.log('\n🐘 Running migrations against DATABASE_URL\n');
+  const db = createDbClient({ databaseUrl: process.env.DATABASE_URL, driver: 'pg' });
+  const versions = loadMigrations().map(m => m.version);
+  const appliedVersions = async () => (await migrationStatus(db)).filter(m => m.applied).map(m => m.version).join();
+  const tableExists = async name => (await db.query('SELECT to_regclass($1) AS name', [name]))[0].name !== null;
+
+  try {
+    await migrateUp(db);
+    check(await appliedVersions() === versions.join(), 'Up applies every migration', await appliedVersions());
+    check(await tableExists('waiver_runs'), 'Tables from the last migration exist');
+    check((await migrateUp(db)).length === 0, 'Second up has nothing to apply');
+
+    const rolledBack = await migrateDown(db, { to: 0 });
+    check(rolledBack.map(m => m.version).join() === [...versions].reverse().join(), 'Down to 0 rolls back newest first', rolledBack.map(m => m.version));
+    check(await appliedVersions() === '', 'No migrations are applied after down', await appliedVersions());
+    check(!(await tableExists('players')) && !(await tableExists('waiver_runs')), 'Down drops the tables');
+
+    const reapplied = await migrateUp(db);
+    check(reapplied.length === versions.length && await appliedVersions() === versions.join(), 'Up after down applies every migration again', await appliedVersions());
+
+    await migrateDown(db, { steps: 2 });
+    check(await appliedVersions() === versions.slice(0, -2).join(), 'Down --steps 2 rolls back the last two', await appliedVersions());
+    await migrateUp(db);
+  } finally {
+    await db.close();
+  }
+}
+
+async function testMigrations() {
+  console.log('🧪 Testing schema migrations\n');
+
+  // The repository's own migrations
+  const migrations = loadMigrations();
+  check(migrations.length > 0 && migrations.every((m, i) => m.version === i + 1), 'Repository migrations are numbered 1..n without gaps', migrations.map(m => m.file));
+  check(migrations.every(m => m.up.length > 0 && m.down.length > 0), 'Every repository migration has up and down statements');
+
+  // Ordering is numeric, not by file name, and other files are ignored
+  let dir = migrationsDir('ordering', { '10_last.js': VALID, '2_second.js': VALID, '001_first.js': VALID, 'README.md': '# notes', 'helper.js': VALID });
+  const loaded = loadMigrations(dir);
+  check(loaded.map(m => m.version).join() === '1,2,10', 'Migrations load in version order', loaded.map(m => m.file));
+  check(loaded[0].name === 'first' && loaded[2].file === '10_last.js', 'Name and file come from the file name', loaded[0]);
+
+  // Duplicate versions
+  dir = migrationsDir('duplicate', { '001_players.js': VALID, '1_teams.js': VALID });
+  let error = await failureOf(async () => loadMigrations(dir));
+  check(/Duplicate migration version 1/.test(error?.message), 'Two files with the same version are refused', error?.message);
+
+  // Bad exports
+  const badExports = {
+    'missing down': 'module.exports = { up: [\'SELECT 1\'] };\n',
+    'string instead of an array': 'module.exports = { up: \'SELECT 1\', down: [\'SELECT 1\'] };\n',
+    'blank statement': 'module.exports = { up: [\'SELECT 1\'], down: [\'  \'] };\n',
+    'non-string statement': 'module.exports = { up: [42], down: [\'SELECT 1\'] };\n'
+  };
+  for (const [label, contents] of Object.entries(badExports)) {
+    dir = migrationsDir(label.replace(/\W+/g, '-'), { '001_bad.js': contents });
+    error = await failureOf(async () => loadMigrations(dir));
+    check(/must export '(up|down)' as an array of SQL strings/.test(error?.message), `Migration with a ${label} is refused`, error?.message);
+  }
+
+  // CLI arguments
+  check(JSON.stringify(parseArgs([])) === JSON.stringify({ command: 'status' }), 'No arguments means status', parseArgs([]));
+  check(JSON.stringify(parseArgs(['up', '--to', '3'])) === JSON.stringify({ command: 'up', to: 3 }), 'up --to 3', parseArgs(['up', '--to', '3']));
+  check(JSON.stringify(parseArgs(['down', '--steps', '2'])) === JSON.stringify({ command: 'down', steps: 2 }), 'down --steps 2', parseArgs(['down', '--steps', '2']));
+  check(parseArgs(['down', '--to', '0']).to === 0, 'down --to 0 rolls back everything', parseArgs(['down', '--to', '0']));
+
+  for (const argv of [['up', '--force'], ['down', '--steps', '-1'], ['down', '--steps', '1.5'], ['up', '--to']]) {
+    error = await failureOf(async () => parseArgs(argv));
+    check(error !== null, `Refuses '${argv.join(' ')}'`, error?.message);
+  }
+
+  await testDatabase();
+}
+
+runTest('migration', testMigrations);
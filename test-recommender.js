@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Test script for the local pick recommender: roster needs, ordering that does not depend on input
+ * order, value and bye-stacking adjustments and slim client players filled in from the pool
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { useScratchData, check, runTest } = require('./helpers/test-support');
+
+// The pool, teams and schedule are fixtures written to a scratch dir
+const dataDir = useScratchData('recommender-test', []);
+
+const { PROJECTION_SEASON } = require('./helpers/scoring');
+const { computeRosterNeeds, recommendPicks, formatRecommendations } = require('./helpers/recommender');
+
+/**
+ * Pool player with a standard-scoring projection
+ * @param {string} id - Player id
+ * @param {string} position - Position
+ * @param {string} team - Team abbreviation
+ * @param {number} rank - Overall rank
+ * @param {Object} [fields] - Extra fields
+ * @returns {Object} - Player
+ */
+function poolPlayer(id, position, team, rank, fields = {}) {
+  return {
+    id,
+    name: `Player ${id}`,
+    position,
+    team: { abbr: team },
+    newOverallRank: rank,
+    stats: { [PROJECTION_SEASON]: { predicted: { gamesPlayed: 17, receiving: { yards: 3000 - rank * 10 } } } },
+    ...fields
+  };
+}
+
+const pool = [
+  poolPlayer('rb-a', 'RB', 'KC', 10),
+  poolPlayer('wr-b', 'WR', 'KC', 10),
+  poolPlayer('wr-c', 'WR', 'BUF', 30, { byeWeek: 9 }),
+  poolPlayer('te-1', 'TE', 'DET', 60),
+  poolPlayer('te-2', 'TE', 'DET', 60),
+  poolPlayer('val-1', 'QB', 'DET', 80, { expectedRound: 2 }),
+  poolPlayer('r1', 'RB', 'KC', 1),
+  poolPlayer('r2', 'RB', 'KC', 2),
+  poolPlayer('r3', 'RB', 'DET', 3),
+  poolPlayer('w1', 'WR', 'BUF', 4)
+];
+// Only week 1 is loaded and BUF has no game: BUF's bye is week 1
+const schedule = { week1: [{ week: 1, homeTeam: 'KC', awayTeam: 'DET' }] };
+
+/**
+ * Write a fixture file into the scratch data dir
+ * @param {string} file - Path under the data dir
+ * @param {*} value - JSON value
+ */
+function writeFixture(file, value) {
+  fs.mkdirSync(path.dirname(path.join(dataDir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dataDir, file), JSON.stringify(value));
+}
+
+async function testRecommender() {
+  console.log('🧪 Testing the pick recommender\n');
+
+  writeFixture('finalized/draftRoster_v4.json', pool);
+  writeFixture('nflTeams.json', ['KC', 'DET', 'BUF'].map(abbr => ({ abbr })));
+  writeFixture('schedule/regularSeason.json', schedule);
+
+  // Roster needs: the third RB takes FLEX
+  const roster = ['r1', 'r2', 'r3', 'w1'].map(id => pool.find(p => p.id === id));
+  const { open } = computeRosterNeeds(roster);
+  check(JSON.stringify(open) === JSON.stringify({ QB: 1, RB: 0, WR: 1, TE: 1, FLEX: 0 }), 'Three RBs and a WR leave QB, WR and TE open', open);
+  check(computeRosterNeeds([]).open.FLEX === 1 && computeRosterNeeds([], { QB: 2 }).open.QB === 2, 'Empty roster needs every starter, custom needs apply');
+
+  // Clients may send only ids; drafted players are never recommended
+  const available = ['te-2', 'wr-c', 'rb-a', 'val-1', 'te-1', 'wr-b', 'r1'].map(id => ({ id }));
+  const userRoster = roster.map(p => ({ id: p.id }));
+  const result = await recommendPicks({ availablePlayers: available, userRoster, round: 4, limit: 10, scoring: 'standard' });
+  const ids = result.recommendations.map(r => r.playerId);
+  const byId = Object.fromEntries(result.recommendations.map(r => [r.playerId, r]));
+
+  check(!ids.includes('r1') && ids.length === 6, 'Players on the user roster are skipped', ids);
+  check(byId['wr-b'].name === 'Player wr-b' && byId['wr-b'].position === 'WR' && byId['wr-b'].team === 'KC', 'Slim players are filled in from the pool', byId['wr-b']);
+  check(JSON.stringify(result.needs) === JSON.stringify(open), 'Needs are reported with the recommendations', result.needs);
+
+  // Needs: same rank and projection, but only the WR fills a starter slot
+  check(ids.indexOf('wr-b') < ids.indexOf('rb-a') && byId['wr-b'].score - byId['rb-a'].score === 20, 'Open WR slot outranks a fourth RB by 12 + 8', { wr: byId['wr-b'].score, rb: byId['rb-a'].score });
+  check(byId['rb-a'].reasons.includes('RB starters already filled'), 'Filled position is called out', byId['rb-a'].reasons);
+
+  // Value and byes
+  check(byId['val-1'].reasons.includes('Value: expected in round 2, available in round 4'), 'Player still available past the expected round is value', byId['val-1'].reasons);
+  check(byId['wr-c'].byeWeek === 1 && byId['wr-c'].reasons.includes('Shares week 1 bye with a rostered WR'), 'Schedule bye replaces the stored one and stacked byes are flagged', byId['wr-c']);
+
+  // Order never depends on input order; identical players fall back to id
+  check(ids.indexOf('te-1') === ids.indexOf('te-2') - 1, 'Ties are broken by id', ids);
+  const reversed = await recommendPicks({ availablePlayers: [...available].reverse(), userRoster, round: 4, limit: 10, scoring: 'standard' });
+  check(JSON.stringify(reversed.recommendations) === JSON.stringify(result.recommendations), 'Shuffled input gives the same recommendations');
+
+  const limited = await recommendPicks({ availablePlayers: available, userRoster, round: 4, limit: 2, scoring: 'standard' });
+  check(JSON.stringify(limited.recommendations.map(r => r.playerId)) === JSON.stringify(ids.slice(0, 2)), 'Limit keeps the top of the list', limited.recommendations.map(r => r.playerId));
+
+  // Scoring profile changes the projections used
+  const custom = await recommendPicks({ availablePlayers: [{ id: 'wr-b' }], round: 4, scoring: { rules: { recYards: 0.2 } } });
+  check(custom.recommendations[0].projectedPoints === byId['wr-b'].projectedPoints * 2, 'Custom scoring rules change projected points', custom.recommendations[0]);
+
+  // Plain-text answer
+  const text = formatRecommendations(limited.recommendations);
+  check(text.startsWith(`1. ${limited.recommendations[0].name} (`) && text.split('\n').length === 2, 'Recommendations format one line each', text);
+  check(formatRecommendations([]) === 'No available players to recommend.', 'Empty list has a fallback answer');
+}
+
+runTest('recommender', testRecommender);
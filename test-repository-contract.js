@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+/**
+ * Contract test for the data repositories: the JSON-file backend and, when DATABASE_URL is set, the
+ * Neon backend run the same calls and must return the same shapes. Covers the players.list snapshot,
+ * roster replacement with its transactions, trades and claims, and draft sessions saving only new picks.
+ * The Neon run migrates and empties the database it is pointed at, so use a throwaway local one
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { useScratchData, check, failureOf, runTest } = require('./helpers/test-support');
+
+const dataDir = useScratchData('repository-contract-test', []);
+
+const { createRepository } = require('./helpers/data-repository');
+const { rosterChanges, canonicalJson } = require('./helpers/neon-repository');
+const { migrateUp } = require('./helpers/migrations');
+
+const LEAGUE_ID = 'contract-league';
+
+const players = [
+  { id: 'p1', name: 'Alpha Back', position: 'RB', team: { abbr: 'KC' }, newOverallRank: 1, newPositionRank: 1, byeWeek: 6 },
+  { id: 'p2', name: 'Bravo Receiver', position: 'WR', team: { abbr: 'BUF' }, newOverallRank: 2, newPositionRank: 1, byeWeek: 7 },
+  { id: 'p3', name: 'Charlie Tight', position: 'TE', team: { abbr: 'DET' }, newOverallRank: 3, newPositionRank: 1, byeWeek: 8 }
+];
+
+/**
+ * Roster entry for a pool player
+ * @param {Object} player - Pool player
+ * @param {string} endpoint - Fantasy team endpoint
+ * @param {string} [slot] - Lineup slot
+ * @returns {Object} - Roster player
+ */
+function rostered(player, endpoint, slot = 'BN') {
+  return { name: player.name, position: player.position, team: player.team.abbr, fantasyTeam: { endpoint }, slot };
+}
+
+/**
+ * Timestamp a fixed number of minutes into the test season
+ * @param {number} minutes - Minutes after the start
+ * @returns {string} - ISO timestamp
+ */
+function at(minutes) {
+  return new Date(Date.UTC(2025, 8, 1, 0, minutes)).toISOString();
+}
+
+/**
+ * Whether two values are the same JSON, ignoring object key order
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} - True when equal
+ */
+function sameJson(a, b) {
+  return canonicalJson(a) === canonicalJson(b);
+}
+
+/**
+ * Check how rosterChanges turns stored rows into statements; no database needed
+ */
+function testRosterChanges() {
+  const alpha = rostered(players[0], 'team-a');
+  const bravo = rostered(players[1], 'team-a');
+  const rows = [
+    { id: 1, player_name: alpha.name, position: alpha.position, data: alpha },
+    // JSONB hands keys back in its own order
+    { id: 2, player_name: bravo.name, position: bravo.position, data: Object.fromEntries(Object.entries(bravo).reverse()) }
+  ];
+  const kinds = statements => statements.map(s => s.text.trim().split(/\s/)[0]).join();
+
+  check(rosterChanges(rows, [alpha, bravo]).length === 0, 'rosterChanges: unchanged roster writes nothing, whatever the key order');
+
+  let statements = rosterChanges(rows, [alpha, { ...bravo, fantasyTeam: { endpoint: 'team-b' } }]);
+  check(kinds(statements) === 'UPDATE' && statements[0].params[0] === 'team-b' && statements[0].params[4] === 2, 'rosterChanges: moved player is updated in its row', statements);
+
+  statements = rosterChanges(rows, [bravo, rostered(players[2], 'team-a')]);
+  check(kinds(statements) === 'DELETE,INSERT' && sameJson(statements[0].params, [[1]]), 'rosterChanges: dropped row is deleted first, new player inserted', statements);
+
+  statements = rosterChanges(rows, [alpha, alpha, bravo]);
+  check(kinds(statements) === 'INSERT', 'rosterChanges: second copy of a stored player is inserted', statements);
+}
+
+/**
+ * Run the contract against one backend
+ * @param {Object} repository - Repository under test
+ * @returns {Promise<Object>} - What the calls returned, to compare across backends
+ */
+async function testContract(repository) {
+  const label = text => `${repository.backend}: ${text}`;
+
+  // Players: inserted then updated, and list() keeps returning one array until a row changes
+  const inserted = await repository.players.upsertMany(players);
+  check(sameJson(inserted, players.map(p => ({ id: p.id, status: 'inserted' }))), label('upsertMany reports inserted players'), inserted);
+  const listed = await repository.players.list();
+  check(sameJson(listed, players), label('players.list returns the stored records in rank order'), listed);
+  check(await repository.players.list() === listed, label('players.list returns the same array while nothing changes'));
+  check(sameJson(await repository.players.getById('p2'), players[1]) && await repository.players.getById('missing') === null, label('players.getById'));
+
+  const renamed = { ...players[2], name: 'Charlie Renamed' };
+  const updated = await repository.players.upsertMany([renamed]);
+  check(sameJson(updated, [{ id: 'p3', status: 'updated' }]), label('upsertMany reports updated players'), updated);
+  const relisted = await repository.players.list();
+  check(relisted !== listed && relisted[2].name === 'Charlie Renamed', label('players.list returns a new array after an update'), relisted[2]);
+
+  // Rosters, with the transactions, trades and claims a change settles
+  const trade = {
+    id: 'trade-1', leagueId: LEAGUE_ID, status: 'proposed', fromTeam: 'team-a', toTeam: 'team-b',
+    give: ['Alpha Back'], get: [], history: [{ status: 'proposed', at: at(1) }], createdAt: at(1), updatedAt: at(1)
+  };
+  const claim = {
+    id: 'claim-1', leagueId: LEAGUE_ID, season: '2025', team: 'team-b', player: { id: 'p3', name: 'Charlie Tight', position: 'TE' },
+    drop: null, bid: 4, status: 'pending', reason: null, createdAt: at(2), processedAt: null
+  };
+  await repository.trades.save(trade);
+  await repository.waiverClaims.saveMany([claim]);
+
+  const roster = [rostered(players[0], 'team-a', 'RB'), rostered(players[1], 'team-a')];
+  await repository.rosters.replacePlayers(roster, {
+    transactions: [{ id: 'tx-1', leagueId: LEAGUE_ID, type: 'add', team: 'team-a', player: { name: 'Bravo Receiver' }, createdAt: at(3) }]
+  });
+  check(sameJson(await repository.rosters.listPlayers(), roster), label('replacePlayers stores the roster list'));
+
+  const rowIds = async () => repository.db
+    ? (await repository.db.query('SELECT id FROM fantasy_roster_players ORDER BY id')).map(r => r.id)
+    : null;
+  const idsBefore = await rowIds();
+
+  const settled = { ...trade, status: 'accepted', history: [...trade.history, { status: 'accepted', at: at(4) }], updatedAt: at(4) };
+  const won = { ...claim, status: 'won', processedAt: at(5) };
+  const next = [
+    { ...roster[0], fantasyTeam: { endpoint: 'team-b' }, slot: 'BN' },
+    roster[1],
+    rostered(players[2], 'team-b')
+  ];
+  await repository.rosters.replacePlayers(next, {
+    transactions: [
+      { id: 'tx-2', leagueId: LEAGUE_ID, type: 'trade', team: 'team-a', toTeam: 'team-b', player: { name: 'Alpha Back' }, tradeId: 'trade-1', createdAt: at(4) },
+      { id: 'tx-3', leagueId: LEAGUE_ID, type: 'add', team: 'team-b', player: { name: 'Charlie Tight' }, claimId: 'claim-1', bid: 4, createdAt: at(5) }
+    ],
+    trades: [settled],
+    claims: [won]
+  });
+  const rosterAfter = await repository.rosters.listPlayers();
+  check(sameJson(rosterAfter, next), label('replacePlayers applies a move and an add'), rosterAfter);
+  check(sameJson(await repository.rosters.listByTeam('team-b'), [next[0], next[2]]), label('rosters.listByTeam'));
+  if (idsBefore) {
+    const idsAfter = await rowIds();
+    check(sameJson(idsAfter.slice(0, 2), idsBefore) && idsAfter.length === 3, label('unchanged and moved players keep their rows'), { idsBefore, idsAfter });
+  }
+
+  // A change made from an out-of-date roster is refused instead of undoing the newer write
+  const conflict = await failureOf(() => repository.rosters.replacePlayers(roster, { expected: roster }));
+  check(conflict?.code === 'roster_conflict' && conflict.status === 409, label('Write made from a stale roster is a roster_conflict'), conflict?.message);
+  check(sameJson(await repository.rosters.listPlayers(), next), label('Refused write leaves the roster alone'));
+  check(sameJson(await repository.rosters.replacePlayers(next, { expected: next }), next), label('Write made from the current roster goes through'));
+
+  if (repository.db) {
+    // Another instance writes after this write has read the rows but before its transaction runs
+    const raced = next.map((p, i) => (i === 2 ? { ...p, slot: 'IR' } : p));
+    const { query } = repository.db;
+    repository.db.query = async (...args) => {
+      repository.db.query = query;
+      const rows = await query(...args);
+      await repository.rosters.replacePlayers(raced);
+      return rows;
+    };
+    const lost = await failureOf(() => repository.rosters.replacePlayers(roster, { expected: next }));
+    check(lost?.code === 'roster_conflict' && sameJson(await repository.rosters.listPlayers(), raced), label('Write racing another instance fails instead of overwriting it'), lost?.message);
+    await repository.rosters.replacePlayers(next, { expected: raced });
+  }
+
+  const transactions = await repository.transactions.list({ leagueId: LEAGUE_ID });
+  check(transactions.map(t => t.id).join() === 'tx-3,tx-2,tx-1', label('transactions.list is newest first'), transactions.map(t => t.id));
+  const teamB = await repository.transactions.list({ leagueId: LEAGUE_ID, team: 'team-b', limit: 5 });
+  check(teamB.map(t => t.id).join() === 'tx-3,tx-2', label('transactions.list by team includes trades received'), teamB.map(t => t.id));
+  check((await repository.transactions.list({ limit: 1 })).length === 1, label('transactions.list honours limit'));
+
+  const trades = await repository.trades.list({ leagueId: LEAGUE_ID });
+  check(sameJson(trades, [settled]) && sameJson(await repository.trades.getById('trade-1'), settled), label('replacePlayers settles the trade'), trades);
+  check((await repository.trades.list({ status: 'proposed' })).length === 0, label('trades.list filters by status'));
+
+  const claims = await repository.waiverClaims.list({ leagueId: LEAGUE_ID });
+  check(sameJson(claims, [won]) && sameJson(await repository.waiverClaims.getById('claim-1'), won), label('replacePlayers settles the claim'), claims);
+  check((await repository.waiverClaims.list({ status: 'pending' })).length === 0, label('waiverClaims.list filters by status'));
+
+  // Waiver runs
+  check(await repository.waiverRuns.claim(LEAGUE_ID, at(10)) === true, label('First claim of a waiver run wins'));
+  check(await repository.waiverRuns.claim(LEAGUE_ID, at(10)) === false, label('Second claim of the same run loses'));
+  await repository.waiverRuns.release(LEAGUE_ID, at(10));
+  check(await repository.waiverRuns.claim(LEAGUE_ID, at(10)) === true, label('Released run can be claimed again'));
+
+  // Draft sessions: each save carries only the picks made since the previous one
+  const createdAt = Date.parse(at(20));
+  const pick = (overall, teamSlot, player, extra = {}) =>
+    ({ round: 1, pick: overall, overall, teamSlot, player, byUser: teamSlot === 2, at: createdAt + overall * 1000, ...extra });
+  const keeper = { ...pick(1, 1, players[0]), keeper: true, at: createdAt };
+  const session = {
+    id: 'contract-session', user: 'contract-user', conversationId: null, leagueId: null, season: '2025',
+    leagueSize: 2, pickSlot: 2, rounds: 2, draftType: 'snake', status: 'in_progress', currentIndex: 1,
+    availablePlayers: [players[1], players[2]], picks: [keeper], createdAt, updatedAt: createdAt
+  };
+  await repository.draftSessions.save(session, { picks: [keeper] });
+
+  const userPick = pick(2, 2, players[1]);
+  Object.assign(session, { currentIndex: 2, availablePlayers: [players[2]], picks: [keeper, userPick], updatedAt: userPick.at, conversationId: 'contract-conversation' });
+  await repository.draftSessions.save(session, { picks: [userPick] });
+  await repository.draftSessions.save(session);
+
+  const stored = await repository.draftSessions.getById(session.id);
+  check(sameJson(stored, session), label('draftSessions.getById returns the saved session with each pick once'), stored);
+  const error = await failureOf(() => repository.draftSessions.save(session, { picks: [userPick] }));
+  const afterResave = await repository.draftSessions.getById(session.id);
+  check(afterResave.picks.length === 2, label('Saving a pick twice never stores it twice'), { error: error?.message, picks: afterResave.picks.length });
+
+  check(await repository.draftSessions.delete(session.id) === true && await repository.draftSessions.getById(session.id) === null, label('draftSessions.delete removes the session'));
+  check(await repository.draftSessions.delete(session.id) === false, label('Deleting a missing session returns false'));
+
+  // Leagues
+  const league = { id: LEAGUE_ID, name: 'Contract League', teams: [{ endpoint: 'team-a', name: 'A' }, { endpoint: 'team-b', name: 'B' }] };
+  await repository.leagues.save(league);
+  await repository.leagues.save({ ...league, name: 'Renamed League' });
+  const leagues = await repository.leagues.list();
+  check(leagues.length === 1 && leagues[0].name === 'Renamed League', label('leagues.save replaces a league by id'), leagues);
+  check(await repository.leagues.delete(LEAGUE_ID) === true && (await repository.leagues.list()).length === 0, label('leagues.delete'));
+
+  return { players: relisted, roster: rosterAfter, transactions, trades, claims, session: stored };
+}
+
+/**
+ * Migrate and empty the database behind DATABASE_URL
+ * @param {Object} db - Client from createDbClient
+ */
+async function resetDatabase(db) {
+  await migrateUp(db);
+  await db.query(`TRUNCATE players, fantasy_roster_players, roster_transactions, trades, waiver_claims, waiver_runs,
+                  draft_picks, draft_sessions, fantasy_teams, leagues CASCADE`);
+}
+
+async function testRepositoryContract() {
+  console.log('🧪 Testing the data repository contract\n');
+
+  testRosterChanges();
+
+  // The JSON backend needs its tracked player file and roster seed; both start empty
+  for (const file of ['finalized/draftRoster_v4.json', 'roster/allPlayers.json']) {
+    fs.mkdirSync(path.dirname(path.join(dataDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dataDir, file), '[]');
+  }
+  console.log('\n📁 JSON backend\n');
+  const jsonResults = await testContract(createRepository({ backend: 'json', dataDir }));
+
+  if (!process.env.DATABASE_URL) {
+    console.log('\n⏭️  Skipping the Neon backend: set DATABASE_URL (DB_DRIVER=pg for a local database) to run it');
+    return;
+  }
+
+  console.log('\n🐘 Neon backend\n');
+  const repository = createRepository({ backend: 'neon', databaseUrl: process.env.DATABASE_URL });
+  try {
+    await resetDatabase(repository.db);
+    const neonResults = await testContract(repository);
+    for (const [key, value] of Object.entries(jsonResults)) {
+      check(sameJson(neonResults[key], value), `Both backends return the same ${key}`, { json: value, neon: neonResults[key] });
+    }
+  } finally {
+    await repository.db.close();
+  }
+}
+
+runTest('repository contract', testRepositoryContract);
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Test script for the scoring engine: presets, aliases and combined profiles, inline rules and
+ * overrides, bonus points and the season a player's points are taken from
+ */
+
+const { check, failureOf, runTest } = require('./helpers/test-support');
+const {
+  PROJECTION_SEASON,
+  resolveScoringRules,
+  scoreStatLine,
+  computePlayerPoints,
+  projectedPoints
+} = require('./helpers/scoring');
+
+// 4000 yds, 30 TD, 10 INT passing and 300 yds, 2 TD rushing: 260 + 42 standard points
+const quarterback = {
+  passing: { yards: 4000, touchdowns: 30, interceptions: 10, '40PlusTDs': 1, '400PlusGames': 2 },
+  rushing: { yards: 300, touchdowns: 2 }
+};
+// 100 catches, 1200 yds, 8 TD: 168 standard points before receptions
+const receiver = {
+  receiving: { receptions: 100, yards: 1200, touchdowns: 8, '40PlusTDs': 2, '200PlusGames': 1 }
+};
+
+async function testScoring() {
+  console.log('🧪 Testing scoring profiles\n');
+
+  // Presets
+  let rules = resolveScoringRules('half-ppr');
+  check(rules.reception === 0.5 && rules.passTD === 4 && JSON.stringify(rules.presets) === '["half-ppr"]', 'half-ppr gives half a point per catch', rules);
+  rules = resolveScoringRules('ppr,6pt-pass-td,bonuses');
+  check(rules.reception === 1 && rules.passTD === 6 && rules.bonus40PlusTD === 2 && rules.bonus400PassGame === 3, 'Comma list combines presets', rules);
+  check(JSON.stringify(rules.presets) === '["ppr","6pt-pass-td","bonuses"]', 'Combined presets are listed in order', rules.presets);
+  rules = resolveScoringRules(['standard', 'ppr']);
+  check(rules.reception === 1, 'Later presets win in an array', rules);
+
+  // Aliases
+  check(resolveScoringRules('non-ppr').presets[0] === 'standard' && resolveScoringRules('non-ppr').reception === 0, 'non-ppr is standard scoring');
+  check(resolveScoringRules(' 0.5PPR ').presets[0] === 'half-ppr', 'Aliases ignore case and surrounding spaces');
+  check(resolveScoringRules('full-ppr,6pt').passTD === 6 && resolveScoringRules('full-ppr,6pt').reception === 1, 'Aliases combine like preset names');
+
+  const error = await failureOf(async () => resolveScoringRules('ppr,superflex'));
+  check(error?.status === 400 && /Unknown scoring profile: superflex/.test(error.message), 'Unknown preset is a 400', error?.message);
+
+  // Inline rules and overrides
+  rules = resolveScoringRules({ preset: 'ppr', rules: { passTD: 5 } });
+  check(rules.reception === 1 && rules.passTD === 5 && rules.presets[0] === 'ppr', 'Inline rules apply on top of their preset', rules);
+  rules = resolveScoringRules('standard', { reception: 0.25, passTD: '6', madeUp: 3 });
+  check(rules.reception === 0.25 && rules.passTD === 4 && !('madeUp' in rules), 'Only numeric, known keys are taken from overrides', rules);
+  const resolved = resolveScoringRules('ppr,bonuses');
+  rules = resolveScoringRules(resolved);
+  check(JSON.stringify(rules) === JSON.stringify(resolved), 'Resolving resolved rules changes nothing, presets included', rules);
+
+  // Stat lines
+  let score = scoreStatLine(quarterback, resolveScoringRules('standard'));
+  check(score.points === 302 && score.breakdown.passing === 260 && score.breakdown.rushing === 42 && score.breakdown.bonus === 0, 'Standard QB line', score);
+  score = scoreStatLine(quarterback, resolveScoringRules('6pt-pass-td,bonuses'));
+  check(score.points === 370 && score.breakdown.bonus === 8, '6pt pass TDs and a 40+ TD and two 400-yard games', score);
+
+  const wrPoints = profile => scoreStatLine(receiver, resolveScoringRules(profile)).points;
+  check(wrPoints('standard') === 168 && wrPoints('half-ppr') === 218 && wrPoints('ppr') === 268, 'WR line scores 168 / 218 / 268 standard / half / full PPR');
+  score = scoreStatLine(receiver, resolveScoringRules('ppr,bonuses'));
+  check(score.breakdown.bonus === 7 && score.points === 275, 'Receiving bonuses: two 40+ TDs and a 200-yard game', score);
+  check(scoreStatLine(null, resolveScoringRules('ppr')).points === 0, 'Missing stat line scores 0');
+
+  // Which season is scored
+  const player = {
+    stats: {
+      2023: { actual: { gamesPlayed: 16, ...receiver } },
+      2024: { actual: { gamesPlayed: 0, ...receiver } },
+      [PROJECTION_SEASON]: { predicted: { gamesPlayed: 17, ...receiver } }
+    }
+  };
+  const rulesPpr = resolveScoringRules('ppr');
+  let points = computePlayerPoints(player, { rules: rulesPpr });
+  check(points.season === PROJECTION_SEASON && points.kind === 'predicted' && points.perGame === 15.76, 'Predicted points come from the projection season', points);
+  points = computePlayerPoints(player, { rules: rulesPpr, kind: 'actual' });
+  check(points.season === '2024' && points.perGame === 0, 'Actual points come from the latest season, 0 per game without games', points);
+  points = computePlayerPoints(player, { rules: rulesPpr, kind: 'actual', season: 2023 });
+  check(points.season === '2023' && points.perGame === 16.75, 'Explicit season is used', points);
+  check(computePlayerPoints({ name: 'No Stats' }) === null && computePlayerPoints(player, { season: 2019 }) === null, 'No stats for the season gives null');
+  check(projectedPoints(player, rulesPpr) === 268 && projectedPoints({}, rulesPpr) === 0, 'projectedPoints falls back to 0');
+}
+
+runTest('scoring', testScoring);
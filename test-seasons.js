@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Test script for keepers and season rollover: which players carry over, what the next draft
+ * starts with, and that FAAB and projections keep working in the new season
+ * Rollovers, claims and keepers are written to a scratch dir, never to data/
+ */
+
+const { useScratchData, check, failureOf, runTest } = require('./helpers/test-support');
+
+// Must run before the repository reads its configuration
+useScratchData('seasons-test', ['finalized/draftRoster_v4.json', 'roster/allPlayers.json', 'nflTeams.json', 'schedule/regularSeason.json']);
+
+const { requireLeague, leagueSeason } = require('./helpers/league-store');
+const { getRepository } = require('./helpers/data-repository');
+const { dropPlayer } = require('./helpers/roster-store');
+const { setKeeper, listKeepers, rolloverSeason, draftKeepersFor, nextSeason } = require('./helpers/season-store');
+const { computeBudgets } = require('./helpers/waiver-store');
+const { proposeTrade } = require('./helpers/trade-store');
+const { loadProjectionContext } = require('./helpers/weekly-projection');
+
+/**
+ * Names on a team's roster
+ * @param {string} endpoint - Team endpoint
+ * @returns {Promise<Array<string>>} - Player names
+ */
+async function rosterNames(endpoint) {
+  return (await getRepository().rosters.listByTeam(endpoint)).map(p => p.name);
+}
+
+async function testSeasons() {
+  console.log('🧪 Testing keepers and season rollover\n');
+
+  const league = await requireLeague();
+  const repository = getRepository();
+  const [first, second] = league.teams.map(t => t.endpoint);
+  const [kept, droppedKeeper] = await repository.rosters.listByTeam(first);
+  const [secondKept] = await repository.rosters.listByTeam(second);
+  const from = leagueSeason(league);
+  const to = nextSeason(from);
+
+  console.log(`📋 League ${league.id} is on ${from}; ${first} keeps ${kept.name}, ${second} keeps ${secondKept.name}\n`);
+
+  // Marking keepers
+  const { keeper } = await setKeeper(league.id, { team: first, player: kept.name, round: 3 });
+  check(keeper.season === to && keeper.round === 3, 'Keeper is marked for next season at its round', keeper);
+  await setKeeper(league.id, { team: second, player: secondKept.name, round: 1 });
+
+  let error = await failureOf(() => setKeeper(league.id, { team: first, player: droppedKeeper.name, round: 3 }));
+  check(error?.code === 'keeper_round_taken', 'Two keepers cannot cost the same round', error?.code);
+
+  error = await failureOf(() => setKeeper(league.id, { team: first, player: secondKept.name, round: 4 }));
+  check(error?.code === 'player_not_on_roster', 'Only rostered players can be kept', error?.code);
+
+  // A keeper who leaves the roster before the rollover is left out
+  await setKeeper(league.id, { team: first, player: droppedKeeper.name, round: 5 });
+  await dropPlayer(await requireLeague(league.id), first, droppedKeeper.name);
+
+  // Claims saved before claims had a season count toward the current one
+  const legacyClaim = {
+    id: 'legacy-claim',
+    leagueId: league.id,
+    team: first,
+    player: { id: 'legacy', name: 'Legacy Player', position: 'WR' },
+    drop: null,
+    bid: 30,
+    status: 'won',
+    reason: null,
+    createdAt: '2025-09-01T00:00:00.000Z',
+    processedAt: '2025-09-03T10:00:00.000Z'
+  };
+  await repository.waiverClaims.saveMany([legacyClaim]);
+  const before = await requireLeague(league.id);
+  const budget = computeBudgets(before, [legacyClaim])[first];
+  check(budget.spent === 30, 'Claim without a season is spent in the current season', budget);
+
+  // Open claims and trades at rollover time
+  const pendingClaim = { ...legacyClaim, id: 'pending-claim', season: from, bid: 12, status: 'pending', processedAt: null };
+  await repository.waiverClaims.saveMany([pendingClaim]);
+  const [, , tradedAway] = await repository.rosters.listByTeam(first);
+  const [, tradedFor] = await repository.rosters.listByTeam(second);
+  const openTrade = await proposeTrade(before, { fromTeam: first, toTeam: second, give: [tradedAway.name], receive: [tradedFor.name] });
+
+  // Dry run
+  const rosterBefore = await rosterNames(first);
+  const preview = await rolloverSeason(league.id, { dryRun: true });
+  check(preview.keepers.length === 2 && preview.invalidKeepers.length === 1, 'Dry run reports valid and invalid keepers', preview);
+  check(preview.cancelledClaims === 1 && preview.cancelledTrades === 1, 'Dry run reports the claims and trades it would cancel', preview);
+  check((await requireLeague(league.id)).season === before.season && (await rosterNames(first)).length === rosterBefore.length, 'Dry run writes nothing');
+
+  // Rollover
+  const endpoints = new Set(league.teams.map(t => t.endpoint));
+  const leaguePlayersBefore = (await repository.rosters.listPlayers()).filter(p => endpoints.has(p.fantasyTeam?.endpoint)).length;
+  const result = await rolloverSeason(league.id);
+  check(result.league.season === to, `League moves to ${to}`, result.league.season);
+  check(result.invalidKeepers.map(k => k.player.name).join() === droppedKeeper.name, 'Keeper no longer on the roster is left out', result.invalidKeepers);
+  check(JSON.stringify(await rosterNames(first)) === JSON.stringify([kept.name]), `${first} starts ${to} with only its keeper`, await rosterNames(first));
+  check(JSON.stringify(await rosterNames(second)) === JSON.stringify([secondKept.name]), `${second} starts ${to} with only its keeper`, await rosterNames(second));
+  check((await repository.rosters.listByTeam(first)).every(p => p.starter === false), 'Kept players start on the bench');
+  check(result.released === leaguePlayersBefore - 2, 'Everyone but the keepers is released', result.released);
+
+  const archived = result.league.seasonHistory.at(-1);
+  check(archived.season === from && archived.rosters[first].length === rosterBefore.length, `${from} rosters are archived`, archived?.rosters?.[first]?.length);
+  check(result.league.waiverPriority === null && result.league.fantasySchedule === null, 'Waiver priority and schedule reset');
+
+  const drafted = draftKeepersFor(result.league);
+  check(
+    drafted.some(k => k.teamSlot === 1 && k.round === 3 && k.player.name === kept.name) &&
+    drafted.some(k => k.teamSlot === 2 && k.round === 1 && k.player.name === secondKept.name),
+    'Next draft places each keeper in its team\'s round',
+    drafted
+  );
+  check(listKeepers(result.league).length === 0, 'No keepers are marked for the season after yet');
+
+  // FAAB and projections in the new season
+  const claims = await repository.waiverClaims.list({ leagueId: league.id });
+  check(claims.find(c => c.id === legacyClaim.id)?.season === from, `Claim without a season is stamped ${from} at rollover`, claims.find(c => c.id === legacyClaim.id));
+  check(computeBudgets(result.league, claims)[first].spent === 0, `FAAB spend resets for ${to}`, computeBudgets(result.league, claims)[first]);
+  const closedClaim = claims.find(c => c.id === pendingClaim.id);
+  check(closedClaim?.status === 'cancelled' && closedClaim.reason === 'season_rollover', 'Pending claim is cancelled at rollover', closedClaim);
+  const closedTrade = await repository.trades.getById(openTrade.id);
+  check(closedTrade?.status === 'cancelled' && closedTrade.history.at(-1).reason === 'season_rollover', 'Proposed trade is cancelled at rollover', closedTrade?.history);
+
+  const context = await loadProjectionContext({ scoring: result.league.scoring, season: to });
+  check(context.requestedSeason === to && context.season === from, `Projections fall back to ${from} predictions`, { requested: context.requestedSeason, used: context.season });
+
+  // Dynasty leagues carry every player over
+  const dynasty = await rolloverSeason(league.id, { carryOver: 'dynasty' });
+  check(dynasty.released === 0 && (await rosterNames(first)).length === 1, 'Dynasty rollover releases nobody', dynasty.released);
+}
+
+runTest('season', testSeasons);
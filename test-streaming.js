@@ -1,9 +1,15 @@
 /**
  * Test suite for streaming functionality
  * Run with: node test-streaming.js
+ * The integration test streams from the bundled mock Dify (scripts/mockDify.js) unless DIFY_API_URL is set
  */
 
 const { TextDecoder } = require('util');
+const { MOCK_DIFY_URL, startMockDify } = require('./scripts/mockDify');
+
+// Must be set before the Dify client reads its configuration
+process.env.DIFY_API_URL ||= MOCK_DIFY_URL;
+process.env.DIFY_SECRET_KEY ||= 'mock-secret-key';
 
 // Test streaming utilities
 const {
@@ -24,6 +30,9 @@ const {
   getActionTimeout
 } = require('./helpers/dify-client');
 
+// Test SSE parser
+const { SseParser, readDifyEvents } = require('./helpers/sse-parser');
+
 /**
  * Mock Express response object for testing
  */
@@ -266,29 +275,58 @@ function testTimeoutCalculation() {
 }
 
 /**
- * Integration test with mock upstream
+ * Test SSE parsing of upstream streams
  */
-async function testIntegration() {
-  console.log('\n🧪 Running integration test...');
+async function testSseParsing() {
+  console.log('\n🧪 Testing SSE parsing...');
   
-  // Mock fetch for testing
-  const originalFetch = global.fetch;
+  // CRLF split across chunks, multi-line data, comments and field without a space
+  const parser = new SseParser();
+  const messages = [
+    ': keep-alive\r',
+    '\nevent: ping\r\n\r\ndata: first\r',
+    '\ndata:second\r\n\r',
+    '\nid: 7\rdata: third\r\r'
+  ].flatMap(piece => parser.feed(piece));
   
-  // Create a mock readable stream
-  const mockStream = new ReadableStream({
-    start(controller) {
-      controller.enqueue(new TextEncoder().encode('data: {"chunk": "Hello"}\n\n'));
-      controller.enqueue(new TextEncoder().encode('data: {"chunk": " World"}\n\n'));
-      controller.enqueue(new TextEncoder().encode('data: [DONE]\n\n'));
-      controller.close();
-    }
-  });
+  if (messages.length === 2 &&
+      messages[0].data === 'first\nsecond' &&
+      messages[1].data === 'third' && messages[1].id === '7') {
+    console.log('✅ SSE line endings, comments and multi-line data parsed correctly');
+  } else {
+    console.log('❌ SSE parsing incorrect:', messages);
+  }
   
-  global.fetch = async () => ({
-    ok: true,
-    status: 200,
-    body: mockStream
-  });
+  // Dify events stop at [DONE] and report non-JSON payloads
+  const encoder = new TextEncoder();
+  const body = [
+    'data: {"event":"message","answer":"Hel',
+    'lo"}\n\ndata: not json\n\nevent: message_end\ndata: {"conversation_id":"c1"}\n\n',
+    'data: [DONE]\n\ndata: {"event":"message","answer":"late"}\n\n'
+  ].map(piece => encoder.encode(piece));
+  const invalid = [];
+  const events = [];
+  for await (const event of readDifyEvents(body, { onInvalid: data => invalid.push(data) })) {
+    events.push(event);
+  }
+  
+  if (events.length === 2 &&
+      events[0].answer === 'Hello' &&
+      events[1].event === 'message_end' &&
+      invalid[0] === 'not json') {
+    console.log('✅ Dify events parsed correctly');
+  } else {
+    console.log('❌ Dify events incorrect:', events, invalid);
+  }
+}
+
+/**
+ * Integration test against the mock Dify server
+ */
+async function testIntegration() {
+  console.log('\n🧪 Running integration test...');
+  
+  const mock = process.env.DIFY_API_URL === MOCK_DIFY_URL ? await startMockDify({ delayMs: 5 }) : null;
   
   try {
     const { sendToDifyStreaming } = require('./helpers/dify-client');
@@ -317,26 +355,21 @@ async function testIntegration() {
       writableEnded: false
     };
     
-    // Mock heartbeat timer
-    const mockHeartbeatTimer = setInterval(() => {}, 1000);
-    
     // Test the new streaming function
-    await sendToDifyStreaming(mockReq, mockRes, mockHeartbeatTimer, 'legacy', { query: 'test' }, 'test-user', null);
+    await sendToDifyStreaming(mockReq, mockRes, () => {}, 'legacy', { query: 'test' }, 'test-user', null);
     
     // Check if data was written to response
     const output = writtenData.join('');
-    if (output.includes('Hello') && output.includes('World')) {
+    if (output.includes('"event":"message"') && output.includes('"event":"message_end"')) {
       console.log('✅ Integration test: streaming data received correctly');
     } else {
       console.log('❌ Integration test: streaming data incorrect');
       console.log('Output received:', output);
     }
-    
-    clearInterval(mockHeartbeatTimer);
   } catch (error) {
     console.log('❌ Integration test error:', error.message);
   } finally {
-    global.fetch = originalFetch;
+    await mock?.close();
   }
 }
 
@@ -376,6 +409,7 @@ async function runAllTests() {
   testRequestValidation();
   testMessageBuilding();
   testTimeoutCalculation();
+  await testSseParsing();
   await testIntegration();
   
   console.log('\n🎉 All tests completed!');
@@ -395,6 +429,7 @@ module.exports = {
   testRequestValidation,
   testMessageBuilding,
   testTimeoutCalculation,
+  testSseParsing,
   testIntegration,
   runAllTests
 };
\ No newline at end of file
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Test script for natural-breaks tiering: where tier boundaries fall for a known set of projected
+ * points, the tier cap and break threshold, and the last-in-tier warnings built from the pool
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { useScratchData, check, runTest } = require('./helpers/test-support');
+
+// The pool is a fixture written to a scratch dir
+const dataDir = useScratchData('tiers-test', []);
+
+const { PROJECTION_SEASON, resolveScoringRules } = require('./helpers/scoring');
+const { buildPositionTiers, buildTiers, getPoolTiers, findLastInTierWarnings } = require('./helpers/tiers');
+
+const standard = resolveScoringRules('standard');
+
+/**
+ * Player projected for an exact number of standard points (rushing yards at 0.1 a yard)
+ * @param {string} id - Player id
+ * @param {string} position - Position
+ * @param {number} points - Projected points
+ * @returns {Object} - Player
+ */
+function projected(id, position, points) {
+  return {
+    id,
+    name: `${position} ${id}`,
+    position,
+    team: { abbr: 'KC' },
+    stats: { [PROJECTION_SEASON]: { predicted: { gamesPlayed: 17, rushing: { yards: points * 10 } } } }
+  };
+}
+
+/**
+ * Projected points per tier
+ * @param {Array<Object>} tiers - buildPositionTiers output
+ * @returns {string} - e.g. '300,295 | 250'
+ */
+function shape(tiers) {
+  return tiers.map(t => t.players.map(p => p.projectedPoints).join()).join(' | ');
+}
+
+// Gaps 5, 5, 40, 5, 45, 2: the 40 and 45 point drops are the only ones above mean + 0.5 stddev
+const runningBacks = [300, 200, 295, 250, 198, 290, 245].map((points, i) => projected(`rb${i + 1}`, 'RB', points));
+
+async function testTiers() {
+  console.log('🧪 Testing player tiers\n');
+
+  let tiers = buildPositionTiers(runningBacks, standard, { breakStddev: 0.5 });
+  check(shape(tiers) === '300,295,290 | 250,245 | 200,198', 'Tiers break at the two large gaps', shape(tiers));
+  check(tiers.map(t => `${t.tier}:${t.maxPoints}-${t.minPoints}`).join() === '1:300-290,2:250-245,3:200-198', 'Tiers are numbered with their point range', tiers);
+  check(tiers[0].players[0].id === 'rb1' && tiers[0].players[0].team === 'KC', 'Tier players carry id and team abbreviation', tiers[0].players[0]);
+
+  tiers = buildPositionTiers(runningBacks, standard, { maxTiers: 2, breakStddev: 0.5 });
+  check(shape(tiers) === '300,295,290,250,245 | 200,198', 'Tier cap keeps the largest gap', shape(tiers));
+
+  tiers = buildPositionTiers(runningBacks, standard, { breakStddev: 3 });
+  check(tiers.length === 1, 'Higher threshold leaves one tier', shape(tiers));
+
+  tiers = buildPositionTiers(['a', 'b', 'c'].map(id => projected(id, 'TE', 100)), standard, { breakStddev: 0 });
+  check(tiers.length === 1 && tiers[0].players.length === 3, 'Equal projections never split', shape(tiers));
+  check(buildPositionTiers([], standard).length === 0 && buildPositionTiers([projected('x', 'QB', 10)], standard).length === 1, 'Empty position has no tiers, one player has one');
+
+  // Scoring changes the points and so the order
+  const receivers = [projected('wr1', 'WR', 100), { ...projected('wr2', 'WR', 80), stats: { [PROJECTION_SEASON]: { predicted: { receiving: { receptions: 60, yards: 800 } } } } }];
+  const byProfile = profile => buildTiers(receivers, { scoring: profile, maxTiers: 1 }).positions.WR[0].players.map(p => p.id).join();
+  check(byProfile('standard') === 'wr1,wr2' && byProfile('ppr') === 'wr2,wr1', 'PPR moves the pass catcher up', { standard: byProfile('standard'), ppr: byProfile('ppr') });
+
+  const all = buildTiers([...runningBacks, projected('qb1', 'QB', 350), projected('k1', 'K', 150)], { scoring: 'standard' });
+  check(JSON.stringify(Object.keys(all.positions)) === '["QB","RB","WR","TE"]' && all.positions.QB.length === 1 && all.positions.WR.length === 0, 'buildTiers covers QB, RB, WR and TE only', Object.keys(all.positions));
+  check(JSON.stringify(all.scoring) === '["standard"]', 'buildTiers reports the presets used', all.scoring);
+
+  // Pool tiers and warnings
+  fs.mkdirSync(path.join(dataDir, 'finalized'), { recursive: true });
+  fs.writeFileSync(path.join(dataDir, 'finalized', 'draftRoster_v4.json'), JSON.stringify(runningBacks));
+
+  const pool = await getPoolTiers({ scoring: 'standard' });
+  check(await getPoolTiers({ scoring: 'standard' }) === pool, 'Pool tiers are cached per scoring profile');
+  check(pool.positions.RB.length >= 2, 'Pool tiers are built from the repository', shape(pool.positions.RB));
+
+  const [firstTier] = pool.positions.RB;
+  const lastOne = firstTier.players[0];
+  const available = runningBacks.filter(p => !firstTier.players.some(t => t.id === p.id) || p.id === lastOne.id);
+  const warnings = await findLastInTierWarnings(available, { scoring: 'standard' });
+  check(warnings.length === 1 && warnings[0].playerId === lastOne.id && warnings[0].tier === 1, 'Last player left in a tier is flagged', warnings);
+  check((await findLastInTierWarnings(runningBacks, { scoring: 'standard' })).length === 0, 'No warnings with every player available');
+}
+
+runTest('tier', testTiers);
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Test script for trade proposals: who may settle a trade, what settling does to the rosters and
+ * that trades stay inside their league
+ * Proposals and roster moves are written to a scratch copy of the pool, rosters and schedule
+ */
+
+const { useScratchData, check, failureOf, runTest } = require('./helpers/test-support');
+
+// Must run before the repository reads its configuration
+useScratchData('trades-test', ['finalized/draftRoster_v4.json', 'roster/allPlayers.json', 'nflTeams.json', 'schedule/regularSeason.json']);
+
+const { requireLeague } = require('./helpers/league-store');
+const { getRepository } = require('./helpers/data-repository');
+const { proposeTrade, requireTrade, respondToTrade } = require('./helpers/trade-store');
+
+/**
+ * Endpoint of the team a player is rostered on
+ * @param {string} name - Player name
+ * @returns {Promise<string|undefined>} - Team endpoint
+ */
+async function ownerOf(name) {
+  const players = await getRepository().rosters.listPlayers();
+  return players.find(p => p.name === name)?.fantasyTeam?.endpoint;
+}
+
+async function testTrades() {
+  console.log('🧪 Testing trade proposals\n');
+
+  const league = await requireLeague();
+  const [from, to] = league.teams.map(t => t.endpoint);
+  const repository = getRepository();
+  const [fromPlayer] = await repository.rosters.listByTeam(from);
+  const [toPlayer] = await repository.rosters.listByTeam(to);
+  const propose = () => proposeTrade(league, { fromTeam: from, toTeam: to, give: [fromPlayer.name], receive: [toPlayer.name] });
+
+  console.log(`📋 ${from} offers ${fromPlayer.name} to ${to} for ${toPlayer.name}`);
+
+  // Reject
+  const rejected = await propose();
+  check(rejected.status === 'proposed', 'New trade starts out proposed', rejected.status);
+
+  let error = await failureOf(() => respondToTrade(league, rejected.id, 'reject', from));
+  check(error?.code === 'not_allowed' && error.status === 403, 'Proposing team cannot reject its own trade', error?.code);
+
+  error = await failureOf(() => respondToTrade(league, rejected.id, 'reject'));
+  check(error?.code === 'invalid_team', 'Settling without a team is refused', error?.code);
+
+  error = await failureOf(() => respondToTrade(league, rejected.id, 'constructor', to));
+  check(error?.code === 'invalid_action', 'Inherited names are not trade actions', error?.code);
+
+  const { trade: afterReject, transactions: rejectTransactions } = await respondToTrade(league, rejected.id, 'reject', to);
+  check(afterReject.status === 'rejected', 'Receiving team can reject', afterReject.status);
+  check(rejectTransactions.length === 0, 'Rejecting moves no players', rejectTransactions);
+  check(await ownerOf(fromPlayer.name) === from, 'Rejected trade leaves the rosters alone');
+
+  // Cancel
+  const cancelled = await propose();
+  error = await failureOf(() => respondToTrade(league, cancelled.id, 'cancel', to));
+  check(error?.code === 'not_allowed', 'Receiving team cannot cancel', error?.code);
+  const { trade: afterCancel } = await respondToTrade(league, cancelled.id, 'cancel', from);
+  check(afterCancel.status === 'cancelled', 'Proposing team can cancel', afterCancel.status);
+
+  // Accept
+  const accepted = await propose();
+  error = await failureOf(() => respondToTrade(league, accepted.id, 'accept', from));
+  check(error?.code === 'not_allowed', 'Proposing team cannot accept its own trade', error?.code);
+
+  const { trade: afterAccept, transactions } = await respondToTrade(league, accepted.id, 'accept', to);
+  check(afterAccept.status === 'accepted', 'Receiving team can accept', afterAccept.status);
+  check(transactions.length === 2 && transactions.every(t => t.type === 'trade'), 'Accepting logs one trade transaction per player', transactions);
+  check(await ownerOf(fromPlayer.name) === to, `${fromPlayer.name} moved to ${to}`, await ownerOf(fromPlayer.name));
+  check(await ownerOf(toPlayer.name) === from, `${toPlayer.name} moved to ${from}`, await ownerOf(toPlayer.name));
+  check((await requireTrade(accepted.id, league)).status === 'accepted', 'Accepted status is stored with the roster change');
+
+  error = await failureOf(() => respondToTrade(league, accepted.id, 'accept', to));
+  check(error?.code === 'trade_closed' && error.status === 409, 'A settled trade cannot be settled again', error?.code);
+
+  // League scoping
+  error = await failureOf(() => requireTrade(accepted.id, { ...league, id: 'another-league' }));
+  check(error?.code === 'trade_not_found' && error.status === 404, 'Trades are not visible from another league', error?.code);
+
+  error = await failureOf(() => respondToTrade({ ...league, id: 'another-league' }, accepted.id, 'accept', to));
+  check(error?.code === 'trade_not_found', 'Trades cannot be settled from another league', error?.code);
+}
+
+runTest('trade', testTrades);
@@ -1,8 +1,20 @@
 #!/usr/bin/env node
 /**
  * Test script to verify the unified Dify client maintains backward compatibility
+ * Runs against the bundled mock Dify (scripts/mockDify.js) unless DIFY_API_URL is set
  */
 
+const { MOCK_DIFY_URL, startMockDify } = require('./scripts/mockDify');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseJsonAnswer, checkStructuredAnswer, requestStructured } = require('./helpers/structured-output');
+const { PROMPT_ENV, loadPromptTemplates, renderPrompt } = require('./helpers/prompt-templates');
+
+// Must be set before the client reads its configuration
+process.env.DIFY_API_URL ||= MOCK_DIFY_URL;
+process.env.DIFY_SECRET_KEY ||= 'mock-secret-key';
+
 const {
   // New unified exports
   DIFY_API_URL,
@@ -16,6 +28,7 @@ const {
   validateStreamingRequest,
   normalizeUserTurnPayload,
   buildDifyMessage,
+  renderDifyMessage,
   getActionTimeout,
   trimAvailablePlayersIfNeeded,
   slimPlayers,
@@ -198,17 +211,129 @@ try {
 
 // Test 6: Test constants
 console.log('\n6️⃣ Testing constants...');
-if (typeof DIFY_API_URL === 'string' && DIFY_API_URL.includes('api.dify.ai')) {
+try {
+  new URL(DIFY_API_URL);
   console.log('✅ DIFY_API_URL constant works');
-} else {
+} catch {
   console.log('❌ DIFY_API_URL constant failed:', DIFY_API_URL);
 }
 
-console.log('\n🎉 Unified Dify Client verification complete!');
-console.log('\n📋 Summary:');
-console.log('• All exports are present and accessible');
-console.log('• New UnifiedDifyClient class is functional');
-console.log('• TraceLogger observability system is working');
-console.log('• Backward compatibility functions are preserved');
-console.log('• Error mapping and timeout hierarchy implemented');
-console.log('• Server startup logging added');
\ No newline at end of file
+/**
+ * Print a pass/fail line
+ * @param {boolean} passed - Whether the check passed
+ * @param {string} label - What was checked
+ * @param {*} [detail] - Printed on failure
+ */
+function check(passed, label, detail) {
+  if (passed) {
+    console.log(`✅ ${label}`);
+  } else {
+    console.log(`❌ ${label}`, detail ?? '');
+  }
+}
+
+// Test 7: Structured answer parsing
+console.log('\n7️⃣ Testing structured answer parsing...');
+const fenced = parseJsonAnswer('<think>hmm</think>Here you go:\n```json\n{"verdict":"reject","note":"a } in a string"}\n```');
+check(fenced.value?.verdict === 'reject' && fenced.value.note === 'a } in a string', 'Fenced JSON with prose is parsed', fenced);
+const checked = checkStructuredAnswer('tradeVerdict', '{"verdict":"maybe","favors":"even","reasons":[],"summary":"x"}');
+check(!checked.ok && checked.errors.length === 2, 'Schema violations are reported', checked.errors);
+
+// Test 7b: Prompt templates
+const rendered = renderDifyMessage('player-taken', { player: { name: 'Test Player' }, round: 2, pick: 5 });
+check(rendered.text === 'Player taken: {"name":"Test Player"} in round 2, pick 5.' && rendered.promptVersion === 'draft-player-taken@v1',
+  'Draft messages render from versioned templates', rendered);
+let missingVariable = null;
+try { renderPrompt('draft-player-taken', { player: 'x', round: 1 }); } catch (err) { missingVariable = err; }
+check(/needs variable 'pick'/.test(missingVariable?.message), 'Missing template variables are an error', missingVariable?.message);
+
+const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+fs.mkdirSync(path.join(promptsDir, 'greeting'));
+fs.writeFileSync(path.join(promptsDir, 'greeting', 'v1.txt'), 'Hello {{name}}\n');
+fs.writeFileSync(path.join(promptsDir, 'greeting', 'v2.txt'), 'Hi {{name}}\n');
+loadPromptTemplates(promptsDir);
+check(renderPrompt('greeting', { name: 'Sam' }).promptVersion === 'greeting@v2', 'Newest template version is used by default');
+fs.writeFileSync(path.join(promptsDir, 'pins.json'), JSON.stringify({ [PROMPT_ENV]: { greeting: 'v1' } }));
+loadPromptTemplates(promptsDir);
+const pinned = renderPrompt('greeting', { name: 'Sam' });
+check(pinned.text === 'Hello Sam' && pinned.promptVersion === 'greeting@v1', 'Pinned template version is used', pinned);
+fs.writeFileSync(path.join(promptsDir, 'pins.json'), JSON.stringify({ [PROMPT_ENV]: { greeting: 'v9' } }));
+let badPin = null;
+try { loadPromptTemplates(promptsDir); } catch (err) { badPin = err; }
+check(/greeting=v9/.test(badPin?.message), 'Pins to a missing version fail at load', badPin?.message);
+fs.rmSync(promptsDir, { recursive: true, force: true });
+loadPromptTemplates();
+
+// Test 8: Live requests against the mock Dify
+async function testAgainstMock() {
+  console.log('\n8️⃣ Testing live requests against the mock Dify...');
+  if (DIFY_API_URL !== MOCK_DIFY_URL) {
+    console.log('⏭️  Skipped: DIFY_API_URL points at a real Dify');
+    return;
+  }
+
+  const mock = await startMockDify({ delayMs: 5 });
+  const client = new UnifiedDifyClient();
+  const body = (query, extra = {}) => ({ query, inputs: {}, user: 'test-user', ...extra });
+
+  try {
+    const blocking = await client.postBlocking({ body: body('Hello'), timeoutMs: 5000 });
+    check(blocking.ok && blocking.data.answer.includes('Mock Dify answer'), 'postBlocking returns the answer', blocking);
+
+    const buffered = await client.postStreamingBuffered({ body: body('Hello'), timeoutMs: 5000 });
+    check(buffered.ok && buffered.data.answer === blocking.data.answer, 'postStreamingBuffered joins message events', buffered);
+
+    const agent = await client.postStreamingBuffered({ body: body('[mock:agent] Hello'), timeoutMs: 5000 });
+    check(agent.ok && agent.data.answer.includes('Mock Dify answer'), 'postStreamingBuffered joins agent_message events', agent);
+
+    const followUp = await client.postBlocking({ body: body('Again', { conversation_id: blocking.conversationId }), timeoutMs: 5000 });
+    check(followUp.ok && followUp.conversationId === blocking.conversationId, 'Conversations continue', followUp);
+
+    const missing = await client.postBlocking({ body: body('Hello', { conversation_id: 'no-such-conversation' }), timeoutMs: 5000 });
+    check(missing.error === 'invalid_conversation' && missing.status === 409, 'Unknown conversation maps to invalid_conversation', missing);
+
+    const failed = await client.postBlocking({ body: body('[mock:server_error] Hello'), timeoutMs: 5000 });
+    check(failed.error === 'upstream_error' && failed.upstreamStatus === 500, '5xx maps to upstream_error', failed);
+
+    const timedOut = await client.postBlocking({ body: body('[mock:timeout] Hello'), timeoutMs: 200 });
+    check(timedOut.error === 'timeout' && timedOut.status === 504, 'Unanswered request times out', timedOut);
+
+    const { events } = await client.postStreaming({ body: body('[mock:stream_error] Hello'), timeoutMs: 5000 });
+    const received = [];
+    for await (const event of events) received.push(event.event);
+    check(received.at(-1) === 'error' && received.includes('message'), 'Stream errors arrive as error events', received);
+
+    // Structured answers: valid first time, repaired once, or rejected
+    const structured = query => requestStructured({ schemaName: 'tradeVerdict', provider: client, body: body(query), timeoutMs: 5000 });
+    const verdict = await structured('Review this trade');
+    check(verdict.ok && !verdict.repaired && ['accept', 'reject', 'counter'].includes(verdict.data.verdict), 'Structured answer validates', verdict);
+    check(verdict.usage?.total_tokens > 0, 'Structured answer keeps the provider usage', verdict.usage);
+
+    const repaired = await structured('[mock:invalid_json] Review this trade');
+    check(repaired.ok && repaired.repaired, 'Invalid structured answer is repaired once', repaired);
+    check(repaired.usage?.total_tokens > verdict.usage.total_tokens, 'Repaired answer counts the usage of both requests', repaired.usage);
+
+    await fetch(new URL('/mock/scenario', MOCK_DIFY_URL), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ scenario: 'invalid_json', count: 2 })
+    });
+    const rejected = await structured('Review this trade');
+    check(rejected.error === 'invalid_structured_output' && rejected.details.length > 0, 'Answer still invalid after repair is rejected', rejected);
+  } catch (error) {
+    console.log('❌ Mock Dify test failed:', error.message || error);
+  } finally {
+    await mock.close();
+  }
+}
+
+testAgainstMock().then(() => {
+  console.log('\n🎉 Unified Dify Client verification complete!');
+  console.log('\n📋 Summary:');
+  console.log('• All exports are present and accessible');
+  console.log('• New UnifiedDifyClient class is functional');
+  console.log('• TraceLogger observability system is working');
+  console.log('• Backward compatibility functions are preserved');
+  console.log('• Error mapping and timeout hierarchy implemented');
+  console.log('• Server startup logging added');
+});
\ No newline at end of file
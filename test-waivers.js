@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Test script for waiver processing: the order contested claims are awarded in, FAAB budgets and
+ * the per-period guard on scheduled runs
+ * Claims and roster moves are written to a scratch copy of the pool and rosters
+ */
+
+const { useScratchData, check, runTest } = require('./helpers/test-support');
+
+// Must run before the repository reads its configuration
+useScratchData('waivers-test', ['finalized/draftRoster_v4.json', 'roster/allPlayers.json', 'nflTeams.json']);
+
+const { requireLeague, leagueSeason } = require('./helpers/league-store');
+const { getRepository } = require('./helpers/data-repository');
+const { findRosterOwner } = require('./helpers/roster-store');
+const { getWaiverPriority, computeBudgets, resolveClaims, processAllWaivers } = require('./helpers/waiver-store');
+
+let claimCount = 0;
+
+/**
+ * Build a claim the way submitClaim stores it, created one second after the previous one
+ * @param {Object} league - League
+ * @param {string} team - Claiming team
+ * @param {Object} player - Pool player
+ * @param {Object} [fields] - { bid?, drop?, status?, season? }
+ * @returns {Object} - Claim
+ */
+function makeClaim(league, team, player, fields = {}) {
+  claimCount++;
+  return {
+    id: `claim-${String(claimCount).padStart(3, '0')}`,
+    leagueId: league.id,
+    season: leagueSeason(league),
+    team,
+    player: { id: player.id, name: player.name, position: player.position },
+    drop: null,
+    bid: 0,
+    status: 'pending',
+    reason: null,
+    createdAt: new Date(Date.UTC(2025, 8, 1, 0, 0, claimCount)).toISOString(),
+    processedAt: null,
+    ...fields
+  };
+}
+
+/**
+ * Outcome of each claim by id
+ * @param {Object} result - resolveClaims result
+ * @returns {Object} - { [claimId]: 'status' or 'status:reason' }
+ */
+function outcomes(result) {
+  return Object.fromEntries(result.processed.map(c => [c.id, c.reason ? `${c.status}:${c.reason}` : c.status]));
+}
+
+async function testWaivers() {
+  console.log('🧪 Testing waiver processing\n');
+
+  const league = await requireLeague();
+  const repository = getRepository();
+  const [pool, players, nflTeams] = await Promise.all([
+    repository.players.list(),
+    repository.rosters.listPlayers(),
+    repository.nflTeams.list()
+  ]);
+  const freeAgents = pool.filter(p => p.id != null && !findRosterOwner(players, league, p));
+  const [first, second, third] = getWaiverPriority(league);
+  const [fa1, fa2, fa3] = freeAgents;
+  // Room on every bench so only the rules under test decide the claims
+  const roomy = { ...league, rosterSlots: { ...league.rosterSlots, BN: (league.rosterSlots?.BN || 0) + 5 } };
+  const resolve = (claims, l = roomy) => resolveClaims(l, { pool, players, nflTeams, claims });
+
+  console.log(`📋 Waiver priority starts ${first}, ${second}, ${third}`);
+  console.log(`📋 Free agents under test: ${fa1.name}, ${fa2.name}, ${fa3.name}\n`);
+
+  // Highest bid wins, regardless of priority or claim time
+  let claims = [makeClaim(league, first, fa1, { bid: 5 }), makeClaim(league, third, fa1, { bid: 12 })];
+  let result = resolve(claims);
+  check(outcomes(result)[claims[1].id] === 'won', 'Highest bid wins a contested player', outcomes(result));
+  check(outcomes(result)[claims[0].id] === 'lost:claimed_by_another_team', 'Outbid claim loses to the other team', outcomes(result));
+  check(findRosterOwner(result.players, league, fa1)?.fantasyTeam.endpoint === third, `${fa1.name} joins ${third}`);
+
+  // Equal bids fall back to waiver priority, and the winner moves to the back
+  claims = [makeClaim(league, second, fa2, { bid: 3 }), makeClaim(league, first, fa2, { bid: 3 })];
+  result = resolve(claims);
+  check(outcomes(result)[claims[1].id] === 'won', 'Tied bids go to the team with the better priority', outcomes(result));
+  check(result.priority.at(-1) === first && result.priority[0] === second, 'Winning team drops to the back of the priority order', result.priority);
+
+  // Equal bid and priority order only differ by claim time when the same team asks twice
+  claims = [makeClaim(league, second, fa3), makeClaim(league, second, fa3)];
+  result = resolve(claims);
+  check(outcomes(result)[claims[0].id] === 'won' && outcomes(result)[claims[1].id] === 'lost:duplicate_claim', 'Older claim wins a tie within one team', outcomes(result));
+
+  // Priority moves inside a run: after winning, first loses the next tie to second
+  claims = [
+    makeClaim(league, first, fa1, { bid: 1 }),
+    makeClaim(league, first, fa2),
+    makeClaim(league, second, fa2)
+  ];
+  result = resolve(claims);
+  check(outcomes(result)[claims[0].id] === 'won' && outcomes(result)[claims[2].id] === 'won', 'Priority updates between awards in the same run', outcomes(result));
+
+  // FAAB: spend this season counts against the budget, within the run as well
+  const budget = computeBudgets(league, [])[first].budget;
+  const earlier = makeClaim(league, first, fa3, { bid: budget - 10, status: 'won' });
+  check(computeBudgets(league, [earlier])[first].remaining === 10, 'Won claims this season are spent FAAB', computeBudgets(league, [earlier])[first]);
+  const lastSeason = { ...earlier, id: 'claim-last-season', season: String(Number(leagueSeason(league)) - 1) };
+  check(computeBudgets(league, [lastSeason])[first].remaining === budget, 'Last season\'s spend does not count', computeBudgets(league, [lastSeason])[first]);
+
+  claims = [earlier, makeClaim(league, first, fa1, { bid: 8 }), makeClaim(league, first, fa2, { bid: 5 })];
+  result = resolve(claims);
+  check(outcomes(result)[claims[1].id] === 'won', 'Bid within the remaining budget wins', outcomes(result));
+  check(outcomes(result)[claims[2].id] === 'failed:insufficient_budget', 'Bid over what the run left fails', outcomes(result));
+  check(result.transactions.find(t => t.type === 'add')?.bid === 8, 'Add transaction records the winning bid', result.transactions);
+
+  // Full rosters need a drop
+  const [dropPlayer] = players.filter(p => p.fantasyTeam?.endpoint === first);
+  claims = [makeClaim(league, first, fa1), makeClaim(league, first, fa2, { drop: { id: dropPlayer.id ?? null, name: dropPlayer.name } })];
+  result = resolve(claims, league);
+  check(outcomes(result)[claims[0].id] === 'failed:roster_full', 'Claim without a drop fails on a full roster', outcomes(result));
+  check(outcomes(result)[claims[1].id] === 'won' && result.transactions.some(t => t.type === 'drop' && t.player.name === dropPlayer.name), 'Claim with a drop releases the dropped player', result.transactions);
+
+  // Scheduled runs are claimed per league and period
+  await repository.waiverClaims.saveMany([makeClaim(league, first, fa1, { drop: { id: dropPlayer.id ?? null, name: dropPlayer.name } })]);
+  const period = '2025-09-03T10:00:00.000Z';
+  const [run] = await processAllWaivers({ period });
+  check(run.won === 1, 'First run for a period processes the league', run);
+  const [rerun] = await processAllWaivers({ period });
+  check(rerun.skipped === true, 'Second run for the same period is skipped', rerun);
+  const [manual] = await processAllWaivers();
+  check(manual.skipped === undefined && manual.won === 0, 'Runs without a period are not guarded', manual);
+
+  // A run that fails gives the period back
+  const retryPeriod = '2025-09-10T10:00:00.000Z';
+  const listClaims = repository.waiverClaims.list;
+  repository.waiverClaims.list = async () => {
+    throw new Error('claims unavailable');
+  };
+  const [failed] = await processAllWaivers({ period: retryPeriod });
+  repository.waiverClaims.list = listClaims;
+  check(failed.error === 'claims unavailable', 'Failed run reports its error', failed);
+  const [retry] = await processAllWaivers({ period: retryPeriod });
+  check(retry.skipped === undefined && retry.error === undefined, 'Period of a failed run can be retried', retry);
+}
+
+runTest('waiver', testWaivers);
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Test script for weekly projections: per-game points scaled by the opponent and venue, zero points on
+ * a bye, roster totals and rest-of-season sums, on a fixture pool with known defensive ratings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { useScratchData, check, runTest } = require('./helpers/test-support');
+
+// The pool, teams and ratings are fixtures written to a scratch dir
+const dataDir = useScratchData('weekly-projection-test', []);
+
+const { PROJECTION_SEASON } = require('./helpers/scoring');
+const {
+  normalizePlayerName,
+  loadProjectionContext,
+  projectPlayerWeek,
+  projectRosterWeek,
+  projectRestOfSeason
+} = require('./helpers/weekly-projection');
+const { attachMatchups } = require('./helpers/nfl-matchups');
+
+// 340 standard points over 17 games: 20 a game
+const pool = [
+  {
+    id: 'rb1',
+    name: 'Alpha Back',
+    position: 'RB',
+    team: { abbr: 'KC' },
+    stats: { [PROJECTION_SEASON]: { predicted: { gamesPlayed: 17, rushing: { yards: 3400 } } } }
+  }
+];
+const nflTeams = ['KC', 'BUF', 'DET', 'MIA'].map(abbr => ({ abbr }));
+// RB points allowed average 20: BUF (30) clamps to 1.25, DET (10) to 0.75, MIA is average
+const ratings = [
+  { abbr: 'KC', pointsAllowed: { RB: 20 } },
+  { abbr: 'BUF', pointsAllowed: { RB: 30 } },
+  { abbr: 'DET', pointsAllowed: { RB: 10 } },
+  { abbr: 'MIA', pointsAllowed: { RB: 20 } }
+];
+// KC hosts BUF, has week 2 off and visits DET; week 4 is not loaded
+const season = {
+  week1: [{ week: 1, homeTeam: 'KC', awayTeam: 'BUF' }],
+  week2: [{ week: 2, homeTeam: 'MIA', awayTeam: 'DET' }],
+  week3: [{ week: 3, homeTeam: 'DET', awayTeam: 'KC' }]
+};
+
+/**
+ * Write a fixture file into the scratch data dir
+ * @param {string} file - Path under the data dir
+ * @param {*} value - JSON value
+ */
+function writeFixture(file, value) {
+  fs.mkdirSync(path.dirname(path.join(dataDir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dataDir, file), JSON.stringify(value));
+}
+
+async function testWeeklyProjection() {
+  console.log('🧪 Testing weekly projections\n');
+
+  writeFixture('finalized/draftRoster_v4.json', pool);
+  writeFixture('nflTeams.json', nflTeams);
+  writeFixture('schedule/defenseRatings.json', ratings);
+
+  const context = await loadProjectionContext({ scoring: 'standard', season: PROJECTION_SEASON });
+  const week = n => attachMatchups([{ name: 'Alpha Back', position: 'RB', team: 'KC' }], { week: n, weekSchedule: season[`week${n}`], nflTeams })[0];
+
+  // Opponent and venue
+  let projection = projectPlayerWeek(week(1), context);
+  check(projection.perGame === 20 && projection.opponentFactor === 1.25 && projection.homeFactor === 1.02 && projection.points === 25.5, 'Home game against a weak run defense: 20 x 1.25 x 1.02', projection);
+  projection = projectPlayerWeek(week(3), context);
+  check(projection.opponentFactor === 0.75 && projection.homeFactor === 0.98 && projection.points === 14.7, 'Road game against a strong run defense: 20 x 0.75 x 0.98', projection);
+  projection = projectPlayerWeek({ name: 'Alpha Back', position: 'RB', matchup: null }, context);
+  check(projection.points === 20 && projection.opponentFactor === 1 && projection.homeFactor === 1, 'No matchup projects the per-game average', projection);
+
+  // Bye
+  projection = projectPlayerWeek(week(2), context);
+  check(projection.points === 0 && projection.bye === true && projection.source === 'bye', 'Bye week projects 0 points', projection);
+  projection = projectPlayerWeek({ name: 'Free Agent', position: 'WR', matchup: { week: 2, bye: true } }, context);
+  check(projection.points === 0 && projection.bye === true, 'Bye wins over a missing projection', projection);
+
+  // Pool lookups
+  projection = projectPlayerWeek({ ...week(1), name: 'Alpha Back Jr.' }, context);
+  check(projection.points === 25.5, 'Roster names match the pool without suffixes and punctuation', projection);
+  check(normalizePlayerName("D'Andre O. Swift III") === 'dandre o swift', 'normalizePlayerName strips punctuation and suffixes', normalizePlayerName("D'Andre O. Swift III"));
+  projection = projectPlayerWeek({ name: 'Unknown Rookie', position: 'RB', team: 'KC', matchup: week(1).matchup }, context);
+  check(projection.points === null && projection.source === 'none', 'Player missing from the pool has no projection', projection);
+
+  // Rosters
+  const roster = [
+    { name: 'Alpha Back', position: 'RB', team: 'KC', starter: true },
+    { name: 'Unknown Rookie', position: 'WR', team: 'KC', starter: true },
+    { name: 'Miami Receiver', position: 'WR', team: 'MIA', starter: true },
+    { name: 'Alpha Back', position: 'RB', team: 'KC', starter: false }
+  ];
+  let result = projectRosterWeek(roster, { week: 1, weekSchedule: season.week1, context });
+  check(result.totalProjected === 25.5 && result.unprojectedStarters === 1 && result.bench.length === 1, 'Roster total counts starters only and flags unprojected ones', result);
+  check(result.starters[2].projection.bye === true, 'Team without a game that week is on bye', result.starters[2].projection);
+  result = projectRosterWeek(roster.slice(0, 1), { week: 2, weekSchedule: season.week2, context });
+  check(result.totalProjected === 0 && result.unprojectedStarters === 0, 'Starter on bye adds 0 and is not unprojected', result);
+  check(result.projectionSeason === PROJECTION_SEASON, 'Roster week reports the projection season', result.projectionSeason);
+
+  // Rest of season: weeks 1-4 with a bye in week 2 and no schedule for week 4
+  const [rest] = projectRestOfSeason(roster.slice(0, 1), { season, fromWeek: 1, toWeek: 4, context });
+  check(rest.restOfSeason.points === 60.2 && rest.restOfSeason.games === 3 && rest.restOfSeason.byes === 1, 'Rest of season sums 25.5 + 0 + 14.7 + 20', rest.restOfSeason);
+
+  // A season without predictions falls back to the latest one that has them
+  const nextSeason = String(Number(PROJECTION_SEASON) + 1);
+  const fallback = await loadProjectionContext({ scoring: 'standard', season: nextSeason });
+  check(fallback.season === PROJECTION_SEASON && fallback.requestedSeason === nextSeason, 'New season projects from the last predicted one', { season: fallback.season });
+}
+
+runTest('weekly projection', testWeeklyProjection);